@@ -13,4 +13,12 @@ module.exports = {
     rules: {
       'prettier/prettier': ['error', { singleQuote: true, endOfLine: 'auto' }],
     },
+    overrides: [
+      {
+        files: ['tests/**/*.js'],
+        env: {
+          jest: true,
+        },
+      },
+    ],
 };  
\ No newline at end of file
@@ -1,9 +1,20 @@
 const { User, Lead, StudentProfile } = require('../models');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const emailService = require('../services/emailService');
-const axios = require('axios');
+const sessionService = require('../services/sessionService');
+const loginProtectionService = require('../services/loginProtectionService');
+const twoFactorService = require('../services/twoFactorService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const impersonationService = require('../services/impersonationService');
+const inviteService = require('../services/inviteService');
+const geoLocationService = require('../services/geoLocationService');
+const identityService = require('../services/identityService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const leadActivityService = require('../services/leadActivityService');
+const duplicateService = require('../services/duplicateService');
 const AppError = require('../utils/appError');
+const { signChallenge, verifyChallenge } = require('../utils/challengeTokens');
+const { getSessionMetadata } = require('../utils/requestInfo');
 
 const login = async (req, res, next) => {
   try {
@@ -13,38 +24,258 @@ const login = async (req, res, next) => {
       throw new Error('Email and password are required');
     }
     
+    const ipAddress = req.ip;
     const user = await User.findOne({ where: { email } });
-    console.log(user, " = user:emaillll");
-    // if (!user || !(await bcrypt.compare(password, user.password))) {
-    //   // throw new Error('Invalid credentials');
-    //   throw new AppError('Invalid credentials', 400);
-    // }
+
+    await loginProtectionService.assertCanAttempt({ email, ipAddress, user });
+
+    if (
+      !user ||
+      !user.password ||
+      !(await bcrypt.compare(password, user.password))
+    ) {
+      await loginProtectionService.recordFailure({ email, ipAddress, user });
+      throw new AppError('Invalid credentials', 401);
+    }
 
     if (!user.isActive) {
       throw new Error('Account is inactive');
     }
 
-    const token = jwt.sign(
-      { id: user.id, role: user.role, officeId: user.officeId },
-      process.env.JWT_SECRET
-      // { expiresIn: '30m' } // Session timeout (User Story 1.1)
+    if (!user.isEmailVerified) {
+      throw new AppError(
+        'Please verify your email address before logging in',
+        403
+      );
+    }
+
+    const challenge = await twoFactorService.getLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Records the successful login and opens a session, returning the token
+// pair. Runs after any second factor, so a password that must be changed is
+// only asked for once the user has fully proven who they are.
+const issueLogin = async (req, user) => {
+  if (passwordPolicyService.isChangeRequired(user)) {
+    return {
+      passwordChangeRequired: true,
+      challengeToken: signChallenge(user, 'password_change'),
+    };
+  }
+
+  await loginProtectionService.recordSuccess({
+    email: user.email,
+    ipAddress: req.ip,
+    user,
+  });
+
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(
+    user,
+    getSessionMetadata(req)
+  );
+
+  await User.update({ lastLogin: new Date() }, { where: { id: user.id } });
+
+  const fresh = await User.findByPk(user.id, {
+    attributes: { exclude: ['password'] },
+  });
+
+  return { token, refreshToken, expiresIn, user: fresh };
+};
+
+const completeLogin = async (req, res, user, extra = {}) => {
+  res.json({ ...(await issueLogin(req, user)), ...extra });
+};
+
+// Where the OAuth callbacks send the browser to finish signing in
+const frontendUrl = (path) => `${process.env.FRONTEND_URL}${path}`;
+
+// The OAuth counterpart of login once the provider has vouched for the
+// user: the same lockout, second factor and password checks, answered with
+// redirects to the frontend.
+const completeOAuthLogin = async (req, res, user) => {
+  try {
+    await loginProtectionService.assertCanAttempt({
+      email: user.email,
+      ipAddress: req.ip,
+      user,
+    });
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    const reason =
+      error.statusCode === 423 ? 'account_locked' : 'too_many_attempts';
+    return res.redirect(frontendUrl(`/login?error=${reason}`));
+  }
+
+  const challenge = await twoFactorService.getLoginChallenge(user);
+  if (challenge) {
+    return res.redirect(
+      frontendUrl(
+        `/two-factor?challengeToken=${challenge.challengeToken}&setup=${Boolean(challenge.twoFactorSetupRequired)}`
+      )
     );
+  }
 
-    await User.update({ lastLogin: new Date() }, { where: { id: user.id } });
+  const result = await issueLogin(req, user);
+  if (result.passwordChangeRequired) {
+    return res.redirect(
+      frontendUrl(`/change-password?challengeToken=${result.challengeToken}`)
+    );
+  }
 
-    const { password: savedPassword, ...userWithoutPassword } = user.get({
-      plain: true,
+  const profile = {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    officeId: user.officeId,
+  };
+  res.redirect(
+    frontendUrl(
+      `/oauth-success?token=${result.token}&refreshToken=${result.refreshToken}&user=${encodeURIComponent(JSON.stringify(profile))}`
+    )
+  );
+};
+
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      throw new AppError(
+        'Challenge token and a code or recovery code are required',
+        400
+      );
+    }
+
+    const ipAddress = req.ip;
+    const { id } = twoFactorService.verifyChallenge(
+      challengeToken,
+      'two_factor_login'
+    );
+    const pending = await User.findByPk(id);
+    if (!pending || !pending.isActive) {
+      throw new AppError('Account is inactive', 401);
+    }
+    await loginProtectionService.assertCanAttempt({
+      email: pending.email,
+      ipAddress,
+      user: pending,
     });
 
+    const valid = await twoFactorService.verifyLoginCode(pending.id, {
+      code,
+      recoveryCode,
+    });
+    if (!valid) {
+      await loginProtectionService.recordFailure({
+        email: pending.email,
+        ipAddress,
+        user: pending,
+      });
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    await completeLogin(req, res, pending);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Finishes a login that was held back for an expired or admin-set password
+const changeExpiredPassword = async (req, res, next) => {
+  try {
+    const { challengeToken, newPassword } = req.body;
+    if (!challengeToken || !newPassword) {
+      throw new AppError('Challenge token and new password are required', 400);
+    }
+
+    const { id } = verifyChallenge(challengeToken, 'password_change');
+    const user = await User.findByPk(id);
+    if (!user || !user.isActive) {
+      throw new AppError('Account is inactive', 401);
+    }
+    // The token is only good until the password has been changed once
+    if (!passwordPolicyService.isChangeRequired(user)) {
+      throw new AppError('Challenge token is invalid or has expired', 401);
+    }
+
+    await passwordPolicyService.setPassword(user, newPassword);
+    await sessionService.revokeAllUserSessions(user.id, 'password_change');
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const enrollTwoFactor = async (req, res, next) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.user.id);
+    res.json(enrollment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const confirmTwoFactorEnrollment = async (req, res, next) => {
+  try {
+    const { user, recoveryCodes } = await twoFactorService.completeEnrollment(
+      req.user.id,
+      req.body.code
+    );
+
+    // Enrollment forced at login finishes that login
+    if (req.user.twoFactorSetup) {
+      return completeLogin(req, res, user, { recoveryCodes });
+    }
+
     res.json({
-      token,
-      user: userWithoutPassword,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
     });
   } catch (error) {
     next(error);
   }
 };
 
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    await twoFactorService.disable(req.user.id, { code, recoveryCode });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+      req.user.id,
+      req.body.code
+    );
+    res.json({ recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unlockAccount = async (req, res, next) => {
+  try {
+    await loginProtectionService.unlockWithToken(req.body.token, req.ip);
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 
 const signup = async (req, res, next) => {
   try {
@@ -61,20 +292,14 @@ const signup = async (req, res, next) => {
       throw new Error('Email, password, name, are required');
     }
     
-    let location = null;
-    if(!officeId){
-      // 🔍 Get user IP
-      const ip =
-        req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress;
-  
-      // 🌍 Optional: Get location
-      try {
-        const geo = await axios.get(`http://ip-api.com/json/${ip}`);
-        location = geo.data; // e.g., geo.data.city, geo.data.country, etc.
-        console.log('User location from IP:', location);
-      } catch (err) {
-        console.warn('Failed to fetch geolocation:', err.message);
-      }
+    // Students who don't choose an office go to the one nearest to them.
+    // The location is kept on the lead for the distribution rules, which
+    // run once the email is verified.
+    const location = await geoLocationService.lookup(req.ip);
+    let assignedOfficeId = officeId || null;
+    if (!officeId) {
+      const office = await geoLocationService.findNearestOffice(location);
+      assignedOfficeId = office ? office.id : null;
     }
 
     const existingUser = await User.findOne({ where: { email } });
@@ -82,16 +307,21 @@ const signup = async (req, res, next) => {
       throw new Error('Email already in use');
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await passwordPolicyService.hashPassword(password, {
+      email,
+      name,
+    });
 
     const newUser = await User.create({
       email,
       password: hashedPassword,
+      passwordChangedAt: new Date(),
       name,
       ...rest,
       role: 'student',
       isActive: true,
-      officeId,
+      isEmailVerified: false,
+      officeId: assignedOfficeId,
       signupLocation: 'in-app',
     });
 
@@ -106,22 +336,27 @@ const signup = async (req, res, next) => {
     // Create Lead
     const lead = await Lead.create({
       studentId: newUser.id,
-      officeId,
+      officeId: assignedOfficeId,
       source: 'online',
       assignedConsultant: null,
       studyPreferences,
-      history: [
-        {
-          timestamp: new Date().toISOString(),
-          action: 'Lead created from student signup',
-        },
-      ],
+      pendingEmailVerification: true,
+      signupLocation: location,
+    });
+    await leadActivityService.record(lead.id, 'created', {
+      actorId: newUser.id,
+      summary: 'Lead created from student signup',
     });
+    await duplicateService.flagDuplicates(newUser.id);
+
+    await emailVerificationService.sendVerification(newUser);
 
     res.status(201).json({
-      message: 'Student registered and lead created successfully',
+      message:
+        'Student registered. Check your email to verify your account before logging in.',
       userId: newUser.id,
       leadId: lead.id,
+      officeId: assignedOfficeId,
       location,
     });
   } catch (error) {
@@ -129,49 +364,207 @@ const signup = async (req, res, next) => {
   }
 };
 
+const verifyEmail = async (req, res, next) => {
+  try {
+    await emailVerificationService.verifyEmail(req.body.token);
+    res.json({ message: 'Email verified. You can now log in.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    await emailVerificationService.resendVerification(req.body.email);
+    res.json({
+      message:
+        'If an unverified account exists for that email, a new verification link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getInvite = async (req, res, next) => {
+  try {
+    const invite = await inviteService.getInviteDetails(req.query.token);
+    res.json(invite);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const acceptInvite = async (req, res, next) => {
+  try {
+    const { token, ...profile } = req.body;
+    await inviteService.acceptInvite(token, profile, req.ip);
+    res.json({ message: 'Your account is ready. You can now log in.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const session = await sessionService.rotateRefreshToken(
+      refreshToken,
+      getSessionMetadata(req)
+    );
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: session.user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const logout = async (req, res, next) => {
   try {
-    // Invalidate token (client-side or use blacklist in production)
+    if (req.user.impersonatorId) {
+      await impersonationService.stop(req.user.sessionId, {
+        ipAddress: req.ip,
+        reason: 'logout',
+      });
+    } else {
+      await sessionService.revokeSession(req.user.sessionId, 'logout');
+    }
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     next(error);
   }
 };
 
-const requestPasswordReset = async (req, res, next) => {
+const stopImpersonation = async (req, res, next) => {
   try {
-    const { email } = req.body;
-    const user = await User.findOne({ where: { email } });
-    if (!user) {
-      throw new Error('User not found');
+    if (!req.user.impersonatorId) {
+      throw new AppError('This session is not an impersonation', 400);
     }
-
-    const resetToken = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: '1h',
+    await impersonationService.stop(req.user.sessionId, {
+      ipAddress: req.ip,
     });
-    await emailService.sendPasswordResetEmail(user.email, resetToken);
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.json({ message: 'Password reset email sent' });
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listUserSessions(
+      req.user.id,
+      req.user.sessionId
+    );
+    res.json(sessions);
   } catch (error) {
     next(error);
   }
 };
 
-const confirmPasswordReset = async (req, res, next) => {
+const revokeSession = async (req, res, next) => {
   try {
-    const { token, newPassword } = req.body;
-    if (!token || !newPassword) {
-      throw new Error('Token and new password are required');
-    }
+    await sessionService.revokeUserSession(req.user.id, req.params.id);
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeAllSessions = async (req, res, next) => {
+  try {
+    // Keep the caller signed in unless they ask to end this session too
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const count = await sessionService.revokeAllUserSessions(
+      req.user.id,
+      'logout_all',
+      { exceptSessionId: includeCurrent ? null : req.user.sessionId }
+    );
+    res.json({ message: 'Sessions revoked successfully', count });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getIdentities = async (req, res, next) => {
+  try {
+    const identities = await identityService.listIdentities(req.user.id);
+    res.json(identities);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const linkIdentity = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    const linkToken = identityService.issueLinkToken(req.user.id, provider);
+    res.json({ url: `/api/v1/auth/${provider}?linkToken=${linkToken}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unlinkIdentity = async (req, res, next) => {
+  try {
+    await identityService.unlink(req.user.id, req.params.provider, {
+      ipAddress: req.ip,
+    });
+    res.json({ message: 'Account unlinked' });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.id);
-    if (!user) {
-      throw new Error('Invalid token');
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    if (
+      !user.password ||
+      !currentPassword ||
+      !(await bcrypt.compare(currentPassword, user.password))
+    ) {
+      throw new AppError('Current password is incorrect', 401);
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    await User.update({ password: hashedPassword }, { where: { id: user.id } });
+    await passwordPolicyService.setPassword(user, newPassword);
+    // Other devices may have been signed in by whoever knew the old password
+    await sessionService.revokeAllUserSessions(user.id, 'password_change', {
+      exceptSessionId: req.user.sessionId,
+    });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPasswordPolicy = (req, res) => {
+  res.json(passwordPolicyService.describePolicy());
+};
+
+const requestPasswordReset = async (req, res, next) => {
+  try {
+    await passwordResetService.requestReset(req.body.email, req.ip);
+
+    res.json({
+      message:
+        'If an account exists for that email, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const confirmPasswordReset = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+    await passwordResetService.resetPassword(token, newPassword);
 
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
@@ -182,7 +575,29 @@ const confirmPasswordReset = async (req, res, next) => {
 module.exports = {
   login,
   signup,
+  verifyEmail,
+  resendVerificationEmail,
+  getInvite,
+  acceptInvite,
+  refresh,
   logout,
+  stopImpersonation,
+  unlockAccount,
+  completeOAuthLogin,
+  verifyTwoFactorLogin,
+  changeExpiredPassword,
+  enrollTwoFactor,
+  confirmTwoFactorEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getIdentities,
+  linkIdentity,
+  unlinkIdentity,
+  changePassword,
+  getPasswordPolicy,
   requestPasswordReset,
   confirmPasswordReset,
 };
@@ -1,6 +1,7 @@
 const { Checklist, User, Lead, } = require('../models');
 const AppError = require('../utils/appError');
 const notificationService = require('../services/notificationService');
+const pipelineService = require('../services/pipelineService');
 
 // Create a new checklist
 const createChecklist = async (req, res, next) => {
@@ -186,18 +187,12 @@ const updateChecklistItems = async (req, res, next) => {
           where: { studentId },
         });
 
-        if (lead && lead.status !== 'project') {
-          await lead.update({
-            status: 'project',
-            history: [
-              ...(lead.history || []),
-              {
-                note: 'Lead status updated to project - All checklists completed',
-                timestamp: new Date().toISOString(),
-                userId: studentId,
-                action: 'status_update_auto',
-              },
-            ],
+        // Only when the pipeline allows moving there from where the lead is
+        if (lead && (await pipelineService.canTransition(lead, 'project'))) {
+          const previousStatus = lead.status;
+          await pipelineService.transitionLead(lead, 'project', {
+            userId: studentId,
+            note: 'Lead status updated to project - All checklists completed',
           });
           leadStatusUpdated = true;
 
@@ -210,7 +205,7 @@ const updateChecklistItems = async (req, res, next) => {
               details: {
                 leadId: lead.id,
                 studentId,
-                previousStatus: lead.status,
+                previousStatus,
                 newStatus: 'project',
               },
             });
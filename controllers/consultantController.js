@@ -9,6 +9,11 @@ const {
   sequelize,
 } = require('../models');
 const leadService = require('../services/leadService');
+const pipelineService = require('../services/pipelineService');
+const leadActivityService = require('../services/leadActivityService');
+const leadScoringService = require('../services/leadScoringService');
+const leadParkingService = require('../services/leadParkingService');
+const reminderService = require('../services/reminderService');
 const notificationService = require('../services/notificationService');
 const AppError = require('../utils/appError');
 
@@ -259,8 +264,14 @@ const deleteLeadTask = async (req, res, next) => {
 
 const getAssignedLeads = async (req, res, next) => {
   try {
+    const where = {
+      ...leadService.filterQuery(req.query),
+      assignedConsultant: req.user.id,
+    };
+    const scoring = leadScoringService.scoreQuery(req.query);
     const leads = await Lead.findAll({
-      where: { assignedConsultant: req.user.id },
+      where: { ...where, ...scoring.where },
+      order: scoring.order,
       include: [
         {
           model: User,
@@ -283,15 +294,89 @@ const getAssignedLeads = async (req, res, next) => {
   }
 };
 
-const updateLeadStatus = async (req, res, next) => {
+// Offices a consultant works in, from Users.officeId and OfficeConsultants
+const getConsultantOfficeIds = async (userId, officeId) => {
+  const memberships = await OfficeConsultant.findAll({
+    where: { userId },
+    attributes: ['officeId'],
+  });
+  const officeIds = memberships.map((m) => m.officeId);
+  if (officeId) officeIds.push(officeId);
+  return officeIds;
+};
+
+// Available to consultants granted lead.reassign through a custom role.
+// Both the lead and the new consultant must belong to one of the caller's
+// offices.
+const reassignLead = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { consultantId } = req.body;
+    if (!consultantId) {
+      throw new AppError('consultantId is required', 400);
+    }
+
+    const officeIds = await getConsultantOfficeIds(
+      req.user.id,
+      req.user.officeId
+    );
     const lead = await Lead.findByPk(id);
-    if (!lead || lead.assignedConsultant !== req.user.id)
-      throw new Error('Lead not found');
-    await lead.update({ status });
-    await leadService.logLeadHistory(lead.id, `status: ${status}`, req.user.id);
+    if (!lead || !officeIds.includes(lead.officeId)) {
+      throw new AppError('Lead not found', 404);
+    }
+    leadService.assertAssignable(lead);
+
+    const consultant = await User.findOne({
+      where: { id: consultantId, role: 'consultant', isActive: true },
+    });
+    const consultantOfficeIds = consultant
+      ? await getConsultantOfficeIds(consultant.id, consultant.officeId)
+      : [];
+    if (!consultantOfficeIds.includes(lead.officeId)) {
+      throw new AppError("Consultant does not work in this lead's office", 400);
+    }
+
+    const previousConsultantId = lead.assignedConsultant;
+    await lead.update({ assignedConsultant: consultantId });
+    await leadActivityService.record(lead.id, 'reassignment', {
+      actorId: req.user.id,
+      summary: `Reassigned to ${consultant.name || consultant.email}`,
+      payload: { from: previousConsultantId, to: consultantId },
+    });
+
+    await notificationService.sendNotification({
+      userId: consultantId,
+      type: 'in_app',
+      message: 'You have been reassigned a new lead.',
+      details: { leadId: lead.id, reassignedBy: req.user.id },
+    });
+
+    if (previousConsultantId && previousConsultantId !== consultantId) {
+      await notificationService.sendNotification({
+        userId: previousConsultantId,
+        type: 'in_app',
+        message: 'A lead previously assigned to you has been reassigned.',
+        details: {
+          leadId: lead.id,
+          reassignedBy: req.user.id,
+          newConsultantId: consultantId,
+        },
+      });
+    }
+
+    res.json(lead);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateLeadStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, lossReason } = req.body;
+    const lead = await leadService.updateLeadStatus(id, req.user.id, status, {
+      lossReason,
+    });
 
     await notificationService.sendNotification({
       userId: lead.studentId,
@@ -308,6 +393,34 @@ const updateLeadStatus = async (req, res, next) => {
   }
 };
 
+const getLeadStatusOptions = async (req, res, next) => {
+  try {
+    const lead = await Lead.findOne({
+      where: { id: req.params.id, assignedConsultant: req.user.id },
+    });
+    if (!lead) {
+      throw new AppError('Lead not found or not assigned to you', 404);
+    }
+    res.json(await pipelineService.describeOptions(lead));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLeadHistory = async (req, res, next) => {
+  try {
+    const lead = await Lead.findOne({
+      where: { id: req.params.id, assignedConsultant: req.user.id },
+    });
+    if (!lead) {
+      throw new AppError('Lead not found or not assigned to you', 404);
+    }
+    res.json(await leadActivityService.getTimeline(lead.id, req.query));
+  } catch (error) {
+    next(error);
+  }
+};
+
 const addConsultationNotes = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -315,11 +428,10 @@ const addConsultationNotes = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.assignedConsultant !== req.user.id)
       throw new Error('Lead not found');
-    const history = [
-      ...lead.history,
-      { note, timestamp: new Date(), userId: req.user.id },
-    ];
-    await lead.update({ history });
+    await leadActivityService.record(lead.id, 'note', {
+      actorId: req.user.id,
+      summary: note,
+    });
 
     await notificationService.sendNotification({
       userId: lead.studentId,
@@ -446,6 +558,11 @@ const uploadLeadDocument = async (req, res, next) => {
       types,
       notes
     );
+    await leadActivityService.record(lead.id, 'document', {
+      actorId: req.user.id,
+      summary: `Consultant uploaded ${documents.length} document(s)`,
+      payload: { documentIds: documents.map((document) => document.id) },
+    });
 
     res.json(documents);
   } catch (error) {
@@ -545,6 +662,11 @@ const sendMessage = async (req, res, next) => {
       senderId: req.user.id,
       type: 'text',
     });
+    await leadActivityService.record(lead.id, 'message', {
+      actorId: req.user.id,
+      summary: 'Consultant messaged the student',
+      payload: { recipientId: id },
+    });
     res.json({ message: 'Message sent' });
   } catch (error) {
     next(error);
@@ -726,8 +848,18 @@ const setDeadlineReminder = async (req, res, next) => {
       where: { studentId: id, assignedConsultant: req.user.id },
     });
     if (!lead) throw new AppError('Student not found', 404);
-    await notificationService.setDeadlineReminder(id, req.body);
-    res.json({ message: 'Reminder set' });
+    const { deadline, message, remindAt, channel } = req.body;
+    const reminder = await reminderService.createReminder({
+      ownerId: id,
+      createdBy: req.user.id,
+      targetType: 'student',
+      targetId: id,
+      message,
+      dueAt: deadline,
+      remindAt,
+      channel,
+    });
+    res.json({ message: 'Reminder set', reminder });
   } catch (error) {
     next(error);
   }
@@ -912,6 +1044,15 @@ const updateDocumentStatus = async (req, res, next) => {
       status,
       notes: notes || document.notes,
     });
+    await leadActivityService.record(
+      document.user.studentLeads[0].id,
+      'document',
+      {
+        actorId: req.user.id,
+        summary: `Document "${document.type}" marked ${status}`,
+        payload: { documentId: document.id, status, notes: notes || null },
+      }
+    );
 
     // Send notification to student
     await notificationService.sendNotification({
@@ -940,31 +1081,26 @@ const updateDocumentStatus = async (req, res, next) => {
 const updateLeadParkedStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { parked } = req.body;
-
-    // Validate parked value
-    if (typeof parked !== 'boolean') {
-      throw new AppError('Parked status must be a boolean value', 400);
-    }
+    const { parked, reason, note, wakeUpAt } = req.body;
 
     const lead = await Lead.findByPk(id);
     if (!lead || lead.assignedConsultant !== req.user.id) {
       throw new AppError('Lead not found or not assigned to you', 404);
     }
 
-    // Update the parked status
-    await lead.update({ parked });
-
-    // Log in lead history
-    const history = [
-      ...lead.history,
-      {
-        note: `Lead ${parked ? 'parked' : 'unparked'} by consultant`,
-        timestamp: new Date(),
+    if (parked) {
+      await leadParkingService.parkLead(lead, {
+        reason,
+        note,
+        wakeUpAt,
         userId: req.user.id,
-      },
-    ];
-    await lead.update({ history });
+      });
+    } else {
+      if (!lead.parked) {
+        throw new AppError('Lead is not parked', 400);
+      }
+      await leadParkingService.unparkLead(lead, { userId: req.user.id });
+    }
 
     // Send notification to student
     await notificationService.sendNotification({
@@ -990,6 +1126,9 @@ const updateLeadParkedStatus = async (req, res, next) => {
 module.exports = {
   getAssignedLeads,
   updateLeadStatus,
+  getLeadStatusOptions,
+  getLeadHistory,
+  reassignLead,
   addConsultationNotes,
   uploadLeadDocument,
   setFollowUpTask,
@@ -0,0 +1,76 @@
+const { Application, Lead } = require('../models');
+const leadService = require('../services/leadService');
+const AppError = require('../utils/appError');
+
+const createLead = async (req, res, next) => {
+  try {
+    const { email, name, phone, source, studyPreferences } = req.body;
+
+    // Keys tied to an office can only create leads for it
+    const officeId = req.user.officeId || req.body.officeId;
+    if (!officeId) {
+      throw new AppError('officeId is required', 400);
+    }
+
+    const lead = await leadService.createLead({
+      email,
+      name,
+      phone,
+      source: source || 'online',
+      studyPreferences,
+      officeId,
+      userId: null,
+    });
+
+    res.status(201).json({
+      id: lead.id,
+      studentId: lead.studentId,
+      officeId: lead.officeId,
+      status: lead.status,
+      createdAt: lead.createdAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getApplicationStatus = async (req, res, next) => {
+  try {
+    const application = await Application.findByPk(req.params.id, {
+      attributes: [
+        'id',
+        'studentId',
+        'status',
+        'stage',
+        'submissionDate',
+        'completionDate',
+        'updatedAt',
+      ],
+    });
+    if (!application) {
+      throw new AppError('Application not found', 404);
+    }
+
+    if (req.user.officeId) {
+      const lead = await Lead.findOne({
+        where: {
+          studentId: application.studentId,
+          officeId: req.user.officeId,
+        },
+        attributes: ['id'],
+      });
+      if (!lead) {
+        throw new AppError('Application not found', 404);
+      }
+    }
+
+    res.json(application);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createLead,
+  getApplicationStatus,
+};
@@ -1,5 +1,6 @@
 const {
   Lead,
+  LeadActivity,
   User,
   Appointment,
   Office,
@@ -9,7 +10,19 @@ const {
 } = require('../models');
 const reportService = require('../services/reportService');
 const leadService = require('../services/leadService');
+const inviteService = require('../services/inviteService');
+const leadDistributionService = require('../services/leadDistributionService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const pipelineService = require('../services/pipelineService');
+const leadActivityService = require('../services/leadActivityService');
+const leadScoringService = require('../services/leadScoringService');
+const duplicateService = require('../services/duplicateService');
+const leadImportService = require('../services/leadImportService');
+const leadExportService = require('../services/leadExportService');
+const slaService = require('../services/slaService');
+const leadParkingService = require('../services/leadParkingService');
 const { sendNotification } = require('../services/notificationService');
+const AppError = require('../utils/appError');
 const { Op } = require('sequelize');
 
 // Utility function to add hours to a date
@@ -81,19 +94,19 @@ const createLead = async (req, res, next) => {
       source,
       assignedConsultant: assignedConsultant || null,
       studyPreferences,
-      history: [
-        {
-          timestamp: new Date().toISOString(),
-          action: `Lead created by Manager`,
-          managerId: req.user.id,
-        },
-      ],
     });
+    await leadActivityService.record(lead.id, 'created', {
+      actorId: req.user.id,
+      summary: 'Lead created by Manager',
+    });
+    // Leads the manager did not hand to anyone go through the rules
+    await leadDistributionService.distribute(lead);
 
     // Create minimal StudentProfile
     await StudentProfile.create({
       userId: student.id,
     });
+    await duplicateService.flagDuplicates(student.id);
 
     // Send notification if consultant is assigned
     if (assignedConsultant) {
@@ -117,7 +130,9 @@ const createLead = async (req, res, next) => {
 };
 const getDashboard = async (req, res, next) => {
   try {
-    const metrics = await reportService.getManagerDashboard(req.user.officeId);
+    const metrics = await reportService.getManagerDashboard(
+      getManagedOfficeId(req)
+    );
     res.json(metrics);
   } catch (error) {
     next(error);
@@ -406,13 +421,19 @@ const getConsultantInteractions = async (req, res, next) => {
 const getConsultationNotes = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const leads = await Lead.findAll({
-      where: { assignedConsultant: id, officeId: req.user.officeId },
-      attributes: ['id', 'history'],
+    const notes = await LeadActivity.findAll({
+      where: { type: 'note' },
+      include: [
+        {
+          model: Lead,
+          as: 'lead',
+          where: { assignedConsultant: id, officeId: req.user.officeId },
+          attributes: ['id', 'studentId'],
+        },
+        { model: User, as: 'actor', attributes: ['id', 'name', 'role'] },
+      ],
+      order: [['occurredAt', 'DESC']],
     });
-    const notes = leads.flatMap((lead) =>
-      lead.history.filter((entry) => entry.note)
-    );
     res.json(notes);
   } catch (error) {
     next(error);
@@ -426,11 +447,16 @@ const reassignLead = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
+    leadService.assertAssignable(lead);
 
     const previousConsultantId = lead.assignedConsultant;
 
     await lead.update({ assignedConsultant: consultantId });
-    await leadService.logLeadHistory(lead.id, 'reassigned', req.user.id);
+    await leadActivityService.record(lead.id, 'reassignment', {
+      actorId: req.user.id,
+      summary: 'Lead reassigned',
+      payload: { from: previousConsultantId, to: consultantId },
+    });
 
     await sendNotification({
       userId: consultantId,
@@ -471,6 +497,16 @@ const getStaffReports = async (req, res, next) => {
   }
 };
 
+const getParkedLeadsReport = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const report = await leadParkingService.getParkedReport(officeId);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getOfficeLeads = async (req, res, next) => {
   try {
     if (!req.user.officeId) {
@@ -478,8 +514,14 @@ const getOfficeLeads = async (req, res, next) => {
         .status(400)
         .send({ error: 'Office not assign', message: 'Office not assign' });
     }
+    const where = {
+      ...leadService.filterQuery(req.query),
+      officeId: req.user.officeId,
+    };
+    const scoring = leadScoringService.scoreQuery(req.query);
     const leads = await Lead.findAll({
-      where: { officeId: req.user.officeId },
+      where: { ...where, ...scoring.where },
+      order: scoring.order,
       include: [
         {
           model: User,
@@ -504,6 +546,21 @@ const getOfficeLeads = async (req, res, next) => {
   }
 };
 
+// Managers only ever export their own office, whatever officeId says
+const exportLeads = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const where = { ...leadService.filterQuery(req.query), officeId };
+    await leadExportService.exportLeads(res, {
+      where: { ...where, ...leadScoringService.scoreQuery(req.query).where },
+      columns: req.query.columns,
+      format: req.query.format,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const assignLead = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -511,8 +568,14 @@ const assignLead = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
+    leadService.assertAssignable(lead);
+    const previousConsultantId = lead.assignedConsultant;
     await lead.update({ assignedConsultant: consultantId });
-    await leadService.logLeadHistory(lead.id, 'assigned', req.user.id);
+    await leadActivityService.record(lead.id, 'assignment', {
+      actorId: req.user.id,
+      summary: 'Lead assigned',
+      payload: { from: previousConsultantId, to: consultantId },
+    });
 
     await sendNotification({
       userId: consultantId,
@@ -538,7 +601,11 @@ const setLeadReminder = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
-    await leadService.setReminder(lead.id, reminderData, req.user.id);
+    const reminder = await leadService.setReminder(
+      lead.id,
+      reminderData,
+      req.user.id
+    );
 
     if (lead.assignedConsultant) {
       await sendNotification({
@@ -553,7 +620,7 @@ const setLeadReminder = async (req, res, next) => {
       });
     }
 
-    res.json({ message: 'Reminder set' });
+    res.json({ message: 'Reminder set', reminder });
   } catch (error) {
     next(error);
   }
@@ -566,11 +633,10 @@ const addLeadNotes = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
-    const history = [
-      ...lead.history,
-      { note, timestamp: new Date(), userId: req.user.id },
-    ];
-    await lead.update({ history });
+    await leadActivityService.record(lead.id, 'note', {
+      actorId: req.user.id,
+      summary: note,
+    });
 
     //
     if (lead.assignedConsultant) {
@@ -598,7 +664,44 @@ const getLeadProgress = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
-    res.json({ id: lead.id, status: lead.status, history: lead.history });
+    const timeline = await leadActivityService.getTimeline(lead.id, req.query);
+    res.json({ id: lead.id, status: lead.status, ...timeline });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLeadHistory = async (req, res, next) => {
+  try {
+    const lead = await Lead.findByPk(req.params.id);
+    if (!lead || lead.officeId !== req.user.officeId) {
+      throw new AppError('Lead not found', 404);
+    }
+    res.json(await leadActivityService.getTimeline(lead.id, req.query));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Who the lead went to and why: rule decisions plus manual (re)assignments
+const getLeadAssignment = async (req, res, next) => {
+  try {
+    const lead = await Lead.findByPk(req.params.id, {
+      include: [
+        { model: User, as: 'consultant', attributes: ['id', 'name', 'email'] },
+      ],
+    });
+    if (!lead || lead.officeId !== req.user.officeId) {
+      throw new AppError('Lead not found', 404);
+    }
+    const decisions = await LeadActivity.findAll({
+      where: { leadId: lead.id, type: ['assignment', 'reassignment'] },
+      include: [
+        { model: User, as: 'actor', attributes: ['id', 'name', 'role'] },
+      ],
+      order: [['occurredAt', 'DESC']],
+    });
+    res.json({ id: lead.id, consultant: lead.consultant, decisions });
   } catch (error) {
     next(error);
   }
@@ -701,12 +804,13 @@ const getOfficeConsultants = async (req, res, next) => {
       },
     });
 
+    const stageTypes = await pipelineService.loadStageTypes();
     const consultantStats = consultants.map((consultant) => {
       const leads = consultant.consultantLeads || [];
 
       const totalLeads = leads.length;
       const convertedLeads = leads.filter(
-        (lead) => lead.status === 'converted'
+        (lead) => pipelineService.stageTypeOf(stageTypes, lead) === 'won'
       ).length;
       const pendingTasks = leads.reduce(
         (count, lead) => count + (lead.tasks?.length || 0),
@@ -818,12 +922,16 @@ const createStaffMember = async (req, res) => {
         });
       }
 
+      if (password) {
+        await passwordPolicyService.setPassword(user, password, {
+          requireChange: true,
+        });
+      }
       await user.update({
         role,
         name,
         email,
         phone,
-        password, // Should hash in production
         officeId: office.id,
         isActive: true,
       });
@@ -847,13 +955,30 @@ const createStaffMember = async (req, res) => {
       });
     }
 
+    // Staff set their own password through an emailed invite
+    if (role !== 'student') {
+      const invite = await inviteService.createInvite(
+        { email, name, phone, role, officeId: office.id },
+        { actorId: manager.id, ipAddress: req.ip }
+      );
+      return res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${email}`,
+        invite,
+      });
+    }
+
     // Create new user if ID is not provided
     user = await User.create({
       role,
       name,
       email,
       phone,
-      password, // Should hash in production
+      password:
+        password &&
+        (await passwordPolicyService.hashPassword(password, { email, name })),
+      passwordChangedAt: password ? new Date() : null,
+      mustChangePassword: Boolean(password),
       officeId: office.id,
       isActive: true,
     });
@@ -876,6 +1001,11 @@ const createStaffMember = async (req, res) => {
       },
     });
   } catch (err) {
+    if (err.isOperational) {
+      return res
+        .status(err.statusCode)
+        .json({ success: false, message: err.message });
+    }
     console.error(err);
     res.status(500).json({
       success: false,
@@ -884,6 +1014,226 @@ const createStaffMember = async (req, res) => {
   }
 };
 
+// The office a manager works in, as every manager endpoint scopes by it
+const getManagedOfficeId = (req) => {
+  if (!req.user.officeId) {
+    throw new AppError('No office assigned to manager', 403);
+  }
+  return req.user.officeId;
+};
+
+const getStaffInvites = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const invites = await inviteService.listInvites({
+      officeId,
+      status: req.query.status,
+    });
+    res.json(invites);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resendStaffInvite = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const invite = await inviteService.resendInvite(req.params.id, {
+      officeId,
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json(invite);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeStaffInvite = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    await inviteService.revokeInvite(req.params.id, {
+      officeId,
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Capacity, expertise and leave, as used by shared distribution strategies
+const updateConsultantAssignment = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const membership = await OfficeConsultant.findOne({
+      where: { officeId, userId: req.params.id },
+    });
+    if (!membership) {
+      throw new AppError('Consultant not found in your office', 404);
+    }
+
+    const { capacity, languages, destinations, onLeave } = req.body;
+    await membership.update({ capacity, languages, destinations, onLeave });
+    res.json(membership);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pairs of leads in the office that look like the same student
+const getDuplicates = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const queue = await duplicateService.getQueue({ ...req.query, officeId });
+    res.json(queue);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const dismissDuplicate = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const candidate = await duplicateService.dismissCandidate(req.params.id, {
+      userId: req.user.id,
+      officeId,
+    });
+    res.json(candidate);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const mergeDuplicate = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const lead = await duplicateService.mergeCandidate(req.params.id, {
+      keepLeadId: req.body.keepLeadId,
+      officeId,
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json({ message: 'Leads merged', lead });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Checks a spreadsheet of prospects for the office; nothing is created
+// until the import is confirmed
+const createLeadImport = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const batch = await leadImportService.createImport(req.file, {
+      mapping: req.body.mapping,
+      source: req.body.source,
+      officeId,
+      restrictToOffice: true,
+      userId: req.user.id,
+    });
+    res.status(201).json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLeadImports = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const imports = await leadImportService.getImports({
+      ...req.query,
+      officeId,
+    });
+    res.json(imports);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLeadImport = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const batch = await leadImportService.getImport(req.params.id, {
+      officeId,
+    });
+    res.json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const confirmLeadImport = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const batch = await leadImportService.confirmImport(req.params.id, {
+      officeId,
+      includeDuplicates: req.body.includeDuplicates,
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSlaPolicies = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const policies = await slaService.listPolicies(officeId);
+    res.json(policies);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createSlaPolicy = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const policy = await slaService.createPolicy(req.body, {
+      officeId,
+      userId: req.user.id,
+    });
+    res.status(201).json(policy);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateSlaPolicy = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const policy = await slaService.updatePolicy(req.params.id, req.body, {
+      officeId,
+    });
+    res.json(policy);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteSlaPolicy = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    await slaService.deletePolicy(req.params.id, { officeId });
+    res.json({ message: 'SLA policy deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSlaBreaches = async (req, res, next) => {
+  try {
+    const officeId = getManagedOfficeId(req);
+    const breaches = await slaService.getBreaches({ ...req.query, officeId });
+    res.json(breaches);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const disconnectStaffMember = async (req, res) => {
   try {
     const managerId = req.user.id;
@@ -974,13 +1324,33 @@ module.exports = {
   getConsultationNotes,
   reassignLead,
   getStaffReports,
+  getParkedLeadsReport,
   getOfficeLeads,
+  exportLeads,
   assignLead,
   setLeadReminder,
   addLeadNotes,
   getLeadProgress,
+  getLeadHistory,
+  getLeadAssignment,
   getOfficeConsultants,
+  updateConsultantAssignment,
+  getDuplicates,
+  dismissDuplicate,
+  mergeDuplicate,
+  createLeadImport,
+  getLeadImports,
+  getLeadImport,
+  confirmLeadImport,
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+  getSlaBreaches,
   createStaffMember,
+  getStaffInvites,
+  resendStaffInvite,
+  revokeStaffInvite,
   disconnectStaffMember,
   getStaffSchedules,
   createStaffSchedule,
@@ -1,5 +1,6 @@
 const { Proposal, Lead, User, StudentProfile } = require('../models');
 const notificationService = require('../services/notificationService');
+const leadActivityService = require('../services/leadActivityService');
 const AppError = require('../utils/appError');
 
 // Create a new proposal for a lead
@@ -66,16 +67,11 @@ const createProposal = async (req, res, next) => {
       },
     });
 
-    // Log in lead history
-    const history = [
-      ...lead.history,
-      {
-        note: `Proposal "${title}" sent to student`,
-        timestamp: new Date(),
-        userId: req.user.id,
-      },
-    ];
-    await lead.update({ history });
+    await leadActivityService.record(lead.id, 'proposal', {
+      actorId: req.user.id,
+      summary: `Proposal "${title}" sent to student`,
+      payload: { proposalId: proposal.id, status: 'pending' },
+    });
 
     res.status(201).json({
       message: 'Proposal created successfully',
@@ -1,6 +1,9 @@
 const { Lead, User, Appointment, StudentProfile } = require('../models');
 const emailService = require('../services/emailService');
-const leadService = require('../services/leadService');
+const pipelineService = require('../services/pipelineService');
+const leadActivityService = require('../services/leadActivityService');
+const leadDistributionService = require('../services/leadDistributionService');
+const duplicateService = require('../services/duplicateService');
 const notificationService = require('../services/notificationService');
 
 const registerWalkIn = async (req, res, next) => {
@@ -19,47 +22,69 @@ const registerWalkIn = async (req, res, next) => {
       });
     }
 
-    // Check if email already exists
-    const existingUser = await User.findOne({
+    // Students who signed up online are registered against their account
+    let student = await User.findOne({
       where: { email: studentData.email },
     });
-
-    if (existingUser) {
+    if (student && student.role !== 'student') {
       return res.status(400).json({
-        error: 'Email already exists. Please use a different email.',
+        error:
+          'Email belongs to a staff account. Please use a different email.',
       });
     }
+    if (student && student.mergedIntoId) {
+      student = await User.findByPk(student.mergedIntoId);
+    }
 
-    // Create student user
-    const student = await User.create({
-      ...studentData,
-      role: 'student',
-      officeId: req.user.officeId,
-      isActive: true,
-    });
+    let lead = null;
+    if (student) {
+      lead = await Lead.findOne({
+        where: {
+          studentId: student.id,
+          ...(await pipelineService.whereStageType('open')),
+        },
+        order: [['createdAt', 'DESC']],
+      });
+    } else {
+      // Create student user
+      student = await User.create({
+        ...studentData,
+        role: 'student',
+        officeId: req.user.officeId,
+        isActive: true,
+      });
 
-    // Create student profile
-    await StudentProfile.create({
-      userId: student.id,
-      personalInfo: studentData,
-      educationalBackground: {},
-      studyPreferences,
-    });
+      // Create student profile
+      await StudentProfile.create({
+        userId: student.id,
+        personalInfo: studentData,
+        educationalBackground: {},
+        studyPreferences,
+      });
+    }
 
-    // Create lead
-    const lead = await Lead.create({
-      studentId: student.id,
-      officeId: req.user.officeId,
-      source,
-      studyPreferences,
-      history: [
-        {
-          timestamp: new Date().toISOString(),
-          action: 'Lead registered as walk-in',
-          createdBy: req.user.id,
-        },
-      ],
-    });
+    if (lead) {
+      await leadActivityService.record(lead.id, 'note', {
+        actorId: req.user.id,
+        summary: 'Student walked in',
+      });
+    } else {
+      // Create lead
+      lead = await Lead.create({
+        studentId: student.id,
+        officeId: req.user.officeId,
+        source,
+        studyPreferences,
+      });
+      await leadActivityService.record(lead.id, 'created', {
+        actorId: req.user.id,
+        summary: 'Lead registered as walk-in',
+      });
+      await leadDistributionService.distribute(lead);
+    }
+    const possibleDuplicates = await duplicateService.flagDuplicates(
+      student.id
+    );
 
     let appointment = null;
 
@@ -121,6 +146,7 @@ const registerWalkIn = async (req, res, next) => {
         student,
         lead,
         appointment,
+        possibleDuplicates: possibleDuplicates.length,
       },
       message: 'Walk-in student registered successfully',
     });
@@ -309,12 +335,14 @@ const updateLeadContact = async (req, res, next) => {
 const updateLeadStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, lossReason } = req.body;
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
-    await lead.update({ status });
-    await leadService.logLeadHistory(lead.id, `status: ${status}`, req.user.id);
+    await pipelineService.transitionLead(lead, status, {
+      userId: req.user.id,
+      lossReason,
+    });
 
     await notificationService.sendNotification({
       userId: lead.studentId,
@@ -333,6 +361,17 @@ const updateLeadStatus = async (req, res, next) => {
   }
 };
 
+const getLeadStatusOptions = async (req, res, next) => {
+  try {
+    const lead = await Lead.findByPk(req.params.id);
+    if (!lead || lead.officeId !== req.user.officeId)
+      throw new Error('Lead not found');
+    res.json(await pipelineService.describeOptions(lead));
+  } catch (error) {
+    next(error);
+  }
+};
+
 const addLeadNotes = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -340,11 +379,10 @@ const addLeadNotes = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
-    const history = [
-      ...lead.history,
-      { note, timestamp: new Date(), userId: req.user.id },
-    ];
-    await lead.update({ history });
+    await leadActivityService.record(lead.id, 'note', {
+      actorId: req.user.id,
+      summary: note,
+    });
 
     await notificationService.sendNotification({
       userId: lead.studentId,
@@ -369,7 +407,7 @@ const getLeadHistory = async (req, res, next) => {
     const lead = await Lead.findByPk(id);
     if (!lead || lead.officeId !== req.user.officeId)
       throw new Error('Lead not found');
-    res.json(lead.history);
+    res.json(await leadActivityService.getTimeline(lead.id, req.query));
   } catch (error) {
     next(error);
   }
@@ -387,6 +425,7 @@ module.exports = {
   getWaitingList,
   updateLeadContact,
   updateLeadStatus,
+  getLeadStatusOptions,
   addLeadNotes,
   getLeadHistory,
 };
@@ -0,0 +1,44 @@
+const reminderService = require('../services/reminderService');
+
+const getReminders = async (req, res, next) => {
+  try {
+    const reminders = await reminderService.listReminders(
+      req.user.id,
+      req.query
+    );
+    res.json(reminders);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const snoozeReminder = async (req, res, next) => {
+  try {
+    const reminder = await reminderService.snoozeReminder(
+      req.params.id,
+      req.user.id,
+      req.body
+    );
+    res.json(reminder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const completeReminder = async (req, res, next) => {
+  try {
+    const reminder = await reminderService.completeReminder(
+      req.params.id,
+      req.user.id
+    );
+    res.json(reminder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReminders,
+  snoozeReminder,
+  completeReminder,
+};
@@ -9,6 +9,9 @@ const {
   Notification,
 } = require('../models');
 const notificationService = require('../services/notificationService');
+const pipelineService = require('../services/pipelineService');
+const leadActivityService = require('../services/leadActivityService');
+const duplicateService = require('../services/duplicateService');
 const AppError = require('../utils/appError');
 const { VALID_TYPES } = require('../utils');
 const reportService = require('../services/reportService');
@@ -52,6 +55,7 @@ const createProfile = async (req, res) => {
       if (additionalInfo) updateData.additionalInfo = additionalInfo;
 
       await profile.update(updateData);
+      await duplicateService.flagDuplicates(userId);
 
       await notificationService.sendNotification({
         userId,
@@ -94,13 +98,12 @@ const createProfile = async (req, res) => {
       source: 'online',
       studyPreferences: studyPreferences || {},
       languagePreference: personalInfo.languagePreference || 'english',
-      history: [
-        {
-          timestamp: new Date().toISOString(),
-          action: 'Lead created from student profile',
-        },
-      ],
     });
+    await leadActivityService.record(lead.id, 'created', {
+      actorId: userId,
+      summary: 'Lead created from student profile',
+    });
+    await duplicateService.flagDuplicates(userId);
 
     await notificationService.sendNotification({
       userId,
@@ -175,6 +178,7 @@ const updateProfile = async (req, res, next) => {
 
     console.log(req.body, 'Update profile data:', req.body);
     await profile.update(req.body);
+    await duplicateService.flagDuplicates(req.user.id);
     await notificationService.sendNotification({
       userId: req.user.id,
       type: 'in_app',
@@ -337,6 +341,11 @@ const sendMessage = async (req, res, next) => {
       senderId: studentId,
       type: 'text',
     });
+    await leadActivityService.record(lead.id, 'message', {
+      actorId: studentId,
+      summary: 'Student messaged their consultant',
+      payload: { recipientId: consultantId },
+    });
 
     return res.json({ message: 'Message sent to assigned consultant' });
   } catch (error) {
@@ -429,6 +438,13 @@ const uploadReviewDocuments = async (req, res, next) => {
         });
 
         const lead = await Lead.findOne({ where: { studentId: userId } });
+        if (lead) {
+          await leadActivityService.record(lead.id, 'document', {
+            actorId: userId,
+            summary: `Student uploaded ${types[index]}`,
+            payload: { documentId: document.id, type: types[index] },
+          });
+        }
         if (lead?.assignedConsultant) {
           await notificationService.sendNotification({
             userId: lead.assignedConsultant,
@@ -456,6 +472,7 @@ const updateProfileInfo = async (req, res, next) => {
     const profile = await StudentProfile.findOne({ userId: req.user.id });
     if (!profile) throw new AppError('Profile not found', 404);
     await profile.update(req.body);
+    await duplicateService.flagDuplicates(req.user.id);
     await notificationService.notifyProfileUpdate(req.user.id);
 
     // Optional — also notify assigned consultant:
@@ -662,22 +679,23 @@ const approveProposal = async (req, res, next) => {
         approvedBy: req.user.id,
       },
     });
-    // Update lead history
+    // Record on the lead's timeline
     const lead = await Lead.findByPk(proposal.leadId);
     if (lead) {
-      const history = [
-        ...lead.history,
-        {
-          note: `Proposal "${proposal.title}" approved by student`,
-          timestamp: new Date(),
-          userId: req.user.id,
+      await leadActivityService.record(lead.id, 'proposal', {
+        actorId: req.user.id,
+        summary: `Proposal "${proposal.title}" approved by student`,
+        payload: {
+          proposalId: proposal.id,
+          status: 'approved',
           feedback: feedback || null,
         },
-      ];
-      await lead.update({
-        history,
-        status: 'opportunity' // Move lead to converted status
       });
+      if (await pipelineService.canTransition(lead, 'opportunity')) {
+        await pipelineService.transitionLead(lead, 'opportunity', {
+          userId: req.user.id,
+        });
+      }
     }
     // Notify consultant
     await notificationService.sendNotification({
@@ -725,21 +743,17 @@ const rejectProposal = async (req, res, next) => {
         rejectedBy: req.user.id,
       },
     });
-    // Update lead history
-    const lead = await Lead.findByPk(proposal.leadId);
-    if (lead) {
-      const history = [
-        ...lead.history,
-        {
-          note: `Proposal "${proposal.title}" rejected by student`,
-          timestamp: new Date(),
-          userId: req.user.id,
-          rejectionReason,
-          feedback: feedback || null,
-        },
-      ];
-      await lead.update({ history });
-    }
+    // Record on the lead's timeline
+    await leadActivityService.record(proposal.leadId, 'proposal', {
+      actorId: req.user.id,
+      summary: `Proposal "${proposal.title}" rejected by student`,
+      payload: {
+        proposalId: proposal.id,
+        status: 'rejected',
+        rejectionReason,
+        feedback: feedback || null,
+      },
+    });
     // Notify consultant
     await notificationService.sendNotification({
       userId: proposal.consultantId,
@@ -4,7 +4,6 @@ const {
   Office,
   User,
   Lead,
-  LeadDistributionRule,
   Report,
   StudentProfile,
   OfficeConsultant,
@@ -13,11 +12,26 @@ const {
   University,
 } = require('../models');
 const leadService = require('../services/leadService');
+const leadRuleService = require('../services/leadRuleService');
 const reportService = require('../services/reportService');
 const { parse } = require('csv-parse');
-const bcrypt = require('bcryptjs');
 const e = require('express');
 const notificationService = require('../services/notificationService');
+const sessionService = require('../services/sessionService');
+const loginProtectionService = require('../services/loginProtectionService');
+const auditService = require('../services/auditService');
+const roleService = require('../services/roleService');
+const impersonationService = require('../services/impersonationService');
+const apiKeyService = require('../services/apiKeyService');
+const inviteService = require('../services/inviteService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const pipelineService = require('../services/pipelineService');
+const leadActivityService = require('../services/leadActivityService');
+const leadScoringService = require('../services/leadScoringService');
+const leadImportService = require('../services/leadImportService');
+const leadExportService = require('../services/leadExportService');
+const duplicateService = require('../services/duplicateService');
+const { getSessionMetadata } = require('../utils/requestInfo');
 
 const getAllStudents = async (req, res, next) => {
   try {
@@ -415,31 +429,50 @@ const getOfficePerformance = async (req, res, next) => {
   }
 };
 
+// New staff get an emailed invite and choose their own password
 const createStaff = async (req, res, next) => {
   try {
-    const staffData = req.body;
-    const hashedPassword = await bcrypt.hash(staffData.password, 10);
-    const isAlreadyExist = await User.findOne({
-      where: { email: req.body.email },
+    const invite = await inviteService.createInvite(req.body, {
+      actorId: req.user.id,
+      ipAddress: req.ip,
     });
-    if (isAlreadyExist) {
-      const err = 'User with this Email already exist';
-      return res.status(400).send({ error: err, message: err });
-    }
-    const staff = await User.create({ ...staffData, password: hashedPassword });
+    res.status(201).json(invite);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    await notificationService.sendNotification({
-      userId: staff.id,
-      type: 'email',
-      message: `Welcome to the CRM system! Your account has been created.`,
-      details: {
-        createdBy: req.user.id,
-        role: staff.role,
-        officeId: staff.officeId || null,
-      },
+const getStaffInvites = async (req, res, next) => {
+  try {
+    const invites = await inviteService.listInvites({
+      officeId: req.query.officeId,
+      status: req.query.status,
     });
+    res.json(invites);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resendStaffInvite = async (req, res, next) => {
+  try {
+    const invite = await inviteService.resendInvite(req.params.id, {
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json(invite);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.status(201).json(staff);
+const revokeStaffInvite = async (req, res, next) => {
+  try {
+    await inviteService.revokeInvite(req.params.id, {
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json({ message: 'Invite revoked' });
   } catch (error) {
     next(error);
   }
@@ -452,11 +485,12 @@ const updateStaff = async (req, res, next) => {
     const user = await User.findByPk(id);
     if (!user) throw new Error('User not found');
 
+    // A password chosen by an admin only gets the user through the next login
     if (password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      rest['password'] = hashedPassword;
+      await passwordPolicyService.setPassword(user, password, {
+        requireChange: true,
+      });
     }
-
     await user.update(rest);
     await notificationService.sendNotification({
       userId: user.id,
@@ -474,44 +508,75 @@ const updateStaff = async (req, res, next) => {
   }
 };
 
+// Ends every session of a user and tells any connected client to drop its tokens
+const forceSignOut = async (req, userId, reason) => {
+  const count = await sessionService.revokeAllUserSessions(userId, reason);
+  const io = req.app.get('io');
+  if (io) {
+    io.to(userId).emit('force_logout', { reason });
+  }
+  return count;
+};
+
 const toggleStaffStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
     const user = await User.findByPk(id);
-    if (!user) throw new Error('User not found');
-    await user.update({
-      status: user.status === 'active' ? 'inactive' : 'active',
-    });
+    if (!user || user.role === 'student') throw new Error('User not found');
+
+    const isActive =
+      typeof req.body.isActive === 'boolean'
+        ? req.body.isActive
+        : !user.isActive;
+    await user.update({ isActive });
+
+    let revokedSessions = 0;
+    if (!isActive) {
+      revokedSessions = await forceSignOut(req, user.id, 'account_deactivated');
+    }
 
     await notificationService.sendNotification({
       userId: user.id,
       type: 'in_app',
-      message: `Your account has been ${user.status}.`,
+      message: `Your account has been ${isActive ? 'activated' : 'deactivated'}.`,
       details: {
         changedBy: req.user.id,
-        newStatus: user.status,
+        isActive,
       },
     });
 
     res.json({
-      message: `User ${user.status === 'active' ? 'activated' : 'deactivated'}`,
+      message: `User ${isActive ? 'activated' : 'deactivated'}`,
+      revokedSessions,
     });
   } catch (error) {
     next(error);
   }
 };
 
-const importStaffCSV = async (req, res, next) => {
+const revokeStaffSessions = async (req, res, next) => {
   try {
-    const file = req.file;
-    if (!file) throw new Error('CSV file required');
-    // Parse CSV and create users (simplified)
-    const staff = []; // Process CSV with csv-parse
-    for (const record of staff) {
-      const hashedPassword = await bcrypt.hash(record.password, 10);
-      await User.create({ ...record, password: hashedPassword });
+    const { id } = req.params;
+    const user = await User.findByPk(id);
+    if (!user || user.role === 'student') {
+      return res.status(404).json({ error: 'Staff member not found' });
     }
-    res.json({ message: 'Staff imported successfully' });
+
+    const revokedSessions = await forceSignOut(req, user.id, 'admin_sign_out');
+
+    res.json({ message: 'Staff member signed out', revokedSessions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const importStaffCSV = async (req, res, next) => {
+  try {
+    const result = await inviteService.importInvites(req.file, {
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json({ message: 'Staff invited', ...result });
   } catch (error) {
     next(error);
   }
@@ -520,48 +585,235 @@ const importStaffCSV = async (req, res, next) => {
 const getStaffLogs = async (req, res, next) => {
   try {
     const { id } = req.params;
-    // Assume activity logs are stored elsewhere (e.g., audit table)
-    const logs = []; // Fetch logs (placeholder)
+    const logs = await auditService.getLogs({ ...req.query, targetUserId: id });
     res.json(logs);
   } catch (error) {
     next(error);
   }
 };
 
-const createLeadRule = async (req, res, next) => {
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const logs = await auditService.getLogs(req.query);
+    res.json(logs);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await loginProtectionService.unlockByAdmin(
+      req.params.userId,
+      req.user.id,
+      req.ip
+    );
+
+    await notificationService.sendNotification({
+      userId: user.id,
+      type: 'in_app',
+      message: 'Your account has been unlocked by an administrator.',
+      details: { unlockedBy: req.user.id },
+    });
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const impersonateUser = async (req, res, next) => {
   try {
-    const ruleData = req.body;
+    const result = await impersonationService.start(
+      req.params.userId,
+      req.user.id,
+      { reason: req.body.reason, metadata: getSessionMetadata(req) }
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const rule = await LeadDistributionRule.create(ruleData);
+const getApiKeys = async (req, res, next) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    res.json(keys);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, key } = await apiKeyService.createKey(
+      req.body,
+      req.user.id
+    );
 
-    if (ruleData.consultantId) {
+    await auditService.record({
+      action: 'api_key_created',
+      actorId: req.user.id,
+      ipAddress: req.ip,
+      details: {
+        apiKeyId: apiKey.id,
+        name: apiKey.name,
+        permissions: apiKey.permissions,
+      },
+    });
+
+    res.status(201).json({ ...apiKey.toJSON(), key });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rotateApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, key } = await apiKeyService.rotateKey(req.params.id);
+
+    await auditService.record({
+      action: 'api_key_rotated',
+      actorId: req.user.id,
+      ipAddress: req.ip,
+      details: { apiKeyId: apiKey.id },
+    });
+
+    res.json({ ...apiKey.toJSON(), key });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.params.id);
+
+    await auditService.record({
+      action: 'api_key_revoked',
+      actorId: req.user.id,
+      ipAddress: req.ip,
+      details: { apiKeyId: apiKey.id },
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPermissions = async (req, res, next) => {
+  try {
+    res.json(roleService.getPermissionCatalog());
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await roleService.listRoles();
+    res.json(roles);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createRole = async (req, res, next) => {
+  try {
+    const role = await roleService.createRole(req.body, req.user.id);
+
+    await auditService.record({
+      action: 'role_created',
+      actorId: req.user.id,
+      ipAddress: req.ip,
+      details: { roleId: role.id, name: role.name },
+    });
+
+    res.status(201).json(role);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateRole = async (req, res, next) => {
+  try {
+    const role = await roleService.updateRole(req.params.id, req.body);
+
+    await auditService.record({
+      action: 'role_updated',
+      actorId: req.user.id,
+      ipAddress: req.ip,
+      details: { roleId: role.id, changes: req.body },
+    });
+
+    res.json(role);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteRole = async (req, res, next) => {
+  try {
+    await roleService.deleteRole(req.params.id);
+
+    await auditService.record({
+      action: 'role_deleted',
+      actorId: req.user.id,
+      ipAddress: req.ip,
+      details: { roleId: req.params.id },
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const assignUserRole = async (req, res, next) => {
+  try {
+    const { roleId = null } = req.body;
+    const user = await roleService.assignRole(req.params.userId, roleId);
+
+    await auditService.record({
+      action: 'role_assigned',
+      actorId: req.user.id,
+      targetUserId: user.id,
+      ipAddress: req.ip,
+      details: { roleId },
+    });
+
+    await notificationService.sendNotification({
+      userId: user.id,
+      type: 'in_app',
+      message: 'Your permissions have been updated by an administrator.',
+      details: { roleId, updatedBy: req.user.id },
+    });
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createLeadRule = async (req, res, next) => {
+  try {
+    const rule = await leadRuleService.createRule(req.body, req.user.id);
+
+    if (rule.consultantId) {
       await notificationService.sendNotification({
-        userId: ruleData.consultantId,
+        userId: rule.consultantId,
         type: 'in_app',
         message: `A new lead distribution rule has been assigned to you.`,
         details: {
-          ruleType: ruleData.type,
-          ruleCriteria: ruleData.criteria,
+          ruleId: rule.id,
+          ruleCriteria: rule.criteria,
           createdBy: req.user.id,
         },
       });
     }
 
-    const fullRule = await LeadDistributionRule.findByPk(rule.id, {
-      include: [
-        {
-          model: Office,
-          //   attributes: ['id', 'name'],
-        },
-        {
-          model: User,
-          as: 'consultant',
-          attributes: { exclude: ['password'] },
-        },
-      ],
-    });
-
-    res.status(201).json(fullRule);
+    res.status(201).json(rule);
   } catch (error) {
     next(error);
   }
@@ -570,11 +822,7 @@ const createLeadRule = async (req, res, next) => {
 const updateLeadRule = async (req, res, next) => {
   try {
     const { id } = req.params;
-
-    const rule = await LeadDistributionRule.findByPk(id);
-    if (!rule) return res.status(404).json({ error: 'Rule not found' });
-
-    await rule.update(req.body);
+    const rule = await leadRuleService.updateRule(id, req.body, req.user.id);
 
     if (req.body.consultantId) {
       await notificationService.sendNotification({
@@ -588,21 +836,16 @@ const updateLeadRule = async (req, res, next) => {
       });
     }
 
-    const updatedRule = await LeadDistributionRule.findByPk(id, {
-      include: [
-        {
-          model: Office,
-          //   attributes: ['id', 'name'],
-        },
-        {
-          model: User,
-          as: 'consultant',
-          attributes: { exclude: ['password'] },
-        },
-      ],
-    });
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.json(updatedRule);
+const deleteLeadRule = async (req, res, next) => {
+  try {
+    await leadRuleService.deleteRule(req.params.id, req.user.id);
+    res.json({ message: 'Rule deleted' });
   } catch (error) {
     next(error);
   }
@@ -610,19 +853,7 @@ const updateLeadRule = async (req, res, next) => {
 
 const getLeadRules = async (req, res, next) => {
   try {
-    const rules = await LeadDistributionRule.findAll({
-      include: [
-        {
-          model: Office,
-          attributes: ['id', 'name'],
-        },
-        {
-          model: User,
-          as: 'consultant',
-        },
-      ],
-    });
-
+    const rules = await leadRuleService.listRules();
     res.json(rules);
   } catch (error) {
     next(error);
@@ -632,16 +863,188 @@ const getLeadRules = async (req, res, next) => {
 const getLeadRuleHistory = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const history = await leadService.getRuleHistory(id);
+    const history = await leadRuleService.getRuleHistory(id);
     res.json(history);
   } catch (error) {
     next(error);
   }
 };
 
+const rollbackLeadRule = async (req, res, next) => {
+  try {
+    const rule = await leadRuleService.rollbackRule(
+      req.params.id,
+      req.body.version,
+      req.user.id
+    );
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const dryRunLeadRules = async (req, res, next) => {
+  try {
+    const { rules, limit } = req.body;
+    const report = await leadRuleService.dryRun(rules, { limit });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPipelines = async (req, res, next) => {
+  try {
+    const pipelines = await pipelineService.listPipelines();
+    res.json(pipelines);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPipeline = async (req, res, next) => {
+  try {
+    const pipeline = await pipelineService.getPipeline(req.params.id);
+    res.json(pipeline);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createPipeline = async (req, res, next) => {
+  try {
+    const pipeline = await pipelineService.createPipeline(req.body);
+    res.status(201).json(pipeline);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updatePipeline = async (req, res, next) => {
+  try {
+    const pipeline = await pipelineService.updatePipeline(
+      req.params.id,
+      req.body
+    );
+    res.json(pipeline);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deletePipeline = async (req, res, next) => {
+  try {
+    await pipelineService.deletePipeline(req.params.id);
+    res.json({ message: 'Pipeline deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLeadScoringModel = async (req, res, next) => {
+  try {
+    res.json(await leadScoringService.getModel());
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateLeadScoringModel = async (req, res, next) => {
+  try {
+    const model = await leadScoringService.updateModel(req.body, {
+      userId: req.user.id,
+    });
+    res.json(model);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rows may name any office; `officeId` covers rows that do not
+const createLeadImport = async (req, res, next) => {
+  try {
+    const batch = await leadImportService.createImport(req.file, {
+      mapping: req.body.mapping,
+      source: req.body.source,
+      officeId: req.body.officeId,
+      userId: req.user.id,
+    });
+    res.status(201).json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLeadImports = async (req, res, next) => {
+  try {
+    res.json(await leadImportService.getImports(req.query));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLeadImport = async (req, res, next) => {
+  try {
+    res.json(await leadImportService.getImport(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const confirmLeadImport = async (req, res, next) => {
+  try {
+    const batch = await leadImportService.confirmImport(req.params.id, {
+      includeDuplicates: req.body.includeDuplicates,
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The duplicates queue across offices; ?crossOffice=true lists the pairs
+// managers cannot resolve because their leads are in different offices
+const getDuplicates = async (req, res, next) => {
+  try {
+    res.json(await duplicateService.getQueue(req.query));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const dismissDuplicate = async (req, res, next) => {
+  try {
+    const candidate = await duplicateService.dismissCandidate(req.params.id, {
+      userId: req.user.id,
+    });
+    res.json(candidate);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const mergeDuplicate = async (req, res, next) => {
+  try {
+    const lead = await duplicateService.mergeCandidate(req.params.id, {
+      keepLeadId: req.body.keepLeadId,
+      actorId: req.user.id,
+      ipAddress: req.ip,
+    });
+    res.json({ message: 'Leads merged', lead });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getAllLeads = async (req, res, next) => {
   try {
+    const where = leadService.filterQuery(req.query);
+    const scoring = leadScoringService.scoreQuery(req.query);
     const leads = await Lead.findAll({
+      where: { ...where, ...scoring.where },
+      order: scoring.order,
       include: [
         { model: User, as: 'student' },
         { model: User, as: 'consultant' },
@@ -660,8 +1063,14 @@ const reassignLead = async (req, res, next) => {
     const { officeId, consultantId } = req.body;
     const lead = await Lead.findByPk(id);
     if (!lead) throw new Error('Lead not found');
+    leadService.assertAssignable(lead);
+    const previousConsultantId = lead.assignedConsultant;
     await lead.update({ officeId, assignedConsultant: consultantId });
-    await leadService.logLeadHistory(lead.id, 'reassigned', req.user.id);
+    await leadActivityService.record(lead.id, 'reassignment', {
+      actorId: req.user.id,
+      summary: 'Lead reassigned',
+      payload: { from: previousConsultantId, to: consultantId, officeId },
+    });
 
     if (consultantId) {
       await notificationService.sendNotification({
@@ -696,10 +1105,12 @@ const reassignLead = async (req, res, next) => {
 
 const exportLeads = async (req, res, next) => {
   try {
-    const leads = await Lead.findAll();
-    const csv = reportService.generateCSV(leads);
-    res.setHeader('Content-Type', 'text/csv');
-    res.send(csv);
+    const where = leadService.filterQuery(req.query);
+    await leadExportService.exportLeads(res, {
+      where: { ...where, ...leadScoringService.scoreQuery(req.query).where },
+      columns: req.query.columns,
+      format: req.query.format,
+    });
   } catch (error) {
     next(error);
   }
@@ -708,8 +1119,8 @@ const exportLeads = async (req, res, next) => {
 const getLeadHistory = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const history = await leadService.getLeadHistory(id);
-    res.json(history);
+    const timeline = await leadActivityService.getTimeline(id, req.query);
+    res.json(timeline);
   } catch (error) {
     next(error);
   }
@@ -788,6 +1199,7 @@ const assignLeadToConsultant = async (req, res, next) => {
     if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
     }
+    leadService.assertAssignable(lead);
 
     // Only check if both consultantId and officeId are provided
     if (consultantId && officeId) {
@@ -803,10 +1215,15 @@ const assignLeadToConsultant = async (req, res, next) => {
     }
 
     // 4. Assign the lead
+    const previousConsultantId = lead.assignedConsultant;
     await lead.update({ officeId, assignedConsultant: consultantId });
 
-    // 5. Log history
-    await leadService.logLeadHistory(leadId, 'assigned', req.user.id);
+    // 5. Record on the lead's timeline
+    await leadActivityService.record(leadId, 'assignment', {
+      actorId: req.user.id,
+      summary: 'Lead assigned',
+      payload: { from: previousConsultantId, to: consultantId, officeId },
+    });
 
     // 6. Notify consultant
     await notificationService.sendNotification({
@@ -1127,6 +1544,10 @@ const getDashboardStats = async (req, res, next) => {
       leadOfficeFilter = { officeId: { [Op.in]: filteredOfficeIds } };
     }
 
+    // Conversions are leads in a won stage of their pipeline
+    const wonLeadFilter = await pipelineService.whereStageType('won');
+    const stageTypes = await pipelineService.loadStageTypes();
+
     // Get total counts with proper filtering
     const [
       totalOffices,
@@ -1137,6 +1558,7 @@ const getDashboardStats = async (req, res, next) => {
       totalUniversities,
       leadStatusBreakdown,
       officePerformance,
+      officeConversions,
       recentActivities,
     ] = await Promise.all([
       // Total office count (filtered)
@@ -1171,19 +1593,15 @@ const getDashboardStats = async (req, res, next) => {
       // Total universities count (global)
       University.count(),
 
-      // Lead status breakdown
+      // Lead status breakdown, every status so the stages add up to the total
       Lead.findAll({
         attributes: [
+          'pipelineId',
           'status',
           [sequelize.fn('COUNT', sequelize.col('status')), 'count'],
         ],
-        where: {
-          ...leadOfficeFilter,
-          status: {
-            [Op.in]: ['lead', 'opportunity', 'project', 'done', 'deal'],
-          }, // Explicitly include all valid statuses
-        },
-        group: ['status'],
+        where: leadOfficeFilter,
+        group: ['pipelineId', 'status'],
         raw: true,
       }),
 
@@ -1201,28 +1619,25 @@ const getDashboardStats = async (req, res, next) => {
             )`),
             'totalLeadsCount',
           ],
-          [
-            sequelize.literal(`(
-              SELECT COUNT(*) 
-              FROM "Leads" 
-              WHERE "Leads"."officeId" = "Office"."id" 
-              AND "Leads"."status" = 'done'
-            )`),
-            'conversionsCount',
-          ],
         ],
         group: ['Office.id', 'Office.name'],
         raw: true,
       }),
 
+      // Conversions per office
+      Lead.findAll({
+        attributes: [
+          'officeId',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        ],
+        where: { ...leadOfficeFilter, ...wonLeadFilter },
+        group: ['officeId'],
+        raw: true,
+      }),
+
       // Recent activities (last 10 lead updates)
       Lead.findAll({
-        where: {
-          ...leadOfficeFilter,
-          status: {
-            [Op.in]: ['lead', 'opportunity', 'project', 'done', 'deal'],
-          }, // Ensure valid statuses
-        },
+        where: leadOfficeFilter,
         attributes: ['id', 'status', 'createdAt', 'updatedAt'],
         include: [
           {
@@ -1251,21 +1666,33 @@ const getDashboardStats = async (req, res, next) => {
       officePerformance: officePerformance.length,
     });
 
-    // Format lead status breakdown with all possible status values
-    const statusBreakdown = {
-      lead: 0,
-      opportunity: 0,
-      project: 0,
-      done: 0,
-      deal: 0,
-    };
+    // Format lead status breakdown, starting from the default pipeline's
+    // stages so empty ones still show
+    const defaultPipeline = (await pipelineService.listPipelines()).find(
+      (pipeline) => pipeline.isDefault
+    );
+    const statusBreakdown = Object.fromEntries(
+      (defaultPipeline ? defaultPipeline.stages : []).map((stage) => [
+        stage.key,
+        0,
+      ])
+    );
+    let totalConversions = 0;
+    let totalLost = 0;
 
     leadStatusBreakdown.forEach((item) => {
-      if (Object.keys(statusBreakdown).includes(item.status)) {
-        statusBreakdown[item.status] = parseInt(item.count);
-      }
+      const count = parseInt(item.count);
+      statusBreakdown[item.status] =
+        (statusBreakdown[item.status] || 0) + count;
+      const type = pipelineService.stageTypeOf(stageTypes, item);
+      if (type === 'won') totalConversions += count;
+      if (type === 'lost') totalLost += count;
     });
 
+    const conversionsByOffice = Object.fromEntries(
+      officeConversions.map((row) => [row.officeId, parseInt(row.count)])
+    );
+
     // Format recent activities
     const formattedActivities = recentActivities.map((lead) => ({
       id: lead.id,
@@ -1275,7 +1702,6 @@ const getDashboardStats = async (req, res, next) => {
     }));
 
     // Calculate additional metrics
-    const totalConversions = statusBreakdown.done; // Assuming 'done' is still the conversion status
     const conversionRate =
       totalLeads > 0 ? ((totalConversions / totalLeads) * 100).toFixed(1) : 0;
 
@@ -1299,23 +1725,24 @@ const getDashboardStats = async (req, res, next) => {
       // Calculated metrics
       conversionRate: parseFloat(conversionRate),
       totalConversions,
+      totalLost,
       activeOffices,
       inactiveOffices,
 
       // Breakdowns
       leadStatusBreakdown: statusBreakdown,
-      officePerformance: officePerformance.map((office) => ({
-        officeName: office.name,
-        leadsCount: parseInt(office.totalLeadsCount || 0),
-        conversionsCount: parseInt(office.conversionsCount || 0),
-        conversionRate:
-          office.totalLeadsCount > 0
-            ? (
-                (office.conversionsCount / office.totalLeadsCount) *
-                100
-              ).toFixed(1)
-            : 0,
-      })),
+      officePerformance: officePerformance.map((office) => {
+        const conversionsCount = conversionsByOffice[office.id] || 0;
+        return {
+          officeName: office.name,
+          leadsCount: parseInt(office.totalLeadsCount || 0),
+          conversionsCount,
+          conversionRate:
+            office.totalLeadsCount > 0
+              ? ((conversionsCount / office.totalLeadsCount) * 100).toFixed(1)
+              : 0,
+        };
+      }),
 
       // Activities
       recentActivities: formattedActivities,
@@ -1362,14 +1789,48 @@ module.exports = {
   getAllOfficeDetails,
   getOfficePerformance,
   createStaff,
+  getStaffInvites,
+  resendStaffInvite,
+  revokeStaffInvite,
   updateStaff,
   toggleStaffStatus,
+  revokeStaffSessions,
   importStaffCSV,
   getStaffLogs,
+  getAuditLogs,
+  unlockUser,
+  impersonateUser,
+  getApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole,
   createLeadRule,
   updateLeadRule,
+  deleteLeadRule,
   getLeadRules,
   getLeadRuleHistory,
+  rollbackLeadRule,
+  dryRunLeadRules,
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  getLeadScoringModel,
+  updateLeadScoringModel,
+  createLeadImport,
+  getLeadImports,
+  getLeadImport,
+  confirmLeadImport,
+  getDuplicates,
+  dismissDuplicate,
+  mergeDuplicate,
   getAllLeads,
   reassignLead,
   exportLeads,
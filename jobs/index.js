@@ -0,0 +1,69 @@
+const leadScoringService = require('../services/leadScoringService');
+const slaService = require('../services/slaService');
+const leadParkingService = require('../services/leadParkingService');
+const reminderService = require('../services/reminderService');
+
+const MINUTE = 60 * 1000;
+
+// Background work, each run every `minutes` (overridable with the env
+// variable named in `env`) with the context given to startJobs. A run that is
+// still going when the next one is due is not started twice.
+const JOBS = [
+  {
+    name: 'scores',
+    env: 'SCORE_JOB_INTERVAL_MINUTES',
+    minutes: 10,
+    run: () => leadScoringService.refreshScores(),
+  },
+  {
+    name: 'sla',
+    env: 'SLA_JOB_INTERVAL_MINUTES',
+    minutes: 15,
+    run: () => slaService.evaluate(),
+  },
+  {
+    name: 'parking',
+    env: 'PARKING_JOB_INTERVAL_MINUTES',
+    minutes: 60,
+    run: () => leadParkingService.wakeDueLeads(),
+  },
+  {
+    name: 'reminders',
+    env: 'REMINDER_JOB_INTERVAL_MINUTES',
+    minutes: 1,
+    run: ({ io }) => reminderService.deliverDue({ io }),
+  },
+];
+
+const schedule = (job, context) => {
+  const minutes = Number(process.env[job.env]) || job.minutes;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await job.run(context);
+      if (result && Object.values(result).some(Boolean)) {
+        console.log(`Job ${job.name}:`, result);
+      }
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(tick, minutes * MINUTE);
+  // First run shortly after startup rather than a whole interval later
+  setTimeout(tick, MINUTE);
+};
+
+// Starts every job; set JOBS_DISABLED=true on instances that should only
+// serve requests. `io` is the Socket.IO server for live notifications.
+const startJobs = ({ io } = {}) => {
+  if (process.env.JOBS_DISABLED === 'true') return;
+  JOBS.forEach((job) => schedule(job, { io }));
+};
+
+module.exports = {
+  startJobs,
+};
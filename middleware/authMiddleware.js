@@ -1,5 +1,28 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const roleService = require('../services/roleService');
+const apiKeyService = require('../services/apiKeyService');
+const { apiKeyLimiter } = require('./rateLimiter');
+
+// Integrations authenticate as a service principal: no user id, just the
+// key's own permissions and optional office.
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await apiKeyService.authenticate(key);
+  await apiKeyService.touchKey(apiKey, req.ip);
+
+  req.user = {
+    id: null,
+    role: 'service',
+    officeId: apiKey.officeId,
+    apiKeyId: apiKey.id,
+    permissions: apiKey.permissions,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    impersonatorId: null,
+  };
+  apiKeyLimiter(req, res, next);
+};
 
 const protect = async (req, res, next) => {
   try {
@@ -11,14 +34,32 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    const apiKey = req.headers['x-api-key'] || token;
+    if (apiKeyService.isApiKey(apiKey)) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     if (!token) {
       // throw new Error('No token provided');
       return res.status(400).send({ error: 'No token provided' });
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before server-side sessions carry no sid and never expire
+    if (!decoded.sid) {
+      return res
+        .status(401)
+        .send({ error: 'Session expired, please log in again' });
+    }
+
+    const session = await sessionService.findActiveSession(decoded.sid);
+    if (!session || session.userId !== decoded.id) {
+      return res.status(401).send({ error: 'Session has been revoked' });
+    }
+
     const user = await User.findByPk(decoded.id, {
-      attributes: ['id', 'role', 'officeId', 'isActive'],
+      attributes: ['id', 'role', 'officeId', 'customRoleId', 'isActive'],
     });
 
     if (!user) {
@@ -30,7 +71,64 @@ const protect = async (req, res, next) => {
       return res.status(400).send({ error: 'User account is inactive' });
     }
 
-    req.user = { id: user.id, role: user.role, officeId: user.officeId };
+    // An impersonation ends as soon as its super admin loses access
+    if (session.impersonatorId) {
+      const impersonator = await User.findByPk(session.impersonatorId, {
+        attributes: ['role', 'isActive'],
+      });
+      if (
+        !impersonator ||
+        !impersonator.isActive ||
+        impersonator.role !== 'super_admin'
+      ) {
+        await sessionService.revokeSession(session.id, 'impersonator_inactive');
+        return res.status(401).send({ error: 'Session has been revoked' });
+      }
+    }
+
+    await sessionService.touchSession(session, req.ip);
+
+    req.user = {
+      id: user.id,
+      role: user.role,
+      officeId: user.officeId,
+      customRoleId: user.customRoleId,
+      sessionId: session.id,
+      // The super admin really making the request, if impersonating
+      impersonatorId: session.impersonatorId || null,
+    };
+    next();
+  } catch (error) {
+    res.status(401).send({ error: 'Authentication failed: ' + error.message });
+  }
+};
+
+// Like protect, but also accepts the short-lived challenge issued at login
+// when the user's role requires 2FA and they have not enrolled yet.
+const protectTwoFactorSetup = async (req, res, next) => {
+  const token = req.headers.authorization?.startsWith('Bearer')
+    ? req.headers.authorization.split(' ')[1]
+    : null;
+  const decoded = token ? jwt.decode(token) : null;
+
+  if (!decoded || decoded.purpose !== 'two_factor_setup') {
+    return protect(req, res, next);
+  }
+
+  try {
+    const { id } = twoFactorService.verifyChallenge(token, 'two_factor_setup');
+    const user = await User.findByPk(id, {
+      attributes: ['id', 'role', 'officeId', 'isActive'],
+    });
+    if (!user || !user.isActive) {
+      return res.status(401).send({ error: 'User account is inactive' });
+    }
+    req.user = {
+      id: user.id,
+      role: user.role,
+      officeId: user.officeId,
+      twoFactorSetup: true,
+    };
     next();
   } catch (error) {
     res.status(401).send({ error: 'Authentication failed: ' + error.message });
@@ -48,4 +146,50 @@ const restrictTo = (...roles) => {
   };
 };
 
-module.exports = { protect, restrictTo };
+// For endpoints that only make sense for a signed-in person
+const requireUser = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res
+      .status(403)
+      .send({ error: 'This endpoint cannot be used with an API key' });
+  }
+  next();
+};
+
+// Blocks account-security actions for impersonation sessions
+const blockImpersonation = (req, res, next) => {
+  if (req.user.impersonatorId) {
+    return res
+      .status(403)
+      .send({ error: 'This action is not allowed while impersonating' });
+  }
+  next();
+};
+
+// Requires every listed permission; see utils/permissions.js
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user.permissions) {
+        req.user.permissions = await roleService.getPermissionsFor(req.user);
+      }
+      if (!permissions.every((p) => req.user.permissions.includes(p))) {
+        return res
+          .status(403)
+          .send({ error: 'Access denied: insufficient permissions' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  protect,
+  protectTwoFactorSetup,
+  restrictTo,
+  requirePermission,
+  blockImpersonation,
+  requireUser,
+};
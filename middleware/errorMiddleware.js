@@ -1,7 +1,12 @@
 const errorMiddleware = (error, req, res, next) => {
+    // A streamed download can fail after its headers went out; Express
+    // then closes the connection
+    if (res.headersSent) return next(error);
+
     console.error(res.statusCode, ', Error:', error.message);
   
-    const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+    const statusCode =
+      error.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
     res.status(statusCode).json({
       error: error.message || 'Internal Server Error',
       ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
@@ -2,6 +2,7 @@ const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const AppError = require('../utils/appError');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -50,4 +51,20 @@ const upload = multer({
   },
 });
 
-module.exports = { upload, };
+// Import files (staff and leads) are read straight from memory and not kept
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.xlsx'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Only CSV and XLSX files can be imported', 400), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+});
+
+module.exports = { upload, importUpload };
@@ -0,0 +1,36 @@
+const { rateLimit } = require('express-rate-limit');
+
+const limiter = (limit, windowMinutes, message) =>
+  rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { error: message },
+  });
+
+// Raw request cap on credential endpoints; per-account lockout lives in
+// loginProtectionService.
+const loginLimiter = limiter(
+  Number(process.env.LOGIN_RATE_LIMIT) || 30,
+  15,
+  'Too many login requests, please try again later'
+);
+
+const authLimiter = limiter(
+  Number(process.env.AUTH_RATE_LIMIT) || 20,
+  15,
+  'Too many requests, please try again later'
+);
+
+// Per-key cap for API key requests, using each key's own limit
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.user.rateLimitPerMinute,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user.apiKeyId,
+  message: { error: 'API key rate limit exceeded, please slow down' },
+});
+
+module.exports = { loginLimiter, authLimiter, apiKeyLimiter };
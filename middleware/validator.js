@@ -1,4 +1,9 @@
 const Joi = require('joi');
+const { CUSTOMIZABLE_ROLES } = require('../utils/roles');
+const {
+  ALL_PERMISSIONS,
+  API_KEY_PERMISSIONS,
+} = require('../utils/permissions');
 
 const validate = (schema, source = 'body') => {
   return (req, res, next) => {
@@ -68,6 +73,9 @@ const officeSchema = Joi.object({
     country: Joi.string().required(),
     state: Joi.string().optional().allow(''),
     postalCode: Joi.string().optional().allow(''),
+    // Optional; lets signups be matched to the nearest office by distance
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
   }).required(),
 
   region: Joi.string().optional().allow(''),
@@ -120,15 +128,17 @@ const officeSchema = Joi.object({
   consultants: Joi.array().items(Joi.string().uuid()).optional(),
   isActive: Joi.boolean().optional(),
   isBranch: Joi.boolean().optional(),
+  twoFactorRequiredRoles: Joi.array()
+    .items(Joi.string().valid('super_admin', 'manager', 'consultant'))
+    .optional(),
 });
 
 const leadSchema = Joi.object({
   studentId: Joi.string().uuid().required(),
   officeId: Joi.string().uuid().required(),
   assignedConsultant: Joi.string().uuid().optional().allow(null),
-  status: Joi.string()
-    .valid('new', 'in_progress', 'converted', 'lost')
-    .required(),
+  // A stage key of the lead's pipeline
+  status: Joi.string().optional(),
   source: Joi.string().valid('walk_in', 'online', 'referral').required(),
   studyPreferences: Joi.object({
     destination: Joi.string().required(),
@@ -212,18 +222,305 @@ const reportSchema = Joi.object({
   scheduled: Joi.boolean().optional(),
 });
 
+// A criterion is one value or a list of accepted values
+const ruleCriterion = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().items(Joi.string()).min(1)
+);
+
 const leadRuleSchema = Joi.object({
   criteria: Joi.object({
-    location: Joi.string().optional(),
-    studyDestination: Joi.string().optional(),
-    budget: Joi.number().optional(),
-    academicLevel: Joi.string().optional(),
-    language: Joi.string().optional(),
-    consultantSpecialization: Joi.string().optional(),
+    source: ruleCriterion.optional(),
+    destination: ruleCriterion.optional(),
+    level: ruleCriterion.optional(),
+    languagePreference: ruleCriterion.optional(),
+    region: ruleCriterion.optional(),
+    // Older names for source and destination
+    leadSource: ruleCriterion.optional(),
+    studyDestination: ruleCriterion.optional(),
+    officeId: Joi.string().uuid().optional(),
   }).required(),
-  priority: Joi.number().required(),
+  priority: Joi.number().integer().required(),
+  strategy: Joi.string()
+    .valid('fixed', 'round_robin', 'least_open_leads', 'weighted')
+    .optional(),
   officeId: Joi.string().uuid().optional().allow(null),
-  consultantId: Joi.string().uuid().optional().allow(null),
+  // Shared strategies choose the consultant themselves
+  consultantId: Joi.when('strategy', {
+    is: Joi.valid('round_robin', 'least_open_leads', 'weighted'),
+    then: Joi.valid(null).optional(),
+    otherwise: Joi.string().uuid().optional().allow(null),
+  }),
+});
+
+const leadRuleUpdateSchema = leadRuleSchema.fork(
+  ['criteria', 'priority'],
+  (schema) => schema.optional()
+);
+
+const leadRuleRollbackSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+});
+
+// Drafts are a complete replacement for the current rules
+const leadRuleDryRunSchema = Joi.object({
+  rules: Joi.array()
+    .items(leadRuleSchema.keys({ id: Joi.string().optional() }))
+    .required(),
+  limit: Joi.number().integer().min(1).max(500).optional(),
+});
+
+const pipelineStageSchema = Joi.object({
+  key: Joi.string()
+    .pattern(/^[a-z][a-z0-9_]*$/)
+    .max(50)
+    .required(),
+  name: Joi.string().required(),
+  type: Joi.string().valid('open', 'won', 'lost').required(),
+  // Lead fields that must be filled in before a lead enters the stage
+  requiredFields: Joi.array().items(Joi.string()).optional(),
+});
+
+const pipelineSchema = Joi.object({
+  name: Joi.string().required(),
+  stages: Joi.array().items(pipelineStageSchema).min(2).required(),
+  transitions: Joi.object()
+    .pattern(Joi.string(), Joi.array().items(Joi.string()))
+    .required(),
+  lossReasons: Joi.array().items(Joi.string()).unique().optional(),
+  isDefault: Joi.boolean().optional(),
+});
+
+const pipelineUpdateSchema = pipelineSchema
+  .fork(['name', 'stages', 'transitions'], (schema) => schema.optional())
+  .min(1);
+
+const scoreWeight = Joi.number().min(0).max(100);
+const scoreShare = Joi.number().min(0).max(1);
+
+// Partial updates; omitted weights and settings are kept
+const leadScoringModelSchema = Joi.object({
+  weights: Joi.object({
+    profile: scoreWeight,
+    testScores: scoreWeight,
+    budget: scoreWeight,
+    source: scoreWeight,
+    engagement: scoreWeight,
+    recency: scoreWeight,
+  }).optional(),
+  settings: Joi.object({
+    // Score per test that earns full marks, e.g. { ielts: 7 }
+    testScores: Joi.object().pattern(Joi.string(), Joi.number().positive()),
+    budgetTarget: Joi.number().positive(),
+    // 0-1 per lead source
+    sources: Joi.object().pattern(Joi.string(), scoreShare),
+    engagement: Joi.object({
+      messages: Joi.number().integer().min(1).required(),
+      appointments: Joi.number().integer().min(1).required(),
+    }),
+    recencyDays: Joi.number().integer().min(1),
+  }).optional(),
+}).min(1);
+
+// Filters shared by the lead lists and exports. status and source take
+// comma-separated lists; consultantId=none finds unassigned leads.
+const leadFilterKeys = {
+  officeId: Joi.string().uuid().optional(),
+  status: Joi.string().optional(),
+  consultantId: Joi.alternatives(
+    Joi.string().uuid(),
+    Joi.string().valid('none')
+  ).optional(),
+  source: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  parked: Joi.boolean().optional(),
+  minScore: Joi.number().min(0).max(100).optional(),
+  maxScore: Joi.number().min(0).max(100).optional(),
+};
+
+const leadListQuerySchema = Joi.object({
+  ...leadFilterKeys,
+  sort: Joi.string().valid('score', '-score').optional(),
+});
+
+const leadExportQuerySchema = Joi.object({
+  ...leadFilterKeys,
+  format: Joi.string().valid('csv', 'xlsx').optional(),
+  // Comma-separated column keys; see leadExportService.COLUMNS
+  columns: Joi.string().optional(),
+});
+
+// Lead history and progress. type takes one activity type or a
+// comma-separated list, checked by leadActivityService.
+const leadHistoryQuerySchema = Joi.object({
+  type: Joi.string().optional(),
+  actorId: Joi.string().uuid().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+});
+
+const leadStatusSchema = Joi.object({
+  status: Joi.string().required(),
+  // Required when moving to a lost stage
+  lossReason: Joi.string().optional(),
+});
+
+const consultantAssignmentSchema = Joi.object({
+  capacity: Joi.number().integer().min(0).optional(),
+  languages: Joi.array().items(Joi.string()).optional(),
+  destinations: Joi.array().items(Joi.string()).optional(),
+  onLeave: Joi.boolean().optional(),
+}).min(1);
+
+// Which lead of the pair survives; the older one by default
+const duplicateMergeSchema = Joi.object({
+  keepLeadId: Joi.string().uuid().optional(),
+});
+
+// Form fields sent with a lead import file; mapping arrives as JSON text
+const leadImportSchema = Joi.object({
+  mapping: Joi.alternatives(Joi.object(), Joi.string()).optional(),
+  source: Joi.string().valid('walk_in', 'online', 'referral').optional(),
+  // Super admin imports only: the office for rows without one
+  officeId: Joi.string().uuid().optional(),
+});
+
+const leadImportConfirmSchema = Joi.object({
+  includeDuplicates: Joi.boolean().optional(),
+});
+
+// Reasons are checked by leadParkingService
+const leadParkingSchema = Joi.object({
+  parked: Joi.boolean().required(),
+  reason: Joi.when('parked', {
+    is: true,
+    then: Joi.string().required(),
+    otherwise: Joi.forbidden(),
+  }),
+  note: Joi.when('parked', {
+    is: true,
+    then: Joi.string().max(1000).optional().allow('', null),
+    otherwise: Joi.forbidden(),
+  }),
+  wakeUpAt: Joi.when('parked', {
+    is: true,
+    then: Joi.date().iso().optional().allow(null),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const slaPolicySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  type: Joi.string().valid('first_contact', 'stage_duration').required(),
+  stage: Joi.when('type', {
+    is: 'stage_duration',
+    then: Joi.string().required(),
+    otherwise: Joi.valid(null).optional(),
+  }),
+  pipelineId: Joi.string().uuid().optional().allow(null),
+  thresholdHours: Joi.number().integer().min(1).required(),
+  escalateAfterHours: Joi.number().integer().min(0).optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+// The stage is checked against the policy's type by slaService
+const slaPolicyUpdateSchema = slaPolicySchema
+  .fork(['name', 'type', 'thresholdHours'], (schema) => schema.optional())
+  .fork(['stage'], () => Joi.string().optional().allow(null));
+
+const slaBreachQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'resolved', 'all').optional(),
+  policyId: Joi.string().uuid().optional(),
+  consultantId: Joi.string().uuid().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+});
+
+const reminderChannel = Joi.string().valid('in_app', 'email', 'sms');
+
+const leadReminderSchema = Joi.object({
+  message: Joi.string().required(),
+  dueDate: Joi.date().iso().required(),
+  // When to deliver it, if not when it is due
+  remindAt: Joi.date().iso().optional(),
+  channel: reminderChannel.optional(),
+});
+
+const deadlineReminderSchema = Joi.object({
+  message: Joi.string().required(),
+  deadline: Joi.date().iso().required(),
+  remindAt: Joi.date().iso().optional(),
+  channel: reminderChannel.optional(),
+});
+
+const reminderListQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'upcoming', 'overdue', 'done').optional(),
+  targetType: Joi.string()
+    .valid('lead', 'application', 'appointment', 'student')
+    .optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+});
+
+const reminderSnoozeSchema = Joi.object({
+  minutes: Joi.number().integer().min(1).max(43200),
+  until: Joi.date().iso(),
+}).xor('minutes', 'until');
+
+const staffInviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid('manager', 'consultant', 'receptionist').required(),
+  officeId: Joi.string().uuid().optional().allow(null),
+  name: Joi.string().optional(),
+  phone: Joi.string().optional().allow(null),
+});
+
+const acceptInviteSchema = Joi.object({
+  token: Joi.string().required(),
+  // Strength rules live in passwordPolicyService
+  password: Joi.string().required(),
+  name: Joi.string().optional(),
+  phone: Joi.string().optional(),
+});
+
+const roleSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().optional().allow('', null),
+  baseRole: Joi.string()
+    .valid(...CUSTOMIZABLE_ROLES)
+    .required(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...ALL_PERMISSIONS))
+    .unique()
+    .optional(),
+});
+
+const roleUpdateSchema = roleSchema.fork(['name', 'baseRole'], (schema) =>
+  schema.optional()
+);
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...API_KEY_PERMISSIONS))
+    .min(1)
+    .unique()
+    .required(),
+  officeId: Joi.string().uuid().optional().allow(null),
+  rateLimitPerMinute: Joi.number().integer().min(1).max(10000).optional(),
+  expiresAt: Joi.date().iso().greater('now').optional().allow(null),
+});
+
+const integrationLeadSchema = Joi.object({
+  email: Joi.string().email().required(),
+  name: Joi.string().optional(),
+  phone: Joi.string().optional(),
+  source: Joi.string().valid('walk_in', 'online', 'referral').default('online'),
+  officeId: Joi.string().uuid().optional(),
+  studyPreferences: Joi.object().optional(),
 });
 
 const studentProfileSchema = Joi.object({
@@ -257,6 +554,34 @@ module.exports = {
   notificationSchema,
   reportSchema,
   leadRuleSchema,
+  leadRuleUpdateSchema,
+  leadRuleRollbackSchema,
+  leadRuleDryRunSchema,
+  pipelineSchema,
+  pipelineUpdateSchema,
+  leadScoringModelSchema,
+  leadListQuerySchema,
+  leadExportQuerySchema,
+  leadHistoryQuerySchema,
+  leadStatusSchema,
+  consultantAssignmentSchema,
+  duplicateMergeSchema,
+  leadImportSchema,
+  leadImportConfirmSchema,
+  leadParkingSchema,
+  slaPolicySchema,
+  slaPolicyUpdateSchema,
+  slaBreachQuerySchema,
+  leadReminderSchema,
+  deadlineReminderSchema,
+  reminderListQuerySchema,
+  reminderSnoozeSchema,
   checklistSchema,
-  studentProfileSchema
+  studentProfileSchema,
+  roleSchema,
+  roleUpdateSchema,
+  staffInviteSchema,
+  acceptInviteSchema,
+  apiKeySchema,
+  integrationLeadSchema,
 };
@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('UserSessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      refreshTokenHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      previousRefreshTokenHash: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revokedReason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('UserSessions', ['userId']);
+    await queryInterface.addIndex('UserSessions', ['previousRefreshTokenHash']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('UserSessions');
+  },
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('UserSessions', 'ipAddress', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('UserSessions', 'userAgent', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('UserSessions', 'deviceName', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('UserSessions', 'lastUsedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('UserSessions', 'lastUsedAt');
+    await queryInterface.removeColumn('UserSessions', 'deviceName');
+    await queryInterface.removeColumn('UserSessions', 'userAgent');
+    await queryInterface.removeColumn('UserSessions', 'ipAddress');
+  },
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('LoginAttempts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      ipAddress: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      successful: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex('LoginAttempts', ['email', 'createdAt']);
+    await queryInterface.addIndex('LoginAttempts', ['ipAddress', 'createdAt']);
+
+    await queryInterface.createTable('AuditLogs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      action: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      actorId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      targetUserId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      ipAddress: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        defaultValue: {},
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex('AuditLogs', ['targetUserId', 'createdAt']);
+    await queryInterface.addIndex('AuditLogs', ['action', 'createdAt']);
+
+    await queryInterface.addColumn('Users', 'lockedUntil', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Users', 'unlockTokenHash', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Users', 'unlockTokenHash');
+    await queryInterface.removeColumn('Users', 'lockedUntil');
+    await queryInterface.dropTable('AuditLogs');
+    await queryInterface.dropTable('LoginAttempts');
+  },
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Users', 'twoFactorEnabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    await queryInterface.addColumn('Users', 'twoFactorSecret', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Users', 'twoFactorPendingSecret', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    // The last TOTP time step accepted, so a code cannot be used twice
+    await queryInterface.addColumn('Users', 'twoFactorLastStep', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Users', 'twoFactorRecoveryCodes', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    });
+
+    await queryInterface.addColumn('Offices', 'twoFactorRequiredRoles', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: [],
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Offices', 'twoFactorRequiredRoles');
+    await queryInterface.removeColumn('Users', 'twoFactorRecoveryCodes');
+    await queryInterface.removeColumn('Users', 'twoFactorLastStep');
+    await queryInterface.removeColumn('Users', 'twoFactorPendingSecret');
+    await queryInterface.removeColumn('Users', 'twoFactorSecret');
+    await queryInterface.removeColumn('Users', 'twoFactorEnabled');
+  },
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Existing accounts predate verification and are treated as verified
+    await queryInterface.addColumn('Users', 'isEmailVerified', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    });
+    await queryInterface.addColumn('Users', 'emailVerificationTokenHash', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Users', 'emailVerificationExpiresAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Leads', 'pendingEmailVerification', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Leads', 'pendingEmailVerification');
+    await queryInterface.removeColumn('Users', 'emailVerificationExpiresAt');
+    await queryInterface.removeColumn('Users', 'emailVerificationTokenHash');
+    await queryInterface.removeColumn('Users', 'isEmailVerified');
+  },
+};
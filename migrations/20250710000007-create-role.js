@@ -0,0 +1,63 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('Roles', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      baseRole: {
+        type: Sequelize.ENUM('manager', 'consultant', 'receptionist'),
+        allowNull: false,
+      },
+      permissions: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addColumn('Users', 'customRoleId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'Roles', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Users', 'customRoleId');
+    await queryInterface.dropTable('Roles');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_Roles_baseRole";'
+    );
+  },
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('UserSessions', 'impersonatorId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'Users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('UserSessions', 'impersonatorId');
+  },
+};
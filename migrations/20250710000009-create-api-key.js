@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ApiKeys', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      keyPrefix: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      keyHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      permissions: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      officeId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Offices', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      rateLimitPerMinute: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 60,
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastUsedIp: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ApiKeys');
+  },
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('UserIdentities', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      provider: {
+        type: Sequelize.ENUM('google', 'facebook'),
+        allowNull: false,
+      },
+      providerUserId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      displayName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex(
+      'UserIdentities',
+      ['provider', 'providerUserId'],
+      {
+        unique: true,
+      }
+    );
+    await queryInterface.addIndex('UserIdentities', ['userId', 'provider'], {
+      unique: true,
+    });
+
+    // The Lead model already lists these sources but the column's enum
+    // never got them. ADD VALUE cannot run inside a transaction.
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_Leads_source" ADD VALUE IF NOT EXISTS 'Google OAuth';`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_Leads_source" ADD VALUE IF NOT EXISTS 'Facebook OAuth';`
+    );
+  },
+
+  down: async (queryInterface) => {
+    // Postgres cannot drop enum values, so the Leads source values stay
+    await queryInterface.dropTable('UserIdentities');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_UserIdentities_provider";'
+    );
+  },
+};
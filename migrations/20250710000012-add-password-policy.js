@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('PasswordHistories', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      passwordHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('PasswordHistories', ['userId', 'createdAt']);
+
+    await queryInterface.addColumn('Users', 'passwordChangedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Users', 'mustChangePassword', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    // Start existing passwords' expiry clock now rather than expiring them all
+    await queryInterface.sequelize.query(
+      `UPDATE "Users" SET "passwordChangedAt" = NOW() WHERE "password" IS NOT NULL;`
+    );
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Users', 'mustChangePassword');
+    await queryInterface.removeColumn('Users', 'passwordChangedAt');
+    await queryInterface.dropTable('PasswordHistories');
+  },
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('LeadDistributionRules', 'strategy', {
+      type: Sequelize.ENUM(
+        'fixed',
+        'round_robin',
+        'least_open_leads',
+        'weighted'
+      ),
+      allowNull: false,
+      defaultValue: 'fixed',
+    });
+    await queryInterface.addColumn(
+      'LeadDistributionRules',
+      'lastAssignedConsultantId',
+      {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      }
+    );
+
+    await queryInterface.addColumn('OfficeConsultants', 'capacity', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    });
+    await queryInterface.addColumn('OfficeConsultants', 'languages', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: [],
+    });
+    await queryInterface.addColumn('OfficeConsultants', 'destinations', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: [],
+    });
+    await queryInterface.addColumn('OfficeConsultants', 'onLeave', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('OfficeConsultants', 'onLeave');
+    await queryInterface.removeColumn('OfficeConsultants', 'destinations');
+    await queryInterface.removeColumn('OfficeConsultants', 'languages');
+    await queryInterface.removeColumn('OfficeConsultants', 'capacity');
+    await queryInterface.removeColumn(
+      'LeadDistributionRules',
+      'lastAssignedConsultantId'
+    );
+    await queryInterface.removeColumn('LeadDistributionRules', 'strategy');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_LeadDistributionRules_strategy";'
+    );
+  },
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('LeadRuleVersions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      ruleId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      action: {
+        type: Sequelize.ENUM('created', 'updated', 'deleted', 'rolled_back'),
+        allowNull: false,
+      },
+      snapshot: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      authorId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      restoredFromVersion: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('LeadRuleVersions', ['ruleId', 'version'], {
+      unique: true,
+    });
+
+    // Existing rules start their history at version 1
+    await queryInterface.sequelize.query(`
+      INSERT INTO "LeadRuleVersions"
+        ("id", "ruleId", "version", "action", "snapshot", "changes", "createdAt")
+      SELECT gen_random_uuid(), "id", 1, 'created',
+        jsonb_build_object(
+          'criteria', "criteria",
+          'priority', "priority",
+          'strategy', "strategy",
+          'officeId', "officeId",
+          'consultantId', "consultantId"
+        ),
+        '{}'::jsonb, "createdAt"
+      FROM "LeadDistributionRules";
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('LeadRuleVersions');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_LeadRuleVersions_action";'
+    );
+  },
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+// The pipeline every existing lead joins. Mirrors the statuses the
+// dashboard already reports on; 'deal' and the pre-2025 'converted' are
+// folded into 'done'.
+const DEFAULT_PIPELINE = {
+  name: 'Default',
+  stages: [
+    { key: 'lead', name: 'Lead', type: 'open', requiredFields: [] },
+    {
+      key: 'opportunity',
+      name: 'Opportunity',
+      type: 'open',
+      requiredFields: ['assignedConsultant'],
+    },
+    {
+      key: 'project',
+      name: 'Project',
+      type: 'open',
+      requiredFields: ['assignedConsultant'],
+    },
+    {
+      key: 'done',
+      name: 'Done',
+      type: 'won',
+      requiredFields: ['assignedConsultant'],
+    },
+    { key: 'lost', name: 'Lost', type: 'lost', requiredFields: [] },
+  ],
+  transitions: {
+    lead: ['opportunity', 'lost'],
+    opportunity: ['lead', 'project', 'lost'],
+    project: ['opportunity', 'done', 'lost'],
+    done: [],
+    lost: [],
+  },
+  lossReasons: [
+    'Not reachable',
+    'Not interested',
+    'Budget',
+    'Chose another agency',
+    'Visa refused',
+    'Other',
+  ],
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        'Pipelines',
+        {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true,
+            allowNull: false,
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+          },
+          stages: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+          },
+          transitions: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+            defaultValue: {},
+          },
+          lossReasons: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+            defaultValue: [],
+          },
+          isDefault: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+
+      // At most one default pipeline
+      await queryInterface.addIndex('Pipelines', ['isDefault'], {
+        unique: true,
+        where: { isDefault: true },
+        name: 'pipelines_single_default',
+        transaction,
+      });
+
+      const [[pipeline]] = await queryInterface.sequelize.query(
+        `INSERT INTO "Pipelines"
+           ("id", "name", "stages", "transitions", "lossReasons",
+            "isDefault", "createdAt", "updatedAt")
+         VALUES (gen_random_uuid(), :name, :stages, :transitions,
+                 :lossReasons, true, NOW(), NOW())
+         RETURNING "id";`,
+        {
+          replacements: {
+            name: DEFAULT_PIPELINE.name,
+            stages: JSON.stringify(DEFAULT_PIPELINE.stages),
+            transitions: JSON.stringify(DEFAULT_PIPELINE.transitions),
+            lossReasons: JSON.stringify(DEFAULT_PIPELINE.lossReasons),
+          },
+          transaction,
+        }
+      );
+
+      await queryInterface.addColumn(
+        'Leads',
+        'pipelineId',
+        {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Pipelines', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+        },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'lossReason',
+        {
+          type: Sequelize.STRING,
+          allowNull: true,
+        },
+        { transaction }
+      );
+
+      // Bring every status written so far onto a stage of the pipeline
+      await queryInterface.sequelize.query(
+        `UPDATE "Leads"
+           SET "pipelineId" = :pipelineId,
+               "status" = CASE
+                 WHEN "status" IN ('lead', 'new')               THEN 'lead'
+                 WHEN "status" IN ('opportunity', 'in_progress') THEN 'opportunity'
+                 WHEN "status" = 'project'                      THEN 'project'
+                 WHEN "status" IN ('done', 'deal', 'converted') THEN 'done'
+                 WHEN "status" = 'lost'                         THEN 'lost'
+                 ELSE 'lead'
+               END;`,
+        { replacements: { pipelineId: pipeline.id }, transaction }
+      );
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('Leads', 'lossReason', { transaction });
+      await queryInterface.removeColumn('Leads', 'pipelineId', { transaction });
+      await queryInterface.dropTable('Pipelines', { transaction });
+    });
+  },
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const TYPES = [
+  'created',
+  'status_change',
+  'note',
+  'assignment',
+  'reassignment',
+  'reminder',
+  'document',
+  'proposal',
+  'message',
+  'parking',
+  'other',
+];
+
+const BATCH_SIZE = 500;
+
+// Works out what a free-form history entry was. Entries have been written
+// with `note` or `action`, and with the actor as `userId`, `createdBy` or
+// `managerId`.
+const classify = (entry) => {
+  const text = entry.note || entry.action || '';
+  if (entry.ruleId || text === 'assigned') return 'assignment';
+  if (text === 'reassigned' || /^Reassigned to consultant/.test(text)) {
+    return 'reassignment';
+  }
+  if (
+    entry.to ||
+    entry.action === 'status_update_auto' ||
+    /^(status:|Status updated|Lead status updated)/.test(text)
+  ) {
+    return 'status_change';
+  }
+  if (/^Reminder:/.test(text)) return 'reminder';
+  if (/^Proposal\b/.test(text)) return 'proposal';
+  if (/^Lead (created|registered)/.test(text)) return 'created';
+  if (/^Lead (parked|unparked)/.test(text)) return 'parking';
+  if (entry.note) return 'note';
+  return 'other';
+};
+
+const toActivity = (lead, entry, userIds) => {
+  const { note, action, timestamp, userId, createdBy, managerId, ...payload } =
+    entry;
+  const actorId = userId || createdBy || managerId || null;
+  const occurredAt = new Date(timestamp || lead.createdAt);
+  return {
+    id: crypto.randomUUID(),
+    leadId: lead.id,
+    type: classify(entry),
+    actorId: userIds.has(actorId) ? actorId : null,
+    summary: note || action || 'Activity',
+    payload: JSON.stringify(payload),
+    occurredAt: isNaN(occurredAt.getTime()) ? lead.createdAt : occurredAt,
+    createdAt: new Date(),
+  };
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        'LeadActivities',
+        {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true,
+            allowNull: false,
+          },
+          leadId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'Leads', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+          },
+          type: {
+            type: Sequelize.ENUM(...TYPES),
+            allowNull: false,
+          },
+          actorId: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          summary: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+          },
+          payload: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+            defaultValue: {},
+          },
+          occurredAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex(
+        'LeadActivities',
+        ['leadId', 'occurredAt'],
+        { transaction }
+      );
+      await queryInterface.addIndex('LeadActivities', ['type'], {
+        transaction,
+      });
+
+      // Move every history entry into the table, a batch of leads at a time
+      const [users] = await queryInterface.sequelize.query(
+        'SELECT "id" FROM "Users";',
+        { transaction }
+      );
+      const userIds = new Set(users.map((user) => user.id));
+      for (let offset = 0; ; offset += BATCH_SIZE) {
+        const [leads] = await queryInterface.sequelize.query(
+          `SELECT "id", "history", "createdAt" FROM "Leads"
+           ORDER BY "id" LIMIT :limit OFFSET :offset;`,
+          { replacements: { limit: BATCH_SIZE, offset }, transaction }
+        );
+        if (!leads.length) break;
+        const activities = leads.flatMap((lead) =>
+          (Array.isArray(lead.history) ? lead.history : [])
+            .filter((entry) => entry && typeof entry === 'object')
+            .map((entry) => toActivity(lead, entry, userIds))
+        );
+        if (activities.length) {
+          await queryInterface.bulkInsert('LeadActivities', activities, {
+            transaction,
+          });
+        }
+      }
+
+      await queryInterface.removeColumn('Leads', 'history', { transaction });
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Leads', 'history', {
+      type: Sequelize.JSONB,
+      defaultValue: [],
+    });
+    await queryInterface.sequelize.query(`
+      UPDATE "Leads" SET "history" = COALESCE((
+        SELECT jsonb_agg(
+          jsonb_build_object(
+            'note', a."summary",
+            'type', a."type",
+            'timestamp', a."occurredAt",
+            'userId', a."actorId"
+          ) || a."payload"
+          ORDER BY a."occurredAt"
+        )
+        FROM "LeadActivities" a WHERE a."leadId" = "Leads"."id"
+      ), '[]'::jsonb);
+    `);
+    await queryInterface.dropTable('LeadActivities');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_LeadActivities_type";'
+    );
+  },
+};
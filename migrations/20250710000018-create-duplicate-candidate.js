@@ -0,0 +1,90 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('DuplicateCandidates', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      leadId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Leads', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      duplicateLeadId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Leads', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      score: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      reasons: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'dismissed', 'merged'),
+        allowNull: false,
+        defaultValue: 'open',
+      },
+      resolvedBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex(
+      'DuplicateCandidates',
+      ['leadId', 'duplicateLeadId'],
+      { unique: true }
+    );
+    await queryInterface.addIndex('DuplicateCandidates', ['status', 'score']);
+
+    // Students merged into another account keep their row, disabled
+    await queryInterface.addColumn('Users', 'mergedIntoId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'Users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_LeadActivities_type" ADD VALUE IF NOT EXISTS 'merge';`
+    );
+  },
+
+  down: async (queryInterface) => {
+    // Postgres cannot drop an enum value; 'merge' stays on LeadActivities
+    await queryInterface.removeColumn('Users', 'mergedIntoId');
+    await queryInterface.dropTable('DuplicateCandidates');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_DuplicateCandidates_status";'
+    );
+  },
+};
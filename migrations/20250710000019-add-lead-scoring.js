@@ -0,0 +1,117 @@
+'use strict';
+
+// The scoring model leads start with. Weights are relative; settings say
+// what counts as full marks for each factor.
+const DEFAULT_MODEL = {
+  weights: {
+    profile: 20,
+    testScores: 20,
+    budget: 20,
+    source: 10,
+    engagement: 20,
+    recency: 10,
+  },
+  settings: {
+    testScores: { ielts: 7, toefl: 100, pte: 65, duolingo: 120 },
+    budgetTarget: 20000,
+    sources: {
+      referral: 1,
+      walk_in: 0.8,
+      online: 0.6,
+      'Google OAuth': 0.6,
+      'Facebook OAuth': 0.6,
+    },
+    engagement: { messages: 10, appointments: 2 },
+    recencyDays: 30,
+  },
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        'LeadScoringModels',
+        {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true,
+            allowNull: false,
+          },
+          weights: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+          },
+          settings: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+          },
+          updatedBy: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        `INSERT INTO "LeadScoringModels"
+           ("id", "weights", "settings", "createdAt", "updatedAt")
+         VALUES (gen_random_uuid(), :weights, :settings, NOW(), NOW());`,
+        {
+          replacements: {
+            weights: JSON.stringify(DEFAULT_MODEL.weights),
+            settings: JSON.stringify(DEFAULT_MODEL.settings),
+          },
+          transaction,
+        }
+      );
+
+      await queryInterface.addColumn(
+        'Leads',
+        'score',
+        { type: Sequelize.INTEGER, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'scoreBreakdown',
+        { type: Sequelize.JSONB, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'scoredAt',
+        { type: Sequelize.DATE, allowNull: true },
+        { transaction }
+      );
+      // Every existing lead is scored the first time it is listed
+      await queryInterface.addColumn(
+        'Leads',
+        'scoreStale',
+        { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+        { transaction }
+      );
+      await queryInterface.addIndex('Leads', ['score'], { transaction });
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Leads', ['score']);
+    await queryInterface.removeColumn('Leads', 'scoreStale');
+    await queryInterface.removeColumn('Leads', 'scoredAt');
+    await queryInterface.removeColumn('Leads', 'scoreBreakdown');
+    await queryInterface.removeColumn('Leads', 'score');
+    await queryInterface.dropTable('LeadScoringModels');
+  },
+};
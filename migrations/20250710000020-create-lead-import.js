@@ -0,0 +1,109 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        'LeadImports',
+        {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true,
+            allowNull: false,
+          },
+          officeId: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Offices', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          fileName: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          format: {
+            type: Sequelize.ENUM('csv', 'xlsx'),
+            allowNull: false,
+          },
+          mapping: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+          },
+          source: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          status: {
+            type: Sequelize.ENUM('dry_run', 'confirmed'),
+            allowNull: false,
+            defaultValue: 'dry_run',
+          },
+          summary: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+          },
+          rows: {
+            type: Sequelize.JSONB,
+            allowNull: false,
+          },
+          createdBy: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          confirmedBy: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          confirmedAt: {
+            type: Sequelize.DATE,
+            allowNull: true,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex('LeadImports', ['officeId', 'createdAt'], {
+        transaction,
+      });
+
+      await queryInterface.addColumn(
+        'Leads',
+        'importId',
+        {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'LeadImports', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        { transaction }
+      );
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Leads', 'importId');
+    await queryInterface.dropTable('LeadImports');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_LeadImports_format";'
+    );
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_LeadImports_status";'
+    );
+  },
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        'SlaPolicies',
+        {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true,
+            allowNull: false,
+          },
+          officeId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'Offices', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          type: {
+            type: Sequelize.ENUM('first_contact', 'stage_duration'),
+            allowNull: false,
+          },
+          pipelineId: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Pipelines', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+          },
+          stage: {
+            type: Sequelize.STRING,
+            allowNull: true,
+          },
+          thresholdHours: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+          },
+          escalateAfterHours: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 24,
+          },
+          isActive: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+          },
+          createdBy: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex('SlaPolicies', ['officeId'], {
+        transaction,
+      });
+
+      await queryInterface.createTable(
+        'SlaBreaches',
+        {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true,
+            allowNull: false,
+          },
+          policyId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'SlaPolicies', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+          },
+          leadId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'Leads', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+          },
+          officeId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'Offices', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+          },
+          consultantId: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          breachedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          notifiedAt: {
+            type: Sequelize.DATE,
+            allowNull: true,
+          },
+          escalatedAt: {
+            type: Sequelize.DATE,
+            allowNull: true,
+          },
+          resolvedAt: {
+            type: Sequelize.DATE,
+            allowNull: true,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      // A lead has at most one open breach of each policy
+      await queryInterface.addIndex('SlaBreaches', ['policyId', 'leadId'], {
+        unique: true,
+        where: { resolvedAt: null },
+        name: 'sla_breaches_open_policy_lead',
+        transaction,
+      });
+      await queryInterface.addIndex('SlaBreaches', ['officeId', 'resolvedAt'], {
+        transaction,
+      });
+
+      await queryInterface.addColumn(
+        'Leads',
+        'firstContactAt',
+        { type: Sequelize.DATE, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'stageChangedAt',
+        { type: Sequelize.DATE, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'slaBreachedAt',
+        { type: Sequelize.DATE, allowNull: true },
+        { transaction }
+      );
+
+      // Existing leads take both dates from their timelines
+      await queryInterface.sequelize.query(
+        `UPDATE "Leads" l SET
+           "firstContactAt" = (
+             SELECT MIN(a."occurredAt") FROM "LeadActivities" a
+             WHERE a."leadId" = l.id
+               AND a."actorId" = l."assignedConsultant"
+               AND a.type IN ('note', 'status_change', 'message',
+                              'document', 'proposal')
+           ),
+           "stageChangedAt" = COALESCE(
+             (SELECT MAX(a."occurredAt") FROM "LeadActivities" a
+              WHERE a."leadId" = l.id AND a.type = 'status_change'),
+             l."createdAt"
+           );`,
+        { transaction }
+      );
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Leads', 'slaBreachedAt');
+    await queryInterface.removeColumn('Leads', 'stageChangedAt');
+    await queryInterface.removeColumn('Leads', 'firstContactAt');
+    await queryInterface.dropTable('SlaBreaches');
+    await queryInterface.dropTable('SlaPolicies');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_SlaPolicies_type";'
+    );
+  },
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn(
+        'Leads',
+        'parkedReason',
+        { type: Sequelize.STRING, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'parkedNote',
+        { type: Sequelize.TEXT, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'parkedAt',
+        { type: Sequelize.DATE, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'parkedUntil',
+        { type: Sequelize.DATE, allowNull: true },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        'Leads',
+        'parkedBy',
+        {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex('Leads', ['parked', 'parkedUntil'], {
+        transaction,
+      });
+
+      // Leads parked before reasons existed
+      await queryInterface.sequelize.query(
+        `UPDATE "Leads" SET "parkedReason" = 'other', "parkedAt" = "updatedAt"
+         WHERE "parked" = true;`,
+        { transaction }
+      );
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Leads', ['parked', 'parkedUntil']);
+    await queryInterface.removeColumn('Leads', 'parkedBy');
+    await queryInterface.removeColumn('Leads', 'parkedUntil');
+    await queryInterface.removeColumn('Leads', 'parkedAt');
+    await queryInterface.removeColumn('Leads', 'parkedNote');
+    await queryInterface.removeColumn('Leads', 'parkedReason');
+  },
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        'Reminders',
+        {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true,
+            allowNull: false,
+          },
+          ownerId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+          },
+          createdBy: {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+          },
+          targetType: {
+            type: Sequelize.ENUM(
+              'lead',
+              'application',
+              'appointment',
+              'student'
+            ),
+            allowNull: false,
+          },
+          targetId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+          },
+          message: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+          },
+          dueAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          remindAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          channel: {
+            type: Sequelize.ENUM('in_app', 'email', 'sms'),
+            allowNull: false,
+            defaultValue: 'in_app',
+          },
+          snoozeCount: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+          },
+          deliveredAt: {
+            type: Sequelize.DATE,
+            allowNull: true,
+          },
+          doneAt: {
+            type: Sequelize.DATE,
+            allowNull: true,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex('Reminders', ['ownerId', 'dueAt'], {
+        transaction,
+      });
+      await queryInterface.addIndex('Reminders', ['targetType', 'targetId'], {
+        transaction,
+      });
+      // What the scheduler looks for
+      await queryInterface.addIndex('Reminders', ['remindAt'], {
+        where: { deliveredAt: null, doneAt: null },
+        name: 'reminders_pending_remind_at',
+        transaction,
+      });
+
+      // Lead reminders set so far only exist on lead timelines; the ones
+      // still to come become reminders for the lead's consultant
+      await queryInterface.sequelize.query(
+        `INSERT INTO "Reminders"
+           ("id", "ownerId", "createdBy", "targetType", "targetId",
+            "message", "dueAt", "remindAt", "createdAt", "updatedAt")
+         SELECT gen_random_uuid(),
+                COALESCE(l."assignedConsultant", a."actorId"),
+                a."actorId", 'lead', l.id,
+                regexp_replace(a.summary, '^Reminder: ', ''),
+                (a.payload->>'dueDate')::timestamptz,
+                (a.payload->>'dueDate')::timestamptz,
+                a."createdAt", NOW()
+         FROM "LeadActivities" a
+         JOIN "Leads" l ON l.id = a."leadId"
+         WHERE a.type = 'reminder'
+           AND (a.payload->>'dueDate')::timestamptz > NOW()
+           AND COALESCE(l."assignedConsultant", a."actorId") IS NOT NULL;`,
+        { transaction }
+      );
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('Reminders');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_Reminders_targetType";'
+    );
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_Reminders_channel";'
+    );
+  },
+};
@@ -0,0 +1,102 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApiKey extends Model {
+    static associate(models) {
+      ApiKey.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'creator',
+      });
+
+      // Optional office the key is limited to
+      ApiKey.belongsTo(models.Office, {
+        foreignKey: 'officeId',
+        as: 'office',
+      });
+    }
+
+    isActive() {
+      return (
+        !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+      );
+    }
+  }
+
+  ApiKey.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // First characters of the key, shown so admins can tell keys apart
+      keyPrefix: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      keyHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      permissions: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      officeId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Offices',
+          key: 'id',
+        },
+      },
+      rateLimitPerMinute: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 60,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastUsedIp: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ApiKey',
+      tableName: 'ApiKeys',
+      timestamps: true,
+      defaultScope: {
+        attributes: { exclude: ['keyHash'] },
+      },
+    }
+  );
+
+  return ApiKey;
+};
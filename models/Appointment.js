@@ -80,6 +80,14 @@ module.exports = (sequelize, DataTypes) => {
       modelName: 'Appointment',
       tableName: 'Appointments',
       timestamps: true,
+      hooks: {
+        // Attended appointments count towards the student's lead scores
+        afterSave: (appointment, options) =>
+          sequelize.models.Lead.markScoreStale(
+            { studentId: appointment.studentId },
+            options
+          ),
+      },
     }
   );
 
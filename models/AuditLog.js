@@ -0,0 +1,69 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AuditLog extends Model {
+    static associate(models) {
+      // User who performed the action (null for anonymous/system events)
+      AuditLog.belongsTo(models.User, {
+        foreignKey: 'actorId',
+        as: 'actor',
+      });
+
+      // User the action was performed on
+      AuditLog.belongsTo(models.User, {
+        foreignKey: 'targetUserId',
+        as: 'targetUser',
+      });
+    }
+  }
+
+  AuditLog.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      action: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        // e.g. account_locked, account_unlocked
+      },
+      actorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      targetUserId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      details: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: {},
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AuditLog',
+      tableName: 'AuditLogs',
+      timestamps: true,
+      updatedAt: false,
+    }
+  );
+
+  return AuditLog;
+};
@@ -0,0 +1,92 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DuplicateCandidate extends Model {
+    static associate(models) {
+      DuplicateCandidate.belongsTo(models.Lead, {
+        foreignKey: 'leadId',
+        as: 'lead',
+      });
+      DuplicateCandidate.belongsTo(models.Lead, {
+        foreignKey: 'duplicateLeadId',
+        as: 'duplicateLead',
+      });
+      DuplicateCandidate.belongsTo(models.User, {
+        foreignKey: 'resolvedBy',
+        as: 'resolver',
+      });
+    }
+  }
+
+  // Two leads that look like the same student, waiting for a manager to
+  // merge or dismiss them. A merged pair stays as a record of the merge, its
+  // merged lead's id cleared when the lead is deleted.
+  DuplicateCandidate.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // The older lead
+      leadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Leads',
+          key: 'id',
+        },
+      },
+      // The lead that was found to match it
+      duplicateLeadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Leads',
+          key: 'id',
+        },
+      },
+      // 0-100; how many of the signals in `reasons` matched
+      score: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Any of 'email', 'phone', 'name_dob'
+      reasons: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'dismissed', 'merged'),
+        allowNull: false,
+        defaultValue: 'open',
+      },
+      resolvedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'DuplicateCandidate',
+      tableName: 'DuplicateCandidates',
+      timestamps: true,
+      indexes: [
+        { unique: true, fields: ['leadId', 'duplicateLeadId'] },
+        { fields: ['status', 'score'] },
+      ],
+    }
+  );
+
+  return DuplicateCandidate;
+};
@@ -32,7 +32,31 @@ module.exports = (sequelize, DataTypes) => {
         as: 'proposals',
       });
 
-      //
+      Lead.hasMany(models.LeadActivity, {
+        foreignKey: 'leadId',
+        as: 'activities',
+      });
+
+      Lead.belongsTo(models.Pipeline, {
+        foreignKey: 'pipelineId',
+        as: 'pipeline',
+      });
+
+      Lead.belongsTo(models.LeadImport, {
+        foreignKey: 'importId',
+        as: 'import',
+      });
+
+      Lead.hasMany(models.SlaBreach, {
+        foreignKey: 'leadId',
+        as: 'slaBreaches',
+      });
+    }
+
+    // Flags the leads matching `where` to be rescored by the background
+    // `scores` job; see leadScoringService.refreshScores
+    static markScoreStale(where, { transaction } = {}) {
+      return Lead.update({ scoreStale: true }, { where, transaction });
     }
   }
 
@@ -67,17 +91,71 @@ module.exports = (sequelize, DataTypes) => {
           key: 'id',
         },
       },
+      pipelineId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Pipelines',
+          key: 'id',
+        },
+      },
+      // The key of the lead's stage in its pipeline. Change it through
+      // pipelineService.transitionLead so the pipeline's rules apply.
       status: {
         type: DataTypes.STRING,
         defaultValue: 'lead',
         allowNull: false,
-        // Recommended values: lead, opportunity, project, done, deal
       },
+      // Set while the lead is in a lost stage
+      lossReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Parked leads are set aside: they count towards no workload or SLA
+      // and wake up on parkedUntil, if set. See leadParkingService.
       parked: {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
         allowNull: false,
       },
+      // One of leadParkingService.REASONS, with the details in parkedNote
+      parkedReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      parkedNote: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      parkedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      parkedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      parkedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      // GeoIP result for where the student signed up from (country,
+      // countryCode, region, city, latitude, longitude), used by
+      // location-based distribution rules
+      signupLocation: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      // Held back from assignment until the student confirms their email
+      pendingEmailVerification: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+      },
       source: {
         type: DataTypes.ENUM(
           'walk_in',
@@ -96,9 +174,51 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.ENUM('english', 'urdu'),
         allowNull: true,
       },
-      history: {
+      // The spreadsheet import that created the lead, if any
+      importId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'LeadImports',
+          key: 'id',
+        },
+      },
+      // 0-100 from the lead scoring model, with the points each factor
+      // contributed in scoreBreakdown
+      score: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      scoreBreakdown: {
         type: DataTypes.JSONB,
-        defaultValue: [],
+        allowNull: true,
+      },
+      scoredAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Set when something the score depends on changed
+      scoreStale: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      // When the assigned consultant first worked on the lead; set by
+      // leadActivityService.record
+      firstContactAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // When the lead entered its current stage
+      stageChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+      },
+      // The oldest open SLA breach, kept up to date by slaService.evaluate
+      slaBreachedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
       },
     },
     {
@@ -106,6 +226,27 @@ module.exports = (sequelize, DataTypes) => {
       modelName: 'Lead',
       tableName: 'Leads',
       timestamps: true,
+      hooks: {
+        // New leads join the default pipeline at its first stage
+        beforeCreate: async (lead, options) => {
+          if (lead.pipelineId) return;
+          const pipeline = await sequelize.models.Pipeline.findOne({
+            where: { isDefault: true },
+            transaction: options.transaction,
+          });
+          if (!pipeline) return;
+          lead.pipelineId = pipeline.id;
+          lead.status = pipeline.stages[0].key;
+        },
+        beforeUpdate: (lead) => {
+          if (lead.changed('source') || lead.changed('studyPreferences')) {
+            lead.scoreStale = true;
+          }
+          if (lead.changed('status')) {
+            lead.stageChangedAt = new Date();
+          }
+        },
+      },
     }
   );
 
@@ -0,0 +1,97 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LeadActivity extends Model {
+    static associate(models) {
+      LeadActivity.belongsTo(models.Lead, {
+        foreignKey: 'leadId',
+        as: 'lead',
+      });
+      LeadActivity.belongsTo(models.User, {
+        foreignKey: 'actorId',
+        as: 'actor',
+      });
+    }
+  }
+
+  // One event on a lead's timeline; see leadActivityService.TYPES
+  LeadActivity.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      leadId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Leads',
+          key: 'id',
+        },
+      },
+      type: {
+        type: DataTypes.ENUM(
+          'created',
+          'status_change',
+          'note',
+          'assignment',
+          'reassignment',
+          'reminder',
+          'document',
+          'proposal',
+          'message',
+          'parking',
+          'merge',
+          'other'
+        ),
+        allowNull: false,
+      },
+      // Who did it; null for the system and for deleted users
+      actorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      // One line for people, e.g. the note text or "Status updated from
+      // lead to opportunity"
+      summary: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      // Type-specific details, e.g. { from, to } for a status change
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'LeadActivity',
+      tableName: 'LeadActivities',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [{ fields: ['leadId', 'occurredAt'] }, { fields: ['type'] }],
+      hooks: {
+        // The latest activity sets the lead's recency score
+        afterCreate: (activity, options) =>
+          sequelize.models.Lead.markScoreStale(
+            { id: activity.leadId },
+            options
+          ),
+      },
+    }
+  );
+
+  return LeadActivity;
+};
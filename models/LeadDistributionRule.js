@@ -14,6 +14,11 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'consultantId',
         as: 'consultant',
       });
+
+      LeadDistributionRule.belongsTo(models.User, {
+        foreignKey: 'lastAssignedConsultantId',
+        as: 'lastAssignedConsultant',
+      });
     }
   }
 
@@ -48,6 +53,27 @@ module.exports = (sequelize, DataTypes) => {
           key: 'id',
         },
       },
+      // 'fixed' assigns consultantId; the others pick among the office's
+      // consultants (see consultantAssignmentService)
+      strategy: {
+        type: DataTypes.ENUM(
+          'fixed',
+          'round_robin',
+          'least_open_leads',
+          'weighted'
+        ),
+        allowNull: false,
+        defaultValue: 'fixed',
+      },
+      // Where round-robin continues from
+      lastAssignedConsultantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
     },
     {
       sequelize,
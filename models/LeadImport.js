@@ -0,0 +1,111 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LeadImport extends Model {
+    static associate(models) {
+      LeadImport.belongsTo(models.Office, {
+        foreignKey: 'officeId',
+        as: 'office',
+      });
+      LeadImport.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'creator',
+      });
+      LeadImport.belongsTo(models.User, {
+        foreignKey: 'confirmedBy',
+        as: 'confirmer',
+      });
+      LeadImport.hasMany(models.Lead, {
+        foreignKey: 'importId',
+        as: 'leads',
+      });
+    }
+  }
+
+  // A spreadsheet of prospects. It is checked as a dry run first; nothing
+  // is created until it is confirmed. See leadImportService.
+  LeadImport.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // The manager's office for office imports; the default office for
+      // rows without one on super admin imports
+      officeId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Offices',
+          key: 'id',
+        },
+      },
+      fileName: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      format: {
+        type: DataTypes.ENUM('csv', 'xlsx'),
+        allowNull: false,
+      },
+      // Import field -> column header, e.g. { email: 'E-mail address' }
+      mapping: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      // Lead source for rows without one
+      source: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM('dry_run', 'confirmed'),
+        allowNull: false,
+        defaultValue: 'dry_run',
+      },
+      // How many rows are { total, valid, duplicate, invalid, imported,
+      // skipped }
+      summary: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      // One report entry per spreadsheet row:
+      // { row, status, data, errors, matches, result, leadId }
+      rows: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      confirmedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      confirmedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'LeadImport',
+      tableName: 'LeadImports',
+      timestamps: true,
+      indexes: [{ fields: ['officeId', 'createdAt'] }],
+    }
+  );
+
+  return LeadImport;
+};
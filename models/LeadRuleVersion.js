@@ -0,0 +1,81 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LeadRuleVersion extends Model {
+    static associate(models) {
+      LeadRuleVersion.belongsTo(models.User, {
+        foreignKey: 'authorId',
+        as: 'author',
+      });
+    }
+  }
+
+  // Immutable: one row per change to a LeadDistributionRule
+  const immutable = () => {
+    throw new Error('Lead rule versions cannot be changed');
+  };
+
+  LeadRuleVersion.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // Not a foreign key, so versions outlive a deleted rule
+      ruleId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      action: {
+        type: DataTypes.ENUM('created', 'updated', 'deleted', 'rolled_back'),
+        allowNull: false,
+      },
+      // The rule as it stood after this change (before it, for deletes)
+      snapshot: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      // { field: { from, to } } for every field the change touched
+      changes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      authorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      // Set on rollbacks
+      restoredFromVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'LeadRuleVersion',
+      tableName: 'LeadRuleVersions',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [{ unique: true, fields: ['ruleId', 'version'] }],
+      hooks: {
+        beforeUpdate: immutable,
+        beforeDestroy: immutable,
+        beforeBulkUpdate: immutable,
+        beforeBulkDestroy: immutable,
+      },
+    }
+  );
+
+  return LeadRuleVersion;
+};
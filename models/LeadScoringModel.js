@@ -0,0 +1,54 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LeadScoringModel extends Model {
+    static associate(models) {
+      LeadScoringModel.belongsTo(models.User, {
+        foreignKey: 'updatedBy',
+        as: 'editor',
+      });
+    }
+  }
+
+  // How lead scores are computed; there is a single row. See
+  // leadScoringService for what each factor measures.
+  LeadScoringModel.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // Relative weight of each factor: { profile, testScores, budget,
+      // source, engagement, recency }
+      weights: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      // What earns full marks: { testScores: { ielts: 7, ... },
+      // budgetTarget, sources: { referral: 1, ... },
+      // engagement: { messages, appointments }, recencyDays }
+      settings: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      updatedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'LeadScoringModel',
+      tableName: 'LeadScoringModels',
+      timestamps: true,
+    }
+  );
+
+  return LeadScoringModel;
+};
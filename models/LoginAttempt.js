@@ -0,0 +1,54 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LoginAttempt extends Model {
+    static associate(models) {
+      // Attempt may belong to a known User
+      LoginAttempt.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+      });
+    }
+  }
+
+  LoginAttempt.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      successful: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'LoginAttempt',
+      tableName: 'LoginAttempts',
+      timestamps: true,
+      updatedAt: false,
+    }
+  );
+
+  return LoginAttempt;
+};
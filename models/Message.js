@@ -144,6 +144,12 @@ module.exports = (sequelize, DataTypes) => {
             message.conversationHash = `${ids[0]}_${ids[1]}`;
           }
         },
+        // Messages from a student count towards their lead scores
+        afterCreate: (message, options) =>
+          sequelize.models.Lead.markScoreStale(
+            { studentId: message.senderId },
+            options
+          ),
       },
     }
   );
@@ -91,6 +91,12 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         allowNull: true,
       },
+      // Staff roles that must use two-factor authentication in this office
+      twoFactorRequiredRoles: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
     },
     {
       sequelize,
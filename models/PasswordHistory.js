@@ -0,0 +1,45 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PasswordHistory extends Model {
+    static associate(models) {
+      PasswordHistory.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+      });
+    }
+  }
+
+  PasswordHistory.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      // bcrypt hash of a password the user has had before
+      passwordHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'PasswordHistory',
+      tableName: 'PasswordHistories',
+      timestamps: true,
+      updatedAt: false,
+    }
+  );
+
+  return PasswordHistory;
+};
@@ -0,0 +1,61 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    static associate(models) {
+      PasswordResetToken.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+      });
+    }
+
+    isUsable() {
+      return !this.usedAt && this.expiresAt > new Date();
+    }
+  }
+
+  PasswordResetToken.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      // Only the sha256 of the emailed token is stored
+      tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'PasswordResetToken',
+      tableName: 'PasswordResetTokens',
+      timestamps: true,
+    }
+  );
+
+  return PasswordResetToken;
+};
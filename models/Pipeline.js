@@ -0,0 +1,60 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Pipeline extends Model {
+    static associate(models) {
+      Pipeline.hasMany(models.Lead, {
+        foreignKey: 'pipelineId',
+        as: 'leads',
+      });
+    }
+  }
+
+  Pipeline.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      // Ordered: [{ key, name, type: open|won|lost, requiredFields }]. A
+      // lead's status is the key of its stage; new leads start at the first.
+      stages: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      // { fromKey: [toKey, ...] }; won and lost stages have no way out
+      transitions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      // What a lead moved to a lost stage may be recorded as lost for
+      lossReasons: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Leads created without a pipeline join this one
+      isDefault: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Pipeline',
+      tableName: 'Pipelines',
+      timestamps: true,
+    }
+  );
+
+  return Pipeline;
+};
@@ -0,0 +1,110 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Reminder extends Model {
+    static associate(models) {
+      Reminder.belongsTo(models.User, {
+        foreignKey: 'ownerId',
+        as: 'owner',
+      });
+      Reminder.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'creator',
+      });
+    }
+  }
+
+  // Something `ownerId` should be told about at `dueAt`. The scheduler
+  // delivers it at `remindAt`, which starts at (or before) `dueAt` and
+  // moves on when the reminder is snoozed. See reminderService.
+  Reminder.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      ownerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      // What the reminder is about; targetId is the id of that lead,
+      // application, appointment or student (user)
+      targetType: {
+        type: DataTypes.ENUM('lead', 'application', 'appointment', 'student'),
+        allowNull: false,
+      },
+      targetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      dueAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      remindAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      channel: {
+        type: DataTypes.ENUM('in_app', 'email', 'sms'),
+        allowNull: false,
+        defaultValue: 'in_app',
+      },
+      snoozeCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Cleared when the reminder is snoozed, so it is delivered again
+      deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      doneAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      overdue: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return !this.doneAt && this.dueAt <= new Date();
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Reminder',
+      tableName: 'Reminders',
+      timestamps: true,
+      indexes: [
+        { fields: ['ownerId', 'dueAt'] },
+        { fields: ['targetType', 'targetId'] },
+        {
+          name: 'reminders_pending_remind_at',
+          fields: ['remindAt'],
+          where: { deliveredAt: null, doneAt: null },
+        },
+      ],
+    }
+  );
+
+  return Reminder;
+};
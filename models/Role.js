@@ -0,0 +1,65 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Role extends Model {
+    static associate(models) {
+      // Users holding this custom role
+      Role.hasMany(models.User, {
+        foreignKey: 'customRoleId',
+        as: 'users',
+      });
+
+      Role.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'creator',
+      });
+    }
+  }
+
+  Role.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // Built-in role a user must have to hold this custom role
+      baseRole: {
+        type: DataTypes.ENUM('manager', 'consultant', 'receptionist'),
+        allowNull: false,
+      },
+      // Replaces the base role's default permissions
+      permissions: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Role',
+      tableName: 'Roles',
+      timestamps: true,
+    }
+  );
+
+  return Role;
+};
@@ -0,0 +1,106 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SlaBreach extends Model {
+    static associate(models) {
+      SlaBreach.belongsTo(models.SlaPolicy, {
+        foreignKey: 'policyId',
+        as: 'policy',
+      });
+      SlaBreach.belongsTo(models.Lead, {
+        foreignKey: 'leadId',
+        as: 'lead',
+      });
+      SlaBreach.belongsTo(models.Office, {
+        foreignKey: 'officeId',
+        as: 'office',
+      });
+      SlaBreach.belongsTo(models.User, {
+        foreignKey: 'consultantId',
+        as: 'consultant',
+      });
+    }
+  }
+
+  // A lead failing an SLA policy. It stays open until the lead meets the
+  // policy again, e.g. is contacted or leaves the stage.
+  SlaBreach.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      policyId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'SlaPolicies',
+          key: 'id',
+        },
+      },
+      leadId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Leads',
+          key: 'id',
+        },
+      },
+      officeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Offices',
+          key: 'id',
+        },
+      },
+      // The lead's consultant when the breach was found
+      consultantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      breachedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      // When the consultant was told; leads without one go straight to
+      // the manager
+      notifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // When the office manager was told
+      escalatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'SlaBreach',
+      tableName: 'SlaBreaches',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'sla_breaches_open_policy_lead',
+          unique: true,
+          fields: ['policyId', 'leadId'],
+          where: { resolvedAt: null },
+        },
+        { fields: ['officeId', 'resolvedAt'] },
+      ],
+    }
+  );
+
+  return SlaBreach;
+};
@@ -0,0 +1,103 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SlaPolicy extends Model {
+    static associate(models) {
+      SlaPolicy.belongsTo(models.Office, {
+        foreignKey: 'officeId',
+        as: 'office',
+      });
+      SlaPolicy.belongsTo(models.Pipeline, {
+        foreignKey: 'pipelineId',
+        as: 'pipeline',
+      });
+      SlaPolicy.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'creator',
+      });
+      SlaPolicy.hasMany(models.SlaBreach, {
+        foreignKey: 'policyId',
+        as: 'breaches',
+      });
+    }
+  }
+
+  // How long an office's leads may wait. `first_contact` policies are
+  // breached by leads their consultant has not contacted within
+  // thresholdHours of creation; `stage_duration` policies by leads that
+  // have been in `stage` for longer than thresholdHours. See slaService.
+  SlaPolicy.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      officeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Offices',
+          key: 'id',
+        },
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.ENUM('first_contact', 'stage_duration'),
+        allowNull: false,
+      },
+      // Limits a stage_duration policy to one pipeline; otherwise `stage`
+      // is matched in every pipeline that has it
+      pipelineId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Pipelines',
+          key: 'id',
+        },
+      },
+      // Stage key, for stage_duration policies
+      stage: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      thresholdHours: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // How long the consultant has to deal with a breach before the
+      // office manager is told
+      escalateAfterHours: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 24,
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'SlaPolicy',
+      tableName: 'SlaPolicies',
+      timestamps: true,
+      indexes: [{ fields: ['officeId'] }],
+    }
+  );
+
+  return SlaPolicy;
+};
@@ -0,0 +1,85 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class StaffInvite extends Model {
+    static associate(models) {
+      StaffInvite.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      StaffInvite.belongsTo(models.User, {
+        foreignKey: 'invitedById',
+        as: 'invitedBy',
+      });
+    }
+
+    getStatus() {
+      if (this.acceptedAt) return 'accepted';
+      if (this.revokedAt) return 'revoked';
+      if (this.expiresAt <= new Date()) return 'expired';
+      return 'pending';
+    }
+
+    isUsable() {
+      return this.getStatus() === 'pending';
+    }
+  }
+
+  StaffInvite.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      // The inactive, passwordless account the invitee will take over
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      invitedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      // Only the sha256 of the emailed token is stored
+      tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      lastSentAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'StaffInvite',
+      tableName: 'StaffInvites',
+      timestamps: true,
+      defaultScope: {
+        attributes: { exclude: ['tokenHash'] },
+      },
+    }
+  );
+
+  return StaffInvite;
+};
@@ -63,6 +63,14 @@ module.exports = (sequelize, DataTypes) => {
       modelName: 'StudentProfile',
       tableName: 'StudentProfiles',
       timestamps: true,
+      hooks: {
+        // The profile feeds the student's lead scores
+        afterSave: (profile, options) =>
+          sequelize.models.Lead.markScoreStale(
+            { studentId: profile.userId },
+            options
+          ),
+      },
     }
   );
 
@@ -55,6 +55,31 @@ module.exports = (sequelize, DataTypes) => {
         as: 'consultantProposals',
       });
 
+      this.hasMany(models.UserSession, {
+        foreignKey: 'userId',
+        as: 'sessions',
+      });
+
+      this.belongsTo(models.Role, {
+        foreignKey: 'customRoleId',
+        as: 'customRole',
+      });
+
+      this.hasMany(models.PasswordResetToken, {
+        foreignKey: 'userId',
+        as: 'passwordResetTokens',
+      });
+
+      this.hasMany(models.PasswordHistory, {
+        foreignKey: 'userId',
+        as: 'passwordHistory',
+      });
+
+      this.hasMany(models.UserIdentity, {
+        foreignKey: 'userId',
+        as: 'identities',
+      });
+
       this.hasMany(models.Checklist, {
         foreignKey: 'studentId',
         as: 'studentChecklists', // user.getStudentChecklists()
@@ -84,6 +109,16 @@ module.exports = (sequelize, DataTypes) => {
         unique: true,
       },
       password: DataTypes.STRING,
+      passwordChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Set when someone else chose the password; cleared by the next change
+      mustChangePassword: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
       role: DataTypes.ENUM(
         'super_admin',
         'manager',
@@ -92,6 +127,15 @@ module.exports = (sequelize, DataTypes) => {
         'student'
       ),
       officeId: DataTypes.UUID,
+      // Optional custom role; its permissions replace the built-in role's
+      customRoleId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Roles',
+          key: 'id',
+        },
+      },
       name: DataTypes.STRING,
       isProfileCreated: DataTypes.BOOLEAN,
       phone: DataTypes.STRING,
@@ -110,10 +154,96 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: 'pending',
       },
+      lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      unlockTokenHash: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Students who sign up with a password start unverified
+      isEmailVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      emailVerificationTokenHash: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      emailVerificationExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Encrypted TOTP seeds; see utils/encryption.js
+      twoFactorSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      twoFactorPendingSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // TOTP time step (30s periods since the epoch) of the last code
+      // accepted; codes from that step or earlier are not accepted again
+      twoFactorLastStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // sha256 hashes of unused recovery codes
+      twoFactorRecoveryCodes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Set on a student account that was merged into another; such
+      // accounts are deactivated and everything they owned moved across
+      mergedIntoId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
     },
     {
       sequelize,
       modelName: 'User',
+      // Keep credential material out of API responses; use
+      // User.scope('withSecrets') where it is actually needed.
+      defaultScope: {
+        attributes: {
+          exclude: [
+            'unlockTokenHash',
+            'emailVerificationTokenHash',
+            'twoFactorSecret',
+            'twoFactorPendingSecret',
+            'twoFactorRecoveryCodes',
+            'twoFactorLastStep',
+          ],
+        },
+      },
+      scopes: {
+        withSecrets: {},
+      },
+      hooks: {
+        // A password change by any route voids outstanding reset links
+        afterUpdate: async (user, options) => {
+          if (user.changed('password')) {
+            await sequelize.models.PasswordResetToken.destroy({
+              where: { userId: user.id, usedAt: null },
+              transaction: options.transaction,
+            });
+          }
+        },
+      },
     }
   );
   return User;
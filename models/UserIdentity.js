@@ -0,0 +1,62 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class UserIdentity extends Model {
+    static associate(models) {
+      UserIdentity.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  UserIdentity.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      provider: {
+        type: DataTypes.ENUM('google', 'facebook'),
+        allowNull: false,
+      },
+      // The provider's stable account id (profile.id), not the email
+      providerUserId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Email reported by the provider when the identity was last used
+      email: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      displayName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UserIdentity',
+      tableName: 'UserIdentities',
+      timestamps: true,
+      indexes: [
+        { unique: true, fields: ['provider', 'providerUserId'] },
+        { unique: true, fields: ['userId', 'provider'] },
+      ],
+    }
+  );
+
+  return UserIdentity;
+};
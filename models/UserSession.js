@@ -0,0 +1,96 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class UserSession extends Model {
+    static associate(models) {
+      // Session belongs to a User
+      UserSession.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+      });
+
+      UserSession.belongsTo(models.User, {
+        foreignKey: 'impersonatorId',
+        as: 'impersonator',
+      });
+    }
+
+    isActive() {
+      return !this.revokedAt && this.expiresAt > new Date();
+    }
+  }
+
+  UserSession.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+      refreshTokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      // Hash of the refresh token this one replaced, kept to detect reuse
+      previousRefreshTokenHash: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revokedReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      deviceName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Set when a super admin opened this session to act as the user
+      impersonatorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UserSession',
+      tableName: 'UserSessions',
+      timestamps: true,
+    }
+  );
+
+  return UserSession;
+};
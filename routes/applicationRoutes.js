@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const applicationController = require('../controllers/applicationController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // ===========================
 // STUDENT APPLICATION ROUTES
@@ -41,7 +42,7 @@ const { protect, restrictTo } = require('../middleware/authMiddleware');
  *       404:
  *         description: Student profile not found
  */
-router.get('/student/eligibility', protect, restrictTo('student'), applicationController.checkEligibility);
+router.get('/student/eligibility', protect, requirePermission(PERMISSIONS.APPLICATION_APPLY), applicationController.checkEligibility);
 
 /**
  * @swagger
@@ -146,7 +147,7 @@ router.get('/student/eligibility', protect, restrictTo('student'), applicationCo
  *       401:
  *         description: Unauthorized
  */
-router.post('/student/create', protect, restrictTo('student'), applicationController.createApplication);
+router.post('/student/create', protect, requirePermission(PERMISSIONS.APPLICATION_APPLY), applicationController.createApplication);
 
 /**
  * @swagger
@@ -194,7 +195,7 @@ router.post('/student/create', protect, restrictTo('student'), applicationContro
  *       401:
  *         description: Unauthorized
  */
-router.get('/student/universities', protect, restrictTo('student'), applicationController.getUniversities);
+router.get('/student/universities', protect, requirePermission(PERMISSIONS.APPLICATION_APPLY), applicationController.getUniversities);
 
 /**
  * @swagger
@@ -247,7 +248,7 @@ router.get('/student/universities', protect, restrictTo('student'), applicationC
  *       404:
  *         description: Application not found
  */
-router.put('/student/:id/universities', protect, restrictTo('student'), applicationController.selectUniversities);
+router.put('/student/:id/universities', protect, requirePermission(PERMISSIONS.APPLICATION_APPLY), applicationController.selectUniversities);
 
 /**
  * @swagger
@@ -276,7 +277,7 @@ router.put('/student/:id/universities', protect, restrictTo('student'), applicat
  *       404:
  *         description: Application not found
  */
-router.post('/student/:id/submit', protect, restrictTo('student'), applicationController.submitApplication);
+router.post('/student/:id/submit', protect, requirePermission(PERMISSIONS.APPLICATION_APPLY), applicationController.submitApplication);
 
 /**
  * @swagger
@@ -304,7 +305,7 @@ router.post('/student/:id/submit', protect, restrictTo('student'), applicationCo
  *       401:
  *         description: Unauthorized
  */
-router.get('/student/my-applications', protect, restrictTo('student'), applicationController.getMyApplications);
+router.get('/student/my-applications', protect, requirePermission(PERMISSIONS.APPLICATION_APPLY), applicationController.getMyApplications);
 
 /**
  * @swagger
@@ -355,7 +356,7 @@ router.get('/student/my-applications', protect, restrictTo('student'), applicati
  *       404:
  *         description: Application not found
  */
-router.put('/student/:id/offers', protect, restrictTo('student'), applicationController.manageOffers);
+router.put('/student/:id/offers', protect, requirePermission(PERMISSIONS.APPLICATION_APPLY), applicationController.manageOffers);
 
 // ===========================
 // CONSULTANT APPLICATION ROUTES
@@ -389,7 +390,7 @@ router.put('/student/:id/offers', protect, restrictTo('student'), applicationCon
  *       403:
  *         description: Forbidden
  */
-router.get('/consultant/applications', protect, restrictTo('consultant'), applicationController.getAssignedApplications);
+router.get('/consultant/applications', protect, requirePermission(PERMISSIONS.APPLICATION_REVIEW), applicationController.getAssignedApplications);
 
 /**
  * @swagger
@@ -433,7 +434,7 @@ router.get('/consultant/applications', protect, restrictTo('consultant'), applic
  *       404:
  *         description: Application not found
  */
-router.put('/consultant/:id/review', protect, restrictTo('consultant'), applicationController.reviewApplication);
+router.put('/consultant/:id/review', protect, requirePermission(PERMISSIONS.APPLICATION_REVIEW), applicationController.reviewApplication);
 
 /**
  * @swagger
@@ -477,7 +478,7 @@ router.put('/consultant/:id/review', protect, restrictTo('consultant'), applicat
  *       404:
  *         description: Application not found
  */
-router.put('/consultant/:id/status', protect, restrictTo('consultant'), applicationController.updateApplicationStatus);
+router.put('/consultant/:id/status', protect, requirePermission(PERMISSIONS.APPLICATION_REVIEW), applicationController.updateApplicationStatus);
 
 // ===========================
 // SUPER ADMIN APPLICATION ROUTES
@@ -526,7 +527,7 @@ router.put('/consultant/:id/status', protect, restrictTo('consultant'), applicat
  *       403:
  *         description: Forbidden
  */
-router.get('/super-admin/applications', protect, restrictTo('super_admin'), applicationController.getAllApplications);
+router.get('/super-admin/applications', protect, requirePermission(PERMISSIONS.APPLICATION_VIEW_ALL), applicationController.getAllApplications);
 
 /**
  * @swagger
@@ -561,6 +562,6 @@ router.get('/super-admin/applications', protect, restrictTo('super_admin'), appl
  *       403:
  *         description: Forbidden
  */
-router.get('/super-admin/statistics', protect, restrictTo('super_admin'), applicationController.getApplicationStats);
+router.get('/super-admin/statistics', protect, requirePermission(PERMISSIONS.APPLICATION_VIEW_ALL), applicationController.getApplicationStats);
 
 module.exports = router;
\ No newline at end of file
@@ -3,8 +3,53 @@ const router = express.Router();
 const passport = require('passport');
 require('../config/passport');
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
-const jwt = require('jsonwebtoken');
+const {
+  protect,
+  protectTwoFactorSetup,
+  blockImpersonation,
+  requireUser,
+} = require('../middleware/authMiddleware');
+const { loginLimiter, authLimiter } = require('../middleware/rateLimiter');
+const { validate, acceptInviteSchema } = require('../middleware/validator');
+// Where a finished account-settings link sends the browser back to
+const linkedAccountsRedirect = (query) =>
+  `${process.env.FRONTEND_URL}/account/linked-accounts?${query}`;
+
+// A `linkToken` from POST /identities/:provider/link travels through the
+// provider as the OAuth state, so the callback links instead of signing in.
+const startOAuth = (provider, scope) => (req, res, next) =>
+  passport.authenticate(provider, {
+    scope,
+    session: false,
+    state: req.query.linkToken,
+  })(req, res, next);
+
+const finishOAuth = (provider) => (req, res, next) =>
+  passport.authenticate(
+    provider,
+    { session: false },
+    async (err, user, info) => {
+      try {
+        if (err) return next(err);
+        const linking = Boolean(req.query.state);
+        if (!user) {
+          const error = encodeURIComponent(info?.message || 'oauth_failed');
+          return res.redirect(
+            linking
+              ? linkedAccountsRedirect(`error=${error}`)
+              : `${process.env.FRONTEND_URL}/login?error=${error}`
+          );
+        }
+        if (linking) {
+          return res.redirect(linkedAccountsRedirect(`linked=${provider}`));
+        }
+
+        await authController.completeOAuthLogin(req, res, user);
+      } catch (error) {
+        next(error);
+      }
+    }
+  )(req, res, next);
 
 /**
  * @swagger
@@ -12,7 +57,13 @@ const jwt = require('jsonwebtoken');
  *   get:
  *     summary: Initiate Google OAuth login
  *     tags: [Auth]
- *     description: Redirects the user to Google for authentication using OAuth 2.0.
+ *     description: Redirects the user to Google for authentication using OAuth 2.0. Pass the `linkToken` from `POST /auth/identities/google/link` to link Google to the signed-in account instead of signing in.
+ *     parameters:
+ *       - in: query
+ *         name: linkToken
+ *         schema:
+ *           type: string
+ *         required: false
  *     responses:
  *       302:
  *         description: Redirects to Google OAuth login page.
@@ -20,10 +71,7 @@ const jwt = require('jsonwebtoken');
  *         description: Server error initiating OAuth login
  */
 // Redirect user to Google
-router.get(
-  '/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
-);
+router.get('/google', startOAuth('google', ['profile', 'email']));
 
 /**
  * @swagger
@@ -31,7 +79,7 @@ router.get(
  *   get:
  *     summary: Google OAuth callback
  *     tags: [Auth]
- *     description: Handles Google’s OAuth callback, signs the user in or creates an account, and redirects to the frontend with a JWT.
+ *     description: Handles Google’s OAuth callback, signs the user in or creates an account, and redirects to the frontend with a JWT. Users who must pass two-factor authentication are redirected to `/two-factor` with a `challengeToken` instead, and users whose password must be changed to `/change-password`. Locked accounts go to `/login?error=account_locked`. The Google account is matched by its id once linked; otherwise only a student account with the same, Google-verified email is linked automatically. Staff accounts are never signed in this way until linked from account settings, and refused sign-ins redirect to `/login?error=<reason>`. Link flows return to `/account/linked-accounts`.
  *     parameters:
  *       - in: query
  *         name: code
@@ -51,24 +99,7 @@ router.get(
  *         description: Authentication failed
  */
 // Google OAuth callback
-router.get(
-  '/google/callback',
-  passport.authenticate('google', { session: false, failureRedirect: '/' }),
-  async (req, res) => {
-    const user = req.user;
-
-    const token = jwt.sign(
-      { id: user.id, role: user.role, officeId: user.officeId },
-      process.env.JWT_SECRET
-    );
-
-    // Redirect with token in query (e.g., to frontend)
-    res.redirect(
-      `${process.env.FRONTEND_URL}/oauth-success?token=${token}&user=${JSON.stringify(user)}`
-    );
-  }
-);
-
+router.get('/google/callback', finishOAuth('google'));
 
 /**
  * @swagger
@@ -76,15 +107,18 @@ router.get(
  *   get:
  *     summary: Initiate Facebook OAuth login
  *     tags: [Auth]
- *     description: Redirects the user to Facebook for authentication.
+ *     description: Redirects the user to Facebook for authentication. Only available when `FACEBOOK_APP_ID` is configured. Accepts a `linkToken` like `/auth/google`.
+ *     parameters:
+ *       - in: query
+ *         name: linkToken
+ *         schema:
+ *           type: string
+ *         required: false
  *     responses:
  *       302:
  *         description: Redirects to Facebook login page
  */
-router.get(
-  '/facebook',
-  passport.authenticate('facebook', { scope: ['email'] })
-);
+router.get('/facebook', startOAuth('facebook', ['email']));
 
 /**
  * @swagger
@@ -92,25 +126,12 @@ router.get(
  *   get:
  *     summary: Facebook OAuth callback
  *     tags: [Auth]
- *     description: Handles Facebook OAuth response, creates JWT, and redirects.
+ *     description: Handles Facebook OAuth response, creates JWT, and redirects. Users who must pass two-factor authentication are redirected to `/two-factor` with a `challengeToken` instead, and users whose password must be changed to `/change-password`. Locked accounts go to `/login?error=account_locked`. Facebook does not confirm email ownership, so an existing account is only signed in once the Facebook account has been linked to it.
  *     responses:
  *       302:
  *         description: Redirects to frontend with JWT
  */
-router.get(
-  '/facebook/callback',
-  passport.authenticate('facebook', { session: false, failureRedirect: '/' }),
-  async (req, res) => {
-    const user = req.user;
-
-    const token = jwt.sign(
-      { id: user.id, role: user.role, officeId: user.officeId },
-      process.env.JWT_SECRET
-    );
-
-    res.redirect(`${process.env.FRONTEND_URL}/oauth-success?token=${token}`);
-  }
-);
+router.get('/facebook/callback', finishOAuth('facebook'));
 
 /**
  * @swagger
@@ -118,7 +139,7 @@ router.get(
  *   post:
  *     summary: User login
  *     tags: [Auth]
- *     description: Authenticates a user and returns a JWT token for session management.
+ *     description: Authenticates a user and returns a short-lived access token plus a refresh token bound to a server-side session. Users with two-factor authentication get `twoFactorRequired` and a `challengeToken` for `/auth/2fa/verify` instead; staff whose office requires 2FA but who have not enrolled get `twoFactorSetupRequired` and a `challengeToken` to use as the Bearer token for `/auth/2fa/enroll`. Once any second factor is done, users whose password has expired or was set by an administrator get `passwordChangeRequired` and a `challengeToken` for `/auth/password/expired`.
  *     requestBody:
  *       required: true
  *       content:
@@ -148,6 +169,12 @@ router.get(
  *                 token:
  *                   type: string
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
  *                 user:
  *                   type: object
  *                   properties:
@@ -162,6 +189,18 @@ router.get(
  *                       type: string
  *                       enum: [super_admin, manager, consultant, receptionist, student]
  *                       example: student
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Present instead of tokens when a second factor is needed
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Present instead of tokens when the user must enroll in 2FA first
+ *                 passwordChangeRequired:
+ *                   type: boolean
+ *                   description: Present instead of tokens when the user must choose a new password first
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Short-lived (5 minute) token for completing the two-factor or password change step
  *       401:
  *         description: Invalid credentials or inactive account
  *         content:
@@ -172,6 +211,12 @@ router.get(
  *                 error:
  *                   type: string
  *                   example: Invalid credentials
+ *       403:
+ *         description: Email address not verified yet
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts; an unlock link is emailed to the user
+ *       429:
+ *         description: Too many attempts for this email or from this IP address; retry later
  *       400:
  *         description: Missing required fields
  *         content:
@@ -183,7 +228,7 @@ router.get(
  *                   type: string
  *                   example: Email and password are required
  */
-router.post('/login', authController.login);
+router.post('/login', loginLimiter, authController.login);
 
 /**
  * @swagger
@@ -191,7 +236,7 @@ router.post('/login', authController.login);
  *   post:
  *     summary: Student signup
  *     tags: [Auth]
- *     description: Allows only students to sign up.
+ *     description: Allows only students to sign up. The account cannot log in, and its lead is not assigned, until the email address is verified through the link sent to it. Without an `officeId`, the student and their lead are placed in the nearest active office, found by looking up the request IP with the configured GeoIP provider.
  *     requestBody:
  *       required: true
  *       content:
@@ -210,21 +255,422 @@ router.post('/login', authController.login);
  *                 type: string
  *               name:
  *                 type: string
+ *               officeId:
+ *                 type: string
+ *                 format: uuid
  *     responses:
  *       201:
  *         description: Student registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 userId:
+ *                   type: string
+ *                   format: uuid
+ *                 leadId:
+ *                   type: string
+ *                   format: uuid
+ *                 officeId:
+ *                   type: string
+ *                   format: uuid
+ *                   nullable: true
+ *                 location:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Result of the GeoIP lookup (country, countryCode, region, city, latitude, longitude)
  *       400:
  *         description: Validation error
  */
 router.post('/signup', authController.signup);
 
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     tags: [Auth]
+ *     description: Confirms a student's email using the token from the verification email, enabling login and releasing their lead for assignment.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Missing, invalid or expired token
+ */
+router.post('/verify-email', authLimiter, authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend verification email
+ *     tags: [Auth]
+ *     description: Sends a new verification link and voids the previous one. The response is the same whether or not the email belongs to an unverified account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ */
+router.post(
+  '/verify-email/resend',
+  authLimiter,
+  authController.resendVerificationEmail
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/invite:
+ *   get:
+ *     summary: Look up a staff invite
+ *     tags: [Auth]
+ *     description: Returns the account details attached to an invite link so the invitee can review them before accepting.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 email:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 phone:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                 office:
+ *                   type: object
+ *                   nullable: true
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid, expired, revoked or already accepted invite
+ */
+router.get('/invite', authLimiter, authController.getInvite);
+
+/**
+ * @swagger
+ * /api/v1/auth/invite/accept:
+ *   post:
+ *     summary: Accept a staff invite
+ *     tags: [Auth]
+ *     description: Sets the invitee's password (and optionally name and phone) and activates the account. The link can only be used once; log in afterwards as usual.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account activated
+ *       400:
+ *         description: Invalid, expired, revoked or already accepted invite
+ */
+router.post(
+  '/invite/accept',
+  authLimiter,
+  validate(acceptInviteSchema),
+  authController.acceptInvite
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Auth]
+ *     description: Exchanges the login `challengeToken` and a TOTP code (or an unused recovery code) for an access and refresh token. Failed codes count towards the account lockout.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-c07be
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; same body as /auth/login
+ *       400:
+ *         description: Missing challenge token or code
+ *       401:
+ *         description: Invalid code or expired challenge token
+ *       423:
+ *         description: Account temporarily locked
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/2fa/verify', authLimiter, authController.verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enroll:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     tags: [Auth]
+ *     description: Generates a new TOTP secret and returns it with an otpauth URL and a QR code for authenticator apps. Accepts a normal access token or the setup `challengeToken` returned by login.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXP
+ *                 otpauthUrl:
+ *                   type: string
+ *                 qrCode:
+ *                   type: string
+ *                   description: PNG data URL
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/2fa/enroll',
+  protectTwoFactorSetup,
+  requireUser,
+  blockImpersonation,
+  authController.enrollTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enroll/verify:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     tags: [Auth]
+ *     description: Enables two-factor authentication once a code from the authenticator app is confirmed, and returns one-time recovery codes. They are only shown once. When called with a setup `challengeToken` the login is completed and tokens are returned too.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code or enrollment not started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/2fa/enroll/verify',
+  protectTwoFactorSetup,
+  requireUser,
+  blockImpersonation,
+  authController.confirmTwoFactorEnrollment
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     description: Turns off two-factor authentication after checking a current code or a recovery code. Not allowed when the user's role or office requires 2FA.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       403:
+ *         description: Two-factor authentication is required for this user
+ */
+router.post(
+  '/2fa/disable',
+  protect,
+  requireUser,
+  blockImpersonation,
+  authController.disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     tags: [Auth]
+ *     description: Replaces all recovery codes with a new set after checking a current TOTP code.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  requireUser,
+  blockImpersonation,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     tags: [Auth]
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The presented refresh token can no longer be used; replaying it revokes the session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh', authLimiter, authController.refresh);
+
 /**
  * @swagger
  * /api/v1/auth/logout:
  *   post:
  *     summary: User logout
  *     tags: [Auth]
- *     description: Invalidates the user's session (client-side token removal).
+ *     description: Revokes the server-side session behind the access token, so neither it nor its refresh token can be used again.
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -249,7 +695,253 @@ router.post('/signup', authController.signup);
  *                   type: string
  *                   example: Authentication failed: No token provided
  */
-router.post('/logout', protect, authController.logout);
+router.post('/logout', protect, requireUser, authController.logout);
+
+/**
+ * @swagger
+ * /api/v1/auth/impersonation/stop:
+ *   post:
+ *     summary: End an impersonation
+ *     tags: [Auth]
+ *     description: Called with an impersonation token to end it early. The session is revoked and the stop is written to the audit log. Logging out has the same effect.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The token is not an impersonation token
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/impersonation/stop',
+  protect,
+  requireUser,
+  authController.stopImpersonation
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     tags: [Auth]
+ *     description: Returns every active session of the logged-in user with device, IP address and last activity. The session making the request is flagged with `current`.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     format: uuid
+ *                   deviceName:
+ *                     type: string
+ *                     example: Chrome on Windows
+ *                   ipAddress:
+ *                     type: string
+ *                     example: 203.0.113.7
+ *                   userAgent:
+ *                     type: string
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', protect, requireUser, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   delete:
+ *     summary: Sign out of all sessions
+ *     tags: [Auth]
+ *     description: Revokes every active session of the logged-in user. The current session is kept unless `includeCurrent=true`.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeCurrent
+ *         schema:
+ *           type: boolean
+ *         description: Also revoke the session making the request
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  '/sessions',
+  protect,
+  requireUser,
+  blockImpersonation,
+  authController.revokeAllSessions
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out of one session
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  '/sessions/:id',
+  protect,
+  requireUser,
+  blockImpersonation,
+  authController.revokeSession
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/identities:
+ *   get:
+ *     summary: List linked sign-in providers
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked Google/Facebook accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     format: uuid
+ *                   provider:
+ *                     type: string
+ *                     enum: [google, facebook]
+ *                   email:
+ *                     type: string
+ *                   displayName:
+ *                     type: string
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ */
+router.get('/identities', protect, requireUser, authController.getIdentities);
+
+/**
+ * @swagger
+ * /api/v1/auth/identities/{provider}/link:
+ *   post:
+ *     summary: Start linking a sign-in provider
+ *     tags: [Auth]
+ *     description: Returns a URL that is valid for 10 minutes. Send the browser there to sign in with the provider; the account is then linked to the current user and the browser returns to `/account/linked-accounts?linked=<provider>` (or `?error=<reason>`, e.g. when that provider account already belongs to someone else).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, facebook]
+ *     responses:
+ *       200:
+ *         description: URL to start the provider sign-in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   example: /api/v1/auth/google?linkToken=eyJhbGciOi...
+ *       400:
+ *         description: Unknown provider
+ */
+router.post(
+  '/identities/:provider/link',
+  protect,
+  requireUser,
+  blockImpersonation,
+  authController.linkIdentity
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/identities/{provider}:
+ *   delete:
+ *     summary: Unlink a sign-in provider
+ *     tags: [Auth]
+ *     description: Not allowed when it is the account's only way to sign in (no password and no other linked provider).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, facebook]
+ *     responses:
+ *       200:
+ *         description: Provider unlinked
+ *       400:
+ *         description: Unknown provider, or it is the only sign-in method
+ *       404:
+ *         description: No linked account for this provider
+ */
+router.delete(
+  '/identities/:provider',
+  protect,
+  requireUser,
+  blockImpersonation,
+  authController.unlinkIdentity
+);
 
 /**
  * @swagger
@@ -257,7 +949,7 @@ router.post('/logout', protect, authController.logout);
  *   post:
  *     summary: Request password reset
  *     tags: [Auth]
- *     description: Sends a password reset email with a token to the user.
+ *     description: Sends a single-use password reset link to the email if it belongs to an active account. The response is the same whether or not the account exists.
  *     requestBody:
  *       required: true
  *       content:
@@ -273,7 +965,7 @@ router.post('/logout', protect, authController.logout);
  *                 example: user@example.com
  *     responses:
  *       200:
- *         description: Password reset email sent
+ *         description: Request accepted
  *         content:
  *           application/json:
  *             schema:
@@ -281,19 +973,13 @@ router.post('/logout', protect, authController.logout);
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Password reset email sent
- *       404:
- *         description: User not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: User not found
+ *                   example: If an account exists for that email, a password reset link has been sent
  */
-router.post('/reset-password', authController.requestPasswordReset);
+router.post(
+  '/reset-password',
+  authLimiter,
+  authController.requestPasswordReset
+);
 
 /**
  * @swagger
@@ -301,7 +987,7 @@ router.post('/reset-password', authController.requestPasswordReset);
  *   post:
  *     summary: Confirm password reset
  *     tags: [Auth]
- *     description: Resets the user's password using a reset token.
+ *     description: Resets the user's password using the token from the reset email. Each token works once and stops working when the password is changed by any other means. All of the user's sessions are signed out.
  *     requestBody:
  *       required: true
  *       content:
@@ -314,7 +1000,7 @@ router.post('/reset-password', authController.requestPasswordReset);
  *             properties:
  *               token:
  *                 type: string
- *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 example: 5d41402abc4b2a76b9719d911017c592
  *               newPassword:
  *                 type: string
  *                 format: password
@@ -331,7 +1017,7 @@ router.post('/reset-password', authController.requestPasswordReset);
  *                   type: string
  *                   example: Password reset successfully
  *       400:
- *         description: Missing required fields
+ *         description: Missing fields, a password that fails the password policy, or a token that is invalid, expired or already used
  *         content:
  *           application/json:
  *             schema:
@@ -339,18 +1025,163 @@ router.post('/reset-password', authController.requestPasswordReset);
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Token and new password are required
+ *                   example: Invalid or expired reset token
+ */
+router.post(
+  '/reset-password/confirm',
+  authLimiter,
+  authController.confirmPasswordReset
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/password/expired:
+ *   post:
+ *     summary: Replace an expired or temporary password
+ *     tags: [Auth]
+ *     description: Finishes a login that returned `passwordChangeRequired`. Sets the new password, signs out every other session and returns the same body as a successful `/auth/login`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - newPassword
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Password changed and login completed
+ *       400:
+ *         description: Missing fields, or the password fails the password policy or was used recently
  *       401:
- *         description: Invalid or expired token
+ *         description: Invalid or expired challenge token
+ *       429:
+ *         description: Too many attempts
+ */
+router.post(
+  '/password/expired',
+  authLimiter,
+  authController.changeExpiredPassword
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/password/change:
+ *   post:
+ *     summary: Change your password
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     description: Changes the signed-in user's password. The new password must satisfy the password policy, and staff may not reuse a recent one. Every other session is signed out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: The password fails the password policy or was used recently
+ *       401:
+ *         description: Current password is incorrect
+ *       403:
+ *         description: Not available while impersonating or with an API key
+ */
+router.post(
+  '/password/change',
+  authLimiter,
+  protect,
+  requireUser,
+  blockImpersonation,
+  authController.changePassword
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/password/policy:
+ *   get:
+ *     summary: Get the password policy
+ *     tags: [Auth]
+ *     description: The rules new passwords must meet, so clients can show them next to password fields. History and expiry apply to staff accounts only.
+ *     responses:
+ *       200:
+ *         description: Password policy
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
- *                   type: string
- *                   example: Invalid token
+ *                 minLength:
+ *                   type: integer
+ *                   example: 8
+ *                 maxLength:
+ *                   type: integer
+ *                   example: 72
+ *                 requireUppercase:
+ *                   type: boolean
+ *                 requireLowercase:
+ *                   type: boolean
+ *                 requireNumber:
+ *                   type: boolean
+ *                 requireSymbol:
+ *                   type: boolean
+ *                 blocksCommonPasswords:
+ *                   type: boolean
+ *                 staffHistoryCount:
+ *                   type: integer
+ *                   example: 5
+ *                 staffExpiryDays:
+ *                   type: integer
+ *                   description: 0 when passwords never expire
+ *                   example: 90
+ */
+router.get('/password/policy', authController.getPasswordPolicy);
+
+/**
+ * @swagger
+ * /api/v1/auth/unlock:
+ *   post:
+ *     summary: Unlock a locked account
+ *     tags: [Auth]
+ *     description: Lifts a login lockout using the single-use token from the unlock email.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Missing, invalid or already used token
  */
-router.post('/reset-password/confirm', authController.confirmPasswordReset);
+router.post('/unlock', authLimiter, authController.unlockAccount);
 
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const checklistController = require('../controllers/checklistController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { validate, checklistSchema } = require('../middleware/validator');
 
 // Protect all routes
@@ -52,7 +53,7 @@ router.use(protect);
  */
 router.post(
   '/student/:studentId',
-  restrictTo('consultant'),
+  requirePermission(PERMISSIONS.CHECKLIST_MANAGE),
   validate(checklistSchema),
   checklistController.createChecklist
 );
@@ -78,7 +79,7 @@ router.post(
  */
 router.get(
   '/student/:studentId',
-  restrictTo('consultant', 'student'),
+  requirePermission(PERMISSIONS.CHECKLIST_VIEW),
   checklistController.getStudentChecklists
 );
 
@@ -96,7 +97,7 @@ router.get(
  */
 router.get(
   '/consultant',
-  restrictTo('consultant'),
+  requirePermission(PERMISSIONS.CHECKLIST_MANAGE),
   checklistController.getConsultantChecklists
 );
 
@@ -166,7 +167,7 @@ router.get(
  */
 router.patch(
   '/:id/items',
-  restrictTo('student'),
+  requirePermission(PERMISSIONS.CHECKLIST_COMPLETE),
   checklistController.updateChecklistItems
 );
 
@@ -215,7 +216,7 @@ router.patch(
  */
 router.patch(
   '/:id',
-  restrictTo('consultant'),
+  requirePermission(PERMISSIONS.CHECKLIST_MANAGE),
   validate(checklistSchema),
   checklistController.updateChecklist
 );
@@ -241,7 +242,7 @@ router.patch(
  */
 router.delete(
   '/:id',
-  restrictTo('consultant'),
+  requirePermission(PERMISSIONS.CHECKLIST_MANAGE),
   checklistController.deleteChecklist
 );
 
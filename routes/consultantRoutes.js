@@ -1,11 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const consultantController = require('../controllers/consultantController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { upload } = require('../middleware/multer');
+const {
+  validate,
+  leadStatusSchema,
+  leadListQuerySchema,
+  leadHistoryQuerySchema,
+  leadParkingSchema,
+  deadlineReminderSchema,
+} = require('../middleware/validator');
 
 // Protect all routes and restrict to consultant role
-router.use(protect, restrictTo('consultant'));
+router.use(protect, requirePermission(PERMISSIONS.CONSULTANT_PORTAL));
 
 /**
  * @swagger
@@ -13,9 +22,54 @@ router.use(protect, restrictTo('consultant'));
  *   get:
  *     summary: Get assigned leads with student profiles
  *     tags: [Consultant]
- *     description: Retrieves all leads assigned to the consultant, including student and profile info.
+ *     description: Retrieves all leads assigned to the consultant, including student and profile info. Each lead carries its `score` and a `scoreBreakdown` explaining it.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Pipeline stage key, or a comma-separated list
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Lead source, or a comma-separated list
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before
+ *       - in: query
+ *         name: parked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [score, -score]
+ *         description: Order by score; `-score` puts the highest first
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: List of leads
@@ -37,7 +91,6 @@ router.use(protect, restrictTo('consultant'));
  *                     type: string
  *                   status:
  *                     type: string
- *                     enum: [new, in_progress, converted, lost]
  *                   source:
  *                     type: string
  *                     enum: [walk_in, online, referral]
@@ -45,17 +98,12 @@ router.use(protect, restrictTo('consultant'));
  *                     type: object
  *                   languagePreference:
  *                     type: string
- *                   history:
+ *                   score:
+ *                     type: integer
+ *                   scoreBreakdown:
  *                     type: array
  *                     items:
- *                       type: object
- *                       properties:
- *                         note:
- *                           type: string
- *                         timestamp:
- *                           type: string
- *                         userId:
- *                           type: string
+ *                       $ref: '#/components/schemas/LeadScoreFactor'
  *                   student:
  *                     type: object
  *                     properties:
@@ -81,7 +129,11 @@ router.use(protect, restrictTo('consultant'));
  *       403:
  *         description: Forbidden
  */
-router.get('/leads', consultantController.getAssignedLeads);
+router.get(
+  '/leads',
+  validate(leadListQuerySchema, 'query'),
+  consultantController.getAssignedLeads
+);
 
 /**
  * @swagger
@@ -396,7 +448,11 @@ router.get('/leads/:id/documents', consultantController.getLeadDocuments);
  *       403:
  *         description: Unauthorized to update this document
  */
-router.put('/documents/:id/status', consultantController.updateDocumentStatus);
+router.put(
+  '/documents/:id/status',
+  requirePermission(PERMISSIONS.DOCUMENT_APPROVE),
+  consultantController.updateDocumentStatus
+);
 
 /**
  * @swagger
@@ -404,7 +460,7 @@ router.put('/documents/:id/status', consultantController.updateDocumentStatus);
  *   put:
  *     summary: Update lead status
  *     tags: [Consultant]
- *     description: Updates the status of a lead assigned to the consultant.
+ *     description: Moves a lead assigned to the consultant to another stage of its pipeline. Moves the pipeline does not allow, or into a stage whose required fields are missing, are rejected.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -426,8 +482,12 @@ router.put('/documents/:id/status', consultantController.updateDocumentStatus);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [new, in_progress, converted, lost]
- *                 example: in_progress
+ *                 description: Key of a stage the lead's pipeline allows it to move to
+ *                 example: opportunity
+ *               lossReason:
+ *                 type: string
+ *                 description: One of the pipeline's loss reasons; required for lost stages
+ *                 example: Budget
  *     responses:
  *       200:
  *         description: Lead status updated
@@ -435,6 +495,8 @@ router.put('/documents/:id/status', consultantController.updateDocumentStatus);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Lead'
+ *       400:
+ *         description: The pipeline does not allow this move
  *       401:
  *         description: Unauthorized
  *       403:
@@ -450,7 +512,164 @@ router.put('/documents/:id/status', consultantController.updateDocumentStatus);
  *                   type: string
  *                   example: Lead not found
  */
-router.put('/leads/:id/status', consultantController.updateLeadStatus);
+router.put(
+  '/leads/:id/status',
+  validate(leadStatusSchema),
+  consultantController.updateLeadStatus
+);
+
+/**
+ * @swagger
+ * /api/v1/consultant/leads/{id}/status-options:
+ *   get:
+ *     summary: Get lead status options
+ *     tags: [Consultant]
+ *     description: Returns the lead's pipeline, its current stage, the stages it may move to next and the pipeline's loss reasons.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *     responses:
+ *       200:
+ *         description: Status options retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadStatusOptions'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lead not found or not assigned to consultant
+ */
+router.get(
+  '/leads/:id/status-options',
+  consultantController.getLeadStatusOptions
+);
+
+/**
+ * @swagger
+ * /api/v1/consultant/leads/{id}/history:
+ *   get:
+ *     summary: Get lead timeline
+ *     tags: [Consultant]
+ *     description: Lists what has happened to a lead assigned to the consultant, newest first, filtered by type, actor and date.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: status_change,note
+ *         description: One activity type or a comma-separated list
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Timeline page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadTimeline'
+ *       400:
+ *         description: Invalid filters or unknown activity type
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lead not found or not assigned to you
+ */
+router.get(
+  '/leads/:id/history',
+  validate(leadHistoryQuerySchema, 'query'),
+  consultantController.getLeadHistory
+);
+
+/**
+ * @swagger
+ * /api/v1/consultant/leads/{id}/reassign:
+ *   put:
+ *     summary: Reassign a lead within the consultant's office
+ *     tags: [Consultant]
+ *     description: Requires the `lead.reassign` permission, which consultants only get through a custom role such as "Senior Consultant". The lead and the new consultant must both belong to one of the caller's offices.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - consultantId
+ *             properties:
+ *               consultantId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Lead reassigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Lead'
+ *       400:
+ *         description: Consultant is not in the lead's office, or the lead is awaiting email verification
+ *       403:
+ *         description: Missing lead.reassign permission
+ *       404:
+ *         description: Lead not found in the consultant's offices
+ */
+router.put(
+  '/leads/:id/reassign',
+  requirePermission(PERMISSIONS.LEAD_REASSIGN),
+  consultantController.reassignLead
+);
 
 /**
  * @swagger
@@ -458,7 +677,7 @@ router.put('/leads/:id/status', consultantController.updateLeadStatus);
  *   post:
  *     summary: Add consultation notes to a lead
  *     tags: [Consultant]
- *     description: Adds a note to the history of a lead assigned to the consultant.
+ *     description: Adds a note to the timeline of a lead assigned to the consultant.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -1200,7 +1419,7 @@ router.put(
  *   post:
  *     summary: Set deadline reminder
  *     tags: [Consultant]
- *     description: Sets a reminder for an application deadline for a student.
+ *     description: Sets a reminder for a student about an application deadline. The student gets it through `channel` and as a `reminderDue` socket event at `remindAt`, or at the deadline, and sees it in `GET /api/v1/reminders`.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -1228,6 +1447,15 @@ router.put(
  *               message:
  *                 type: string
  *                 example: "Reminder: Submit application by June 20."
+ *               remindAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-06-13T09:00:00Z"
+ *                 description: When to deliver the reminder; defaults to the deadline
+ *               channel:
+ *                 type: string
+ *                 enum: [in_app, email, sms]
+ *                 default: in_app
  *     responses:
  *       200:
  *         description: Reminder set successfully
@@ -1239,6 +1467,10 @@ router.put(
  *                 message:
  *                   type: string
  *                   example: Reminder set
+ *                 reminder:
+ *                   $ref: '#/components/schemas/Reminder'
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized
  *       403:
@@ -1249,6 +1481,7 @@ router.put(
 
 router.post(
   '/students/:id/reminders',
+  validate(deadlineReminderSchema),
   consultantController.setDeadlineReminder
 );
 
@@ -1361,7 +1594,7 @@ router.get(
  *   put:
  *     summary: Update lead parked status
  *     tags: [Consultant]
- *     description: Updates the parked status of a lead assigned to the consultant.
+ *     description: Parks a lead assigned to the consultant for a reason, optionally until a wake-up date, or unparks it. Parked leads count towards no workload or SLA. On the wake-up date the lead is unparked and a follow-up task is added for its consultant.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -1385,6 +1618,19 @@ router.get(
  *                 type: boolean
  *                 example: true
  *                 description: Whether to park (true) or unpark (false) the lead
+ *               reason:
+ *                 type: string
+ *                 enum: [future_intake, financial, documents_pending, test_pending, unresponsive, personal, other]
+ *                 example: future_intake
+ *                 description: Required when parking
+ *               note:
+ *                 type: string
+ *                 example: Student wants the Fall 2027 intake
+ *               wakeUpAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: '2027-03-01T09:00:00.000Z'
+ *                 description: When to unpark the lead; must be in the future
  *     responses:
  *       200:
  *         description: Lead parked status updated successfully
@@ -1399,7 +1645,7 @@ router.get(
  *                 lead:
  *                   $ref: '#/components/schemas/Lead'
  *       400:
- *         description: Invalid parked status value
+ *         description: Validation error, unknown reason, past wake-up date or lead not parked
  *         content:
  *           application/json:
  *             schema:
@@ -1407,7 +1653,7 @@ router.get(
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Parked status must be a boolean value
+ *                   example: The wake-up date must be in the future
  *       401:
  *         description: Unauthorized
  *       403:
@@ -1423,6 +1669,10 @@ router.get(
  *                   type: string
  *                   example: Lead not found or not assigned to you
  */
-router.put('/leads/:id/parked', consultantController.updateLeadParkedStatus);
+router.put(
+  '/leads/:id/parked',
+  validate(leadParkingSchema),
+  consultantController.updateLeadParkedStatus
+);
 
 module.exports = router;
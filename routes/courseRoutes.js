@@ -2,7 +2,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const courseController = require('../controllers/courseController');
 
 /**
@@ -62,7 +63,7 @@ const courseController = require('../controllers/courseController');
 router.post(
   '/',
   protect,
-  restrictTo('super_admin'),
+  requirePermission(PERMISSIONS.COURSE_MANAGE),
   courseController.createCourse
 );
 
@@ -149,7 +150,7 @@ router.get('/:id', protect, courseController.getCourseById);
 router.put(
   '/:id',
   protect,
-  restrictTo('super_admin'),
+  requirePermission(PERMISSIONS.COURSE_MANAGE),
   courseController.updateCourse
 );
 
@@ -176,7 +177,7 @@ router.put(
 router.delete(
   '/:id',
   protect,
-  restrictTo('super_admin'),
+  requirePermission(PERMISSIONS.COURSE_MANAGE),
   courseController.deleteCourse
 );
 
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const fileController = require("../controllers/fileController");
 const { upload } = require('../middleware/multer');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireUser } = require('../middleware/authMiddleware');
 
 router.get(
   '/documents/:documentId',
@@ -10,6 +10,6 @@ router.get(
 );
 
 
-router.post('/upload', protect, upload.single('file'), fileController.uploadFileController);
+router.post('/upload', protect, requireUser, upload.single('file'), fileController.uploadFileController);
 
 module.exports = router;
\ No newline at end of file
@@ -7,12 +7,14 @@ const receptionistRoutes = require('./receptionistRoutes');
 const consultantRoutes = require('./consultantRoutes');
 const studentRoutes = require('./studentRoutes');
 const notificationRoutes = require('./notificationRoutes');
+const reminderRoutes = require('./reminderRoutes');
 const courseRoutes = require('./courseRoutes');
 const universityRoutes = require('./universityRoutes');
 const fileRoutes = require('./fileRoutes');
 const proposalRoutes = require('./proposalRoutes');
 const checklistRoutes = require('./checklistRoutes');
 const applicationRoutes = require('./applicationRoutes');
+const integrationRoutes = require('./integrationRoutes');
 
 // New messaging routes
 const messageRoutes = require('./messageRoutes');
@@ -36,10 +38,14 @@ module.exports = (app) => {
 
   // General routes
   app.use(`${API_PREFIX_V1}/notifications`, notificationRoutes);
+  app.use(`${API_PREFIX_V1}/reminders`, reminderRoutes);
   app.use(`${API_PREFIX_V1}/courses`, courseRoutes);
   app.use(`${API_PREFIX_V1}/universities`, universityRoutes);
   app.use(`${API_PREFIX_V1}/file`, fileRoutes);
 
+  // Machine-to-machine routes (API keys)
+  app.use(`${API_PREFIX_V1}/integrations`, integrationRoutes);
+
   // Real-time messaging routes
   app.use(`${API_PREFIX_V1}/messages`, messageRoutes);
   // app.use(`${API_PREFIX_V1}/conversations`, conversationRoutes);
@@ -59,6 +65,7 @@ module.exports = (app) => {
         consultant: `${API_PREFIX_V1}/consultant`,
         student: `${API_PREFIX_V1}/student`,
         notifications: `${API_PREFIX_V1}/notifications`,
+        reminders: `${API_PREFIX_V1}/reminders`,
         courses: `${API_PREFIX_V1}/courses`,
         universities: `${API_PREFIX_V1}/universities`,
         file: `${API_PREFIX_V1}/file`,
@@ -66,6 +73,7 @@ module.exports = (app) => {
         conversations: `${API_PREFIX_V1}/conversations`,
         checklists: `${API_PREFIX_V1}/checklists`,
         applications: `${API_PREFIX_V1}/applications`,
+        integrations: `${API_PREFIX_V1}/integrations`,
       },
       features: {
         realTimeMessaging: true,
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const integrationController = require('../controllers/integrationController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate, integrationLeadSchema } = require('../middleware/validator');
+
+// Meant for API keys (X-API-Key header); users holding the same
+// permissions can call these too.
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/integrations/leads:
+ *   post:
+ *     summary: Push a lead from an external system
+ *     tags: [Integrations]
+ *     description: Creates a lead, and a student account if the email is new. Requires the `lead.create` permission. Keys limited to an office always create leads in that office.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 enum: [walk_in, online, referral]
+ *                 default: online
+ *               officeId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required unless the key is limited to an office
+ *               studyPreferences:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Lead created
+ *       400:
+ *         description: Validation error, missing office, or the email belongs to staff
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the lead.create permission
+ *       404:
+ *         description: Office not found
+ *       429:
+ *         description: The key's rate limit was exceeded
+ */
+router.post(
+  '/leads',
+  requirePermission(PERMISSIONS.LEAD_CREATE),
+  validate(integrationLeadSchema),
+  integrationController.createLead
+);
+
+/**
+ * @swagger
+ * /api/v1/integrations/applications/{id}/status:
+ *   get:
+ *     summary: Read an application's status
+ *     tags: [Integrations]
+ *     description: Requires the `application.read` permission. Keys limited to an office only see applications of students with a lead in that office.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Application status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 studentId:
+ *                   type: string
+ *                   format: uuid
+ *                 status:
+ *                   type: string
+ *                 stage:
+ *                   type: string
+ *                 submissionDate:
+ *                   type: string
+ *                   format: date-time
+ *                 completionDate:
+ *                   type: string
+ *                   format: date-time
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the application.read permission
+ *       404:
+ *         description: Application not found
+ */
+router.get(
+  '/applications/:id/status',
+  requirePermission(PERMISSIONS.APPLICATION_READ),
+  integrationController.getApplicationStatus
+);
+
+module.exports = router;
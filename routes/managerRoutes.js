@@ -1,10 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const managerController = require('../controllers/managerController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const {
+  protect,
+  requirePermission,
+  blockImpersonation,
+} = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const {
+  validate,
+  consultantAssignmentSchema,
+  duplicateMergeSchema,
+  leadImportSchema,
+  leadImportConfirmSchema,
+  leadListQuerySchema,
+  leadExportQuerySchema,
+  leadHistoryQuerySchema,
+  slaPolicySchema,
+  slaPolicyUpdateSchema,
+  slaBreachQuerySchema,
+  leadReminderSchema,
+} = require('../middleware/validator');
+const { importUpload } = require('../middleware/multer');
 
 // Protect all routes and restrict to manager role
-router.use(protect, restrictTo('manager'));
+router.use(protect, requirePermission(PERMISSIONS.MANAGER_PORTAL));
 
 /**
  * @swagger
@@ -119,7 +139,7 @@ router.post('/leads', managerController.createLead);
  *   get:
  *     summary: Get manager dashboard metrics
  *     tags: [Manager]
- *     description: Retrieves dashboard metrics for the manager’s office, such as lead counts and conversion rates.
+ *     description: Retrieves dashboard metrics for the manager’s office, such as lead counts, conversion rates and open SLA breaches.
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -142,10 +162,12 @@ router.post('/leads', managerController.createLead);
  *                 pendingAppointments:
  *                   type: number
  *                   example: 10
+ *                 slaBreaches:
+ *                   $ref: '#/components/schemas/SlaBreachCounts'
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or manager not assigned to an office
  */
 router.get('/dashboard', managerController.getDashboard);
 
@@ -544,7 +566,11 @@ router.get('/staff/:id/notes', managerController.getConsultationNotes);
  *       404:
  *         description: Lead not found
  */
-router.put('/leads/:id/reassign', managerController.reassignLead);
+router.put(
+  '/leads/:id/reassign',
+  requirePermission(PERMISSIONS.LEAD_REASSIGN),
+  managerController.reassignLead
+);
 
 /**
  * @swagger
@@ -552,7 +578,7 @@ router.put('/leads/:id/reassign', managerController.reassignLead);
  *   get:
  *     summary: Get staff performance reports
  *     tags: [Manager]
- *     description: Retrieves performance reports for staff in the manager’s office.
+ *     description: Retrieves performance reports for staff in the manager’s office. Each consultant's `openLeads` is their workload and leaves out parked leads, which are counted in `parkedLeads`.
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -571,15 +597,88 @@ router.put('/leads/:id/reassign', managerController.reassignLead);
  */
 router.get('/staff/reports', managerController.getStaffReports);
 
+/**
+ * @swagger
+ * /api/v1/manager/reports/parked-leads:
+ *   get:
+ *     summary: Get parked leads by reason
+ *     tags: [Manager]
+ *     description: The office's parked leads grouped by parking reason, most common reason first. Within a reason, leads are listed in the order they were parked.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Parked leads report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ParkedLeadReport'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
+ */
+router.get('/reports/parked-leads', managerController.getParkedLeadsReport);
+
 /**
  * @swagger
  * /api/v1/manager/leads:
  *   get:
  *     summary: Get all office leads
  *     tags: [Manager]
- *     description: Retrieves all leads associated with the manager’s office.
+ *     description: Retrieves all leads associated with the manager’s office, with their scores.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Pipeline stage key, or a comma-separated list
+ *       - in: query
+ *         name: consultantId
+ *         schema:
+ *           type: string
+ *         description: Assigned consultant, or `none` for unassigned leads
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Lead source, or a comma-separated list
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before
+ *       - in: query
+ *         name: parked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [score, -score]
+ *         description: Order by score; `-score` puts the highest first
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: List of leads retrieved successfully
@@ -594,7 +693,101 @@ router.get('/staff/reports', managerController.getStaffReports);
  *       403:
  *         description: Forbidden
  */
-router.get('/leads', managerController.getOfficeLeads);
+router.get(
+  '/leads',
+  validate(leadListQuerySchema, 'query'),
+  managerController.getOfficeLeads
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/leads/export:
+ *   get:
+ *     summary: Export leads
+ *     tags: [Manager]
+ *     description: Downloads the leads of the manager's office matching the filters. Leads of other offices are never included. Takes the same filters as the lead list. The file is streamed as it is read, oldest leads first. In CSV, cells starting with =, +, - or @ are prefixed with ' so spreadsheets do not run them as formulas.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *           example: id,status,student.name,student.email,consultant.name
+ *         description: 'Comma-separated, in order. Any of: id, status, source, parked, score, office, destination, level, fields, budget, intake, createdAt, updatedAt, student.name, student.email, student.phone, profile.dob, profile.gender, profile.nationality, profile.testScores, consultant.name, consultant.email, consultant.phone. Defaults to id, status, source, office, student name, email and phone, consultant name and createdAt.'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Pipeline stage key, or a comma-separated list
+ *       - in: query
+ *         name: consultantId
+ *         schema:
+ *           type: string
+ *         description: Assigned consultant, or `none` for unassigned leads
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Lead source, or a comma-separated list
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before
+ *       - in: query
+ *         name: parked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Leads file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid filter or unknown column
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
+ */
+router.get(
+  '/leads/export',
+  validate(leadExportQuerySchema, 'query'),
+  managerController.exportLeads
+);
 
 /**
  * @swagger
@@ -640,7 +833,11 @@ router.get('/leads', managerController.getOfficeLeads);
  *       404:
  *         description: Lead not found
  */
-router.put('/leads/:id/assign', managerController.assignLead);
+router.put(
+  '/leads/:id/assign',
+  requirePermission(PERMISSIONS.LEAD_ASSIGN),
+  managerController.assignLead
+);
 
 /**
  * @swagger
@@ -648,7 +845,7 @@ router.put('/leads/:id/assign', managerController.assignLead);
  *   post:
  *     summary: Set a reminder for a lead
  *     tags: [Manager]
- *     description: Sets a reminder for a lead, stored in the lead’s history.
+ *     description: Sets a reminder for the lead's consultant (or the manager, if the lead is unassigned), recorded on the lead’s timeline. It is delivered through `channel` and as a `reminderDue` socket event at `remindAt`, or when it is due, and shows up in the owner's `GET /api/v1/reminders`.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -676,6 +873,14 @@ router.put('/leads/:id/assign', managerController.assignLead);
  *                 type: string
  *                 format: date-time
  *                 example: 2025-06-10T14:00:00Z
+ *               remindAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When to deliver the reminder; defaults to dueDate
+ *               channel:
+ *                 type: string
+ *                 enum: [in_app, email, sms]
+ *                 default: in_app
  *     responses:
  *       200:
  *         description: Reminder set successfully
@@ -687,6 +892,10 @@ router.put('/leads/:id/assign', managerController.assignLead);
  *                 message:
  *                   type: string
  *                   example: Reminder set
+ *                 reminder:
+ *                   $ref: '#/components/schemas/Reminder'
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized
  *       403:
@@ -694,7 +903,11 @@ router.put('/leads/:id/assign', managerController.assignLead);
  *       404:
  *         description: Lead not found
  */
-router.post('/leads/:id/reminders', managerController.setLeadReminder);
+router.post(
+  '/leads/:id/reminders',
+  validate(leadReminderSchema),
+  managerController.setLeadReminder
+);
 
 /**
  * @swagger
@@ -702,7 +915,7 @@ router.post('/leads/:id/reminders', managerController.setLeadReminder);
  *   put:
  *     summary: Add notes to a lead
  *     tags: [Manager]
- *     description: Adds a note to a lead’s history.
+ *     description: Adds a note to a lead’s timeline.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -747,7 +960,7 @@ router.put('/leads/:id/notes', managerController.addLeadNotes);
  *   get:
  *     summary: Get lead progress
  *     tags: [Manager]
- *     description: Retrieves the progress (status and history) of a specific lead.
+ *     description: Retrieves the status of a specific lead with a page of its timeline. Takes the same filters as the history route.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -772,24 +985,19 @@ router.put('/leads/:id/notes', managerController.addLeadNotes);
  *                   example: 123e4567-e89b-12d3-a456-426614174000
  *                 status:
  *                   type: string
- *                   enum: [new, in_progress, converted, lost]
- *                   example: in_progress
- *                 history:
+ *                   example: opportunity
+ *                 total:
+ *                   type: number
+ *                 page:
+ *                   type: number
+ *                 limit:
+ *                   type: number
+ *                 activities:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       note:
- *                         type: string
- *                         example: Lead reassigned
- *                       timestamp:
- *                         type: string
- *                         format: date-time
- *                         example: 2025-06-07T12:00:00Z
- *                       userId:
- *                         type: string
- *                         format: uuid
- *                         example: 9f5f9fa3-3b1e-47f4-a9a7-2f4918241234
+ *                     $ref: '#/components/schemas/LeadActivity'
+ *       400:
+ *         description: Invalid filters or unknown activity type
  *       401:
  *         description: Unauthorized
  *       403:
@@ -797,166 +1005,992 @@ router.put('/leads/:id/notes', managerController.addLeadNotes);
  *       404:
  *         description: Lead not found
  */
-router.get('/leads/:id/progress', managerController.getLeadProgress);
+router.get(
+  '/leads/:id/progress',
+  validate(leadHistoryQuerySchema, 'query'),
+  managerController.getLeadProgress
+);
 
 /**
  * @swagger
- * /api/v1/manager/consultants:
+ * /api/v1/manager/leads/{id}/history:
  *   get:
- *     summary: Get all consultants in manager's office
+ *     summary: Get lead timeline
  *     tags: [Manager]
- *     description: Retrieves all active consultants assigned to the manager's office.
+ *     description: Lists what has happened to a lead in the manager’s office, newest first, filtered by type, actor and date.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: status_change,note
+ *         description: One activity type or a comma-separated list
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of consultants
+ *         description: Timeline page
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 count:
- *                   type: integer
- *                   example: 3
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                         format: uuid
- *                       name:
- *                         type: string
- *                       email:
- *                         type: string
- *                       phone:
- *                         type: string
- *                       role:
- *                         type: string
- *                         example: consultant
+ *               $ref: '#/components/schemas/LeadTimeline'
  *       400:
- *         description: Manager not assigned to an office
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: Manager is not assigned to any office.
+ *         description: Invalid filters or unknown activity type
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lead not found
  */
-router.get('/consultants', managerController.getOfficeConsultants);
+router.get(
+  '/leads/:id/history',
+  validate(leadHistoryQuerySchema, 'query'),
+  managerController.getLeadHistory
+);
 
 /**
  * @swagger
- * /api/v1/manager/receptionists:
+ * /api/v1/manager/leads/{id}/assignment:
  *   get:
- *     summary: Get all receptionists in manager's office
+ *     summary: Explain a lead's assignment
  *     tags: [Manager]
- *     description: Retrieves all active receptionists assigned to the manager's office.
+ *     description: Shows the lead's current consultant and every assignment decision on its timeline. Decisions made by distribution rules include the rule, its strategy, a `reason`, and for shared strategies the candidates that were considered with their open lead counts and weights.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
  *     responses:
  *       200:
- *         description: List of receptionists
+ *         description: Assignment decisions
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 count:
- *                   type: integer
- *                   example: 3
- *                 data:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 consultant:
+ *                   type: object
+ *                   nullable: true
+ *                 decisions:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       id:
- *                         type: string
- *                         format: uuid
- *                       name:
- *                         type: string
- *                       email:
+ *                       type:
  *                         type: string
- *                       phone:
+ *                         enum: [assignment, reassignment]
+ *                       occurredAt:
  *                         type: string
- *                       role:
+ *                         format: date-time
+ *                       actor:
+ *                         type: object
+ *                         nullable: true
+ *                       summary:
  *                         type: string
- *                         example: consultant
- *       400:
- *         description: Manager not assigned to an office
+ *                       payload:
+ *                         type: object
+ *                         properties:
+ *                           ruleId:
+ *                             type: string
+ *                             format: uuid
+ *                           strategy:
+ *                             type: string
+ *                             enum: [fixed, round_robin, least_open_leads, weighted]
+ *                           consultantId:
+ *                             type: string
+ *                             format: uuid
+ *                           reason:
+ *                             type: string
+ *                             example: "Weighted: 2 open leads at weight 2 (capacity 1, speaks urdu)"
+ *                           candidates:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 consultantId:
+ *                                   type: string
+ *                                   format: uuid
+ *                                 name:
+ *                                   type: string
+ *                                 openLeads:
+ *                                   type: integer
+ *                                 weight:
+ *                                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Lead not found
+ */
+router.get('/leads/:id/assignment', managerController.getLeadAssignment);
+
+/**
+ * @swagger
+ * /api/v1/manager/duplicates:
+ *   get:
+ *     summary: List possible duplicate leads
+ *     tags: [Manager]
+ *     description: The duplicates queue for the manager's office, highest scores first. Only pairs with both leads in the office are listed; pairs that span offices are resolved by a super admin. A pair is flagged when two students share an email (ignoring case and +tags), a phone number (ignoring formatting and country code), or a similar name with the same date of birth.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, dismissed, merged]
+ *           default: open
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Duplicates queue page
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: Manager is not assigned to any office.
+ *               $ref: '#/components/schemas/DuplicateQueue'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
  */
-router.get('/receptionists', managerController.getOfficeReceptionists);
+router.get(
+  '/duplicates',
+  requirePermission(PERMISSIONS.LEAD_MERGE),
+  managerController.getDuplicates
+);
 
 /**
  * @swagger
- * /api/v1/manager/staff:
+ * /api/v1/manager/duplicates/{id}/dismiss:
  *   post:
- *     summary: Create a new consultant, receptionist, or student
+ *     summary: Dismiss a duplicate pair
  *     tags: [Manager]
- *     description: Creates a new user and assigns them to the manager's office. Consultants are also added to OfficeConsultants.
+ *     description: Marks the pair as different students. It is not flagged again.
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - role
- *               - name
- *               - email
- *               - phone
- *               - password
- *             properties:
- *               role:
- *                 type: string
- *                 enum: [consultant, receptionist, student]
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               password:
- *                 type: string
- *     responses:
- *       201:
- *         description: Staff member created and assigned to office
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Duplicate candidate ID
+ *     responses:
+ *       200:
+ *         description: Dismissed pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DuplicateCandidate'
+ *       400:
+ *         description: Already dismissed or merged
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or one of the leads is in another office
+ *       404:
+ *         description: Duplicate candidate not found
+ */
+router.post(
+  '/duplicates/:id/dismiss',
+  requirePermission(PERMISSIONS.LEAD_MERGE),
+  managerController.dismissDuplicate
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/duplicates/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate pair
+ *     tags: [Manager]
+ *     description: Folds one lead of the pair into the other. If the leads belong to different students, the other student's leads, documents, messages, appointments, applications, proposals, checklists, notifications, reminders and sign-in identities move to the kept student, their profiles are combined and their account is deactivated. The merged lead's tasks, proposals, reminders and timeline move to the kept lead before it is deleted. The merge is written to the audit log as `lead_merged`.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Duplicate candidate ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepLeadId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The lead to keep; defaults to the older lead
+ *     responses:
+ *       200:
+ *         description: Leads merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Leads merged
+ *                 lead:
+ *                   $ref: '#/components/schemas/Lead'
+ *       400:
+ *         description: Already merged, or keepLeadId is not one of the pair
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or one of the leads is in another office
+ *       404:
+ *         description: Duplicate candidate not found
+ */
+router.post(
+  '/duplicates/:id/merge',
+  blockImpersonation,
+  requirePermission(PERMISSIONS.LEAD_MERGE),
+  validate(duplicateMergeSchema),
+  managerController.mergeDuplicate
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/lead-imports:
+ *   post:
+ *     summary: Check a spreadsheet of leads (dry run)
+ *     tags: [Manager]
+ *     description: Reads a CSV or XLSX file (first sheet, header row first) and checks every row without creating anything. `mapping` pairs import fields with column headers; unmapped fields are matched to a header of the same name. Rows need a name, an email and at least one study preference. Rows must belong to the manager's office; a blank office cell means the manager's office. Rows whose email belongs to staff or repeats an earlier row are invalid; rows that look like an existing student are reported as duplicates. Confirm the import to create the leads.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .csv or .xlsx, up to 5MB and 2000 rows
+ *               mapping:
+ *                 type: string
+ *                 description: 'JSON object of field to column header. Fields: name, email, phone, office, source, destination, level, fields, budget, intake'
+ *                 example: '{"name":"Full Name","email":"E-mail","phone":"Mobile","destination":"Country"}'
+ *               source:
+ *                 type: string
+ *                 enum: [walk_in, online, referral]
+ *                 default: referral
+ *                 description: Lead source for rows without one
+ *     responses:
+ *       201:
+ *         description: Dry-run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadImport'
+ *       400:
+ *         description: Unreadable file, unknown field or missing column
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
+ */
+router.post(
+  '/lead-imports',
+  requirePermission(PERMISSIONS.LEAD_IMPORT),
+  importUpload.single('file'),
+  validate(leadImportSchema),
+  managerController.createLeadImport
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/lead-imports:
+ *   get:
+ *     summary: List lead imports
+ *     tags: [Manager]
+ *     description: Imports for the manager's office, newest first, without their row reports.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [dry_run, confirmed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Imports page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadImportList'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/lead-imports',
+  requirePermission(PERMISSIONS.LEAD_IMPORT),
+  managerController.getLeadImports
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/lead-imports/{id}:
+ *   get:
+ *     summary: Get a lead import
+ *     tags: [Manager]
+ *     description: The import with its report for every row.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lead import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadImport'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Import not found
+ */
+router.get(
+  '/lead-imports/:id',
+  requirePermission(PERMISSIONS.LEAD_IMPORT),
+  managerController.getLeadImport
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/lead-imports/{id}/confirm:
+ *   post:
+ *     summary: Confirm a lead import
+ *     tags: [Manager]
+ *     description: Creates a student account, profile and lead for every valid row in one transaction; if any row fails, nothing is created. Duplicate rows are skipped unless `includeDuplicates` is set, in which case they are created and flagged in the duplicates queue. Rows whose email was registered after the dry run are skipped. New leads go through the distribution rules, and the import is written to the audit log as `leads_imported`.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               includeDuplicates:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Import with the result of each row
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadImport'
+ *       400:
+ *         description: Import already confirmed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Import not found
+ */
+router.post(
+  '/lead-imports/:id/confirm',
+  requirePermission(PERMISSIONS.LEAD_IMPORT),
+  validate(leadImportConfirmSchema),
+  managerController.confirmLeadImport
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/sla-policies:
+ *   get:
+ *     summary: List SLA policies
+ *     tags: [Manager]
+ *     description: The SLA policies of the manager's office, oldest first.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: SLA policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SlaPolicy'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
+ */
+router.get(
+  '/sla-policies',
+  requirePermission(PERMISSIONS.SLA_MANAGE),
+  managerController.getSlaPolicies
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/sla-policies:
+ *   post:
+ *     summary: Create an SLA policy
+ *     tags: [Manager]
+ *     description: Adds an SLA policy to the manager's office. `first_contact` policies are breached by open leads the assigned consultant has not worked on (note, message, status change, document review or proposal) within `thresholdHours` of creation. `stage_duration` policies are breached by leads that have been in `stage` for more than `thresholdHours`. Breaches are found by a background job; the consultant is notified first and the office manager `escalateAfterHours` later.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlaPolicyInput'
+ *     responses:
+ *       201:
+ *         description: SLA policy created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SlaPolicy'
+ *       400:
+ *         description: Validation error or unknown stage
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
+ *       404:
+ *         description: Pipeline not found
+ */
+router.post(
+  '/sla-policies',
+  requirePermission(PERMISSIONS.SLA_MANAGE),
+  validate(slaPolicySchema),
+  managerController.createSlaPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/sla-policies/{id}:
+ *   put:
+ *     summary: Update an SLA policy
+ *     tags: [Manager]
+ *     description: Changes take effect at the next check. Switching a policy off resolves its open breaches.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlaPolicyInput'
+ *     responses:
+ *       200:
+ *         description: SLA policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SlaPolicy'
+ *       400:
+ *         description: Validation error or unknown stage
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: SLA policy or pipeline not found
+ */
+router.put(
+  '/sla-policies/:id',
+  requirePermission(PERMISSIONS.SLA_MANAGE),
+  validate(slaPolicyUpdateSchema),
+  managerController.updateSlaPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/sla-policies/{id}:
+ *   delete:
+ *     summary: Delete an SLA policy
+ *     tags: [Manager]
+ *     description: Deletes the policy and its breaches.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: SLA policy deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: SLA policy not found
+ */
+router.delete(
+  '/sla-policies/:id',
+  requirePermission(PERMISSIONS.SLA_MANAGE),
+  managerController.deleteSlaPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/sla-breaches:
+ *   get:
+ *     summary: List SLA breaches
+ *     tags: [Manager]
+ *     description: Breaches of the office's SLA policies, most recent first.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, all]
+ *           default: open
+ *       - in: query
+ *         name: policyId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: consultantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The lead's consultant when the breach was found
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: A page of breaches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SlaBreachList'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
+ */
+router.get(
+  '/sla-breaches',
+  requirePermission(PERMISSIONS.SLA_MANAGE),
+  validate(slaBreachQuerySchema, 'query'),
+  managerController.getSlaBreaches
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/consultants:
+ *   get:
+ *     summary: Get all consultants in manager's office
+ *     tags: [Manager]
+ *     description: Retrieves all active consultants assigned to the manager's office.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of consultants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         example: consultant
+ *       400:
+ *         description: Manager not assigned to an office
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Manager is not assigned to any office.
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/consultants', managerController.getOfficeConsultants);
+
+/**
+ * @swagger
+ * /api/v1/manager/consultants/{id}/assignment:
+ *   put:
+ *     summary: Set a consultant's lead distribution settings
+ *     tags: [Manager]
+ *     description: Updates how shared distribution strategies treat a consultant in the manager's office. Consultants on leave or with a capacity of 0 receive no leads from rules.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Consultant user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Relative share of leads under the weighted strategy
+ *                 example: 2
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [urdu]
+ *               destinations:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Canada, UK]
+ *               onLeave:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated settings
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Manager not assigned to an office
+ *       404:
+ *         description: Consultant not found in your office
+ */
+router.put(
+  '/consultants/:id/assignment',
+  validate(consultantAssignmentSchema),
+  managerController.updateConsultantAssignment
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/receptionists:
+ *   get:
+ *     summary: Get all receptionists in manager's office
+ *     tags: [Manager]
+ *     description: Retrieves all active receptionists assigned to the manager's office.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of receptionists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         example: consultant
+ *       400:
+ *         description: Manager not assigned to an office
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Manager is not assigned to any office.
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/receptionists', managerController.getOfficeReceptionists);
+
+/**
+ * @swagger
+ * /api/v1/manager/staff:
+ *   post:
+ *     summary: Invite a consultant or receptionist, or create a student
+ *     tags: [Manager]
+ *     description: Consultants and receptionists are sent an email invite to set their own password; their account stays inactive until they accept it, and consultants join OfficeConsultants at that point. Students are created directly with the given password. All are assigned to the manager's office.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *               - name
+ *               - email
+ *               - phone
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [consultant, receptionist, student]
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Students only
+ *     responses:
+ *       201:
+ *         description: Invite sent, or student created and assigned to office
  *       400:
  *         description: Validation error or manager not assigned to office
  *       500:
  *         description: Server error
  */
-router.post('/staff', managerController.createStaffMember);
+router.post(
+  '/staff',
+  blockImpersonation,
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  managerController.createStaffMember
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/invites:
+ *   get:
+ *     summary: List staff invites for the manager's office
+ *     tags: [Manager]
+ *     description: Returns outstanding (pending or expired) invites by default.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked, all]
+ *     responses:
+ *       200:
+ *         description: List of invites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StaffInvite'
+ *       403:
+ *         description: Forbidden, or manager not assigned to an office
+ */
+router.get(
+  '/invites',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  managerController.getStaffInvites
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/invites/{id}/resend:
+ *   post:
+ *     summary: Resend a staff invite
+ *     tags: [Manager]
+ *     description: Emails a new link with a fresh expiry. The previous link stops working.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invite resent
+ *       400:
+ *         description: Invite was already accepted or revoked
+ *       404:
+ *         description: Invite not found in the manager's office
+ */
+router.post(
+  '/invites/:id/resend',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  managerController.resendStaffInvite
+);
+
+/**
+ * @swagger
+ * /api/v1/manager/invites/{id}:
+ *   delete:
+ *     summary: Revoke a staff invite
+ *     tags: [Manager]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       400:
+ *         description: Invite was already accepted or revoked
+ *       404:
+ *         description: Invite not found in the manager's office
+ */
+router.delete(
+  '/invites/:id',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  managerController.revokeStaffInvite
+);
 
 /**
  * @swagger
@@ -2,7 +2,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const {
+  protect,
+  requirePermission,
+  requireUser,
+} = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const messageController = require('../controllers/messageController');
 
 /**
@@ -68,7 +73,7 @@ const messageController = require('../controllers/messageController');
 router.post(
   '/',
   protect,
-  restrictTo('student', 'consultant', 'super_admin', 'manager'),
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
   messageController.createMessage
 );
 
@@ -105,12 +110,13 @@ router.post(
  *       403:
  *         description: Not authorized to view this conversation
  */
-router.get('/', protect, messageController.getMessages);
+router.get('/', protect, requireUser, messageController.getMessages);
 
 //
 router.get(
   '/users/allowed-recipients',
   protect,
+  requireUser,
   messageController.getAllowedRecipients
 );
 
@@ -152,7 +158,7 @@ router.get(
 router.put(
   '/:id',
   protect,
-  restrictTo('student', 'super_admin', 'manager'),
+  requirePermission(PERMISSIONS.MESSAGE_EDIT),
   messageController.updateMessage
 );
 
@@ -182,6 +188,7 @@ router.put(
 router.put(
   '/conversation/:conversationHash/read',
   protect,
+  requireUser,
   messageController.markConversationMessagesAsRead,
 );
 
@@ -211,7 +218,7 @@ router.put(
 // router.delete(
 //   '/:id',
 //   protect,
-//   restrictTo('student', 'super_admin', 'manager'),
+//   requirePermission(PERMISSIONS.MESSAGE_EDIT),
 //   messageController.deleteMessage
 // );
 
@@ -238,9 +245,19 @@ router.put(
  *       404:
  *         description: Message not found
  */
-router.put('/:id/read', protect, messageController.markMessageAsRead);
+router.put(
+  '/:id/read',
+  protect,
+  requireUser,
+  messageController.markMessageAsRead
+);
 
 // swagger doc
-router.get('/unread-count', protect, messageController.getUnreadMessageCount);
+router.get(
+  '/unread-count',
+  protect,
+  requireUser,
+  messageController.getUnreadMessageCount
+);
 
 module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireUser } = require('../middleware/authMiddleware');
 
 // Protect all routes
-router.use(protect);
+router.use(protect, requireUser);
 
 /**
  * @swagger
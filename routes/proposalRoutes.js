@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const proposalController = require('../controllers/proposalController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // Protect all routes and restrict to consultant role
-router.use(protect, restrictTo('consultant'));
+router.use(protect, requirePermission(PERMISSIONS.CONSULTANT_PORTAL));
 
 /**
  * @swagger
@@ -1,10 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const receptionistController = require('../controllers/receptionistController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const {
+  validate,
+  leadStatusSchema,
+  leadHistoryQuerySchema,
+} = require('../middleware/validator');
 
 // Protect all routes and restrict to receptionist role
-router.use(protect, restrictTo('receptionist'));
+router.use(protect, requirePermission(PERMISSIONS.RECEPTIONIST_PORTAL));
 
 /**
  * @swagger
@@ -503,7 +509,7 @@ router.put('/leads/:id/contact', receptionistController.updateLeadContact);
  *   put:
  *     summary: Update lead status
  *     tags: [Receptionist]
- *     description: Updates the status of a lead.
+ *     description: Moves a lead to another stage of its pipeline. Moves the pipeline does not allow, or into a stage whose required fields are missing, are rejected.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -525,8 +531,12 @@ router.put('/leads/:id/contact', receptionistController.updateLeadContact);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [new, in_progress, converted, lost]
- *                 example: in_progress
+ *                 description: Key of a stage the lead's pipeline allows it to move to
+ *                 example: opportunity
+ *               lossReason:
+ *                 type: string
+ *                 description: One of the pipeline's loss reasons; required for lost stages
+ *                 example: Budget
  *     responses:
  *       200:
  *         description: Lead status updated
@@ -535,7 +545,7 @@ router.put('/leads/:id/contact', receptionistController.updateLeadContact);
  *             schema:
  *               $ref: '#/components/schemas/Lead'
  *       400:
- *         description: Invalid status
+ *         description: The pipeline does not allow this move
  *       401:
  *         description: Unauthorized
  *       403:
@@ -543,7 +553,47 @@ router.put('/leads/:id/contact', receptionistController.updateLeadContact);
  *       404:
  *         description: Lead not found
  */
-router.put('/leads/:id/status', receptionistController.updateLeadStatus);
+router.put(
+  '/leads/:id/status',
+  validate(leadStatusSchema),
+  receptionistController.updateLeadStatus
+);
+
+/**
+ * @swagger
+ * /api/v1/receptionist/leads/{id}/status-options:
+ *   get:
+ *     summary: Get lead status options
+ *     tags: [Receptionist]
+ *     description: Returns the lead's pipeline, its current stage, the stages it may move to next and the pipeline's loss reasons.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *     responses:
+ *       200:
+ *         description: Status options retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadStatusOptions'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lead not found
+ */
+router.get(
+  '/leads/:id/status-options',
+  receptionistController.getLeadStatusOptions
+);
 
 /**
  * @swagger
@@ -551,7 +601,7 @@ router.put('/leads/:id/status', receptionistController.updateLeadStatus);
  *   post:
  *     summary: Add notes to a lead
  *     tags: [Receptionist]
- *     description: Adds a note to the history of a lead.
+ *     description: Adds a note to the timeline of a lead.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -596,9 +646,9 @@ router.post('/leads/:id/notes', receptionistController.addLeadNotes);
  * @swagger
  * /api/v1/receptionist/leads/{id}/history:
  *   get:
- *     summary: Get lead history
+ *     summary: Get lead timeline
  *     tags: [Receptionist]
- *     description: Retrieves the history of actions and notes for a lead.
+ *     description: Lists what has happened to a lead, newest first, filtered by type, actor and date.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -609,26 +659,44 @@ router.post('/leads/:id/notes', receptionistController.addLeadNotes);
  *           type: string
  *           format: uuid
  *         description: Lead ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: status_change,note
+ *         description: One activity type or a comma-separated list
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Lead history retrieved
+ *         description: Timeline page
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   note:
- *                     type: string
- *                     example: Lead registered as walk-in
- *                   timestamp:
- *                     type: string
- *                     format: date-time
- *                     example: 2025-06-07T12:00:00Z
- *                   userId:
- *                     type: string
- *                     format: uuid
+ *               $ref: '#/components/schemas/LeadTimeline'
+ *       400:
+ *         description: Invalid filters or unknown activity type
  *       401:
  *         description: Unauthorized
  *       403:
@@ -636,6 +704,10 @@ router.post('/leads/:id/notes', receptionistController.addLeadNotes);
  *       404:
  *         description: Lead not found
  */
-router.get('/leads/:id/history', receptionistController.getLeadHistory);
+router.get(
+  '/leads/:id/history',
+  validate(leadHistoryQuerySchema, 'query'),
+  receptionistController.getLeadHistory
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const reminderController = require('../controllers/reminderController');
+const { protect, requireUser } = require('../middleware/authMiddleware');
+const {
+  validate,
+  reminderListQuerySchema,
+  reminderSnoozeSchema,
+} = require('../middleware/validator');
+
+// Every signed-in user manages their own reminders
+router.use(protect, requireUser);
+
+/**
+ * @swagger
+ * /api/v1/reminders:
+ *   get:
+ *     summary: List my reminders
+ *     tags: [Reminders]
+ *     description: The signed-in user's reminders, soonest due first (done reminders most recent first). By default lists those not done yet, overdue or upcoming.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, upcoming, overdue, done]
+ *           default: open
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [lead, application, appointment, student]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: A page of reminders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderList'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: API keys cannot use this endpoint
+ */
+router.get(
+  '/',
+  validate(reminderListQuerySchema, 'query'),
+  reminderController.getReminders
+);
+
+/**
+ * @swagger
+ * /api/v1/reminders/{id}/snooze:
+ *   patch:
+ *     summary: Snooze a reminder
+ *     tags: [Reminders]
+ *     description: Delivers the reminder again after `minutes`, or at `until`. Its due time does not change.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Send either minutes or until
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *                 example: 30
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Snoozed reminder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       400:
+ *         description: Validation error, time in the past or reminder already done
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Reminder not found
+ */
+router.patch(
+  '/:id/snooze',
+  validate(reminderSnoozeSchema),
+  reminderController.snoozeReminder
+);
+
+/**
+ * @swagger
+ * /api/v1/reminders/{id}/done:
+ *   patch:
+ *     summary: Mark a reminder done
+ *     tags: [Reminders]
+ *     description: Done reminders are no longer delivered or listed as upcoming or overdue.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Reminder marked done
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Reminder not found
+ */
+router.patch('/:id/done', reminderController.completeReminder);
+
+module.exports = router;
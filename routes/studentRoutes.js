@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { upload } = require('../middleware/multer');
 
 // Protect all routes and restrict to student role
-router.use(protect, restrictTo('student'));
+router.use(protect, requirePermission(PERMISSIONS.STUDENT_PORTAL));
 
 /**
  * @swagger
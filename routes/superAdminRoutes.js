@@ -1,11 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const superAdminController = require('../controllers/superAdminController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
-const { validate, officeSchema } = require('../middleware/validator');
+const {
+  protect,
+  requirePermission,
+  blockImpersonation,
+} = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const {
+  validate,
+  officeSchema,
+  roleSchema,
+  roleUpdateSchema,
+  apiKeySchema,
+  staffInviteSchema,
+  leadRuleSchema,
+  leadRuleUpdateSchema,
+  leadRuleRollbackSchema,
+  leadRuleDryRunSchema,
+  pipelineSchema,
+  pipelineUpdateSchema,
+  leadScoringModelSchema,
+  leadImportSchema,
+  leadImportConfirmSchema,
+  leadListQuerySchema,
+  leadExportQuerySchema,
+  leadHistoryQuerySchema,
+  duplicateMergeSchema,
+} = require('../middleware/validator');
+const { importUpload } = require('../middleware/multer');
 
-// Protect all routes and restrict to super_admin role
-router.use(protect, restrictTo('super_admin'));
+// Protect all routes and restrict to the super admin portal
+router.use(protect, requirePermission(PERMISSIONS.SUPER_ADMIN_PORTAL));
 
 /**
  * @swagger
@@ -143,27 +169,148 @@ router.patch('/users/:userId/status', superAdminController.updateUserStatus);
 
 /**
  * @swagger
- * /api/v1/super-admin/staff:
+ * /api/v1/super-admin/users/{userId}/unlock:
+ *   patch:
+ *     summary: Unlock a locked account
+ *     tags: [SuperAdmin]
+ *     description: Lifts a login lockout and clears the failed-attempt counter for the user.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:userId/unlock', superAdminController.unlockUser);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/users/{userId}/impersonate:
+ *   post:
+ *     summary: Impersonate a user
+ *     tags: [SuperAdmin]
+ *     description: Issues a short-lived access token that acts as the given user, for reproducing what they see. It cannot be refreshed. Requests made with it carry the super admin's id as `req.user.impersonatorId`, account-security actions such as changing 2FA or signing out sessions are refused, and the start and stop are recorded in the audit log. Super admins cannot be impersonated.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Ticket 4821 - student cannot see uploaded documents
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 30m
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   type: object
+ *       400:
+ *         description: Missing reason or inactive user
+ *       403:
+ *         description: Target is a super admin
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/impersonate', superAdminController.impersonateUser);
+/**
+ * @swagger
+ * /api/v1/super-admin/permissions:
  *   get:
- *     summary: Get all staff (non-student)
+ *     summary: List permissions
  *     tags: [SuperAdmin]
+ *     description: Returns every named permission and the default permissions of each built-in role.
  *     security:
  *       - BearerAuth: []
- *     description: Fetch all users with roles other than student.
  *     responses:
  *       200:
- *         description: List of staff members
+ *         description: Permission catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["lead.assign", "lead.reassign", "document.approve"]
+ *                 defaults:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
  */
+router.get(
+  '/permissions',
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  superAdminController.getPermissions
+);
 
-router.get('/staff', superAdminController.getAllStaff);
+/**
+ * @swagger
+ * /api/v1/super-admin/roles:
+ *   get:
+ *     summary: List custom roles
+ *     tags: [SuperAdmin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Custom roles with the users holding them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Role'
+ */
+router.get(
+  '/roles',
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  superAdminController.getRoles
+);
 
 /**
  * @swagger
- * /api/v1/super-admin/offices:
+ * /api/v1/super-admin/roles:
  *   post:
- *     summary: Create a new office
+ *     summary: Create a custom role
  *     tags: [SuperAdmin]
- *     description: Creates a new office in the system.
+ *     description: Creates a role that can be given to users of its base role. Its permissions replace the base role's defaults; when omitted they start as a copy of them.
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -174,98 +321,1240 @@ router.get('/staff', superAdminController.getAllStaff);
  *             type: object
  *             required:
  *               - name
- *               - address
- *               - contact
- *               - officeHours
- *               - workingDays
- *               - serviceCapacity
+ *               - baseRole
  *             properties:
  *               name:
  *                 type: string
- *                 example: Toronto Branch
- *               address:
- *                 type: object
- *                 required:
- *                   - street
- *                   - city
- *                   - country
- *                 properties:
- *                   street:
- *                     type: string
- *                     example: 123 University Ave
- *                   city:
- *                     type: string
- *                     example: Toronto
- *                   state:
- *                     type: string
- *                     example: Ontario
- *                   postalCode:
- *                     type: string
- *                     example: M5V 3C6
- *                   country:
- *                     type: string
- *                     example: Canada
- *               contact:
- *                 type: object
- *                 required:
- *                   - phone
- *                   - email
- *                 properties:
- *                   phone:
- *                     type: string
- *                     example: +1-416-123-4567
- *                   email:
- *                     type: string
- *                     format: email
- *                     example: toronto@treklin.com
- *                   website:
- *                     type: string
- *                     example: https://www.example.com
- *               officeHours:
- *                 type: object
- *                 additionalProperties:
+ *                 example: Senior Consultant
+ *               description:
+ *                 type: string
+ *                 example: Consultant who can reassign leads within their office
+ *               baseRole:
+ *                 type: string
+ *                 enum: [manager, consultant, receptionist]
+ *                 example: consultant
+ *               permissions:
+ *                 type: array
+ *                 items:
  *                   type: string
- *                 example:
- *                   Monday: "9:00 AM - 5:00 PM"
- *                   Tuesday: "9:00 AM - 5:00 PM"
- *                   Wednesday: "9:00 AM - 5:00 PM"
- *                   Thursday: "9:00 AM - 5:00 PM"
- *                   Friday: "9:00 AM - 5:00 PM"
- *                   Saturday: "Closed"
- *                   Sunday: "Closed"
- *               workingDays:
+ *                 example: ["portal.consultant", "document.approve", "application.review", "checklist.manage", "checklist.view", "message.send", "lead.reassign"]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error, duplicate name, or a permission the base role cannot hold
+ */
+router.post(
+  '/roles',
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  validate(roleSchema),
+  superAdminController.createRole
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/roles/{id}:
+ *   put:
+ *     summary: Update a custom role
+ *     tags: [SuperAdmin]
+ *     description: Changes take effect on the next request of every user holding the role.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               baseRole:
+ *                 type: string
+ *                 enum: [manager, consultant, receptionist]
+ *               permissions:
  *                 type: array
  *                 items:
  *                   type: string
- *                 example: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"]
- *               managerId:
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+  '/roles/:id',
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  validate(roleUpdateSchema),
+  superAdminController.updateRole
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [SuperAdmin]
+ *     description: Users holding the role fall back to their built-in role's permissions.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       404:
+ *         description: Role not found
+ */
+router.delete(
+  '/roles/:id',
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  superAdminController.deleteRole
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/users/{userId}/role:
+ *   put:
+ *     summary: Assign a custom role
+ *     tags: [SuperAdmin]
+ *     description: Gives the user a custom role, or removes it when `roleId` is null. The user's built-in role must match the custom role's base role.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roleId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *       400:
+ *         description: Role does not apply to this user's built-in role
+ *       404:
+ *         description: User or role not found
+ */
+router.put(
+  '/users/:userId/role',
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  superAdminController.assignUserRole
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [SuperAdmin]
+ *     description: Lists integration keys with their permissions, limits and last use. Secrets are never returned.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ */
+router.get(
+  '/api-keys',
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  superAdminController.getApiKeys
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     tags: [SuperAdmin]
+ *     description: Creates a key for an external system. The `key` in the response is shown only once; only its hash is stored. Send it in the `X-API-Key` header.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Website enquiry form
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [lead.create, application.read]
+ *               officeId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Limit the key to one office
+ *               rateLimitPerMinute:
+ *                 type: integer
+ *                 example: 60
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: crm_3f9a1c07be5d...
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Office not found
+ */
+router.post(
+  '/api-keys',
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  validate(apiKeySchema),
+  superAdminController.createApiKey
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     tags: [SuperAdmin]
+ *     description: Issues a new secret for the key and invalidates the old one immediately. Permissions and limits are kept.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: New secret issued
+ *       400:
+ *         description: Key is revoked
+ *       404:
+ *         description: API key not found
+ */
+router.post(
+  '/api-keys/:id/rotate',
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  superAdminController.rotateApiKey
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [SuperAdmin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete(
+  '/api-keys/:id',
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  superAdminController.revokeApiKey
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/staff:
+ *   get:
+ *     summary: Get all staff (non-student)
+ *     tags: [SuperAdmin]
+ *     security:
+ *       - BearerAuth: []
+ *     description: Fetch all users with roles other than student.
+ *     responses:
+ *       200:
+ *         description: List of staff members
+ */
+
+router.get('/staff', superAdminController.getAllStaff);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/offices:
+ *   post:
+ *     summary: Create a new office
+ *     tags: [SuperAdmin]
+ *     description: Creates a new office in the system.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - address
+ *               - contact
+ *               - officeHours
+ *               - workingDays
+ *               - serviceCapacity
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Toronto Branch
+ *               address:
+ *                 type: object
+ *                 required:
+ *                   - street
+ *                   - city
+ *                   - country
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                     example: 123 University Ave
+ *                   city:
+ *                     type: string
+ *                     example: Toronto
+ *                   state:
+ *                     type: string
+ *                     example: Ontario
+ *                   postalCode:
+ *                     type: string
+ *                     example: M5V 3C6
+ *                   country:
+ *                     type: string
+ *                     example: Canada
+ *                   latitude:
+ *                     type: number
+ *                     example: 43.6629
+ *                     description: Optional; used to place new students in the nearest office
+ *                   longitude:
+ *                     type: number
+ *                     example: -79.3957
+ *               contact:
+ *                 type: object
+ *                 required:
+ *                   - phone
+ *                   - email
+ *                 properties:
+ *                   phone:
+ *                     type: string
+ *                     example: +1-416-123-4567
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                     example: toronto@treklin.com
+ *                   website:
+ *                     type: string
+ *                     example: https://www.example.com
+ *               officeHours:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example:
+ *                   Monday: "9:00 AM - 5:00 PM"
+ *                   Tuesday: "9:00 AM - 5:00 PM"
+ *                   Wednesday: "9:00 AM - 5:00 PM"
+ *                   Thursday: "9:00 AM - 5:00 PM"
+ *                   Friday: "9:00 AM - 5:00 PM"
+ *                   Saturday: "Closed"
+ *                   Sunday: "Closed"
+ *               workingDays:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"]
+ *               managerId:
+ *                 type: string
+ *                 format: uuid
+ *                 example: 123e4567-e89b-12d3-a456-426614174000
+ *               serviceCapacity:
+ *                 type: object
+ *                 required:
+ *                   - maxAppointments
+ *                   - maxConsultants
+ *                 properties:
+ *                   maxAppointments:
+ *                     type: number
+ *                     example: 20
+ *                   maxConsultants:
+ *                     type: number
+ *                     example: 5
+ *               isActive:
+ *                 type: boolean
+ *                 example: true
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 description: Staff roles that must use two-factor authentication in this office
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, manager, consultant]
+ *                 example: ["manager", "consultant"]
+ *               consultants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 example: ["123e4567-e89b-12d3-a456-426614174000"]
+ *     responses:
+ *       201:
+ *         description: Office created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/offices',
+  validate(officeSchema),
+  superAdminController.createOffice
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/offices/{id}:
+ *   put:
+ *     summary: Update office details
+ *     tags: [SuperAdmin]
+ *     description: Updates the details of an existing office.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Office ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Toronto Branch
+ *               address:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                     example: 123 University Ave
+ *                   city:
+ *                     type: string
+ *                     example: Toronto
+ *                   country:
+ *                     type: string
+ *                     example: Canada
+ *               contact:
+ *                 type: object
+ *                 properties:
+ *                   phone:
+ *                     type: string
+ *                     example: +1-416-123-4567
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                     example: toronto@treklin.com
+ *               officeHours:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example:
+ *                   Monday: "9am-5pm"
+ *                   Tuesday: "9am-5pm"
+ *               workingDays:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"]
+ *               serviceCapacity:
+ *                 type: object
+ *                 properties:
+ *                   maxAppointments:
+ *                     type: number
+ *                     example: 20
+ *                   maxConsultants:
+ *                     type: number
+ *                     example: 5
+ *               isActive:
+ *                 type: boolean
+ *                 example: true
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, manager, consultant]
+ *               managerId:
+ *                 type: string
+ *                 format: uuid
+ *                 example: 123e4567-e89b-12d3-a456-426614174000
+ *               consultants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 example: ["123e4567-e89b-12d3-a456-426614174000", "223e4567-e89b-12d3-a456-426614174001"]
+ *     responses:
+ *       200:
+ *         description: Office updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Office'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Office not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Office not found
+ */
+router.put('/offices/:id', superAdminController.updateOffice);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/offices/{id}/status:
+ *   patch:
+ *     summary: Toggle office status
+ *     tags: [SuperAdmin]
+ *     description: Toggles the active/inactive status of an office.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Office ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Office status toggled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Office'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Office not found
+ */
+router.patch('/offices/:id/status', superAdminController.toggleOfficeStatus);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/offices:
+ *   get:
+ *     summary: Get all offices
+ *     tags: [SuperAdmin]
+ *     description: Retrieves a list of all offices in the system.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of offices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Office'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/offices', superAdminController.getAllOffices);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/offices/{id}:
+ *   get:
+ *     summary: Get office by ID
+ *     tags: [SuperAdmin]
+ *     description: Retrieves the details of a specific office by ID.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the office
+ *     responses:
+ *       200:
+ *         description: Office details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Office'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/office/:id', superAdminController.getAllOfficeDetails);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/offices/{id}/performance:
+ *   get:
+ *     summary: Get office performance
+ *     tags: [SuperAdmin]
+ *     description: Retrieves performance metrics for a specific office.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Office ID
+ *     responses:
+ *       200:
+ *         description: Office performance retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 officeId:
+ *                   type: string
+ *                   format: uuid
+ *                 metrics:
+ *                   type: object
+ *                   properties:
+ *                     leadsConverted:
+ *                       type: number
+ *                       example: 50
+ *                     appointmentsScheduled:
+ *                       type: number
+ *                       example: 100
+ *                     revenue:
+ *                       type: number
+ *                       example: 50000
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Office not found
+ */
+router.get(
+  '/offices/:id/performance',
+  superAdminController.getOfficePerformance
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/staff:
+ *   post:
+ *     summary: Invite a new staff member
+ *     tags: [SuperAdmin]
+ *     description: Creates an inactive account with the given role and office and emails the invitee a one-time link to set their password. Inviting an email whose earlier invite was never accepted replaces that invite.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: staff@example.com
+ *               role:
+ *                 type: string
+ *                 enum:
+ *                   - manager
+ *                   - consultant
+ *                   - receptionist
+ *                 example: consultant
+ *               officeId:
+ *                 type: string
+ *                 format: uuid
+ *                 example: 123e4567-e89b-12d3-a456-426614174000
+ *               name:
+ *                 type: string
+ *                 example: Jane Doe
+ *               phone:
+ *                 type: string
+ *                 example: +1234567890
+ *     responses:
+ *       201:
+ *         description: Invite sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StaffInvite'
+ *       400:
+ *         description: Invalid role or the email is already registered
+ *       404:
+ *         description: Office not found
+ */
+router.post(
+  '/staff',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  validate(staffInviteSchema),
+  superAdminController.createStaff
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/invites:
+ *   get:
+ *     summary: List staff invites
+ *     tags: [SuperAdmin]
+ *     description: Returns outstanding (pending or expired) invites by default.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked, all]
+ *       - in: query
+ *         name: officeId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: List of invites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StaffInvite'
+ */
+router.get(
+  '/invites',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  superAdminController.getStaffInvites
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/invites/{id}/resend:
+ *   post:
+ *     summary: Resend a staff invite
+ *     tags: [SuperAdmin]
+ *     description: Emails a new link with a fresh expiry. The previous link stops working.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invite resent
+ *       400:
+ *         description: Invite was already accepted or revoked
+ *       404:
+ *         description: Invite not found
+ */
+router.post(
+  '/invites/:id/resend',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  superAdminController.resendStaffInvite
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/invites/{id}:
+ *   delete:
+ *     summary: Revoke a staff invite
+ *     tags: [SuperAdmin]
+ *     description: The invite link stops working and the account stays inactive.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       400:
+ *         description: Invite was already accepted or revoked
+ *       404:
+ *         description: Invite not found
+ */
+router.delete(
+  '/invites/:id',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  superAdminController.revokeStaffInvite
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/staff/{id}:
+ *   put:
+ *     summary: Update staff member
+ *     tags: [SuperAdmin]
+ *     description: Updates the details of an existing staff member.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Staff ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [manager, consultant, receptionist]
+ *               officeId:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Staff member updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserStaff'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Staff member not found
+ */
+router.put('/staff/:id', superAdminController.updateStaff);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/staff/{id}/status:
+ *   patch:
+ *     summary: Toggle staff status
+ *     tags: [SuperAdmin]
+ *     description: Sets or toggles the active status of a staff member. Deactivating a staff member revokes all of their sessions immediately.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Staff ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Staff status toggled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserStaff'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Staff member not found
+ */
+router.patch('/staff/:id/status', superAdminController.toggleStaffStatus);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/staff/{id}/sessions/revoke:
+ *   post:
+ *     summary: Force sign-out of a staff member
+ *     tags: [SuperAdmin]
+ *     description: Revokes every active session of a staff member without deactivating the account. Connected clients receive a `force_logout` socket event.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Staff ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Staff member signed out
+ *                 revokedSessions:
+ *                   type: integer
+ *                   example: 2
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Staff member not found
+ */
+router.post(
+  '/staff/:id/sessions/revoke',
+  superAdminController.revokeStaffSessions
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/staff/import:
+ *   post:
+ *     summary: Import staff via CSV
+ *     tags: [SuperAdmin]
+ *     description: Invites every staff member listed in a CSV file, as `POST /staff` does for one. The first row holds the headers `email`, `role` (manager, consultant or receptionist), and optionally `name`, `phone` and `officeId`. At most 500 rows. Rows that cannot be invited are listed in `failed`; the others are still invited.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Staff invited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Staff invited
+ *                 count:
+ *                   type: number
+ *                   example: 10
+ *                 invites:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StaffInvite'
+ *                 failed:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: number
+ *                         example: 4
+ *                       email:
+ *                         type: string
+ *                         nullable: true
+ *                       error:
+ *                         type: string
+ *                         example: User with this email already exists
+ *       400:
+ *         description: Missing or unreadable file, or missing email/role columns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Invalid CSV format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/staff/import',
+  requirePermission(PERMISSIONS.STAFF_INVITE),
+  importUpload.single('file'),
+  superAdminController.importStaffCSV
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/staff/{id}/logs:
+ *   get:
+ *     summary: Get staff logs
+ *     tags: [SuperAdmin]
+ *     description: Retrieves audit log entries recorded against a specific staff member, such as account lockouts and unlocks.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Staff ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: account_locked
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Staff logs retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogPage'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Staff member not found
+ */
+router.get('/staff/:id/logs', superAdminController.getStaffLogs);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/audit-logs:
+ *   get:
+ *     summary: Search the audit log
+ *     tags: [SuperAdmin]
+ *     description: Lists security and administrative events, newest first. Filter by `action=account_locked` to review attacks on accounts.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit log page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogPage'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/audit-logs', superAdminController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-rules:
+ *   post:
+ *     summary: Create lead distribution rule
+ *     tags: [SuperAdmin]
+ *     description: Creates a lead distribution rule. Every new lead without a consultant is checked against the rules in priority order (lowest number first); the first match moves it to the rule's office and consultant and is recorded on the lead's timeline. Signup leads are distributed once the student verifies their email.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - criteria
+ *               - priority
+ *             properties:
+ *               criteria:
+ *                 $ref: '#/components/schemas/LeadRuleCriteria'
+ *               strategy:
+ *                 type: string
+ *                 enum: [fixed, round_robin, least_open_leads, weighted]
+ *                 description: Shared strategies pick among the office's consultants and must not set consultantId
+ *               priority:
+ *                 type: integer
+ *                 example: 1
+ *               officeId:
  *                 type: string
  *                 format: uuid
  *                 example: 123e4567-e89b-12d3-a456-426614174000
- *               serviceCapacity:
- *                 type: object
- *                 required:
- *                   - maxAppointments
- *                   - maxConsultants
- *                 properties:
- *                   maxAppointments:
- *                     type: number
- *                     example: 20
- *                   maxConsultants:
- *                     type: number
- *                     example: 5
- *               isActive:
- *                 type: boolean
- *                 example: true
- *               consultants:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: uuid
- *                 example: ["123e4567-e89b-12d3-a456-426614174000"]
+ *               consultantId:
+ *                 type: string
+ *                 format: uuid
+ *                 example: abc123e4-e89b-12d3-a456-426614174001
  *     responses:
  *       201:
- *         description: Office created successfully
+ *         description: Lead rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadRule'
  *       400:
  *         description: Invalid input
  *       401:
@@ -274,18 +1563,18 @@ router.get('/staff', superAdminController.getAllStaff);
  *         description: Forbidden
  */
 router.post(
-  '/offices',
-  validate(officeSchema),
-  superAdminController.createOffice
+  '/lead-rules',
+  validate(leadRuleSchema),
+  superAdminController.createLeadRule
 );
 
 /**
  * @swagger
- * /api/v1/super-admin/offices/{id}:
+ * /api/v1/super-admin/lead-rules/{id}:
  *   put:
- *     summary: Update office details
+ *     summary: Update lead distribution rule
  *     tags: [SuperAdmin]
- *     description: Updates the details of an existing office.
+ *     description: Updates an existing lead distribution rule.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -295,7 +1584,7 @@ router.post(
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Office ID
+ *         description: Lead Rule ID
  *     requestBody:
  *       required: true
  *       content:
@@ -303,72 +1592,30 @@ router.post(
  *           schema:
  *             type: object
  *             properties:
- *               name:
+ *               criteria:
+ *                 $ref: '#/components/schemas/LeadRuleCriteria'
+ *               strategy:
  *                 type: string
- *                 example: Toronto Branch
- *               address:
- *                 type: object
- *                 properties:
- *                   street:
- *                     type: string
- *                     example: 123 University Ave
- *                   city:
- *                     type: string
- *                     example: Toronto
- *                   country:
- *                     type: string
- *                     example: Canada
- *               contact:
- *                 type: object
- *                 properties:
- *                   phone:
- *                     type: string
- *                     example: +1-416-123-4567
- *                   email:
- *                     type: string
- *                     format: email
- *                     example: toronto@treklin.com
- *               officeHours:
- *                 type: object
- *                 additionalProperties:
- *                   type: string
- *                 example:
- *                   Monday: "9am-5pm"
- *                   Tuesday: "9am-5pm"
- *               workingDays:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"]
- *               serviceCapacity:
- *                 type: object
- *                 properties:
- *                   maxAppointments:
- *                     type: number
- *                     example: 20
- *                   maxConsultants:
- *                     type: number
- *                     example: 5
- *               isActive:
- *                 type: boolean
- *                 example: true
- *               managerId:
+ *                 enum: [fixed, round_robin, least_open_leads, weighted]
+ *                 description: Shared strategies pick among the office's consultants and must not set consultantId
+ *               priority:
+ *                 type: integer
+ *                 example: 2
+ *               officeId:
  *                 type: string
  *                 format: uuid
  *                 example: 123e4567-e89b-12d3-a456-426614174000
- *               consultants:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: uuid
- *                 example: ["123e4567-e89b-12d3-a456-426614174000", "223e4567-e89b-12d3-a456-426614174001"]
+ *               consultantId:
+ *                 type: string
+ *                 format: uuid
+ *                 example: abc123e4-e89b-12d3-a456-426614174001
  *     responses:
  *       200:
- *         description: Office updated successfully
+ *         description: Lead rule updated
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Office'
+ *               $ref: '#/components/schemas/LeadRule'
  *       400:
  *         description: Invalid input
  *       401:
@@ -376,25 +1623,46 @@ router.post(
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Office not found
+ *         description: Lead rule not found
+ */
+router.put(
+  '/lead-rules/:id',
+  validate(leadRuleUpdateSchema),
+  superAdminController.updateLeadRule
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-rules:
+ *   get:
+ *     summary: Get all lead distribution rules
+ *     tags: [SuperAdmin]
+ *     description: Retrieves all lead distribution rules.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of lead rules
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Office not found
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LeadRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  */
-router.put('/offices/:id', superAdminController.updateOffice);
+router.get('/lead-rules', superAdminController.getLeadRules);
 
 /**
  * @swagger
- * /api/v1/super-admin/offices/{id}/status:
- *   patch:
- *     summary: Toggle office status
+ * /api/v1/super-admin/lead-rules/{id}/history:
+ *   get:
+ *     summary: Get lead rule history
  *     tags: [SuperAdmin]
- *     description: Toggles the active/inactive status of an office.
+ *     description: Lists every version of a lead distribution rule, newest first, including versions of deleted rules. Each version records who made the change, the rule as it stood afterwards and a diff of the changed fields.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -404,7 +1672,71 @@ router.put('/offices/:id', superAdminController.updateOffice);
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Office ID
+ *         description: Lead Rule ID
+ *     responses:
+ *       200:
+ *         description: Lead rule history retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LeadRuleVersion'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lead rule not found
+ */
+router.get('/lead-rules/:id/history', superAdminController.getLeadRuleHistory);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-rules/{id}:
+ *   delete:
+ *     summary: Delete lead distribution rule
+ *     tags: [SuperAdmin]
+ *     description: Deletes a rule. Its history is kept, so it can be restored with a rollback.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lead rule not found
+ */
+router.delete('/lead-rules/:id', superAdminController.deleteLeadRule);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-rules/{id}/rollback:
+ *   post:
+ *     summary: Roll back a lead distribution rule
+ *     tags: [SuperAdmin]
+ *     description: Restores the rule as it was at an earlier version, recreating it if it has been deleted. The rollback is recorded as a new version.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead Rule ID
  *     requestBody:
  *       required: true
  *       content:
@@ -412,89 +1744,216 @@ router.put('/offices/:id', superAdminController.updateOffice);
  *           schema:
  *             type: object
  *             required:
- *               - isActive
+ *               - version
  *             properties:
- *               isActive:
- *                 type: boolean
- *                 example: false
+ *               version:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Rule restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadRule'
+ *       400:
+ *         description: The version is a deletion, or its consultant no longer exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Version not found
+ */
+router.post(
+  '/lead-rules/:id/rollback',
+  validate(leadRuleRollbackSchema),
+  superAdminController.rollbackLeadRule
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-rules/dry-run:
+ *   post:
+ *     summary: Dry-run a draft rule set
+ *     tags: [SuperAdmin]
+ *     description: Replays the most recent leads against the current rules and against a draft set that would replace them, and reports where each lead would go under both. Nothing is saved or assigned. Open-lead counts used by shared strategies are today's, and draft round-robin rules start at the beginning of their rotation.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rules
+ *             properties:
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - criteria
+ *                     - priority
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: Optional label echoed back as ruleId
+ *                     criteria:
+ *                       $ref: '#/components/schemas/LeadRuleCriteria'
+ *                     priority:
+ *                       type: integer
+ *                     strategy:
+ *                       type: string
+ *                       enum: [fixed, round_robin, least_open_leads, weighted]
+ *                     officeId:
+ *                       type: string
+ *                       format: uuid
+ *                     consultantId:
+ *                       type: string
+ *                       format: uuid
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 500
+ *                 default: 50
+ *                 description: How many of the latest leads to replay
  *     responses:
  *       200:
- *         description: Office status toggled
+ *         description: Comparison of current and draft assignments
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Office'
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     leads:
+ *                       type: integer
+ *                     changed:
+ *                       type: integer
+ *                     unassignedNow:
+ *                       type: integer
+ *                     unassignedWithDraft:
+ *                       type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       leadId:
+ *                         type: string
+ *                         format: uuid
+ *                       current:
+ *                         $ref: '#/components/schemas/LeadRuleDryRunAssignment'
+ *                       draft:
+ *                         $ref: '#/components/schemas/LeadRuleDryRunAssignment'
+ *                       changed:
+ *                         type: boolean
+ *       400:
+ *         description: Invalid draft rules
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
- *       404:
- *         description: Office not found
  */
-router.patch('/offices/:id/status', superAdminController.toggleOfficeStatus);
+router.post(
+  '/lead-rules/dry-run',
+  validate(leadRuleDryRunSchema),
+  superAdminController.dryRunLeadRules
+);
 
 /**
  * @swagger
- * /api/v1/super-admin/offices:
+ * /api/v1/super-admin/pipelines:
  *   get:
- *     summary: Get all offices
+ *     summary: Get lead pipelines
  *     tags: [SuperAdmin]
- *     description: Retrieves a list of all offices in the system.
+ *     description: Lists the lead pipelines, the default first. A lead's status is the key of its stage in its pipeline.
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: List of offices
+ *         description: List of pipelines
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Office'
+ *                 $ref: '#/components/schemas/Pipeline'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.get('/offices', superAdminController.getAllOffices);
+router.get('/pipelines', superAdminController.getPipelines);
 
 /**
  * @swagger
- * /api/v1/super-admin/offices/{id}:
- *   get:
- *     summary: Get office by ID
+ * /api/v1/super-admin/pipelines:
+ *   post:
+ *     summary: Create lead pipeline
  *     tags: [SuperAdmin]
- *     description: Retrieves the details of a specific office by ID.
+ *     description: Creates a pipeline of ordered stages. Leads may only move along the listed transitions, must have each stage's required fields filled in to enter it, and need one of the loss reasons to enter a lost stage. Won and lost stages are terminal. Marking it as default makes new leads join it.
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: ID of the office
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - stages
+ *               - transitions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               stages:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PipelineStage'
+ *               transitions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *               lossReasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isDefault:
+ *                 type: boolean
  *     responses:
- *       200:
- *         description: Office details
+ *       201:
+ *         description: Pipeline created
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Office'
+ *               $ref: '#/components/schemas/Pipeline'
+ *       400:
+ *         description: Invalid pipeline definition
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.get('/office/:id', superAdminController.getAllOfficeDetails);
+router.post(
+  '/pipelines',
+  validate(pipelineSchema),
+  superAdminController.createPipeline
+);
 
 /**
  * @swagger
- * /api/v1/super-admin/offices/{id}/performance:
+ * /api/v1/super-admin/pipelines/{id}:
  *   get:
- *     summary: Get office performance
+ *     summary: Get lead pipeline
  *     tags: [SuperAdmin]
- *     description: Retrieves performance metrics for a specific office.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -504,96 +1963,30 @@ router.get('/office/:id', superAdminController.getAllOfficeDetails);
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Office ID
+ *         description: Pipeline ID
  *     responses:
  *       200:
- *         description: Office performance retrieved
+ *         description: Pipeline retrieved
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 officeId:
- *                   type: string
- *                   format: uuid
- *                 metrics:
- *                   type: object
- *                   properties:
- *                     leadsConverted:
- *                       type: number
- *                       example: 50
- *                     appointmentsScheduled:
- *                       type: number
- *                       example: 100
- *                     revenue:
- *                       type: number
- *                       example: 50000
+ *               $ref: '#/components/schemas/Pipeline'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Office not found
- */
-router.get(
-  '/offices/:id/performance',
-  superAdminController.getOfficePerformance
-);
-
-/**
- * @swagger
- * /api/v1/super-admin/staff:
- *   post:
- *     summary: Create a new staff member
- *     tags: [SuperAdmin]
- *     security:
- *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - role
- *               - officeId
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: staff@example.com
- *               role:
- *                 type: string
- *                 enum:
- *                   - manager
- *                   - consultant
- *                   - receptionist
- *                   - student
- *                 example: consultant || manager || receptionist || student
- *               officeId:
- *                 type: string
- *                 format: uuid
- *                 example: 123e4567-e89b-12d3-a456-426614174000
- *               name:
- *                 type: string
- *                 example: Jane Doe
- *               phone:
- *                 type: string
- *                 example: +1234567890
- *               password:
- *                 type: string
- *                 example: anySecurePassword123
+ *         description: Pipeline not found
  */
-router.post('/staff', superAdminController.createStaff);
+router.get('/pipelines/:id', superAdminController.getPipeline);
 
 /**
  * @swagger
- * /api/v1/super-admin/staff/{id}:
+ * /api/v1/super-admin/pipelines/{id}:
  *   put:
- *     summary: Update staff member
+ *     summary: Update lead pipeline
  *     tags: [SuperAdmin]
- *     description: Updates the details of an existing staff member.
+ *     description: Updates a pipeline. A stage cannot be removed while leads are in it, and the default pipeline stays default until another one is made default.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -603,7 +1996,7 @@ router.post('/staff', superAdminController.createStaff);
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Staff ID
+ *         description: Pipeline ID
  *     requestBody:
  *       required: true
  *       content:
@@ -611,44 +2004,53 @@ router.post('/staff', superAdminController.createStaff);
  *           schema:
  *             type: object
  *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               role:
- *                 type: string
- *                 enum: [manager, consultant, receptionist]
- *               officeId:
- *                 type: string
- *                 format: uuid
  *               name:
  *                 type: string
- *               phone:
- *                 type: string
+ *               stages:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PipelineStage'
+ *               transitions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *               lossReasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isDefault:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Staff member updated successfully
+ *         description: Pipeline updated
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UserStaff'
+ *               $ref: '#/components/schemas/Pipeline'
  *       400:
- *         description: Invalid input
+ *         description: Invalid pipeline definition, or leads are in a removed stage
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Staff member not found
+ *         description: Pipeline not found
  */
-router.put('/staff/:id', superAdminController.updateStaff);
+router.put(
+  '/pipelines/:id',
+  validate(pipelineUpdateSchema),
+  superAdminController.updatePipeline
+);
 
 /**
  * @swagger
- * /api/v1/super-admin/staff/{id}/status:
- *   patch:
- *     summary: Toggle staff status
+ * /api/v1/super-admin/pipelines/{id}:
+ *   delete:
+ *     summary: Delete lead pipeline
  *     tags: [SuperAdmin]
- *     description: Toggles the active/inactive status of a staff member.
+ *     description: Deletes a pipeline that is not the default and has no leads.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -658,42 +2060,86 @@ router.put('/staff/:id', superAdminController.updateStaff);
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Staff ID
+ *         description: Pipeline ID
+ *     responses:
+ *       200:
+ *         description: Pipeline deleted
+ *       400:
+ *         description: Pipeline is the default or still has leads
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Pipeline not found
+ */
+router.delete('/pipelines/:id', superAdminController.deletePipeline);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-scoring:
+ *   get:
+ *     summary: Get the lead scoring model
+ *     tags: [SuperAdmin]
+ *     description: The weights and settings lead scores are computed from.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lead scoring model
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeadScoringModel'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/lead-scoring', superAdminController.getLeadScoringModel);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-scoring:
+ *   put:
+ *     summary: Update the lead scoring model
+ *     tags: [SuperAdmin]
+ *     description: Changes some or all weights and settings. Every lead is flagged and rescored by the background scoring job.
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - isActive
- *             properties:
- *               isActive:
- *                 type: boolean
- *                 example: false
+ *             $ref: '#/components/schemas/LeadScoringModel'
  *     responses:
  *       200:
- *         description: Staff status toggled
+ *         description: Updated lead scoring model
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UserStaff'
+ *               $ref: '#/components/schemas/LeadScoringModel'
+ *       400:
+ *         description: Validation error or every weight is 0
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
- *       404:
- *         description: Staff member not found
  */
-router.patch('/staff/:id/status', superAdminController.toggleStaffStatus);
+router.put(
+  '/lead-scoring',
+  validate(leadScoringModelSchema),
+  superAdminController.updateLeadScoringModel
+);
 
 /**
  * @swagger
- * /api/v1/super-admin/staff/import:
+ * /api/v1/super-admin/lead-imports:
  *   post:
- *     summary: Import staff via CSV
+ *     summary: Check a spreadsheet of leads (dry run)
  *     tags: [SuperAdmin]
- *     description: Imports multiple staff members from a CSV file.
+ *     description: Reads a CSV or XLSX file (first sheet, header row first) and checks every row without creating anything. `mapping` pairs import fields with column headers; unmapped fields are matched to a header of the same name. Rows need a name, an email and at least one study preference. Each row goes to the office in its office column, by id or name, or to `officeId` when the cell is blank. Rows whose email belongs to staff or repeats an earlier row are invalid; rows that look like an existing student are reported as duplicates. Confirm the import to create the leads.
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -702,277 +2148,309 @@ router.patch('/staff/:id/status', superAdminController.toggleStaffStatus);
  *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - file
  *             properties:
  *               file:
  *                 type: string
  *                 format: binary
+ *                 description: .csv or .xlsx, up to 5MB and 2000 rows
+ *               mapping:
+ *                 type: string
+ *                 description: 'JSON object of field to column header. Fields: name, email, phone, office, source, destination, level, fields, budget, intake'
+ *                 example: '{"name":"Full Name","email":"E-mail","phone":"Mobile","destination":"Country"}'
+ *               source:
+ *                 type: string
+ *                 enum: [walk_in, online, referral]
+ *                 default: referral
+ *                 description: Lead source for rows without one
+ *               officeId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Office for rows whose office cell is blank
  *     responses:
- *       200:
- *         description: Staff imported successfully
+ *       201:
+ *         description: Dry-run report
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Staff imported successfully
- *                 count:
- *                   type: number
- *                   example: 10
+ *               $ref: '#/components/schemas/LeadImport'
  *       400:
- *         description: Invalid CSV file
+ *         description: Unreadable file, unknown field or missing column
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Office not found
+ */
+router.post(
+  '/lead-imports',
+  importUpload.single('file'),
+  validate(leadImportSchema),
+  superAdminController.createLeadImport
+);
+
+/**
+ * @swagger
+ * /api/v1/super-admin/lead-imports:
+ *   get:
+ *     summary: List lead imports
+ *     tags: [SuperAdmin]
+ *     description: Imports for all offices, newest first, without their row reports.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [dry_run, confirmed]
+ *       - in: query
+ *         name: officeId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Imports page
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Invalid CSV format
+ *               $ref: '#/components/schemas/LeadImportList'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.post('/staff/import', superAdminController.importStaffCSV);
+router.get('/lead-imports', superAdminController.getLeadImports);
 
 /**
  * @swagger
- * /api/v1/super-admin/staff/{id}/logs:
+ * /api/v1/super-admin/lead-imports/{id}:
  *   get:
- *     summary: Get staff logs
+ *     summary: Get a lead import
  *     tags: [SuperAdmin]
- *     description: Retrieves activity logs for a specific staff member.
+ *     description: The import with its report for every row.
  *     security:
  *       - BearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
+ *       - name: id
+ *         in: path
  *         required: true
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Staff ID
  *     responses:
  *       200:
- *         description: Staff logs retrieved
+ *         description: Lead import
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   action:
- *                     type: string
- *                     example: Updated lead status
- *                   timestamp:
- *                     type: string
- *                     format: date-time
- *                     example: 2025-06-07T12:00:00Z
+ *               $ref: '#/components/schemas/LeadImport'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Staff member not found
+ *         description: Import not found
  */
-router.get('/staff/:id/logs', superAdminController.getStaffLogs);
+router.get('/lead-imports/:id', superAdminController.getLeadImport);
 
 /**
  * @swagger
- * /api/v1/super-admin/lead-rules:
+ * /api/v1/super-admin/lead-imports/{id}/confirm:
  *   post:
- *     summary: Create lead distribution rule
+ *     summary: Confirm a lead import
  *     tags: [SuperAdmin]
- *     description: Creates a new rule for lead distribution.
+ *     description: Creates a student account, profile and lead for every valid row in one transaction; if any row fails, nothing is created. Duplicate rows are skipped unless `includeDuplicates` is set, in which case they are created and flagged in the duplicates queue. Rows whose email was registered after the dry run are skipped. New leads go through the distribution rules, and the import is written to the audit log as `leads_imported`.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - criteria
- *               - priority
  *             properties:
- *               criteria:
- *                 type: object
- *                 properties:
- *                   officeId:
- *                     type: string
- *                     format: uuid
- *                   studyDestination:
- *                     type: string
- *                   leadSource:
- *                     type: string
- *                     enum: [walk_in, online, referral]
- *               priority:
- *                 type: number
- *                 example: 1
- *               officeId:
- *                 type: string
- *                 format: uuid
- *                 example: 123e4567-e89b-12d3-a456-426614174000
- *               targetConsultantIds:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: uuid
+ *               includeDuplicates:
+ *                 type: boolean
+ *                 default: false
  *     responses:
- *       201:
- *         description: Lead rule created
+ *       200:
+ *         description: Import with the result of each row
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/LeadRule'
+ *               $ref: '#/components/schemas/LeadImport'
  *       400:
- *         description: Invalid input
+ *         description: Import already confirmed
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
+ *       404:
+ *         description: Import not found
  */
-router.post('/lead-rules', superAdminController.createLeadRule);
+router.post(
+  '/lead-imports/:id/confirm',
+  validate(leadImportConfirmSchema),
+  superAdminController.confirmLeadImport
+);
 
 /**
  * @swagger
- * /api/v1/super-admin/lead-rules/{id}:
- *   put:
- *     summary: Update lead distribution rule
+ * /api/v1/super-admin/duplicates:
+ *   get:
+ *     summary: List possible duplicate leads
  *     tags: [SuperAdmin]
- *     description: Updates an existing lead distribution rule.
+ *     description: The duplicates queue across all offices, highest scores first. Managers only resolve pairs whose leads are both in their office; use `crossOffice` to list the pairs that span offices.
  *     security:
  *       - BearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, dismissed, merged]
+ *           default: open
+ *       - in: query
+ *         name: officeId
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Lead Rule ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               criteria:
- *                 type: object
- *                 properties:
- *                   officeId:
- *                     type: string
- *                     format: uuid
- *                   studyDestination:
- *                     type: string
- *                   leadSource:
- *                     type: string
- *                     enum: [walk_in, online, referral]
- *                 example:
- *                   officeId: 123e4567-e89b-12d3-a456-426614174000
- *                   studyDestination: Canada
- *                   leadSource: online
- *               priority:
- *                 type: number
- *                 example: 2
- *               officeId:
- *                 type: string
- *                 format: uuid
- *                 example: 123e4567-e89b-12d3-a456-426614174000
- *               consultantId:
- *                 type: string
- *                 format: uuid
- *                 example: abc123e4-e89b-12d3-a456-426614174001
+ *         description: Only pairs with both leads in this office
+ *       - in: query
+ *         name: crossOffice
+ *         schema:
+ *           type: boolean
+ *         description: Only pairs whose leads are in different offices
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Lead rule updated
+ *         description: Duplicates queue page
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/LeadRule'
- *       400:
- *         description: Invalid input
+ *               $ref: '#/components/schemas/DuplicateQueue'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
- *       404:
- *         description: Lead rule not found
  */
-router.put('/lead-rules/:id', superAdminController.updateLeadRule);
+router.get('/duplicates', superAdminController.getDuplicates);
 
 /**
  * @swagger
- * /api/v1/super-admin/lead-rules:
- *   get:
- *     summary: Get all lead distribution rules
+ * /api/v1/super-admin/duplicates/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a duplicate pair
  *     tags: [SuperAdmin]
- *     description: Retrieves all lead distribution rules.
+ *     description: Marks the pair as different students. It is not flagged again.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Duplicate candidate ID
  *     responses:
  *       200:
- *         description: List of lead rules
+ *         description: Dismissed pair
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/LeadRule'
+ *               $ref: '#/components/schemas/DuplicateCandidate'
+ *       400:
+ *         description: Already dismissed or merged
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
+ *       404:
+ *         description: Duplicate candidate not found
  */
-router.get('/lead-rules', superAdminController.getLeadRules);
+router.post('/duplicates/:id/dismiss', superAdminController.dismissDuplicate);
 
 /**
  * @swagger
- * /api/v1/super-admin/lead-rules/{id}/history:
- *   get:
- *     summary: Get lead rule history
+ * /api/v1/super-admin/duplicates/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate pair
  *     tags: [SuperAdmin]
- *     description: Retrieves the history of a lead distribution rule.
+ *     description: Folds one lead of the pair into the other, in any office. The merge works as it does for managers and is written to the audit log as `lead_merged`.
  *     security:
  *       - BearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
+ *       - name: id
+ *         in: path
  *         required: true
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Lead Rule ID
+ *         description: Duplicate candidate ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepLeadId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The lead to keep; defaults to the older lead
  *     responses:
  *       200:
- *         description: Lead rule history retrieved
+ *         description: Leads merged
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   action:
- *                     type: string
- *                     example: Rule updated
- *                   timestamp:
- *                     type: string
- *                     format: date-time
- *                     example: 2025-06-07T12:00:00Z
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Leads merged
+ *                 lead:
+ *                   $ref: '#/components/schemas/Lead'
+ *       400:
+ *         description: Already merged, or keepLeadId is not one of the pair
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Lead rule not found
+ *         description: Duplicate candidate not found
  */
-router.get('/lead-rules/:id/history', superAdminController.getLeadRuleHistory);
+router.post(
+  '/duplicates/:id/merge',
+  blockImpersonation,
+  validate(duplicateMergeSchema),
+  superAdminController.mergeDuplicate
+);
 
 /**
  * @swagger
@@ -980,9 +2458,64 @@ router.get('/lead-rules/:id/history', superAdminController.getLeadRuleHistory);
  *   get:
  *     summary: Get all leads
  *     tags: [SuperAdmin]
- *     description: Retrieves all leads in the system.
+ *     description: Retrieves all leads in the system, with their scores.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: officeId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Pipeline stage key, or a comma-separated list
+ *       - in: query
+ *         name: consultantId
+ *         schema:
+ *           type: string
+ *         description: Assigned consultant, or `none` for unassigned leads
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Lead source, or a comma-separated list
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before
+ *       - in: query
+ *         name: parked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [score, -score]
+ *         description: Order by score; `-score` puts the highest first
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: List of leads
@@ -997,7 +2530,11 @@ router.get('/lead-rules/:id/history', superAdminController.getLeadRuleHistory);
  *       403:
  *         description: Forbidden
  */
-router.get('/leads', superAdminController.getAllLeads);
+router.get(
+  '/leads',
+  validate(leadListQuerySchema, 'query'),
+  superAdminController.getAllLeads
+);
 
 /**
  * @swagger
@@ -1053,31 +2590,102 @@ router.put('/leads/:id/reassign', superAdminController.reassignLead);
  *   get:
  *     summary: Export leads
  *     tags: [SuperAdmin]
- *     description: Exports all leads to a CSV file.
+ *     description: Downloads the leads matching the filters, in every office. Takes the same filters as the lead list. The file is streamed as it is read, oldest leads first. In CSV, cells starting with =, +, - or @ are prefixed with ' so spreadsheets do not run them as formulas.
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *           example: id,status,student.name,student.email,consultant.name
+ *         description: 'Comma-separated, in order. Any of: id, status, source, parked, score, office, destination, level, fields, budget, intake, createdAt, updatedAt, student.name, student.email, student.phone, profile.dob, profile.gender, profile.nationality, profile.testScores, consultant.name, consultant.email, consultant.phone. Defaults to id, status, source, office, student name, email and phone, consultant name and createdAt.'
+ *       - in: query
+ *         name: officeId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Pipeline stage key, or a comma-separated list
+ *       - in: query
+ *         name: consultantId
+ *         schema:
+ *           type: string
+ *         description: Assigned consultant, or `none` for unassigned leads
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Lead source, or a comma-separated list
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before
+ *       - in: query
+ *         name: parked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Leads exported successfully
+ *         description: Leads file
  *         content:
  *           text/csv:
  *             schema:
  *               type: string
  *               format: binary
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid filter or unknown column
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.get('/leads/export', superAdminController.exportLeads);
+router.get(
+  '/leads/export',
+  validate(leadExportQuerySchema, 'query'),
+  superAdminController.exportLeads
+);
 
 /**
  * @swagger
  * /api/v1/super-admin/leads/{id}/history:
  *   get:
- *     summary: Get lead history
+ *     summary: Get lead timeline
  *     tags: [SuperAdmin]
- *     description: Retrieves the history of a lead.
+ *     description: Lists what has happened to a lead, newest first, filtered by type, actor and date.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -1088,26 +2696,44 @@ router.get('/leads/export', superAdminController.exportLeads);
  *           type: string
  *           format: uuid
  *         description: Lead ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: status_change,note
+ *         description: One activity type or a comma-separated list
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Lead history retrieved
+ *         description: Timeline page
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   note:
- *                     type: string
- *                     example: Lead reassigned
- *                   timestamp:
- *                     type: string
- *                     format: date-time
- *                     example: 2025-06-07T12:00:00Z
- *                   userId:
- *                     type: string
- *                     format: uuid
+ *               $ref: '#/components/schemas/LeadTimeline'
+ *       400:
+ *         description: Invalid filters or unknown activity type
  *       401:
  *         description: Unauthorized
  *       403:
@@ -1115,7 +2741,11 @@ router.get('/leads/export', superAdminController.exportLeads);
  *       404:
  *         description: Lead not found
  */
-router.get('/leads/:id/history', superAdminController.getLeadHistory);
+router.get(
+  '/leads/:id/history',
+  validate(leadHistoryQuerySchema, 'query'),
+  superAdminController.getLeadHistory
+);
 
 /**
  * @swagger
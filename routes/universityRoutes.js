@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const universityController = require('../controllers/universityController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 /**
  * @swagger
@@ -47,7 +48,7 @@ const { protect, restrictTo } = require('../middleware/authMiddleware');
  *       201:
  *         description: University created
  */
-router.post('/', protect, restrictTo('super_admin'), universityController.createUniversity);
+router.post('/', protect, requirePermission(PERMISSIONS.UNIVERSITY_MANAGE), universityController.createUniversity);
 
 /**
  * @swagger
@@ -84,7 +85,7 @@ router.get('/', universityController.getAllUniversities);
  *       500:
  *         description: Server error
  */
-router.get('/unassigned', protect, restrictTo('super_admin'), universityController.getUnAssignCourses);
+router.get('/unassigned', protect, requirePermission(PERMISSIONS.UNIVERSITY_MANAGE), universityController.getUnAssignCourses);
 
 /**
  * @swagger
@@ -145,7 +146,7 @@ router.get('/:id', universityController.getUniversityById);
  *       404:
  *         description: Not found
  */
-router.put('/:id', protect, restrictTo('super_admin'), universityController.updateUniversity);
+router.put('/:id', protect, requirePermission(PERMISSIONS.UNIVERSITY_MANAGE), universityController.updateUniversity);
 
 /**
  * @swagger
@@ -166,7 +167,7 @@ router.put('/:id', protect, restrictTo('super_admin'), universityController.upda
  *       404:
  *         description: Not found
  */
-router.delete('/:id', protect, restrictTo('super_admin'), universityController.deleteUniversity);
+router.delete('/:id', protect, requirePermission(PERMISSIONS.UNIVERSITY_MANAGE), universityController.deleteUniversity);
 
 /**
  * @swagger
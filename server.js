@@ -10,8 +10,21 @@ const passport = require('passport');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const { startJobs } = require('./jobs');
+
+// TRUST_PROXY names the proxies in front of the app: a hop count, `true`,
+// or addresses/subnets such as `loopback` or `10.0.0.0/8`. X-Forwarded-For is
+// only used for `req.ip` (rate limits, lockouts, sessions, audit logs) when
+// it was set by one of them. Unset, the connecting address is used.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
 
 const app = express();
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -71,4 +84,5 @@ const PORT = process.env.PORT || 5009;
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`API DOCS: http://localhost:${PORT}/api-docs`);
+  startJobs({ io });
 });
@@ -0,0 +1,98 @@
+const { ApiKey, Office } = require('../models');
+const AppError = require('../utils/appError');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const KEY_PREFIX = 'crm_';
+
+// lastUsedAt only needs minute-level accuracy
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const isApiKey = (value) =>
+  typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+const issueKey = () => {
+  const key = `${KEY_PREFIX}${generateToken(24)}`;
+  return { key, keyPrefix: key.slice(0, 12), keyHash: hashToken(key) };
+};
+
+const listKeys = async () =>
+  ApiKey.findAll({
+    include: [{ model: Office, as: 'office', attributes: ['id', 'name'] }],
+    order: [['createdAt', 'DESC']],
+  });
+
+// Returns the plain key once; only its hash is stored
+const createKey = async (data, creatorId) => {
+  if (data.officeId) {
+    const office = await Office.findByPk(data.officeId);
+    if (!office) {
+      throw new AppError('Office not found', 404);
+    }
+  }
+
+  const { key, keyPrefix, keyHash } = issueKey();
+  const apiKey = await ApiKey.create({
+    name: data.name,
+    permissions: data.permissions,
+    officeId: data.officeId || null,
+    rateLimitPerMinute: data.rateLimitPerMinute,
+    expiresAt: data.expiresAt || null,
+    keyPrefix,
+    keyHash,
+    createdBy: creatorId,
+  });
+
+  return { apiKey: await ApiKey.findByPk(apiKey.id), key };
+};
+
+const findKey = async (id) => {
+  const apiKey = await ApiKey.findByPk(id);
+  if (!apiKey) {
+    throw new AppError('API key not found', 404);
+  }
+  return apiKey;
+};
+
+// Swaps in a new secret; the old key stops working immediately
+const rotateKey = async (id) => {
+  const apiKey = await findKey(id);
+  if (apiKey.revokedAt) {
+    throw new AppError('Cannot rotate a revoked API key', 400);
+  }
+
+  const { key, keyPrefix, keyHash } = issueKey();
+  await apiKey.update({ keyPrefix, keyHash });
+  return { apiKey: await findKey(id), key };
+};
+
+const revokeKey = async (id) => {
+  const apiKey = await findKey(id);
+  if (!apiKey.revokedAt) {
+    await apiKey.update({ revokedAt: new Date() });
+  }
+  return apiKey;
+};
+
+const authenticate = async (key) => {
+  const apiKey = await ApiKey.findOne({ where: { keyHash: hashToken(key) } });
+  if (!apiKey || !apiKey.isActive()) {
+    throw new AppError('Invalid or revoked API key', 401);
+  }
+  return apiKey;
+};
+
+const touchKey = async (apiKey, ipAddress) => {
+  const lastUsed = apiKey.lastUsedAt ? apiKey.lastUsedAt.getTime() : 0;
+  if (Date.now() - lastUsed < TOUCH_INTERVAL_MS) return;
+  await apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ipAddress });
+};
+
+module.exports = {
+  isApiKey,
+  listKeys,
+  createKey,
+  rotateKey,
+  revokeKey,
+  authenticate,
+  touchKey,
+};
@@ -0,0 +1,59 @@
+const { Op } = require('sequelize');
+const { AuditLog, User } = require('../models');
+const { paginate } = require('../utils/helpers');
+
+const record = async ({
+  action,
+  actorId = null,
+  targetUserId = null,
+  ipAddress = null,
+  details = {},
+}) => {
+  return AuditLog.create({ action, actorId, targetUserId, ipAddress, details });
+};
+
+const getLogs = async ({
+  action,
+  actorId,
+  targetUserId,
+  from,
+  to,
+  page = 1,
+  limit = 50,
+} = {}) => {
+  const where = {};
+  if (action) where.action = action;
+  if (actorId) where.actorId = actorId;
+  if (targetUserId) where.targetUserId = targetUserId;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = new Date(from);
+    if (to) where.createdAt[Op.lte] = new Date(to);
+  }
+
+  const pagination = paginate({ page, limit });
+
+  const { rows, count } = await AuditLog.findAndCountAll({
+    where,
+    include: [
+      { model: User, as: 'actor', attributes: ['id', 'name', 'email', 'role'] },
+      {
+        model: User,
+        as: 'targetUser',
+        attributes: ['id', 'name', 'email', 'role'],
+      },
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: pagination.limit,
+    offset: pagination.offset,
+  });
+
+  return {
+    total: count,
+    page: pagination.page,
+    limit: pagination.limit,
+    logs: rows,
+  };
+};
+
+module.exports = { record, getLogs };
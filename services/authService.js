@@ -2,6 +2,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const AppError = require('../utils/appError');
+const passwordPolicyService = require('./passwordPolicyService');
 
 const signup = async ({ email, password, role, name, phone, officeId }) => {
   const existingUser = await User.findOne({ where: { email } });
@@ -9,10 +10,15 @@ const signup = async ({ email, password, role, name, phone, officeId }) => {
     throw new AppError('Email already exists', 400);
   }
 
-  const hashedPassword = await bcrypt.hash(password, 10);
+  const hashedPassword = await passwordPolicyService.hashPassword(password, {
+    email,
+    name,
+    role,
+  });
   const user = await User.create({
     email,
     password: hashedPassword,
+    passwordChangedAt: new Date(),
     role,
     name,
     phone,
@@ -0,0 +1,186 @@
+const { Op } = require('sequelize');
+const { Lead, OfficeConsultant, User } = require('../models');
+const pipelineService = require('./pipelineService');
+
+// How a distribution rule picks a consultant. 'fixed' uses the rule's own
+// consultantId; the rest share leads among the consultants of an office.
+const STRATEGIES = ['fixed', 'round_robin', 'least_open_leads', 'weighted'];
+
+const normalize = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : null;
+
+// Consultants of the office who can take leads right now: active accounts,
+// not on leave and with a capacity above zero
+const loadCandidates = async (officeId) => {
+  const memberships = await OfficeConsultant.findAll({
+    where: { officeId, onLeave: false, capacity: { [Op.gt]: 0 } },
+    include: [
+      {
+        model: User,
+        where: { role: 'consultant', isActive: true },
+        attributes: ['id', 'name'],
+      },
+    ],
+  });
+  return memberships
+    .map((membership) => ({
+      consultantId: membership.userId,
+      name: membership.User.name,
+      capacity: membership.capacity,
+      languages: membership.languages.map(normalize),
+      destinations: membership.destinations.map(normalize),
+    }))
+    .sort((a, b) => a.consultantId.localeCompare(b.consultantId));
+};
+
+// Whether the consultant is marked on leave in any of their offices
+const isOnLeave = async (consultantId) =>
+  (await OfficeConsultant.count({
+    where: { userId: consultantId, onLeave: true },
+  })) > 0;
+
+// Won and lost leads no longer count towards a consultant's workload
+const countOpenLeads = async (consultantIds) => {
+  const rows = await Lead.findAll({
+    attributes: [
+      'assignedConsultant',
+      [Lead.sequelize.fn('COUNT', Lead.sequelize.col('id')), 'count'],
+    ],
+    where: {
+      assignedConsultant: consultantIds,
+      parked: false,
+      ...(await pipelineService.whereStageType('open')),
+    },
+    group: ['assignedConsultant'],
+    raw: true,
+  });
+  return Object.fromEntries(
+    rows.map((row) => [row.assignedConsultant, Number(row.count)])
+  );
+};
+
+// Every matching skill adds the consultant's capacity to their weight again
+const weigh = (candidate, lead) => {
+  const preferences = lead.studyPreferences || {};
+  const destinations = [].concat(
+    preferences.destination || preferences.country || []
+  );
+  const skills = [];
+  if (candidate.languages.includes(normalize(lead.languagePreference))) {
+    skills.push(`speaks ${lead.languagePreference}`);
+  }
+  const destination = destinations.find((d) =>
+    candidate.destinations.includes(normalize(d))
+  );
+  if (destination) {
+    skills.push(`${destination} expertise`);
+  }
+  return { weight: candidate.capacity * (1 + skills.length), skills };
+};
+
+// Candidates are in consultantId order. When the last consultant assigned
+// is no longer a candidate, e.g. on leave, the rotation carries on from
+// where they stood rather than starting over.
+const pickRoundRobin = (candidates, rule) => {
+  const previous = rule.lastAssignedConsultantId;
+  const last = candidates.findIndex((c) => c.consultantId === previous);
+  if (last !== -1) {
+    return {
+      chosen: candidates[(last + 1) % candidates.length],
+      reason: `Round robin: next after ${candidates[last].name}`,
+    };
+  }
+  if (!previous) {
+    return {
+      chosen: candidates[0],
+      reason: `Round robin: first in rotation of ${candidates.length}`,
+    };
+  }
+  return {
+    chosen:
+      candidates.find((c) => c.consultantId.localeCompare(previous) > 0) ||
+      candidates[0],
+    reason: `Round robin: next in rotation of ${candidates.length} after an unavailable consultant`,
+  };
+};
+
+const pickLeastOpen = (candidates) => {
+  const chosen = candidates.reduce((best, c) =>
+    c.openLeads < best.openLeads ? c : best
+  );
+  return {
+    chosen,
+    reason: `Fewest open leads: ${chosen.openLeads} of ${candidates.length} consultants`,
+  };
+};
+
+// Lowest open leads per unit of weight wins; ties go to the heavier weight
+const pickWeighted = (candidates) => {
+  const load = (c) => c.openLeads / c.weight;
+  const chosen = candidates.reduce((best, c) =>
+    load(c) < load(best) || (load(c) === load(best) && c.weight > best.weight)
+      ? c
+      : best
+  );
+  const detail = [`capacity ${chosen.capacity}`, ...chosen.skills].join(', ');
+  return {
+    chosen,
+    reason: `Weighted: ${chosen.openLeads} open leads at weight ${chosen.weight} (${detail})`,
+  };
+};
+
+const PICKERS = {
+  round_robin: pickRoundRobin,
+  least_open_leads: pickLeastOpen,
+  weighted: pickWeighted,
+};
+
+// Chooses a consultant in `officeId` for `lead` using the rule's shared
+// strategy. Returns { consultantId, reason, candidates } so the decision can
+// be recorded, or null when nobody in the office can take the lead. With
+// `dryRun` the round-robin position only moves on the in-memory rule.
+const pickConsultant = async (
+  rule,
+  lead,
+  officeId,
+  { dryRun = false } = {}
+) => {
+  const pick = PICKERS[rule.strategy];
+  if (!pick || !officeId) return null;
+
+  const candidates = await loadCandidates(officeId);
+  if (!candidates.length) return null;
+
+  const openLeads = await countOpenLeads(candidates.map((c) => c.consultantId));
+  const scored = candidates.map((c) => ({
+    ...c,
+    openLeads: openLeads[c.consultantId] || 0,
+    ...weigh(c, lead),
+  }));
+
+  const { chosen, reason } = pick(scored, rule);
+  if (rule.strategy === 'round_robin') {
+    if (dryRun) {
+      rule.lastAssignedConsultantId = chosen.consultantId;
+    } else {
+      await rule.update({ lastAssignedConsultantId: chosen.consultantId });
+    }
+  }
+
+  return {
+    consultantId: chosen.consultantId,
+    reason,
+    candidates: scored.map(({ consultantId, name, openLeads, weight }) => ({
+      consultantId,
+      name,
+      openLeads,
+      weight,
+    })),
+  };
+};
+
+module.exports = {
+  STRATEGIES,
+  isOnLeave,
+  pickConsultant,
+};
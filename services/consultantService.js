@@ -1,20 +1,27 @@
 const { Lead, Appointment, Document, StudentProfile } = require('../models');
 const AppError = require('../utils/appError');
+const pipelineService = require('./pipelineService');
 
 const getAssignedLeads = async (consultantId) => {
   return Lead.findAll({ where: { assignedConsultant: consultantId } });
 };
 
-const updateLeadStatus = async (leadId, consultantId, status) => {
+const updateLeadStatus = async (
+  leadId,
+  consultantId,
+  status,
+  { lossReason } = {}
+) => {
   const lead = await Lead.findOne({
     where: { id: leadId, assignedConsultant: consultantId },
   });
   if (!lead) {
     throw new AppError('Lead not found or not assigned to you', 404);
   }
-  lead.status = status;
-  await lead.save();
-  return lead;
+  return pipelineService.transitionLead(lead, status, {
+    userId: consultantId,
+    lossReason,
+  });
 };
 
 const scheduleAppointment = async ({
@@ -0,0 +1,581 @@
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Application,
+  Appointment,
+  Checklist,
+  Document,
+  DuplicateCandidate,
+  Lead,
+  LeadActivity,
+  Message,
+  Notification,
+  Proposal,
+  Reminder,
+  StudentProfile,
+  Task,
+  User,
+  UserIdentity,
+} = require('../models');
+const AppError = require('../utils/appError');
+const { isBlank, paginate } = require('../utils/helpers');
+const auditService = require('./auditService');
+const leadActivityService = require('./leadActivityService');
+const sessionService = require('./sessionService');
+
+// How much each matching signal adds to a pair's score (capped at 100)
+const SIGNAL_WEIGHTS = { email: 60, phone: 40, name_dob: 50 };
+
+// Names this many edits apart still count as the same person
+const NAME_DISTANCE = 2;
+
+// Phones are compared on their last digits so +92 300 1234567 and
+// 0300-1234567 match
+const PHONE_DIGITS = 10;
+const MIN_PHONE_DIGITS = 7;
+
+// Lowercased, without a +tag: Ali.Khan+uni@Mail.com -> ali.khan@mail.com
+const emailKey = (email) => {
+  if (!email || !email.includes('@')) return null;
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+const phoneKey = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : null;
+};
+
+// Letters only, words sorted, so "KHAN, Ali" and "ali khan" compare equal
+const nameKey = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+const dobKey = (dob) => {
+  const match = /^\d{4}-\d{2}-\d{2}/.exec(String(dob || ''));
+  return match ? match[0] : null;
+};
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const uniqueKeys = (values, toKey) => [
+  ...new Set(values.map(toKey).filter(Boolean)),
+];
+
+// The keys a student is matched on, from their account and profile
+const signalsOf = (user) => {
+  const info = user.profile?.personalInfo || {};
+  return {
+    emails: uniqueKeys([user.email, info.email], emailKey),
+    phones: uniqueKeys([user.phone, info.phone], phoneKey),
+    name: nameKey(info.name || user.name),
+    dob: dobKey(info.dob),
+  };
+};
+
+const overlaps = (a, b) => a.some((value) => b.includes(value));
+
+// Which signals two students share
+const compare = (a, b) => {
+  const reasons = [];
+  if (overlaps(a.emails, b.emails)) reasons.push('email');
+  if (overlaps(a.phones, b.phones)) reasons.push('phone');
+  if (
+    a.dob &&
+    a.dob === b.dob &&
+    a.name &&
+    b.name &&
+    editDistance(a.name, b.name) <= NAME_DISTANCE
+  ) {
+    reasons.push('name_dob');
+  }
+  return reasons;
+};
+
+const scoreOf = (reasons) =>
+  Math.min(
+    reasons.reduce((sum, reason) => sum + SIGNAL_WEIGHTS[reason], 0),
+    100
+  );
+
+// The same keys computed in SQL, so only plausible students are loaded
+const EMAIL_SQL = (column) =>
+  `regexp_replace(split_part(lower(${column}), '@', 1), '\\+.*$', '') || '@' || split_part(lower(${column}), '@', 2)`;
+const PHONE_SQL = (column) =>
+  `right(regexp_replace(coalesce(${column}, ''), '\\D', '', 'g'), ${PHONE_DIGITS})`;
+
+const matchConditions = ({ emails, phones, dob }) => {
+  const conditions = [];
+  if (emails.length) {
+    conditions.push(
+      sequelize.where(sequelize.literal(EMAIL_SQL('"User"."email"')), {
+        [Op.in]: emails,
+      }),
+      sequelize.where(
+        sequelize.literal(EMAIL_SQL(`"profile"."personalInfo"->>'email'`)),
+        { [Op.in]: emails }
+      )
+    );
+  }
+  if (phones.length) {
+    conditions.push(
+      sequelize.where(sequelize.literal(PHONE_SQL('"User"."phone"')), {
+        [Op.in]: phones,
+      }),
+      sequelize.where(
+        sequelize.literal(PHONE_SQL(`"profile"."personalInfo"->>'phone'`)),
+        { [Op.in]: phones }
+      )
+    );
+  }
+  if (dob) {
+    conditions.push(
+      sequelize.where(
+        sequelize.literal(`left("profile"."personalInfo"->>'dob', 10)`),
+        dob
+      )
+    );
+  }
+  return conditions;
+};
+
+// Other students who look like `student`, with the signals they share.
+// `student` may be unsaved, like a row of a lead import.
+const findMatches = async (student) => {
+  const signals = signalsOf(student);
+  const conditions = matchConditions(signals);
+  if (!conditions.length) return [];
+
+  const users = await User.findAll({
+    where: {
+      ...(student.id && { id: { [Op.ne]: student.id } }),
+      role: 'student',
+      mergedIntoId: null,
+      [Op.or]: conditions,
+    },
+    include: [{ model: StudentProfile, as: 'profile', required: false }],
+  });
+  return users
+    .map((user) => ({ user, reasons: compare(signals, signalsOf(user)) }))
+    .filter((match) => match.reasons.length);
+};
+
+const latestLeadOf = (studentId) =>
+  Lead.findOne({ where: { studentId }, order: [['createdAt', 'DESC']] });
+
+// Looks for students who may be `studentId` under another account and puts
+// each pair of their latest leads in the duplicates queue. Pairs a manager
+// dismissed stay dismissed. Call it whenever a lead is created or a
+// student's contact details or profile change.
+const flagDuplicates = async (studentId) => {
+  const student = await User.findByPk(studentId, {
+    include: [{ model: StudentProfile, as: 'profile', required: false }],
+  });
+  const lead = student && (await latestLeadOf(student.id));
+  if (!lead) return [];
+
+  const flagged = [];
+  for (const { user, reasons } of await findMatches(student)) {
+    const other = await latestLeadOf(user.id);
+    if (!other) continue;
+
+    const [older, newer] =
+      other.createdAt <= lead.createdAt ? [other, lead] : [lead, other];
+    const score = scoreOf(reasons);
+    let candidate = await DuplicateCandidate.findOne({
+      where: {
+        [Op.or]: [
+          { leadId: older.id, duplicateLeadId: newer.id },
+          { leadId: newer.id, duplicateLeadId: older.id },
+        ],
+      },
+    });
+    if (!candidate) {
+      candidate = await DuplicateCandidate.create({
+        leadId: older.id,
+        duplicateLeadId: newer.id,
+        score,
+        reasons,
+      });
+    } else if (candidate.status === 'open') {
+      await candidate.update({ score, reasons });
+    }
+    if (candidate.status === 'open') flagged.push(candidate);
+  }
+  return flagged;
+};
+
+const studentAttributes = ['id', 'name', 'email', 'phone'];
+
+const candidateInclude = ['lead', 'duplicateLead'].map((as) => ({
+  model: Lead,
+  as,
+  include: [{ model: User, as: 'student', attributes: studentAttributes }],
+}));
+
+// A page of the queue, highest scores first. `officeId` limits it to pairs
+// with both leads in that office; `crossOffice` to pairs whose leads are in
+// different offices, which only super admins resolve.
+const getQueue = async ({
+  officeId,
+  crossOffice,
+  status = 'open',
+  page = 1,
+  limit = 50,
+} = {}) => {
+  const where = { status };
+  const conditions = [];
+  if (officeId) {
+    // A merged pair has lost its merged lead; the kept one decides
+    conditions.push(
+      { [Op.or]: [{ '$lead.officeId$': officeId }, { leadId: null }] },
+      {
+        [Op.or]: [
+          { '$duplicateLead.officeId$': officeId },
+          { duplicateLeadId: null },
+        ],
+      }
+    );
+  }
+  if (String(crossOffice) === 'true') {
+    conditions.push(
+      sequelize.literal(
+        '"lead"."officeId" IS DISTINCT FROM "duplicateLead"."officeId"'
+      )
+    );
+  }
+  if (conditions.length) where[Op.and] = conditions;
+
+  const pagination = paginate({ page, limit });
+
+  const { rows, count } = await DuplicateCandidate.findAndCountAll({
+    where,
+    include: candidateInclude,
+    order: [
+      ['score', 'DESC'],
+      ['createdAt', 'DESC'],
+    ],
+    limit: pagination.limit,
+    offset: pagination.offset,
+    subQuery: false,
+  });
+
+  return {
+    total: count,
+    page: pagination.page,
+    limit: pagination.limit,
+    candidates: rows,
+  };
+};
+
+// The pair with `candidateId`. With an `officeId`, both leads must be in
+// that office: merging deletes a lead and can deactivate its student, so a
+// pair spanning offices is left to a super admin. Merged pairs only have
+// their kept lead.
+const getCandidate = async (candidateId, { officeId } = {}) => {
+  const candidate = await DuplicateCandidate.findByPk(candidateId, {
+    include: candidateInclude,
+  });
+  if (!candidate) {
+    throw new AppError('Duplicate candidate not found', 404);
+  }
+  if (officeId) {
+    const leads = [candidate.lead, candidate.duplicateLead].filter(Boolean);
+    const inOffice = leads.filter((lead) => lead.officeId === officeId).length;
+    if (inOffice === 0) {
+      throw new AppError('Duplicate candidate not found', 404);
+    }
+    if (inOffice < leads.length) {
+      throw new AppError(
+        'This pair includes a lead from another office; a super admin must resolve it',
+        403
+      );
+    }
+  }
+  return candidate;
+};
+
+const dismissCandidate = async (candidateId, { userId, officeId } = {}) => {
+  const candidate = await getCandidate(candidateId, { officeId });
+  if (candidate.status !== 'open') {
+    throw new AppError(`This pair has already been ${candidate.status}`, 400);
+  }
+  return candidate.update({
+    status: 'dismissed',
+    resolvedBy: userId,
+    resolvedAt: new Date(),
+  });
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Copies what `target` is missing from `source`, key by key
+const fillBlanks = (target, source) => {
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return isBlank(target) ? source : target;
+  }
+  return Object.fromEntries(
+    Object.entries({ ...source, ...target }).map(([key, value]) => [
+      key,
+      isBlank(value) ? source[key] : value,
+    ])
+  );
+};
+
+// Moves everything the student `fromId` owns to `toId` and disables
+// `fromId`. Returns how many rows of each kind moved.
+const mergeStudents = async (toId, fromId, transaction) => {
+  const [to, from] = await Promise.all(
+    [toId, fromId].map((id) =>
+      User.findByPk(id, {
+        include: [{ model: StudentProfile, as: 'profile', required: false }],
+        transaction,
+      })
+    )
+  );
+  const moved = {};
+  const move = async (name, model, field, where = {}) => {
+    const [count] = await model.update(
+      { [field]: toId },
+      { where: { ...where, [field]: fromId }, transaction }
+    );
+    moved[name] = (moved[name] || 0) + count;
+  };
+
+  await move('leads', Lead, 'studentId');
+  await move('documents', Document, 'userId');
+  await move('appointments', Appointment, 'studentId');
+  await move('applications', Application, 'studentId');
+  await move('proposals', Proposal, 'studentId');
+  await move('checklists', Checklist, 'studentId');
+  await move('notifications', Notification, 'userId');
+  await move('reminders', Reminder, 'ownerId');
+  await move('reminders', Reminder, 'targetId', { targetType: 'student' });
+
+  // Hooks keep each message's conversationHash in step with its ends
+  for (const field of ['senderId', 'recipientId']) {
+    const messages = await Message.update(
+      { [field]: toId },
+      {
+        where: { [field]: fromId },
+        individualHooks: true,
+        paranoid: false,
+        transaction,
+      }
+    );
+    moved.messages = (moved.messages || 0) + messages[0];
+  }
+
+  // A student signs in with one account per provider; keep the survivor's
+  const kept = await UserIdentity.findAll({
+    where: { userId: toId },
+    attributes: ['provider'],
+    transaction,
+  });
+  await UserIdentity.destroy({
+    where: { userId: fromId, provider: kept.map((i) => i.provider) },
+    transaction,
+  });
+  await move('identities', UserIdentity, 'userId');
+
+  if (from.profile) {
+    if (to.profile) {
+      const fields = Object.keys(StudentProfile.rawAttributes).filter(
+        (field) => StudentProfile.rawAttributes[field].type.key === 'JSONB'
+      );
+      await to.profile.update(
+        Object.fromEntries(
+          fields.map((field) => [
+            field,
+            fillBlanks(to.profile[field], from.profile[field]),
+          ])
+        ),
+        { transaction }
+      );
+      await from.profile.destroy({ transaction });
+    } else {
+      await from.profile.update({ userId: toId }, { transaction });
+    }
+  }
+
+  await to.update(
+    {
+      name: to.name || from.name,
+      phone: to.phone || from.phone,
+      isProfileCreated: to.isProfileCreated || from.isProfileCreated,
+    },
+    { transaction }
+  );
+  await from.update({ isActive: false, mergedIntoId: toId }, { transaction });
+  return moved;
+};
+
+// Folds `mergedLeadId` into `keptLeadId`: its student's records, tasks,
+// proposals, reminders and timeline move to the kept lead and its student,
+// the merged lead is deleted and its student account disabled. Audited as
+// lead_merged.
+const mergeLeads = async (
+  keptLeadId,
+  mergedLeadId,
+  { actorId, ipAddress } = {}
+) => {
+  if (keptLeadId === mergedLeadId) {
+    throw new AppError('A lead cannot be merged into itself', 400);
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const [kept, merged] = await Promise.all(
+      [keptLeadId, mergedLeadId].map((id) =>
+        Lead.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE })
+      )
+    );
+    if (!kept || !merged) {
+      throw new AppError('Lead not found', 404);
+    }
+    const mergedStudent = await User.findByPk(merged.studentId, {
+      attributes: studentAttributes,
+      transaction,
+    });
+
+    const moved =
+      kept.studentId === merged.studentId
+        ? {}
+        : await mergeStudents(kept.studentId, merged.studentId, transaction);
+
+    for (const [name, model] of [
+      ['tasks', Task],
+      ['leadProposals', Proposal],
+      ['activities', LeadActivity],
+    ]) {
+      const [count] = await model.update(
+        { leadId: kept.id },
+        { where: { leadId: merged.id }, transaction }
+      );
+      moved[name] = count;
+    }
+    const [reminders] = await Reminder.update(
+      { targetId: kept.id },
+      { where: { targetType: 'lead', targetId: merged.id }, transaction }
+    );
+    moved.leadReminders = reminders;
+
+    await kept.update(
+      {
+        officeId: kept.officeId || merged.officeId,
+        assignedConsultant:
+          kept.assignedConsultant || merged.assignedConsultant,
+        studyPreferences: fillBlanks(
+          kept.studyPreferences,
+          merged.studyPreferences
+        ),
+        languagePreference:
+          kept.languagePreference || merged.languagePreference,
+      },
+      { transaction }
+    );
+    // The pair is kept as merged; other pairs with the merged lead go, and
+    // are flagged again for the kept lead below
+    const pair = { [Op.in]: [kept.id, merged.id] };
+    await DuplicateCandidate.update(
+      { status: 'merged', resolvedBy: actorId, resolvedAt: new Date() },
+      { where: { leadId: pair, duplicateLeadId: pair }, transaction }
+    );
+    await DuplicateCandidate.destroy({
+      where: {
+        status: { [Op.ne]: 'merged' },
+        [Op.or]: [{ leadId: merged.id }, { duplicateLeadId: merged.id }],
+      },
+      transaction,
+    });
+    await merged.destroy({ transaction });
+
+    await leadActivityService.record(kept.id, 'merge', {
+      actorId,
+      summary: `Merged duplicate lead of ${mergedStudent.name || mergedStudent.email}`,
+      payload: {
+        mergedLeadId: merged.id,
+        mergedStudentId: merged.studentId,
+        moved,
+      },
+      transaction,
+    });
+
+    return { kept, merged, moved };
+  });
+
+  const { kept, merged, moved } = result;
+  if (kept.studentId !== merged.studentId) {
+    await sessionService.revokeAllUserSessions(
+      merged.studentId,
+      'account_merged'
+    );
+  }
+  await auditService.record({
+    action: 'lead_merged',
+    actorId,
+    targetUserId: kept.studentId,
+    ipAddress,
+    details: {
+      keptLeadId: kept.id,
+      mergedLeadId: merged.id,
+      mergedStudentId: merged.studentId,
+      moved,
+    },
+  });
+
+  // The merged student's other matches may now be this student's
+  await flagDuplicates(kept.studentId);
+  return kept.reload();
+};
+
+// Merges a queued pair, keeping `keepLeadId` (the older lead by default)
+const mergeCandidate = async (
+  candidateId,
+  { keepLeadId, officeId, actorId, ipAddress } = {}
+) => {
+  const candidate = await getCandidate(candidateId, { officeId });
+  if (candidate.status === 'merged') {
+    throw new AppError('This pair has already been merged', 400);
+  }
+  const ids = [candidate.leadId, candidate.duplicateLeadId];
+  const kept = keepLeadId || candidate.leadId;
+  if (!ids.includes(kept)) {
+    throw new AppError('keepLeadId must be one of the pair', 400);
+  }
+  return mergeLeads(
+    kept,
+    ids.find((id) => id !== kept),
+    { actorId, ipAddress }
+  );
+};
+
+module.exports = {
+  flagDuplicates,
+  findMatches,
+  getQueue,
+  getCandidate,
+  dismissCandidate,
+  mergeLeads,
+  mergeCandidate,
+};
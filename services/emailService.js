@@ -9,7 +9,7 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-const sendPasswordResetEmail = async (to, token) => {
+const sendPasswordResetEmail = async (to, token, expiresInMinutes = 60) => {
   const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
   const mailOptions = {
     from: `"EduCRM Support" <${process.env.EMAIL_USER}>`,
@@ -18,7 +18,59 @@ const sendPasswordResetEmail = async (to, token) => {
     html: `
       <p>You requested a password reset.</p>
       <p><a href="${resetLink}">Click here to reset your password</a></p>
-      <p>This link will expire in 1 hour.</p>
+      <p>This link can be used once and will expire in ${expiresInMinutes} minutes.</p>
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendAccountUnlockEmail = async (to, token, lockoutMinutes) => {
+  const unlockLink = `${process.env.FRONTEND_URL}/unlock-account?token=${token}`;
+  const mailOptions = {
+    from: `"EduCRM Support" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'Your account has been temporarily locked',
+    html: `
+      <p>We locked your account after several failed login attempts.</p>
+      <p>If this was you, <a href="${unlockLink}">click here to unlock your account</a>.</p>
+      <p>Otherwise the lock is lifted automatically in ${lockoutMinutes} minutes. If you did not try to log in, consider changing your password.</p>
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendEmailVerificationEmail = async (to, token, expiresInHours) => {
+  const verifyLink = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+  const mailOptions = {
+    from: `"EduCRM Support" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'Verify your email address',
+    html: `
+      <p>Thanks for signing up with EduCRM.</p>
+      <p><a href="${verifyLink}">Click here to verify your email address</a> and activate your account.</p>
+      <p>This link will expire in ${expiresInHours} hours. If you did not sign up, you can ignore this email.</p>
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendStaffInviteEmail = async (
+  to,
+  token,
+  { inviterName, role, expiresInHours }
+) => {
+  const inviteLink = `${process.env.FRONTEND_URL}/accept-invite?token=${token}`;
+  const mailOptions = {
+    from: `"EduCRM Support" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'You have been invited to EduCRM',
+    html: `
+      <p>${inviterName || 'An administrator'} has invited you to join EduCRM as a ${role}.</p>
+      <p><a href="${inviteLink}">Click here to set your password and activate your account</a></p>
+      <p>This link can be used once and will expire in ${expiresInHours} hours.</p>
     `,
   };
 
@@ -55,5 +107,8 @@ const sendAppointmentConfirmation = async (studentId, appointmentId) => {
 
 module.exports = {
   sendPasswordResetEmail,
+  sendAccountUnlockEmail,
+  sendEmailVerificationEmail,
+  sendStaffInviteEmail,
   sendAppointmentConfirmation,
 };
@@ -0,0 +1,88 @@
+const { Lead, User } = require('../models');
+const AppError = require('../utils/appError');
+const { generateToken, hashToken } = require('../utils/tokens');
+const emailService = require('./emailService');
+const leadDistributionService = require('./leadDistributionService');
+
+const TOKEN_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Issues a fresh token (voiding any earlier one) and emails it
+const sendVerification = async (user) => {
+  const token = generateToken(32);
+  await User.update(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: new Date(
+        Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000
+      ),
+    },
+    { where: { id: user.id } }
+  );
+
+  try {
+    await emailService.sendEmailVerificationEmail(
+      user.email,
+      token,
+      TOKEN_TTL_HOURS
+    );
+  } catch (err) {
+    console.warn('Failed to send verification email:', err.message);
+  }
+};
+
+// Marks the user verified and releases their leads for distribution
+const markVerified = async (userId) => {
+  const pendingLeads = await Lead.findAll({
+    where: { studentId: userId, pendingEmailVerification: true },
+  });
+
+  await User.update(
+    {
+      isEmailVerified: true,
+      emailVerificationTokenHash: null,
+      emailVerificationExpiresAt: null,
+    },
+    { where: { id: userId } }
+  );
+  await Lead.update(
+    { pendingEmailVerification: false },
+    { where: { studentId: userId, pendingEmailVerification: true } }
+  );
+  for (const lead of pendingLeads) {
+    await leadDistributionService.distribute(await lead.reload());
+  }
+};
+
+const verifyEmail = async (token) => {
+  if (!token) {
+    throw new AppError('Verification token is required', 400);
+  }
+  const user = await User.findOne({
+    where: { emailVerificationTokenHash: hashToken(token) },
+  });
+  if (
+    !user ||
+    !user.emailVerificationExpiresAt ||
+    user.emailVerificationExpiresAt < new Date()
+  ) {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+  await markVerified(user.id);
+  return user;
+};
+
+// Like password resets, the caller answers the same way whether or not the
+// email is registered.
+const resendVerification = async (email) => {
+  if (!email) return;
+  const user = await User.findOne({ where: { email } });
+  if (!user || user.isEmailVerified || !user.isActive) return;
+  await sendVerification(user);
+};
+
+module.exports = {
+  sendVerification,
+  markVerified,
+  verifyEmail,
+  resendVerification,
+};
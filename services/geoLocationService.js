@@ -0,0 +1,188 @@
+const path = require('path');
+const axios = require('axios');
+const maxmind = require('maxmind');
+const { Office } = require('../models');
+
+// A provider resolves an IP address to
+// { country, countryCode, region, city, latitude, longitude } or null.
+// Pick one with GEOIP_PROVIDER; the default reads a local MaxMind
+// GeoLite2/GeoIP2 City database so signups never wait on a remote API.
+const DATABASE_PATH =
+  process.env.GEOIP_DATABASE_PATH ||
+  path.join(__dirname, '..', 'data', 'GeoLite2-City.mmdb');
+
+const PRIVATE_IP_PATTERNS = [
+  /^10\./,
+  /^127\./,
+  /^192\.168\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^::1$/,
+  /^f[cd][0-9a-f]{2}:/i,
+  /^fe80:/i,
+];
+
+const normalizeIp = (ip) => (ip ? ip.replace(/^::ffff:/, '') : null);
+
+const isPublicIp = (ip) =>
+  Boolean(ip) &&
+  maxmind.validate(ip) &&
+  !PRIVATE_IP_PATTERNS.some((pattern) => pattern.test(ip));
+
+const createMaxmindProvider = (databasePath = DATABASE_PATH) => {
+  let readerPromise = null;
+  return {
+    lookup: async (ip) => {
+      if (!readerPromise) {
+        readerPromise = maxmind.open(databasePath).catch((err) => {
+          console.warn(
+            `GeoIP database unavailable (${databasePath}):`,
+            err.message
+          );
+          return null;
+        });
+      }
+      const reader = await readerPromise;
+      const result = reader && reader.get(ip);
+      if (!result) return null;
+      return {
+        country: result.country?.names?.en || null,
+        countryCode: result.country?.iso_code || null,
+        region: result.subdivisions?.[0]?.names?.en || null,
+        city: result.city?.names?.en || null,
+        latitude: result.location?.latitude ?? null,
+        longitude: result.location?.longitude ?? null,
+      };
+    },
+  };
+};
+
+// The hosted lookup this service replaced; it sends the IP to a third party
+const ipApiProvider = {
+  lookup: async (ip) => {
+    const { data } = await axios.get(`http://ip-api.com/json/${ip}`, {
+      timeout: 3000,
+    });
+    if (data.status !== 'success') return null;
+    return {
+      country: data.country,
+      countryCode: data.countryCode,
+      region: data.regionName,
+      city: data.city,
+      latitude: data.lat,
+      longitude: data.lon,
+    };
+  },
+};
+
+const providers = {
+  maxmind: createMaxmindProvider(),
+  'ip-api': ipApiProvider,
+  none: { lookup: async () => null },
+};
+
+// Lets deployments plug in another source, e.g. a commercial API
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.lookup !== 'function') {
+    throw new Error('A geolocation provider must implement lookup(ip)');
+  }
+  providers[name] = provider;
+};
+
+const getProvider = () => {
+  const name = process.env.GEOIP_PROVIDER || 'maxmind';
+  const provider = providers[name];
+  if (!provider) {
+    console.warn(`Unknown GEOIP_PROVIDER "${name}", skipping geolocation`);
+    return providers.none;
+  }
+  return provider;
+};
+
+// Never throws: a failed lookup just means no automatic office assignment
+const lookup = async (ipAddress) => {
+  const ip = normalizeIp(ipAddress);
+  if (!isPublicIp(ip)) return null;
+  try {
+    return await getProvider().lookup(ip);
+  } catch (err) {
+    console.warn('Failed to fetch geolocation:', err.message);
+    return null;
+  }
+};
+
+const normalize = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : null;
+
+// Great-circle distance in km
+const distanceBetween = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) *
+      Math.cos(toRad(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+const hasCoordinates = (point) =>
+  Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+
+// 3 = same city, 2 = same state/province, 1 = same country, 0 = no match.
+// An office's free-text `region` may name any of the three.
+const matchScore = (office, location) => {
+  const address = office.address || {};
+  const region = normalize(office.region);
+  const city = normalize(location.city);
+  const state = normalize(location.region);
+  const countries = [
+    normalize(location.country),
+    normalize(location.countryCode),
+  ].filter(Boolean);
+
+  if (city && (normalize(address.city) === city || region === city)) return 3;
+  if (state && (normalize(address.state) === state || region === state)) {
+    return 2;
+  }
+  if (
+    countries.includes(normalize(address.country)) ||
+    countries.includes(region)
+  ) {
+    return 1;
+  }
+  return 0;
+};
+
+// Picks the active office closest to `location`: the most specific
+// address/region match wins, and distance breaks ties when the office
+// address carries coordinates. With no match at all, the nearest office by
+// coordinates is used if any have them.
+const findNearestOffice = async (location) => {
+  if (!location) return null;
+  const offices = await Office.findAll({
+    where: { isActive: true },
+    attributes: ['id', 'name', 'region', 'address'],
+  });
+
+  const ranked = offices
+    .map((office) => ({
+      office,
+      score: matchScore(office, location),
+      distance:
+        hasCoordinates(location) && hasCoordinates(office.address)
+          ? distanceBetween(location, office.address)
+          : Infinity,
+    }))
+    .filter(({ score, distance }) => score > 0 || distance < Infinity)
+    .sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+  return ranked.length ? ranked[0].office : null;
+};
+
+module.exports = {
+  lookup,
+  findNearestOffice,
+  registerProvider,
+  createMaxmindProvider,
+};
@@ -0,0 +1,270 @@
+const jwt = require('jsonwebtoken');
+const { User, UserIdentity, StudentProfile, Lead } = require('../models');
+const AppError = require('../utils/appError');
+const auditService = require('./auditService');
+const emailVerificationService = require('./emailVerificationService');
+const geoLocationService = require('./geoLocationService');
+const leadDistributionService = require('./leadDistributionService');
+const leadActivityService = require('./leadActivityService');
+const duplicateService = require('./duplicateService');
+
+const PROVIDERS = ['google', 'facebook'];
+const LEAD_SOURCES = { google: 'Google OAuth', facebook: 'Facebook OAuth' };
+const LINK_TOKEN_TTL = '10m';
+
+// Reasons an OAuth sign-in is refused; passed to the frontend as ?error=
+const OAUTH_ERRORS = {
+  NO_EMAIL: 'oauth_no_email',
+  ACCOUNT_EXISTS: 'oauth_account_exists',
+  STAFF_ACCOUNT: 'oauth_staff_account',
+  INACTIVE: 'account_inactive',
+  ALREADY_LINKED: 'oauth_identity_in_use',
+  LINK_EXPIRED: 'oauth_link_expired',
+};
+
+const assertProvider = (provider) => {
+  if (!PROVIDERS.includes(provider)) {
+    throw new AppError(`Provider must be one of: ${PROVIDERS.join(', ')}`, 400);
+  }
+};
+
+// Normalizes a passport profile. Only Google says whether it checked the
+// email, so Facebook addresses are never trusted for matching accounts.
+const readProfile = (provider, profile) => ({
+  provider,
+  providerUserId: String(profile.id),
+  email: profile.emails?.[0]?.value?.toLowerCase() || null,
+  emailVerified:
+    provider === 'google' && profile._json?.email_verified !== false,
+  displayName:
+    profile.displayName ||
+    [profile.name?.givenName, profile.name?.familyName]
+      .filter(Boolean)
+      .join(' ') ||
+    null,
+});
+
+const touchIdentity = (identity, details) =>
+  identity.update({
+    email: details.email,
+    displayName: details.displayName,
+    lastUsedAt: new Date(),
+  });
+
+const createIdentity = (userId, details) =>
+  UserIdentity.create({
+    userId,
+    provider: details.provider,
+    providerUserId: details.providerUserId,
+    email: details.email,
+    displayName: details.displayName,
+    lastUsedAt: new Date(),
+  });
+
+const createStudent = async (details, ipAddress) => {
+  const location = await geoLocationService.lookup(ipAddress);
+  const office = await geoLocationService.findNearestOffice(location);
+  const officeId = office ? office.id : null;
+
+  const user = await User.create({
+    email: details.email,
+    name: details.displayName,
+    role: 'student',
+    isActive: true,
+    officeId,
+    signupLocation: LEAD_SOURCES[details.provider],
+  });
+
+  await StudentProfile.create({
+    userId: user.id,
+    personalInfo: {},
+    educationalBackground: {},
+    studyPreferences: {},
+  });
+
+  const lead = await Lead.create({
+    studentId: user.id,
+    officeId,
+    source: LEAD_SOURCES[details.provider],
+    assignedConsultant: null,
+    studyPreferences: {},
+    signupLocation: location,
+  });
+  await leadActivityService.record(lead.id, 'created', {
+    actorId: user.id,
+    summary: 'Lead created from student signup',
+  });
+  await leadDistributionService.distribute(lead);
+  await duplicateService.flagDuplicates(user.id);
+
+  await createIdentity(user.id, details);
+  return user;
+};
+
+// Resolves an OAuth sign-in to a user. Returns { user } or { error } where
+// error is one of OAUTH_ERRORS.
+//
+// Accounts are found by the provider's account id first. Falling back to
+// the email only ever links a student account, and only when the provider
+// has verified that address; staff must sign in with their password and
+// link the identity explicitly.
+const signIn = async (provider, profile, { ipAddress } = {}) => {
+  const details = readProfile(provider, profile);
+
+  const identity = await UserIdentity.findOne({
+    where: { provider, providerUserId: details.providerUserId },
+    include: [{ model: User, as: 'user' }],
+  });
+  if (identity) {
+    if (!identity.user.isActive) return { error: OAUTH_ERRORS.INACTIVE };
+    await touchIdentity(identity, details);
+    return { user: identity.user };
+  }
+
+  if (!details.email) return { error: OAUTH_ERRORS.NO_EMAIL };
+
+  const existing = await User.findOne({ where: { email: details.email } });
+  if (!existing) {
+    return { user: await createStudent(details, ipAddress) };
+  }
+
+  if (existing.role !== 'student') {
+    await auditService.record({
+      action: 'oauth_login_blocked',
+      targetUserId: existing.id,
+      ipAddress,
+      details: { provider, providerUserId: details.providerUserId },
+    });
+    return { error: OAUTH_ERRORS.STAFF_ACCOUNT };
+  }
+  if (!details.emailVerified) return { error: OAUTH_ERRORS.ACCOUNT_EXISTS };
+  if (!existing.isActive) return { error: OAUTH_ERRORS.INACTIVE };
+
+  if (!existing.isEmailVerified) {
+    // Whoever set the password never proved they own this address, so it
+    // must not keep working once the real owner claims the account.
+    await User.update({ password: null }, { where: { id: existing.id } });
+    await emailVerificationService.markVerified(existing.id);
+    await existing.reload();
+  }
+
+  await createIdentity(existing.id, details);
+  await auditService.record({
+    action: 'oauth_identity_linked',
+    actorId: existing.id,
+    targetUserId: existing.id,
+    ipAddress,
+    details: { provider, via: 'verified_email' },
+  });
+  return { user: existing };
+};
+
+// A short-lived token carried through the provider round trip as the OAuth
+// `state`, so the callback knows which signed-in user asked to link.
+const issueLinkToken = (userId, provider) => {
+  assertProvider(provider);
+  return jwt.sign(
+    { id: userId, provider, purpose: 'oauth_link' },
+    process.env.JWT_SECRET,
+    { expiresIn: LINK_TOKEN_TTL }
+  );
+};
+
+const readLinkToken = (token, provider) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose === 'oauth_link' && decoded.provider === provider) {
+      return decoded;
+    }
+  } catch {
+    // fall through
+  }
+  return null;
+};
+
+// Attaches the provider account to the user named in the link token.
+// Returns { user } or { error }, like signIn.
+const link = async (provider, profile, linkToken, { ipAddress } = {}) => {
+  const decoded = readLinkToken(linkToken, provider);
+  if (!decoded) return { error: OAUTH_ERRORS.LINK_EXPIRED };
+
+  const user = await User.findByPk(decoded.id);
+  if (!user || !user.isActive) return { error: OAUTH_ERRORS.INACTIVE };
+
+  const details = readProfile(provider, profile);
+  const identity = await UserIdentity.findOne({
+    where: { provider, providerUserId: details.providerUserId },
+  });
+  if (identity) {
+    if (identity.userId !== user.id) {
+      return { error: OAUTH_ERRORS.ALREADY_LINKED };
+    }
+    await touchIdentity(identity, details);
+    return { user };
+  }
+
+  if (await UserIdentity.findOne({ where: { userId: user.id, provider } })) {
+    return { error: OAUTH_ERRORS.ALREADY_LINKED };
+  }
+
+  await createIdentity(user.id, details);
+  await auditService.record({
+    action: 'oauth_identity_linked',
+    actorId: user.id,
+    targetUserId: user.id,
+    ipAddress,
+    details: { provider, via: 'account_settings' },
+  });
+  return { user };
+};
+
+const listIdentities = (userId) =>
+  UserIdentity.findAll({
+    where: { userId },
+    attributes: [
+      'id',
+      'provider',
+      'email',
+      'displayName',
+      'lastUsedAt',
+      'createdAt',
+    ],
+    order: [['createdAt', 'ASC']],
+  });
+
+const unlink = async (userId, provider, { ipAddress } = {}) => {
+  assertProvider(provider);
+  const identity = await UserIdentity.findOne({ where: { userId, provider } });
+  if (!identity) {
+    throw new AppError('No linked account for this provider', 404);
+  }
+
+  // Keep at least one way to sign in
+  const user = await User.findByPk(userId, { attributes: ['id', 'password'] });
+  const identityCount = await UserIdentity.count({ where: { userId } });
+  if (!user.password && identityCount === 1) {
+    throw new AppError(
+      'Set a password before unlinking your only sign-in method',
+      400
+    );
+  }
+
+  await identity.destroy();
+  await auditService.record({
+    action: 'oauth_identity_unlinked',
+    actorId: userId,
+    targetUserId: userId,
+    ipAddress,
+    details: { provider },
+  });
+};
+
+module.exports = {
+  PROVIDERS,
+  OAUTH_ERRORS,
+  signIn,
+  issueLinkToken,
+  link,
+  listIdentities,
+  unlink,
+};
@@ -0,0 +1,59 @@
+const { User, UserSession } = require('../models');
+const AppError = require('../utils/appError');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+
+const start = async (targetUserId, impersonatorId, { reason, metadata }) => {
+  if (!reason) {
+    throw new AppError('A reason is required to impersonate a user', 400);
+  }
+
+  const user = await User.findByPk(targetUserId, {
+    attributes: ['id', 'name', 'email', 'role', 'officeId', 'isActive'],
+  });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  if (user.role === 'super_admin') {
+    throw new AppError('Super admins cannot be impersonated', 403);
+  }
+  if (!user.isActive) {
+    throw new AppError('Cannot impersonate an inactive user', 400);
+  }
+
+  const { token, expiresIn, session } =
+    await sessionService.createImpersonationSession(
+      user,
+      impersonatorId,
+      metadata
+    );
+
+  await auditService.record({
+    action: 'impersonation_started',
+    actorId: impersonatorId,
+    targetUserId: user.id,
+    ipAddress: metadata.ipAddress,
+    details: { sessionId: session.id, reason, expiresAt: session.expiresAt },
+  });
+
+  return { token, expiresIn, expiresAt: session.expiresAt, user };
+};
+
+const stop = async (sessionId, { ipAddress, reason = 'stopped' }) => {
+  const session = await UserSession.findByPk(sessionId);
+  if (!session || !session.impersonatorId) {
+    throw new AppError('Impersonation session not found', 404);
+  }
+
+  await sessionService.revokeSession(session.id, 'impersonation_ended');
+
+  await auditService.record({
+    action: 'impersonation_stopped',
+    actorId: session.impersonatorId,
+    targetUserId: session.userId,
+    ipAddress,
+    details: { sessionId: session.id, reason },
+  });
+};
+
+module.exports = { start, stop };
@@ -0,0 +1,358 @@
+const path = require('path');
+const Joi = require('joi');
+const { parse } = require('csv-parse/sync');
+const { StaffInvite, User, Office, OfficeConsultant } = require('../models');
+const AppError = require('../utils/appError');
+const { generateToken, hashToken } = require('../utils/tokens');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const passwordPolicyService = require('./passwordPolicyService');
+
+const INVITE_TTL_HOURS = Number(process.env.STAFF_INVITE_TTL_HOURS) || 72;
+
+const INVITABLE_ROLES = ['manager', 'consultant', 'receptionist'];
+
+// Rows per staff import; each row sends an email
+const MAX_IMPORT_ROWS = 500;
+// Lower-cased header -> field
+const IMPORT_COLUMNS = {
+  email: 'email',
+  role: 'role',
+  name: 'name',
+  phone: 'phone',
+  officeid: 'officeId',
+};
+
+const importRowSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string()
+    .lowercase()
+    .valid(...INVITABLE_ROLES)
+    .required(),
+  officeId: Joi.string().uuid().allow(null),
+  name: Joi.string().allow(null),
+  phone: Joi.string().allow(null),
+});
+
+const inviteExpiry = () =>
+  new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+const inviteInclude = [
+  {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'name', 'email', 'phone', 'role', 'officeId'],
+    include: [{ model: Office, as: 'office', attributes: ['id', 'name'] }],
+  },
+  { model: User, as: 'invitedBy', attributes: ['id', 'name', 'email'] },
+];
+
+// tokenHash is set on the instance after a create or resend, so drop it here
+const serialize = (invite) => {
+  const data = invite.get({ plain: true });
+  delete data.tokenHash;
+  return { ...data, status: invite.getStatus() };
+};
+
+const sendInviteEmail = async (user, token, inviterId) => {
+  const inviter = inviterId
+    ? await User.findByPk(inviterId, { attributes: ['name'] })
+    : null;
+  try {
+    await emailService.sendStaffInviteEmail(user.email, token, {
+      inviterName: inviter ? inviter.name : null,
+      role: user.role,
+      expiresInHours: INVITE_TTL_HOURS,
+    });
+  } catch (err) {
+    console.warn('Failed to send staff invite email:', err.message);
+  }
+};
+
+// Loads an invite the caller may manage. `officeId` limits managers to
+// invites for their own office; super admins pass none.
+const findManageableInvite = async (inviteId, officeId) => {
+  const invite = await StaffInvite.findByPk(inviteId, {
+    include: inviteInclude,
+  });
+  if (!invite || (officeId && invite.user.officeId !== officeId)) {
+    throw new AppError('Invite not found', 404);
+  }
+  return invite;
+};
+
+// Creates an inactive account with no password and emails the invitee a
+// link to finish setting it up. Re-inviting an email whose earlier invite
+// was never accepted reuses that account.
+const createInvite = async (
+  { email, name, phone, role, officeId },
+  { actorId, ipAddress }
+) => {
+  if (!email || !role) {
+    throw new AppError('Email and role are required', 400);
+  }
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new AppError(
+      `Role must be one of: ${INVITABLE_ROLES.join(', ')}`,
+      400
+    );
+  }
+  if (officeId && !(await Office.findByPk(officeId))) {
+    throw new AppError('Office not found', 404);
+  }
+
+  let user = await User.findOne({ where: { email } });
+  if (user) {
+    const pending = await StaffInvite.findOne({
+      where: { userId: user.id, acceptedAt: null },
+    });
+    if (!pending || user.password || user.isActive) {
+      throw new AppError('User with this email already exists', 400);
+    }
+    await user.update({ name, phone, role, officeId: officeId || null });
+    await StaffInvite.destroy({ where: { userId: user.id, acceptedAt: null } });
+  } else {
+    user = await User.create({
+      email,
+      name,
+      phone,
+      role,
+      officeId: officeId || null,
+      isActive: false,
+      isEmailVerified: true,
+    });
+  }
+
+  const token = generateToken(32);
+  const invite = await StaffInvite.create({
+    userId: user.id,
+    invitedById: actorId,
+    tokenHash: hashToken(token),
+    expiresAt: inviteExpiry(),
+    lastSentAt: new Date(),
+  });
+
+  await sendInviteEmail(user, token, actorId);
+
+  await auditService.record({
+    action: 'staff_invited',
+    actorId,
+    targetUserId: user.id,
+    ipAddress,
+    details: { inviteId: invite.id, role, officeId: user.officeId },
+  });
+
+  return serialize(await findManageableInvite(invite.id));
+};
+
+const readImportRows = (file) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (ext !== '.csv') {
+    throw new AppError('Upload a .csv file', 400);
+  }
+  try {
+    return parse(file.buffer, {
+      bom: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+    });
+  } catch (error) {
+    throw new AppError(`Could not read the CSV file: ${error.message}`, 400);
+  }
+};
+
+// Invites everyone in a CSV file with email, role, name, phone and officeId
+// columns (matched by header name). A row that cannot be invited is
+// reported with its row number and does not stop the others.
+const importInvites = async (file, { actorId, ipAddress }) => {
+  if (!file) {
+    throw new AppError('CSV file required', 400);
+  }
+  const [headers = [], ...rows] = readImportRows(file);
+  const columns = headers.map(
+    (header) =>
+      IMPORT_COLUMNS[
+        String(header || '')
+          .trim()
+          .toLowerCase()
+      ]
+  );
+  if (!columns.includes('email') || !columns.includes('role')) {
+    throw new AppError('The file needs email and role columns', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(
+      `A file can have at most ${MAX_IMPORT_ROWS} rows; split it up`,
+      400
+    );
+  }
+
+  const invites = [];
+  const failed = [];
+  for (const [index, row] of rows.entries()) {
+    const record = {};
+    columns.forEach((column, i) => {
+      if (!column) return;
+      const value = String(row[i] ?? '').trim();
+      record[column] = value || null;
+    });
+    const rowNumber = index + 2;
+    const { value, error } = importRowSchema.validate(record);
+    if (error) {
+      failed.push({
+        row: rowNumber,
+        email: record.email,
+        error: error.message,
+      });
+      continue;
+    }
+    try {
+      invites.push(await createInvite(value, { actorId, ipAddress }));
+    } catch (err) {
+      if (!(err instanceof AppError)) throw err;
+      failed.push({ row: rowNumber, email: value.email, error: err.message });
+    }
+  }
+  return { count: invites.length, invites, failed };
+};
+
+// Outstanding invites (pending or expired) unless `status` asks otherwise
+const listInvites = async ({ officeId, status } = {}) => {
+  const invites = await StaffInvite.findAll({
+    where: officeId ? { '$user.officeId$': officeId } : {},
+    include: inviteInclude,
+    order: [['createdAt', 'DESC']],
+  });
+  return invites
+    .map(serialize)
+    .filter((invite) =>
+      status
+        ? status === 'all' || invite.status === status
+        : ['pending', 'expired'].includes(invite.status)
+    );
+};
+
+// Issues a new link with a fresh expiry; the previous link stops working
+const resendInvite = async (inviteId, { officeId, actorId, ipAddress }) => {
+  const invite = await findManageableInvite(inviteId, officeId);
+  if (invite.acceptedAt || invite.revokedAt) {
+    throw new AppError('Only outstanding invites can be resent', 400);
+  }
+
+  const token = generateToken(32);
+  await invite.update({
+    tokenHash: hashToken(token),
+    expiresAt: inviteExpiry(),
+    lastSentAt: new Date(),
+  });
+
+  await sendInviteEmail(invite.user, token, invite.invitedById);
+
+  await auditService.record({
+    action: 'staff_invite_resent',
+    actorId,
+    targetUserId: invite.userId,
+    ipAddress,
+    details: { inviteId: invite.id },
+  });
+
+  return serialize(invite);
+};
+
+const revokeInvite = async (inviteId, { officeId, actorId, ipAddress }) => {
+  const invite = await findManageableInvite(inviteId, officeId);
+  if (invite.acceptedAt || invite.revokedAt) {
+    throw new AppError('Only outstanding invites can be revoked', 400);
+  }
+  await invite.update({ revokedAt: new Date() });
+
+  await auditService.record({
+    action: 'staff_invite_revoked',
+    actorId,
+    targetUserId: invite.userId,
+    ipAddress,
+    details: { inviteId: invite.id },
+  });
+
+  return serialize(invite);
+};
+
+const findUsableInvite = async (token) => {
+  if (!token) {
+    throw new AppError('Invite token is required', 400);
+  }
+  const invite = await StaffInvite.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: inviteInclude,
+  });
+  if (!invite || !invite.isUsable()) {
+    throw new AppError('Invalid or expired invite link', 400);
+  }
+  return invite;
+};
+
+// What the invitee sees before accepting
+const getInviteDetails = async (token) => {
+  const { user, expiresAt } = await findUsableInvite(token);
+  return {
+    email: user.email,
+    name: user.name,
+    phone: user.phone,
+    role: user.role,
+    office: user.office,
+    expiresAt,
+  };
+};
+
+const acceptInvite = async (token, { password, name, phone }, ipAddress) => {
+  const invite = await findUsableInvite(token);
+  // Check the password before the invite is claimed so a rejected one can
+  // be retried with the same link
+  passwordPolicyService.assertAcceptable(password, invite.user);
+
+  // Claim the invite atomically so the link cannot be used twice
+  const [claimed] = await StaffInvite.update(
+    { acceptedAt: new Date() },
+    { where: { id: invite.id, acceptedAt: null, revokedAt: null } }
+  );
+  if (!claimed) {
+    throw new AppError('Invalid or expired invite link', 400);
+  }
+
+  const user = await User.findByPk(invite.userId);
+  await passwordPolicyService.setPassword(user, password);
+  await user.update({
+    name: name || user.name,
+    phone: phone || user.phone,
+    isActive: true,
+    isEmailVerified: true,
+  });
+
+  if (user.role === 'consultant' && user.officeId) {
+    await OfficeConsultant.findOrCreate({
+      where: { userId: user.id, officeId: user.officeId },
+      defaults: { userId: user.id, officeId: user.officeId },
+    });
+  }
+
+  await auditService.record({
+    action: 'staff_invite_accepted',
+    actorId: user.id,
+    targetUserId: user.id,
+    ipAddress,
+    details: { inviteId: invite.id },
+  });
+
+  return user;
+};
+
+module.exports = {
+  INVITABLE_ROLES,
+  createInvite,
+  importInvites,
+  listInvites,
+  resendInvite,
+  revokeInvite,
+  getInviteDetails,
+  acceptInvite,
+};
@@ -0,0 +1,108 @@
+const { Op } = require('sequelize');
+const { Lead, LeadActivity, User } = require('../models');
+const AppError = require('../utils/appError');
+const { paginate } = require('../utils/helpers');
+
+// What can happen to a lead. `created`, `assignment` (by a rule or a first
+// assignment), `parking`, `merge` (a duplicate lead folded into this one)
+// and `other` (history entries from before the timeline that could not be
+// classified) complete the list.
+const TYPES = LeadActivity.rawAttributes.type.values;
+
+// What counts as the consultant contacting the lead, for first-contact
+// SLA policies
+const CONTACT_TYPES = [
+  'note',
+  'status_change',
+  'message',
+  'document',
+  'proposal',
+];
+
+// Adds an event to the lead's timeline. `summary` is the line people read;
+// anything worth querying goes in `payload`.
+const record = async (
+  leadId,
+  type,
+  { actorId = null, summary, payload = {}, occurredAt, transaction } = {}
+) => {
+  const activity = await LeadActivity.create(
+    {
+      leadId,
+      type,
+      actorId,
+      summary,
+      payload,
+      ...(occurredAt && { occurredAt }),
+    },
+    { transaction }
+  );
+  if (actorId && CONTACT_TYPES.includes(type)) {
+    await Lead.update(
+      { firstContactAt: activity.occurredAt },
+      {
+        where: {
+          id: leadId,
+          assignedConsultant: actorId,
+          firstContactAt: null,
+        },
+        transaction,
+      }
+    );
+  }
+  return activity;
+};
+
+const parseTypes = (type) => {
+  const types = String(type)
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const unknown = types.find((t) => !TYPES.includes(t));
+  if (unknown) {
+    throw new AppError(`Type must be one of: ${TYPES.join(', ')}`, 400);
+  }
+  return types;
+};
+
+// A page of the lead's timeline, newest first. `type` takes one type or a
+// comma-separated list; `from` and `to` bound occurredAt.
+const getTimeline = async (
+  leadId,
+  { type, actorId, from, to, page = 1, limit = 50 } = {}
+) => {
+  if (!(await Lead.count({ where: { id: leadId } }))) {
+    throw new AppError('Lead not found', 404);
+  }
+
+  const where = { leadId };
+  if (type) where.type = parseTypes(type);
+  if (actorId) where.actorId = actorId;
+  if (from || to) {
+    where.occurredAt = {};
+    if (from) where.occurredAt[Op.gte] = new Date(from);
+    if (to) where.occurredAt[Op.lte] = new Date(to);
+  }
+
+  const pagination = paginate({ page, limit });
+
+  const { rows, count } = await LeadActivity.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'role'] }],
+    order: [
+      ['occurredAt', 'DESC'],
+      ['createdAt', 'DESC'],
+    ],
+    limit: pagination.limit,
+    offset: pagination.offset,
+  });
+
+  return {
+    total: count,
+    page: pagination.page,
+    limit: pagination.limit,
+    activities: rows,
+  };
+};
+
+module.exports = { TYPES, record, getTimeline };
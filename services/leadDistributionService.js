@@ -0,0 +1,194 @@
+const { LeadDistributionRule, Office, User } = require('../models');
+const consultantAssignmentService = require('./consultantAssignmentService');
+const notificationService = require('./notificationService');
+const leadActivityService = require('./leadActivityService');
+
+// Lead fields a rule's `criteria` may test. Each criterion is a value or a
+// list of values (any of them matches), compared case-insensitively; a rule
+// with no criteria matches every lead.
+const CRITERIA_FIELDS = [
+  'source',
+  'destination',
+  'level',
+  'languagePreference',
+  'region',
+];
+
+// Criteria used by rules created before the engine existed. `officeId`
+// limits a rule to leads created in that office.
+const LEGACY_CRITERIA = {
+  leadSource: 'source',
+  studyDestination: 'destination',
+  officeId: 'officeId',
+};
+
+const normalize = (value) =>
+  value === undefined || value === null
+    ? null
+    : String(value).trim().toLowerCase();
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : [value]).map(normalize).filter(Boolean);
+
+// The values of `lead` each criterion is tested against. `region` covers
+// the office's region and, when known, where the student signed up from.
+const describeLead = (lead, { office, location } = {}) => {
+  const preferences = lead.studyPreferences || {};
+  return {
+    source: toList(lead.source),
+    destination: toList(preferences.destination || preferences.country),
+    level: toList(preferences.level),
+    languagePreference: toList(lead.languagePreference),
+    region: toList([
+      office && office.region,
+      location && location.city,
+      location && location.region,
+      location && location.country,
+      location && location.countryCode,
+    ]),
+    officeId: toList(lead.officeId),
+  };
+};
+
+const matchesRule = (rule, fields) =>
+  Object.entries(rule.criteria || {}).every(([key, expected]) => {
+    const field = LEGACY_CRITERIA[key] || key;
+    // Unknown criteria never match, so a typo cannot widen a rule
+    if (!fields[field]) return false;
+    const wanted = toList(expected);
+    return (
+      wanted.length === 0 ||
+      wanted.some((value) => fields[field].includes(value))
+    );
+  });
+
+// Rules are tried from the lowest priority number up
+const loadRules = () =>
+  LeadDistributionRule.findAll({
+    include: [
+      {
+        model: User,
+        as: 'consultant',
+        attributes: ['id', 'name', 'officeId', 'isActive'],
+      },
+    ],
+    order: [
+      ['priority', 'ASC'],
+      ['createdAt', 'ASC'],
+    ],
+  });
+
+// Works out where a matching rule sends the lead, or null when it can't take
+// it: a fixed consultant who has been deactivated or is on leave, or an
+// office where nobody is available.
+const resolveAssignment = async (rule, lead, { dryRun }) => {
+  if (rule.strategy && rule.strategy !== 'fixed') {
+    const officeId = rule.officeId || lead.officeId;
+    const pick = await consultantAssignmentService.pickConsultant(
+      rule,
+      lead,
+      officeId,
+      { dryRun }
+    );
+    return pick && { officeId, ...pick };
+  }
+
+  if (!rule.consultantId) {
+    return {
+      officeId: rule.officeId || lead.officeId,
+      consultantId: null,
+      reason: 'Rule assigns an office only',
+    };
+  }
+  if (!rule.consultant || !rule.consultant.isActive) return null;
+  if (await consultantAssignmentService.isOnLeave(rule.consultantId)) {
+    return null;
+  }
+  return {
+    officeId: rule.officeId || rule.consultant.officeId || lead.officeId,
+    consultantId: rule.consultantId,
+    reason: `Rule assigns ${rule.consultant.name}`,
+  };
+};
+
+// Finds the first of `rules` (already in priority order) that matches the
+// lead and can take it. Returns { rule, assignment } or null. Nothing is
+// written when `dryRun` is set, so draft rules can be tried against real
+// leads. `location` defaults to the lead's signupLocation.
+const evaluate = async (
+  lead,
+  rules,
+  { location = lead.signupLocation, dryRun = false } = {}
+) => {
+  const office = lead.officeId
+    ? await Office.findByPk(lead.officeId, { attributes: ['id', 'region'] })
+    : null;
+  const fields = describeLead(lead, { location, office });
+
+  for (const rule of rules.filter((r) => matchesRule(r, fields))) {
+    const assignment = await resolveAssignment(rule, lead, { dryRun });
+    if (assignment) return { rule, assignment };
+  }
+  return null;
+};
+
+// Runs the distribution rules against a newly created lead and applies the
+// first one that matches and can take it: the lead moves to the rule's
+// office and consultant, and the match and the reason for the choice are
+// recorded on its timeline. Leads that already have a consultant, or that
+// wait on the student's email verification, are left alone. `location` is
+// the student's GeoIP result, by default the one stored on the lead at
+// signup. Returns the rule applied, or null.
+const distribute = async (lead, { location } = {}) => {
+  if (lead.assignedConsultant || lead.pendingEmailVerification) return null;
+
+  const match = await evaluate(lead, await loadRules(), { location });
+  if (!match) return null;
+
+  const { rule, assignment } = match;
+  const { officeId, consultantId, reason, candidates } = assignment;
+  await lead.update({ officeId, assignedConsultant: consultantId });
+  await leadActivityService.record(lead.id, 'assignment', {
+    summary: 'Lead assigned by distribution rule',
+    payload: {
+      ruleId: rule.id,
+      priority: rule.priority,
+      strategy: rule.strategy || 'fixed',
+      officeId,
+      consultantId,
+      reason,
+      ...(candidates && { candidates }),
+    },
+  });
+
+  // Students belong to the office handling their lead
+  if (officeId) {
+    await User.update(
+      { officeId },
+      { where: { id: lead.studentId, role: 'student' } }
+    );
+  }
+
+  if (consultantId) {
+    await notificationService.sendNotification({
+      userId: consultantId,
+      type: 'in_app',
+      message: `A new lead has been assigned to you.`,
+      details: {
+        leadId: lead.id,
+        studentId: lead.studentId,
+        ruleId: rule.id,
+      },
+    });
+  }
+
+  return rule;
+};
+
+module.exports = {
+  CRITERIA_FIELDS,
+  LEGACY_CRITERIA,
+  loadRules,
+  evaluate,
+  distribute,
+};
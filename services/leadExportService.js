@@ -0,0 +1,224 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Op } = require('sequelize');
+const { Lead, Office, StudentProfile, User } = require('../models');
+const AppError = require('../utils/appError');
+const { streamSheet } = require('../utils/xlsx');
+const { readTestScore } = require('./leadScoringService');
+
+const personAttributes = ['id', 'name', 'email', 'phone'];
+
+const preferences = (lead) => lead.studyPreferences || {};
+const personalInfo = (lead) => lead.student?.profile?.personalInfo || {};
+
+const formatTestScores = (scores) =>
+  Object.entries(scores || {})
+    .map(([test, value]) => `${test.toUpperCase()} ${readTestScore(value)}`)
+    .join(', ');
+
+// Every column an export can include
+const COLUMNS = {
+  id: { header: 'Lead ID', value: (lead) => lead.id },
+  status: { header: 'Status', value: (lead) => lead.status },
+  source: { header: 'Source', value: (lead) => lead.source },
+  parked: { header: 'Parked', value: (lead) => lead.parked },
+  parkedReason: {
+    header: 'Parked Reason',
+    value: (lead) => lead.parkedReason,
+  },
+  parkedUntil: {
+    header: 'Parked Until',
+    value: (lead) => lead.parkedUntil?.toISOString(),
+  },
+  score: { header: 'Score', value: (lead) => lead.score },
+  office: { header: 'Office', value: (lead) => lead.Office?.name },
+  destination: {
+    header: 'Destination',
+    value: (lead) => preferences(lead).destination || preferences(lead).country,
+  },
+  level: { header: 'Level', value: (lead) => preferences(lead).level },
+  fields: {
+    header: 'Fields',
+    value: (lead) => [].concat(preferences(lead).fields || []).join(', '),
+  },
+  budget: { header: 'Budget', value: (lead) => preferences(lead).budget },
+  intake: { header: 'Intake', value: (lead) => preferences(lead).intake },
+  createdAt: {
+    header: 'Created',
+    value: (lead) => lead.createdAt?.toISOString(),
+  },
+  updatedAt: {
+    header: 'Updated',
+    value: (lead) => lead.updatedAt?.toISOString(),
+  },
+  'student.name': {
+    header: 'Student Name',
+    value: (lead) => lead.student?.name,
+  },
+  'student.email': {
+    header: 'Student Email',
+    value: (lead) => lead.student?.email,
+  },
+  'student.phone': {
+    header: 'Student Phone',
+    value: (lead) => lead.student?.phone,
+  },
+  'profile.dob': {
+    header: 'Date of Birth',
+    value: (lead) => personalInfo(lead).dob,
+  },
+  'profile.gender': {
+    header: 'Gender',
+    value: (lead) => personalInfo(lead).gender,
+  },
+  'profile.nationality': {
+    header: 'Nationality',
+    value: (lead) => personalInfo(lead).nationality,
+  },
+  'profile.testScores': {
+    header: 'Test Scores',
+    value: (lead) => formatTestScores(lead.student?.profile?.testScores),
+  },
+  'consultant.name': {
+    header: 'Consultant Name',
+    value: (lead) => lead.consultant?.name,
+  },
+  'consultant.email': {
+    header: 'Consultant Email',
+    value: (lead) => lead.consultant?.email,
+  },
+  'consultant.phone': {
+    header: 'Consultant Phone',
+    value: (lead) => lead.consultant?.phone,
+  },
+};
+
+const DEFAULT_COLUMNS = [
+  'id',
+  'status',
+  'source',
+  'office',
+  'student.name',
+  'student.email',
+  'student.phone',
+  'consultant.name',
+  'createdAt',
+];
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Leads are read this many at a time, so exports of any size stream
+const BATCH_SIZE = 500;
+
+// Column keys from ?columns=id,student.email,...
+const parseColumns = (columns) => {
+  if (!columns) return DEFAULT_COLUMNS;
+  const keys = String(columns)
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const unknown = keys.find((key) => !COLUMNS[key]);
+  if (unknown) {
+    throw new AppError(
+      `Unknown column "${unknown}"; use any of: ${Object.keys(COLUMNS).join(', ')}`,
+      400
+    );
+  }
+  if (!keys.length) throw new AppError('Choose at least one column', 400);
+  return keys;
+};
+
+// The cells of every lead matching `where`, oldest first. Pages by
+// (createdAt, id) so leads added mid-export are neither skipped nor
+// repeated.
+async function* leadRows(where, keys) {
+  let last = null;
+  for (;;) {
+    const leads = await Lead.findAll({
+      where: last
+        ? {
+            [Op.and]: [
+              where,
+              {
+                [Op.or]: [
+                  { createdAt: { [Op.gt]: last.createdAt } },
+                  { createdAt: last.createdAt, id: { [Op.gt]: last.id } },
+                ],
+              },
+            ],
+          }
+        : where,
+      include: [
+        {
+          model: User,
+          as: 'student',
+          attributes: personAttributes,
+          include: [{ model: StudentProfile, as: 'profile', required: false }],
+        },
+        { model: User, as: 'consultant', attributes: personAttributes },
+        { model: Office, attributes: ['id', 'name'] },
+      ],
+      order: [
+        ['createdAt', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit: BATCH_SIZE,
+    });
+    for (const lead of leads) {
+      yield keys.map((key) => COLUMNS[key].value(lead) ?? null);
+    }
+    if (leads.length < BATCH_SIZE) return;
+    last = leads[leads.length - 1];
+  }
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function* csvLines(headers, rows) {
+  // The byte order mark makes Excel read the file as UTF-8
+  yield `\ufeff${headers.map(csvCell).join(',')}\r\n`;
+  for await (const row of rows) yield `${row.map(csvCell).join(',')}\r\n`;
+}
+
+// Streams the leads matching `where` to `res` as a CSV or XLSX download.
+// Callers scope `where`; managers must pass their office.
+const exportLeads = async (res, { where = {}, columns, format = 'csv' }) => {
+  if (!FORMATS[format]) {
+    throw new AppError('format must be csv or xlsx', 400);
+  }
+  const keys = parseColumns(columns);
+  const headers = keys.map((key) => COLUMNS[key].header);
+  const rows = leadRows(where, keys);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', FORMATS[format]);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="leads-${date}.${format}"`
+  );
+  await pipeline(
+    format === 'xlsx'
+      ? streamSheet(headers, rows, { sheetName: 'Leads' })
+      : Readable.from(csvLines(headers, rows)),
+    res
+  );
+};
+
+module.exports = {
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  exportLeads,
+};
@@ -0,0 +1,479 @@
+const path = require('path');
+const Joi = require('joi');
+const { parse } = require('csv-parse/sync');
+const { Op, fn, col } = require('sequelize');
+const {
+  sequelize,
+  Lead,
+  LeadImport,
+  Office,
+  StudentProfile,
+  User,
+} = require('../models');
+const AppError = require('../utils/appError');
+const { paginate } = require('../utils/helpers');
+const { readSheet } = require('../utils/xlsx');
+const auditService = require('./auditService');
+const duplicateService = require('./duplicateService');
+const leadActivityService = require('./leadActivityService');
+const leadDistributionService = require('./leadDistributionService');
+
+// What a column can be mapped to. The study preference fields make up the
+// lead's studyPreferences.
+const FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'office',
+  'source',
+  'destination',
+  'level',
+  'fields',
+  'budget',
+  'intake',
+];
+const REQUIRED_FIELDS = ['name', 'email'];
+const PREFERENCE_FIELDS = [
+  'destination',
+  'level',
+  'fields',
+  'budget',
+  'intake',
+];
+
+const SOURCES = ['walk_in', 'online', 'referral'];
+
+// Larger files should be split; the dry run checks every row
+const MAX_ROWS = 2000;
+
+const FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx' };
+
+const rowSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  email: Joi.string().email().lowercase().required(),
+  phone: Joi.string()
+    .pattern(/^\+?[\d\s().-]+$/)
+    .custom((value, helpers) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15
+        ? value
+        : helpers.message('"phone" must have 7 to 15 digits');
+    }),
+  office: Joi.string(),
+  source: Joi.string()
+    .lowercase()
+    .replace(/[\s-]+/g, '_')
+    .valid(...SOURCES),
+  destination: Joi.string().max(100),
+  level: Joi.string().max(100),
+  fields: Joi.string(),
+  budget: Joi.number().min(0),
+  intake: Joi.string().max(100),
+});
+
+const formatOf = (fileName) => {
+  const format = FORMATS[path.extname(fileName || '').toLowerCase()];
+  if (!format) {
+    throw new AppError('Upload a .csv or .xlsx file', 400);
+  }
+  return format;
+};
+
+const readRows = (file, format) => {
+  if (format === 'xlsx') return readSheet(file.buffer);
+  try {
+    return parse(file.buffer, {
+      bom: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+    });
+  } catch (error) {
+    throw new AppError(`Could not read the CSV file: ${error.message}`, 400);
+  }
+};
+
+const normalizeHeader = (header) =>
+  String(header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+// Field -> column index. Fields missing from `mapping` are matched to a
+// header of the same name, ignoring case and punctuation.
+const resolveColumns = (headers, mapping = {}) => {
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch {
+      throw new AppError('mapping must be a JSON object', 400);
+    }
+  }
+  const unknown = Object.keys(mapping).find((field) => !FIELDS.includes(field));
+  if (unknown) {
+    throw new AppError(
+      `Unknown import field "${unknown}"; use one of: ${FIELDS.join(', ')}`,
+      400
+    );
+  }
+
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  const resolved = {};
+  for (const field of FIELDS) {
+    const header = mapping[field];
+    const index = normalized.indexOf(normalizeHeader(header || field));
+    if (header && index === -1) {
+      throw new AppError(`Column "${header}" is not in the file`, 400);
+    }
+    if (index !== -1) {
+      columns[field] = index;
+      resolved[field] = headers[index];
+    }
+  }
+  const missing = REQUIRED_FIELDS.filter((field) => !(field in columns));
+  if (missing.length) {
+    throw new AppError(`Map a column to: ${missing.join(', ')}`, 400);
+  }
+  return { columns, mapping: resolved };
+};
+
+// Offices by id and by lowercased name
+const loadOffices = async () => {
+  const offices = await Office.findAll({
+    attributes: ['id', 'name', 'isActive'],
+  });
+  return new Map(
+    offices.flatMap((office) => [
+      [office.id, office],
+      [office.name.toLowerCase(), office],
+    ])
+  );
+};
+
+// The office a row goes to, or an error. With `restrictToOffice` every
+// row must belong to `officeId`.
+const resolveOffice = (value, offices, { officeId, restrictToOffice }) => {
+  if (!value) {
+    return officeId ? { officeId } : { error: 'Office is required' };
+  }
+  const office = offices.get(value) || offices.get(value.toLowerCase());
+  if (!office) return { error: `Unknown office "${value}"` };
+  if (restrictToOffice && office.id !== officeId) {
+    return { error: `Office "${value}" is not your office` };
+  }
+  if (!office.isActive) return { error: `Office "${value}" is not active` };
+  return { officeId: office.id };
+};
+
+const studyPreferencesOf = (value) => {
+  const preferences = {};
+  for (const field of PREFERENCE_FIELDS) {
+    if (value[field] !== undefined) preferences[field] = value[field];
+  }
+  if (preferences.fields) {
+    preferences.fields = preferences.fields
+      .split(/[,;]/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return preferences;
+};
+
+// Checks one row. Returns the mapped cells as `values` and either the lead
+// it would create as `data` or `errors`.
+const checkRow = (cells, columns, offices, options) => {
+  const raw = {};
+  for (const [field, index] of Object.entries(columns)) {
+    const value = String(cells[index] ?? '').trim();
+    if (value) raw[field] = value;
+  }
+  // Spreadsheets often format budgets as 20,000
+  if (raw.budget) raw.budget = raw.budget.replace(/[,\s]/g, '');
+  const { value, error } = rowSchema.validate(raw, { abortEarly: false });
+  const errors = error ? error.details.map((detail) => detail.message) : [];
+
+  const office = resolveOffice(raw.office, offices, options);
+  if (office.error) errors.push(office.error);
+
+  const studyPreferences = error ? {} : studyPreferencesOf(value);
+  if (!error && !Object.keys(studyPreferences).length) {
+    errors.push(
+      `Study preferences are empty; fill in at least one of: ${PREFERENCE_FIELDS.join(', ')}`
+    );
+  }
+  if (errors.length) return { values: raw, errors };
+
+  return {
+    values: raw,
+    data: {
+      name: value.name,
+      email: value.email,
+      phone: value.phone || null,
+      officeId: office.officeId,
+      source: value.source || options.source,
+      studyPreferences,
+    },
+  };
+};
+
+// Users already holding any of `emails`, by lowercased email
+const findRegisteredEmails = async (emails, transaction) => {
+  if (!emails.length) return new Map();
+  const users = await User.findAll({
+    attributes: ['id', 'email', 'role'],
+    where: sequelize.where(fn('lower', col('email')), {
+      [Op.in]: emails,
+    }),
+    transaction,
+  });
+  return new Map(users.map((user) => [user.email.toLowerCase(), user]));
+};
+
+// Existing students a row looks like, using the duplicate queue's rules
+const findDuplicates = async (data) => {
+  const matches = await duplicateService.findMatches({
+    name: data.name,
+    email: data.email,
+    phone: data.phone,
+  });
+  return matches.map(({ user, reasons }) => ({
+    userId: user.id,
+    name: user.name,
+    email: user.email,
+    reasons,
+  }));
+};
+
+const countRows = (rows) => {
+  const summary = {
+    total: rows.length,
+    valid: 0,
+    duplicate: 0,
+    invalid: 0,
+    imported: 0,
+    skipped: 0,
+  };
+  for (const row of rows) {
+    summary[row.status]++;
+    if (row.result) summary[row.result]++;
+  }
+  return summary;
+};
+
+// Reads the file, checks every row and saves the report as a dry run.
+// Rows are 'valid', 'duplicate' (an existing student looks the same, see
+// `matches`) or 'invalid' (see `errors`).
+const createImport = async (
+  file,
+  { mapping, source = 'referral', officeId, restrictToOffice, userId }
+) => {
+  if (!file) throw new AppError('Upload a .csv or .xlsx file', 400);
+  const format = formatOf(file.originalname);
+  const [headers = [], ...cells] = (await readRows(file, format)).filter(
+    (row) => row.some((cell) => String(cell).trim())
+  );
+  if (!cells.length) throw new AppError('The file has no rows', 400);
+  if (cells.length > MAX_ROWS) {
+    throw new AppError(`Import at most ${MAX_ROWS} rows at a time`, 400);
+  }
+  if (!SOURCES.includes(source)) {
+    throw new AppError(`source must be one of: ${SOURCES.join(', ')}`, 400);
+  }
+
+  const resolved = resolveColumns(headers.map(String), mapping);
+  const offices = await loadOffices();
+  if (officeId && !offices.has(officeId)) {
+    throw new AppError('Office not found', 404);
+  }
+  const options = { officeId, restrictToOffice, source };
+  const checked = cells.map((row, i) => ({
+    // The spreadsheet row number; the header is row 1
+    row: i + 2,
+    ...checkRow(row, resolved.columns, offices, options),
+  }));
+
+  const registered = await findRegisteredEmails(
+    checked.filter((row) => row.data).map((row) => row.data.email)
+  );
+  const seen = new Map();
+  const rows = [];
+  for (const { row, data, values, errors = [] } of checked) {
+    if (data && seen.has(data.email)) {
+      errors.push(`Same email as row ${seen.get(data.email)}`);
+    } else if (data) {
+      seen.set(data.email, row);
+      const user = registered.get(data.email);
+      if (user && user.role !== 'student') {
+        errors.push('Email belongs to a staff account');
+      }
+    }
+    if (errors.length) {
+      rows.push({ row, status: 'invalid', values, errors });
+      continue;
+    }
+    const matches = await findDuplicates(data);
+    rows.push({
+      row,
+      status: matches.length ? 'duplicate' : 'valid',
+      data,
+      matches,
+    });
+  }
+
+  return LeadImport.create({
+    officeId: officeId || null,
+    fileName: file.originalname,
+    format,
+    mapping: resolved.mapping,
+    source,
+    summary: countRows(rows),
+    rows,
+    createdBy: userId,
+  });
+};
+
+const importScope = (officeId) => (officeId ? { officeId } : {});
+
+// Batches newest first, without their row reports
+const getImports = async ({ officeId, status, page = 1, limit = 50 } = {}) => {
+  const pagination = paginate({ page, limit });
+  const where = importScope(officeId);
+  if (status) where.status = status;
+  const { count, rows } = await LeadImport.findAndCountAll({
+    where,
+    attributes: { exclude: ['rows'] },
+    order: [['createdAt', 'DESC']],
+    limit: pagination.limit,
+    offset: pagination.offset,
+  });
+  return {
+    total: count,
+    page: pagination.page,
+    limit: pagination.limit,
+    imports: rows,
+  };
+};
+
+const getImport = async (importId, { officeId, transaction, lock } = {}) => {
+  const batch = await LeadImport.findOne({
+    where: { id: importId, ...importScope(officeId) },
+    transaction,
+    lock,
+  });
+  if (!batch) throw new AppError('Import not found', 404);
+  return batch;
+};
+
+// Creates a student, profile and lead for every valid row in one
+// transaction. Duplicate rows are skipped unless `includeDuplicates`, in
+// which case they are created and land in the duplicates queue. Rows whose
+// email was registered since the dry run are always skipped.
+const confirmImport = async (
+  importId,
+  { officeId, includeDuplicates = false, actorId, ipAddress } = {}
+) => {
+  const created = [];
+  const batch = await sequelize.transaction(async (transaction) => {
+    const batch = await getImport(importId, {
+      officeId,
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (batch.status !== 'dry_run') {
+      throw new AppError('This import was already confirmed', 400);
+    }
+
+    const wanted = (row) =>
+      row.status === 'valid' ||
+      (row.status === 'duplicate' && includeDuplicates);
+    const registered = await findRegisteredEmails(
+      batch.rows.filter(wanted).map((row) => row.data.email),
+      transaction
+    );
+
+    const rows = [];
+    for (const row of batch.rows) {
+      if (!wanted(row)) {
+        rows.push(
+          row.status === 'invalid' ? row : { ...row, result: 'skipped' }
+        );
+        continue;
+      }
+      if (registered.has(row.data.email)) {
+        rows.push({
+          ...row,
+          result: 'skipped',
+          errors: ['Email was registered after the dry run'],
+        });
+        continue;
+      }
+
+      const { name, email, phone, officeId: leadOfficeId } = row.data;
+      const student = await User.create(
+        { name, email, phone, role: 'student', officeId: leadOfficeId },
+        { transaction }
+      );
+      await StudentProfile.create(
+        {
+          userId: student.id,
+          personalInfo: { name, email, phone },
+          studyPreferences: row.data.studyPreferences,
+        },
+        { transaction }
+      );
+      const lead = await Lead.create(
+        {
+          studentId: student.id,
+          officeId: leadOfficeId,
+          source: row.data.source,
+          studyPreferences: row.data.studyPreferences,
+          importId: batch.id,
+        },
+        { transaction }
+      );
+      await leadActivityService.record(lead.id, 'created', {
+        actorId,
+        summary: `Lead imported from ${batch.fileName}`,
+        payload: { importId: batch.id, row: row.row },
+        transaction,
+      });
+      created.push(lead);
+      rows.push({ ...row, result: 'imported', leadId: lead.id });
+    }
+
+    return batch.update(
+      {
+        status: 'confirmed',
+        rows,
+        summary: countRows(rows),
+        confirmedBy: actorId,
+        confirmedAt: new Date(),
+      },
+      { transaction }
+    );
+  });
+
+  for (const lead of created) {
+    await leadDistributionService.distribute(lead);
+    await duplicateService.flagDuplicates(lead.studentId);
+  }
+  await auditService.record({
+    action: 'leads_imported',
+    actorId,
+    ipAddress,
+    details: {
+      importId: batch.id,
+      fileName: batch.fileName,
+      officeId: batch.officeId,
+      ...batch.summary,
+    },
+  });
+  return batch;
+};
+
+module.exports = {
+  FIELDS,
+  createImport,
+  getImports,
+  getImport,
+  confirmImport,
+};
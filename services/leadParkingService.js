@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { sequelize, Lead, Task, User } = require('../models');
+const AppError = require('../utils/appError');
+const leadActivityService = require('./leadActivityService');
+const notificationService = require('./notificationService');
+
+// Why a lead can be parked; the details, e.g. "wants the Fall 2027
+// intake", go in the note
+const REASONS = [
+  'future_intake',
+  'financial',
+  'documents_pending',
+  'test_pending',
+  'unresponsive',
+  'personal',
+  'other',
+];
+
+const CLEARED = {
+  parkedReason: null,
+  parkedNote: null,
+  parkedAt: null,
+  parkedUntil: null,
+  parkedBy: null,
+};
+
+// Back in play. Time spent parked does not count towards the stage's SLA,
+// so the lead starts its stage afresh.
+const unparked = (now) => ({ parked: false, ...CLEARED, stageChangedAt: now });
+
+// Sets the lead aside for `reason`, until `wakeUpAt` if given
+const parkLead = async (lead, { reason, note = null, wakeUpAt, userId }) => {
+  if (!REASONS.includes(reason)) {
+    throw new AppError(`Reason must be one of: ${REASONS.join(', ')}`, 400);
+  }
+  const parkedUntil = wakeUpAt ? new Date(wakeUpAt) : null;
+  if (parkedUntil && !(parkedUntil > new Date())) {
+    throw new AppError('The wake-up date must be in the future', 400);
+  }
+
+  await lead.update({
+    parked: true,
+    parkedReason: reason,
+    parkedNote: note,
+    parkedAt: new Date(),
+    parkedUntil,
+    parkedBy: userId,
+  });
+  await leadActivityService.record(lead.id, 'parking', {
+    actorId: userId,
+    summary: parkedUntil
+      ? `Lead parked (${reason}) until ${parkedUntil.toISOString().slice(0, 10)}`
+      : `Lead parked (${reason})`,
+    payload: {
+      parked: true,
+      reason,
+      note,
+      wakeUpAt: parkedUntil && parkedUntil.toISOString(),
+    },
+  });
+  return lead;
+};
+
+// Puts the lead back in play before its wake-up date
+const unparkLead = async (lead, { userId }) => {
+  const reason = lead.parkedReason;
+  await lead.update(unparked(new Date()));
+  await leadActivityService.record(lead.id, 'parking', {
+    actorId: userId,
+    summary: 'Lead unparked',
+    payload: { parked: false, reason },
+  });
+  return lead;
+};
+
+// Unparks the leads whose wake-up date has come, each with a follow-up task
+// due the same day and a notification for its consultant. Run by the
+// parking job.
+const wakeDueLeads = async (now = new Date()) => {
+  const leads = await Lead.findAll({
+    where: { parked: true, parkedUntil: { [Op.lte]: now } },
+    include: [{ model: User, as: 'student', attributes: ['id', 'name'] }],
+  });
+
+  let woken = 0;
+  for (const lead of leads) {
+    const { parkedReason: reason, parkedNote: note, parkedBy } = lead;
+    const consultantId = lead.assignedConsultant;
+    const student = lead.student?.name || 'the student';
+    const claimed = await sequelize.transaction(async (transaction) => {
+      // Only the run that flips `parked` wakes the lead, so an overlapping
+      // run or a manager unparking it meanwhile does not add a second task
+      const [count] = await Lead.update(unparked(now), {
+        where: { id: lead.id, parked: true },
+        transaction,
+      });
+      if (count !== 1) return false;
+      await leadActivityService.record(lead.id, 'parking', {
+        summary: 'Lead woke up from parking',
+        payload: { parked: false, reason },
+        transaction,
+      });
+      // Tasks need an author; leads without a consultant fall back to
+      // whoever parked them
+      const createdBy = consultantId || parkedBy;
+      if (createdBy) {
+        await Task.create(
+          {
+            leadId: lead.id,
+            description: `Follow up with ${student} after parking`,
+            notes: note ? `Parked (${reason}): ${note}` : `Parked (${reason})`,
+            dueDate: now,
+            createdBy,
+          },
+          { transaction }
+        );
+      }
+      return true;
+    });
+    if (!claimed) continue;
+    woken += 1;
+
+    if (consultantId) {
+      await notificationService.sendNotification({
+        userId: consultantId,
+        type: 'in_app',
+        message: `Your parked lead ${student} is active again; a follow-up task was added.`,
+        details: { leadId: lead.id, reason },
+      });
+    }
+  }
+  return { woken };
+};
+
+// The office's parked leads grouped by reason, most common first
+const getParkedReport = async (officeId) => {
+  const leads = await Lead.findAll({
+    where: { officeId, parked: true },
+    attributes: [
+      'id',
+      'status',
+      'parkedReason',
+      'parkedNote',
+      'parkedAt',
+      'parkedUntil',
+    ],
+    include: [
+      { model: User, as: 'student', attributes: ['id', 'name', 'email'] },
+      { model: User, as: 'consultant', attributes: ['id', 'name'] },
+    ],
+    order: [['parkedAt', 'ASC']],
+  });
+
+  const groups = {};
+  for (const lead of leads) {
+    const reason = lead.parkedReason || 'other';
+    groups[reason] = groups[reason] || { reason, count: 0, leads: [] };
+    groups[reason].count += 1;
+    groups[reason].leads.push(lead);
+  }
+  return {
+    total: leads.length,
+    withWakeUp: leads.filter((lead) => lead.parkedUntil).length,
+    byReason: Object.values(groups).sort((a, b) => b.count - a.count),
+  };
+};
+
+module.exports = {
+  REASONS,
+  parkLead,
+  unparkLead,
+  wakeDueLeads,
+  getParkedReport,
+};
@@ -0,0 +1,309 @@
+const {
+  sequelize,
+  Lead,
+  LeadDistributionRule,
+  LeadRuleVersion,
+  Office,
+  User,
+} = require('../models');
+const AppError = require('../utils/appError');
+const leadDistributionService = require('./leadDistributionService');
+
+// The fields a version snapshot keeps; runtime state such as the
+// round-robin position is not part of a rule's definition
+const VERSIONED_FIELDS = [
+  'criteria',
+  'priority',
+  'strategy',
+  'officeId',
+  'consultantId',
+];
+
+const DRY_RUN_DEFAULT_LIMIT = 50;
+
+const ruleInclude = [
+  { model: Office, attributes: ['id', 'name'] },
+  {
+    model: User,
+    as: 'consultant',
+    attributes: ['id', 'name', 'email', 'officeId', 'isActive'],
+  },
+];
+
+const snapshotOf = (rule) => {
+  const snapshot = Object.fromEntries(
+    VERSIONED_FIELDS.map((field) => [field, rule[field] ?? null])
+  );
+  // Shared strategies choose the consultant themselves
+  if (snapshot.strategy && snapshot.strategy !== 'fixed') {
+    snapshot.consultantId = null;
+  }
+  return snapshot;
+};
+
+const diff = (before, after) => {
+  const changes = {};
+  for (const field of VERSIONED_FIELDS) {
+    const from = before ? (before[field] ?? null) : null;
+    const to = after ? (after[field] ?? null) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+const recordVersion = async (
+  ruleId,
+  { action, before, after, authorId, restoredFromVersion = null },
+  transaction
+) => {
+  const latest = await LeadRuleVersion.max('version', {
+    where: { ruleId },
+    transaction,
+  });
+  return LeadRuleVersion.create(
+    {
+      ruleId,
+      version: (latest || 0) + 1,
+      action,
+      snapshot: after || before,
+      changes: diff(before, after),
+      authorId,
+      restoredFromVersion,
+    },
+    { transaction }
+  );
+};
+
+const getRule = async (ruleId) => {
+  const rule = await LeadDistributionRule.findByPk(ruleId, {
+    include: ruleInclude,
+  });
+  if (!rule) {
+    throw new AppError('Rule not found', 404);
+  }
+  return rule;
+};
+
+const listRules = () =>
+  LeadDistributionRule.findAll({
+    include: ruleInclude,
+    order: [
+      ['priority', 'ASC'],
+      ['createdAt', 'ASC'],
+    ],
+  });
+
+const createRule = async (data, authorId) => {
+  const rule = await sequelize.transaction(async (transaction) => {
+    const created = await LeadDistributionRule.create(
+      snapshotOf({ strategy: 'fixed', ...data }),
+      { transaction }
+    );
+    await recordVersion(
+      created.id,
+      { action: 'created', after: snapshotOf(created), authorId },
+      transaction
+    );
+    return created;
+  });
+  return getRule(rule.id);
+};
+
+const updateRule = async (ruleId, data, authorId) => {
+  await sequelize.transaction(async (transaction) => {
+    const rule = await LeadDistributionRule.findByPk(ruleId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!rule) {
+      throw new AppError('Rule not found', 404);
+    }
+    const before = snapshotOf(rule);
+    await rule.update(snapshotOf({ ...before, ...data }), { transaction });
+    const after = snapshotOf(rule);
+    if (Object.keys(diff(before, after)).length) {
+      await recordVersion(
+        ruleId,
+        { action: 'updated', before, after, authorId },
+        transaction
+      );
+    }
+  });
+  return getRule(ruleId);
+};
+
+const deleteRule = async (ruleId, authorId) => {
+  await sequelize.transaction(async (transaction) => {
+    const rule = await LeadDistributionRule.findByPk(ruleId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!rule) {
+      throw new AppError('Rule not found', 404);
+    }
+    const before = snapshotOf(rule);
+    await rule.destroy({ transaction });
+    await recordVersion(
+      ruleId,
+      { action: 'deleted', before, authorId },
+      transaction
+    );
+  });
+};
+
+// Every version of a rule, newest first. Works for deleted rules too.
+const getRuleHistory = async (ruleId) => {
+  const versions = await LeadRuleVersion.findAll({
+    where: { ruleId },
+    include: [{ model: User, as: 'author', attributes: ['id', 'name'] }],
+    order: [['version', 'DESC']],
+  });
+  if (!versions.length) {
+    throw new AppError('Rule not found', 404);
+  }
+  return versions;
+};
+
+// Puts the rule back as it was at `version`, recreating it under the same id
+// if it has since been deleted. The rollback is itself a new version.
+const rollbackRule = async (ruleId, version, authorId) => {
+  await sequelize.transaction(async (transaction) => {
+    const target = await LeadRuleVersion.findOne({
+      where: { ruleId, version },
+      transaction,
+    });
+    if (!target) {
+      throw new AppError('Version not found', 404);
+    }
+    if (target.action === 'deleted') {
+      throw new AppError(
+        'Choose a version from before the rule was deleted',
+        400
+      );
+    }
+    if (
+      target.snapshot.consultantId &&
+      !(await User.findByPk(target.snapshot.consultantId, { transaction }))
+    ) {
+      throw new AppError(
+        'The consultant in that version no longer exists',
+        400
+      );
+    }
+
+    const rule = await LeadDistributionRule.findByPk(ruleId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const before = rule ? snapshotOf(rule) : null;
+    if (rule) {
+      await rule.update(target.snapshot, { transaction });
+    } else {
+      await LeadDistributionRule.create(
+        { id: ruleId, ...target.snapshot },
+        { transaction }
+      );
+    }
+
+    await recordVersion(
+      ruleId,
+      {
+        action: 'rolled_back',
+        before,
+        after: snapshotOf(target.snapshot),
+        authorId,
+        restoredFromVersion: target.version,
+      },
+      transaction
+    );
+  });
+  return getRule(ruleId);
+};
+
+const sortRules = (rules) => [...rules].sort((a, b) => a.priority - b.priority);
+
+// Unsaved rules, shaped like loaded ones so the engine can evaluate them
+const prepareDraftRules = async (drafts) => {
+  const consultantIds = drafts.map((d) => d.consultantId).filter(Boolean);
+  const consultants = consultantIds.length
+    ? await User.findAll({
+        where: { id: consultantIds },
+        attributes: ['id', 'name', 'officeId', 'isActive'],
+      })
+    : [];
+  return sortRules(
+    drafts.map((draft, index) => ({
+      id: draft.id || `draft-${index + 1}`,
+      ...snapshotOf({ strategy: 'fixed', ...draft }),
+      consultant: consultants.find((c) => c.id === draft.consultantId) || null,
+      lastAssignedConsultantId: null,
+    }))
+  );
+};
+
+const summarize = (match) =>
+  match
+    ? {
+        ruleId: match.rule.id,
+        officeId: match.assignment.officeId,
+        consultantId: match.assignment.consultantId,
+        reason: match.assignment.reason,
+      }
+    : null;
+
+// Replays the most recent `limit` leads against the live rules and against
+// `drafts` (a complete replacement rule set) without changing anything, and
+// reports where each lead would go under both. Leads are replayed oldest
+// first so round-robin rotates as it would have; open-lead counts are taken
+// as they are today.
+const dryRun = async (drafts, { limit = DRY_RUN_DEFAULT_LIMIT } = {}) => {
+  const leads = (
+    await Lead.findAll({ order: [['createdAt', 'DESC']], limit })
+  ).reverse();
+  const liveRules = await leadDistributionService.loadRules();
+  const draftRules = await prepareDraftRules(drafts);
+
+  const results = [];
+  for (const lead of leads) {
+    const current = summarize(
+      await leadDistributionService.evaluate(lead, liveRules, { dryRun: true })
+    );
+    const draft = summarize(
+      await leadDistributionService.evaluate(lead, draftRules, {
+        dryRun: true,
+      })
+    );
+    results.push({
+      leadId: lead.id,
+      createdAt: lead.createdAt,
+      current,
+      draft,
+      changed:
+        current?.officeId !== draft?.officeId ||
+        current?.consultantId !== draft?.consultantId,
+    });
+  }
+
+  return {
+    summary: {
+      leads: results.length,
+      changed: results.filter((r) => r.changed).length,
+      unassignedNow: results.filter((r) => !r.current).length,
+      unassignedWithDraft: results.filter((r) => !r.draft).length,
+    },
+    results,
+  };
+};
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRuleHistory,
+  rollbackRule,
+  dryRun,
+};
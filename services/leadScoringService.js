@@ -0,0 +1,294 @@
+const { Op, fn, col } = require('sequelize');
+const {
+  Appointment,
+  Lead,
+  LeadActivity,
+  LeadScoringModel,
+  Message,
+  StudentProfile,
+} = require('../models');
+const AppError = require('../utils/appError');
+const { isBlank } = require('../utils/helpers');
+
+// What a score is made of, in breakdown order
+const FACTORS = [
+  'profile',
+  'testScores',
+  'budget',
+  'source',
+  'engagement',
+  'recency',
+];
+
+// Profile sections that count towards completeness
+const PROFILE_SECTIONS = [
+  'personalInfo',
+  'educationalBackground',
+  'testScores',
+  'studyPreferences',
+  'workExperience',
+  'financialInfo',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores older than this are recomputed so recency keeps decaying
+const MAX_SCORE_AGE_MS = DAY_MS;
+
+const BATCH_SIZE = 200;
+
+// Most leads rescored by one run of the scoring job; the rest wait for the
+// next run
+const MAX_REFRESH_PER_RUN = 2000;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const ratio = (value, target) =>
+  target > 0 ? Math.min(Math.max(value / target, 0), 1) : 0;
+
+// Test scores are stored as { ielts: 7 } or { ielts: { overall: 7 } }
+const readTestScore = (value) =>
+  value && typeof value === 'object'
+    ? (value.overall ?? value.score ?? value.total)
+    : value;
+
+// Each factor returns a 0-1 value and a sentence explaining it
+const FACTOR_SCORERS = {
+  profile: ({ profile }) => {
+    const filled = PROFILE_SECTIONS.filter(
+      (section) => profile && !isBlank(profile[section])
+    ).length;
+    return {
+      value: filled / PROFILE_SECTIONS.length,
+      detail: `${filled} of ${PROFILE_SECTIONS.length} profile sections filled`,
+    };
+  },
+
+  testScores: ({ profile }, { testScores: targets = {} }) => {
+    let best = null;
+    for (const [test, value] of Object.entries(profile?.testScores || {})) {
+      const target = targets[test.toLowerCase()];
+      const score = Number(readTestScore(value));
+      if (!target || Number.isNaN(score)) continue;
+      const share = ratio(score, target);
+      if (!best || share > best.value) {
+        best = {
+          value: share,
+          detail: `${test.toUpperCase()} ${score} against a target of ${target}`,
+        };
+      }
+    }
+    return best || { value: 0, detail: 'No recognised test scores' };
+  },
+
+  budget: ({ lead, profile }, { budgetTarget }) => {
+    const budget = Number(
+      profile?.financialInfo?.budget ?? lead.studyPreferences?.budget
+    );
+    if (!budget) return { value: 0, detail: 'No budget given' };
+    return {
+      value: ratio(budget, budgetTarget),
+      detail: `Budget ${budget} against a target of ${budgetTarget}`,
+    };
+  },
+
+  source: ({ lead }, { sources = {} }) => {
+    const value = sources[lead.source] ?? 0;
+    return { value, detail: `Source ${lead.source}` };
+  },
+
+  engagement: ({ messages, appointments }, { engagement: targets }) => ({
+    value:
+      (ratio(messages, targets.messages) +
+        ratio(appointments, targets.appointments)) /
+      2,
+    detail: `${plural(messages, 'message')} sent, ${plural(appointments, 'appointment')} attended`,
+  }),
+
+  recency: ({ lastActiveAt }, { recencyDays }, now) => {
+    const days = Math.floor((now - lastActiveAt) / DAY_MS);
+    return {
+      value: 1 - ratio(days, recencyDays),
+      detail: days ? `Last active ${plural(days, 'day')} ago` : 'Active today',
+    };
+  },
+};
+
+const getModel = async () => {
+  const model = await LeadScoringModel.findOne();
+  if (!model) {
+    throw new AppError('No lead scoring model is configured', 500);
+  }
+  return model;
+};
+
+// Changing the model marks every lead stale; the `scores` job rescores them
+const updateModel = async ({ weights, settings }, { userId } = {}) => {
+  const model = await getModel();
+  const next = {
+    weights: { ...model.weights, ...weights },
+    settings: { ...model.settings, ...settings },
+  };
+  if (!FACTORS.some((factor) => next.weights[factor] > 0)) {
+    throw new AppError('At least one weight must be above 0', 400);
+  }
+  await model.update({ ...next, updatedBy: userId });
+  await Lead.markScoreStale({});
+  return model;
+};
+
+// The score of `lead` from its inputs: { profile, messages, appointments,
+// lastActiveAt }
+const computeScore = (
+  { weights, settings },
+  lead,
+  inputs,
+  now = new Date()
+) => {
+  const totalWeight = FACTORS.reduce((sum, f) => sum + (weights[f] || 0), 0);
+  const factors = FACTORS.map((factor) => {
+    const weight = weights[factor] || 0;
+    const { value, detail } = FACTOR_SCORERS[factor](
+      { lead, ...inputs },
+      settings,
+      now
+    );
+    return {
+      factor,
+      weight,
+      value: Math.round(value * 100) / 100,
+      points: Math.round(((value * weight) / totalWeight) * 1000) / 10,
+      detail,
+    };
+  });
+  return {
+    score: Math.round(factors.reduce((sum, f) => sum + f.points, 0)),
+    breakdown: factors,
+  };
+};
+
+const countBy = (rows, key) =>
+  Object.fromEntries(rows.map((row) => [row[key], Number(row.count)]));
+
+// Everything the factors need for a batch of leads, in five queries
+const loadInputs = async (leads) => {
+  const studentIds = [...new Set(leads.map((lead) => lead.studentId))];
+  const [profiles, messages, appointments, activities] = await Promise.all([
+    StudentProfile.findAll({ where: { userId: studentIds } }),
+    Message.findAll({
+      attributes: [
+        'senderId',
+        [fn('COUNT', col('id')), 'count'],
+        [fn('MAX', col('createdAt')), 'lastAt'],
+      ],
+      where: { senderId: studentIds },
+      group: ['senderId'],
+      raw: true,
+    }),
+    Appointment.findAll({
+      attributes: ['studentId', [fn('COUNT', col('id')), 'count']],
+      where: { studentId: studentIds, status: 'completed' },
+      group: ['studentId'],
+      raw: true,
+    }),
+    LeadActivity.findAll({
+      attributes: ['leadId', [fn('MAX', col('occurredAt')), 'lastAt']],
+      where: { leadId: leads.map((lead) => lead.id) },
+      group: ['leadId'],
+      raw: true,
+    }),
+  ]);
+
+  const messageCounts = countBy(messages, 'senderId');
+  const appointmentCounts = countBy(appointments, 'studentId');
+  const lastMessageAt = Object.fromEntries(
+    messages.map((row) => [row.senderId, new Date(row.lastAt)])
+  );
+  const lastActivityAt = Object.fromEntries(
+    activities.map((row) => [row.leadId, new Date(row.lastAt)])
+  );
+
+  return new Map(
+    leads.map((lead) => [
+      lead.id,
+      {
+        profile: profiles.find((p) => p.userId === lead.studentId) || null,
+        messages: messageCounts[lead.studentId] || 0,
+        appointments: appointmentCounts[lead.studentId] || 0,
+        lastActiveAt: Math.max(
+          lead.createdAt,
+          lastActivityAt[lead.id] || 0,
+          lastMessageAt[lead.studentId] || 0
+        ),
+      },
+    ])
+  );
+};
+
+// Rescores up to `limit` leads whose inputs changed or whose score is more
+// than a day old. Run by the scoring job so lead lists only read scores.
+const refreshScores = async ({ limit = MAX_REFRESH_PER_RUN } = {}) => {
+  const model = await getModel();
+  const staleWhere = {
+    [Op.or]: [
+      { scoreStale: true },
+      { scoredAt: null },
+      { scoredAt: { [Op.lt]: new Date(Date.now() - MAX_SCORE_AGE_MS) } },
+    ],
+  };
+
+  let rescored = 0;
+  while (rescored < limit) {
+    const leads = await Lead.findAll({
+      where: staleWhere,
+      order: [['scoredAt', 'ASC NULLS FIRST']],
+      limit: Math.min(BATCH_SIZE, limit - rescored),
+    });
+    if (!leads.length) break;
+
+    const inputs = await loadInputs(leads);
+    const now = new Date();
+    for (const lead of leads) {
+      const { score, breakdown } = computeScore(
+        model,
+        lead,
+        inputs.get(lead.id),
+        now
+      );
+      await lead.update(
+        {
+          score,
+          scoreBreakdown: breakdown,
+          scoredAt: now,
+          scoreStale: false,
+        },
+        { hooks: false }
+      );
+    }
+    rescored += leads.length;
+  }
+  return { rescored };
+};
+
+// Where and order for a lead list from ?minScore=&maxScore=&sort=score
+// (lowest first) or sort=-score (highest first)
+const scoreQuery = ({ minScore, maxScore, sort } = {}) => {
+  const where = {};
+  if (minScore !== undefined || maxScore !== undefined) {
+    where.score = {};
+    if (minScore !== undefined) where.score[Op.gte] = Number(minScore);
+    if (maxScore !== undefined) where.score[Op.lte] = Number(maxScore);
+  }
+  const order = sort ? [['score', sort === '-score' ? 'DESC' : 'ASC']] : [];
+  return { where, order };
+};
+
+module.exports = {
+  FACTORS,
+  getModel,
+  updateModel,
+  computeScore,
+  refreshScores,
+  scoreQuery,
+  readTestScore,
+};
@@ -1,29 +1,40 @@
 const { Lead, User, Office, Task, } = require('../models');
-const { createObjectCsvWriter } = require('csv-writer');
+const { Op } = require('sequelize');
 const AppError = require('../utils/appError');
+const leadDistributionService = require('./leadDistributionService');
+const pipelineService = require('./pipelineService');
+const leadActivityService = require('./leadActivityService');
+const duplicateService = require('./duplicateService');
+const reminderService = require('./reminderService');
 const fs = require('fs');
 
 const createLead = async ({
   email,
+  name,
+  phone,
   source,
   studyPreferences,
   officeId,
   userId,
 }) => {
-  // Find or create student user
+  // Validate office first, so a bad officeId leaves no student behind
+  const office = await Office.findByPk(officeId);
+  if (!office) {
+    throw new AppError('Office not found', 404);
+  }
+
+  // Find or create student user. New students have no password until they
+  // set one through a password reset.
   let student = await User.findOne({ where: { email } });
   if (!student) {
     student = await User.create({
       email,
-      password: await require('bcryptjs').hash('TempPassword123!', 10),
+      name,
+      phone,
       role: 'student',
     });
-  }
-
-  // Validate office
-  const office = await Office.findByPk(officeId);
-  if (!office) {
-    throw new AppError('Office not found', 404);
+  } else if (student.role !== 'student') {
+    throw new AppError('This email belongs to a staff account', 400);
   }
 
   // Create lead
@@ -32,13 +43,68 @@ const createLead = async ({
     officeId,
     source,
     studyPreferences,
-    status: 'new',
-    history: [{ note: 'Lead created', timestamp: new Date(), userId }],
   });
+  await leadActivityService.record(lead.id, 'created', {
+    actorId: userId,
+    summary: 'Lead created',
+  });
+  await leadDistributionService.distribute(lead);
+  await duplicateService.flagDuplicates(student.id);
 
   return lead;
 };
 
+const toList = (value) =>
+  String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const toDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+// Where clause for lead lists and exports from ?officeId=&status=
+// &consultantId=&source=&from=&to=&parked=. status and source take
+// comma-separated lists; consultantId=none finds unassigned leads; from and
+// to bound createdAt. Bad values are rejected here, as an export has sent
+// its headers by the time the query runs.
+const filterQuery = ({
+  officeId,
+  status,
+  consultantId,
+  source,
+  from,
+  to,
+  parked,
+} = {}) => {
+  const where = {};
+  if (officeId) where.officeId = officeId;
+  if (status) where.status = toList(status);
+  if (consultantId) {
+    where.assignedConsultant = consultantId === 'none' ? null : consultantId;
+  }
+  if (source) {
+    const sources = Lead.rawAttributes.source.values;
+    where.source = toList(source);
+    const unknown = where.source.filter((value) => !sources.includes(value));
+    if (unknown.length) {
+      throw new AppError(`source must be one of: ${sources.join(', ')}`, 400);
+    }
+  }
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = toDate(from, 'from');
+    if (to) where.createdAt[Op.lte] = toDate(to, 'to');
+  }
+  if (parked !== undefined) where.parked = String(parked) === 'true';
+  return where;
+};
+
 const getLeadsByConsultant = async (consultantId) => {
   return Lead.findAll({ where: { assignedConsultant: consultantId } });
 };
@@ -56,24 +122,22 @@ const getAllLeads = async () => {
   });
 };
 
-const updateLeadStatus = async (leadId, consultantId, status) => {
+const updateLeadStatus = async (
+  leadId,
+  consultantId,
+  status,
+  { lossReason } = {}
+) => {
   const lead = await Lead.findOne({
     where: { id: leadId, assignedConsultant: consultantId },
   });
   if (!lead) {
     throw new AppError('Lead not found or not assigned to you', 404);
   }
-  lead.status = status;
-  lead.history = [
-    ...(lead.history || []),
-    {
-      note: `Status updated to ${status}`,
-      timestamp: new Date(),
-      userId: consultantId,
-    },
-  ];
-  await lead.save();
-  return lead;
+  return pipelineService.transitionLead(lead, status, {
+    userId: consultantId,
+    lossReason,
+  });
 };
 
 const reassignLead = async (leadId, consultantId, reassignerId) => {
@@ -87,59 +151,19 @@ const reassignLead = async (leadId, consultantId, reassignerId) => {
   if (!consultant) {
     throw new AppError('Consultant not found', 404);
   }
-  lead.assignedConsultant = consultantId;
-  lead.history = [
-    ...(lead.history || []),
-    {
-      note: `Reassigned to consultant ${consultantId}`,
-      timestamp: new Date(),
-      userId: reassignerId,
-    },
-  ];
-  await lead.save();
-  return lead;
-};
-
-const exportLeads = async () => {
-  const leads = await Lead.findAll({
-    include: [
-      { model: User, as: 'student', attributes: ['email'] },
-      { model: Office, attributes: ['name'] },
-    ],
+  assertAssignable(lead);
+  const previousConsultantId = lead.assignedConsultant;
+  await lead.update({ assignedConsultant: consultantId });
+  await leadActivityService.record(lead.id, 'reassignment', {
+    actorId: reassignerId,
+    summary: `Reassigned to ${consultant.name || consultant.email}`,
+    payload: { from: previousConsultantId, to: consultantId },
   });
-
-  const csvPath = `exports/leads_${Date.now()}.csv`;
-  const csvWriter = createObjectCsvWriter({
-    path: csvPath,
-    header: [
-      { id: 'id', title: 'Lead ID' },
-      { id: 'status', title: 'Status' },
-      { id: 'source', title: 'Source' },
-      { id: 'student.email', title: 'Student Email' },
-      { id: 'office.name', title: 'Office' },
-    ],
-  });
-
-  const records = leads.map((lead) => ({
-    id: lead.id,
-    status: lead.status,
-    source: lead.source,
-    'student.email': lead.student?.email,
-    'office.name': lead.office?.name,
-  }));
-
-  await csvWriter.writeRecords(records);
-  return csvPath;
-};
-
-const getLeadHistory = async (leadId) => {
-  const lead = await Lead.findByPk(leadId);
-  if (!lead) {
-    throw new AppError('Lead not found', 404);
-  }
-  return lead.history || [];
+  return lead;
 };
 
+// Reminds the lead's consultant, or the user setting it if the lead has
+// none, and notes the reminder on the lead's timeline
 const setReminder = async (leadId, reminderData, userId) => {
   if (!reminderData.message || !reminderData.dueDate) {
     throw new AppError('Message and dueDate are required for reminder', 400);
@@ -156,39 +180,32 @@ const setReminder = async (leadId, reminderData, userId) => {
     throw new AppError('Lead not found', 404); // Shouldn't occur due to controller check
   }
 
-  // Append reminder to history
-  const historyEntry = {
-    note: `Reminder: ${reminderData.message}`,
-    timestamp: new Date().toISOString(),
-    userId,
-    dueDate: reminderData.dueDate,
-  };
-
-  const updatedHistory = [...lead.history, historyEntry];
-  await lead.update({ history: updatedHistory });
+  const reminder = await reminderService.createReminder({
+    ownerId: lead.assignedConsultant || userId,
+    createdBy: userId,
+    targetType: 'lead',
+    targetId: lead.id,
+    message: reminderData.message,
+    dueAt: dueDate,
+    remindAt: reminderData.remindAt,
+    channel: reminderData.channel,
+  });
+  await leadActivityService.record(lead.id, 'reminder', {
+    actorId: userId,
+    summary: `Reminder: ${reminderData.message}`,
+    payload: { dueDate: dueDate.toISOString(), reminderId: reminder.id },
+  });
+  return reminder;
 };
 
-const logLeadHistory = async (leadId, note, userId) => {
-  if (!note || typeof note !== 'string') {
-    throw new AppError('Note is required and must be a string', 400);
-  }
-  if (!userId) {
-    throw new AppError('User ID is required', 400);
+// Leads from signups that have not confirmed their email stay unassigned
+const assertAssignable = (lead) => {
+  if (lead.pendingEmailVerification) {
+    throw new AppError(
+      'Lead cannot be assigned until the student verifies their email',
+      400
+    );
   }
-
-  const lead = await Lead.findByPk(leadId);
-  if (!lead) {
-    throw new AppError('Lead not found', 404);
-  }
-
-  const historyEntry = {
-    note,
-    timestamp: new Date().toISOString(),
-    userId,
-  };
-
-  const updatedHistory = [...(lead.history || []), historyEntry];
-  await lead.update({ history: updatedHistory });
 };
 
 const setFollowUpTask = async (leadId, taskData, userId) => {
@@ -219,9 +236,8 @@ module.exports = {
   getAllLeads,
   updateLeadStatus,
   reassignLead,
-  exportLeads,
-  getLeadHistory,
+  filterQuery,
   setReminder,
-  logLeadHistory,
   setFollowUpTask,
+  assertAssignable,
 };
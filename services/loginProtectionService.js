@@ -0,0 +1,190 @@
+const { Op } = require('sequelize');
+const { LoginAttempt, User } = require('../models');
+const AppError = require('../utils/appError');
+const { generateToken, hashToken } = require('../utils/tokens');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+
+const WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const MAX_EMAIL_FAILURES = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failures allowed before delays start, and the longest delay we impose
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 30;
+
+const windowStart = () => new Date(Date.now() - WINDOW_MINUTES * 60 * 1000);
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const recentFailures = (where) =>
+  LoginAttempt.findAll({
+    where: {
+      ...where,
+      successful: false,
+      createdAt: { [Op.gte]: windowStart() },
+    },
+    attributes: ['createdAt'],
+    order: [['createdAt', 'DESC']],
+  });
+
+// 1s, 2s, 4s ... capped, once the free attempts are used up
+const delayFor = (failureCount) => {
+  if (failureCount <= FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failureCount - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+};
+
+const isLocked = (user) =>
+  Boolean(user && user.lockedUntil && user.lockedUntil > new Date());
+
+// Throws if this email/IP pair may not attempt a login right now.
+const assertCanAttempt = async ({ email, ipAddress, user }) => {
+  if (isLocked(user)) {
+    throw new AppError(
+      'Account is temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.',
+      423
+    );
+  }
+
+  if (ipAddress) {
+    const ipFailures = await LoginAttempt.count({
+      where: {
+        ipAddress,
+        successful: false,
+        createdAt: { [Op.gte]: windowStart() },
+      },
+    });
+    if (ipFailures >= MAX_IP_FAILURES) {
+      throw new AppError(
+        'Too many failed login attempts from this network. Try again later.',
+        429
+      );
+    }
+  }
+
+  const failures = await recentFailures({ email: normalizeEmail(email) });
+  const delay = delayFor(failures.length);
+  if (delay > 0) {
+    const retryAt = failures[0].createdAt.getTime() + delay * 1000;
+    if (retryAt > Date.now()) {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      throw new AppError(
+        `Too many failed login attempts. Try again in ${seconds} seconds.`,
+        429
+      );
+    }
+  }
+};
+
+const lockAccount = async (user, { ipAddress, failures }) => {
+  const unlockToken = generateToken(32);
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+
+  await User.update(
+    { lockedUntil, unlockTokenHash: hashToken(unlockToken) },
+    { where: { id: user.id } }
+  );
+
+  await auditService.record({
+    action: 'account_locked',
+    targetUserId: user.id,
+    ipAddress,
+    details: { failures, lockedUntil, role: user.role },
+  });
+
+  try {
+    await emailService.sendAccountUnlockEmail(
+      user.email,
+      unlockToken,
+      LOCKOUT_MINUTES
+    );
+  } catch (err) {
+    console.warn('Failed to send unlock email:', err.message);
+  }
+};
+
+const recordFailure = async ({ email, ipAddress, user }) => {
+  await LoginAttempt.create({
+    email: normalizeEmail(email),
+    ipAddress,
+    userId: user ? user.id : null,
+    successful: false,
+  });
+
+  if (!user || isLocked(user)) return;
+
+  const failures = await recentFailures({ email: normalizeEmail(email) });
+  if (failures.length >= MAX_EMAIL_FAILURES) {
+    await lockAccount(user, { ipAddress, failures: failures.length });
+  }
+};
+
+const recordSuccess = async ({ email, ipAddress, user }) => {
+  await LoginAttempt.create({
+    email: normalizeEmail(email),
+    ipAddress,
+    userId: user.id,
+    successful: true,
+  });
+
+  // A successful login starts the per-email count afresh
+  await LoginAttempt.destroy({
+    where: { email: normalizeEmail(email), successful: false },
+  });
+
+  if (user.lockedUntil || user.unlockTokenHash) {
+    await User.update(
+      { lockedUntil: null, unlockTokenHash: null },
+      { where: { id: user.id } }
+    );
+  }
+};
+
+const clearLock = async (user, { actorId = null, ipAddress = null, via }) => {
+  await User.update(
+    { lockedUntil: null, unlockTokenHash: null },
+    { where: { id: user.id } }
+  );
+  await LoginAttempt.destroy({
+    where: { email: normalizeEmail(user.email), successful: false },
+  });
+  await auditService.record({
+    action: 'account_unlocked',
+    actorId,
+    targetUserId: user.id,
+    ipAddress,
+    details: { via },
+  });
+};
+
+const unlockWithToken = async (token, ipAddress) => {
+  if (!token) {
+    throw new AppError('Unlock token is required', 400);
+  }
+  const user = await User.findOne({
+    where: { unlockTokenHash: hashToken(token) },
+  });
+  if (!user) {
+    throw new AppError('Invalid or expired unlock link', 400);
+  }
+  await clearLock(user, { actorId: user.id, ipAddress, via: 'email_link' });
+};
+
+const unlockByAdmin = async (userId, adminId, ipAddress) => {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  await clearLock(user, { actorId: adminId, ipAddress, via: 'super_admin' });
+  return user;
+};
+
+module.exports = {
+  assertCanAttempt,
+  recordFailure,
+  recordSuccess,
+  unlockWithToken,
+  unlockByAdmin,
+  isLocked,
+};
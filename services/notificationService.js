@@ -483,42 +483,6 @@ const trackDocumentSubmission = async (studentId, files, types, notes) => {
   return documents;
 };
 
-const setDeadlineReminder = async (studentId, reminderData) => {
-  if (
-    !studentId ||
-    !reminderData ||
-    !reminderData.deadline ||
-    !reminderData.message
-  ) {
-    throw new AppError('Student ID, deadline, and message are required', 400);
-  }
-
-  const deadline = new Date(reminderData.deadline);
-  if (isNaN(deadline.getTime())) {
-    throw new AppError('Invalid deadline date format', 400);
-  }
-
-  const user = await User.findByPk(studentId);
-  if (!user) {
-    throw new AppError('User not found', 404);
-  }
-
-  const preferences = user.notificationPreferences || {
-    email: true,
-    sms: true,
-    in_app: true,
-  };
-  if (preferences.in_app) {
-    await Notification.create({
-      userId: studentId,
-      type: 'in_app',
-      message: reminderData.message,
-      status: 'pending',
-      details: { deadline: reminderData.deadline },
-    });
-  }
-};
-
 const uploadLeadDocuments = async (leadId, studentId, files, types, notes) => {
   if (
     !leadId ||
@@ -588,6 +552,5 @@ module.exports = {
   getCommunicationHistory,
   markMessagesAsRead,
   trackDocumentSubmission,
-  setDeadlineReminder,
   uploadLeadDocuments,
 };
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { PasswordHistory, User } = require('../models');
+const AppError = require('../utils/appError');
+
+const envFlag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] === 'true';
+
+const POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  // bcrypt ignores everything after 72 bytes
+  maxLength: 72,
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  // Staff only: how many previous passwords may not be reused, and how many
+  // days a password lasts (0 = never expires)
+  historyCount: Number(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+  expiryDays: Number(process.env.PASSWORD_EXPIRY_DAYS) || 0,
+};
+
+const BLOCKLIST_PATH =
+  process.env.PASSWORD_BLOCKLIST_PATH ||
+  path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let blocklist = null;
+
+// Loaded on first use and kept in memory (~10k entries)
+const getBlocklist = () => {
+  if (!blocklist) {
+    try {
+      blocklist = new Set(
+        fs
+          .readFileSync(BLOCKLIST_PATH, 'utf8')
+          .split('\n')
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith('#'))
+      );
+    } catch (err) {
+      console.warn('Common password list unavailable:', err.message);
+      blocklist = new Set();
+    }
+  }
+  return blocklist;
+};
+
+const isStaff = (user) => Boolean(user && user.role && user.role !== 'student');
+
+// The requirements `password` fails, e.g. ['contain a number']; empty when
+// it is acceptable. `user` (email, name) is used to reject passwords built
+// from the account's own details.
+const check = (password, user = {}) => {
+  const errors = [];
+  if (password.length < POLICY.minLength) {
+    errors.push(`be at least ${POLICY.minLength} characters long`);
+  }
+  if (Buffer.byteLength(password) > POLICY.maxLength) {
+    errors.push(`be at most ${POLICY.maxLength} bytes long`);
+  }
+  if (POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('contain an uppercase letter');
+  }
+  if (POLICY.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('contain a lowercase letter');
+  }
+  if (POLICY.requireNumber && !/\d/.test(password)) {
+    errors.push('contain a number');
+  }
+  if (POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('contain a symbol');
+  }
+
+  const lower = password.toLowerCase();
+  if (getBlocklist().has(lower)) {
+    errors.push('not be a commonly used password');
+  }
+  const personal = [user.email && user.email.split('@')[0], user.name]
+    .filter((part) => part && part.length >= 3)
+    .map((part) => part.toLowerCase());
+  if (personal.some((part) => lower.includes(part))) {
+    errors.push('not contain your name or email');
+  }
+
+  return errors;
+};
+
+const assertAcceptable = (password, user) => {
+  if (typeof password !== 'string' || !password) {
+    throw new AppError('Password is required', 400);
+  }
+  const errors = check(password, user);
+  if (errors.length) {
+    const last = errors.pop();
+    const list = errors.length ? `${errors.join(', ')} and ${last}` : last;
+    throw new AppError(`Password must ${list}`, 400);
+  }
+};
+
+// Validates and hashes a password for an account that does not exist yet
+const hashPassword = async (password, user) => {
+  assertAcceptable(password, user);
+  return bcrypt.hash(password, 10);
+};
+
+const recentHashes = async (user) => {
+  if (!isStaff(user) || POLICY.historyCount <= 0) return [];
+  const history = await PasswordHistory.findAll({
+    where: { userId: user.id },
+    attributes: ['passwordHash'],
+    order: [['createdAt', 'DESC']],
+    limit: POLICY.historyCount,
+  });
+  return history.map((entry) => entry.passwordHash);
+};
+
+const isReused = async (user, password) => {
+  const hashes = await recentHashes(user);
+  if (user.password && isStaff(user)) hashes.push(user.password);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+const recordHistory = async (user, passwordHash) => {
+  if (!isStaff(user) || POLICY.historyCount <= 0) return;
+  await PasswordHistory.create({ userId: user.id, passwordHash });
+
+  const keep = await PasswordHistory.findAll({
+    where: { userId: user.id },
+    attributes: ['id'],
+    order: [['createdAt', 'DESC']],
+    limit: POLICY.historyCount,
+  });
+  await PasswordHistory.destroy({
+    where: { userId: user.id, id: { [Op.notIn]: keep.map((e) => e.id) } },
+  });
+};
+
+// The one way to change an existing account's password. Pass
+// `requireChange` when someone other than the owner chose it, so they must
+// pick their own at next login.
+const setPassword = async (
+  userOrId,
+  password,
+  { requireChange = false } = {}
+) => {
+  const user =
+    userOrId instanceof User ? userOrId : await User.findByPk(userOrId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  assertAcceptable(password, user);
+  if (await isReused(user, password)) {
+    throw new AppError(
+      `Password must not match any of your last ${POLICY.historyCount} passwords`,
+      400
+    );
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  await user.update({
+    password: passwordHash,
+    passwordChangedAt: new Date(),
+    mustChangePassword: requireChange,
+  });
+  await recordHistory(user, passwordHash);
+  return user;
+};
+
+const isExpired = (user) => {
+  if (!isStaff(user) || !POLICY.expiryDays || !user.password) return false;
+  if (!user.passwordChangedAt) return true;
+  const ageMs = Date.now() - new Date(user.passwordChangedAt).getTime();
+  return ageMs > POLICY.expiryDays * 24 * 60 * 60 * 1000;
+};
+
+// Whether a password login must change the password before getting a session
+const isChangeRequired = (user) =>
+  Boolean(user.mustChangePassword) || isExpired(user);
+
+// The rules, for clients that want to show them next to a password field
+const describePolicy = () => ({
+  minLength: POLICY.minLength,
+  maxLength: POLICY.maxLength,
+  requireUppercase: POLICY.requireUppercase,
+  requireLowercase: POLICY.requireLowercase,
+  requireNumber: POLICY.requireNumber,
+  requireSymbol: POLICY.requireSymbol,
+  blocksCommonPasswords: true,
+  staffHistoryCount: POLICY.historyCount,
+  staffExpiryDays: POLICY.expiryDays,
+});
+
+module.exports = {
+  check,
+  assertAcceptable,
+  hashPassword,
+  setPassword,
+  isChangeRequired,
+  describePolicy,
+};
@@ -0,0 +1,76 @@
+const { PasswordResetToken, User } = require('../models');
+const AppError = require('../utils/appError');
+const { generateToken, hashToken } = require('../utils/tokens');
+const emailService = require('./emailService');
+const passwordPolicyService = require('./passwordPolicyService');
+const sessionService = require('./sessionService');
+
+const TOKEN_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60;
+
+// Sends a reset link if the email belongs to an active account. Callers must
+// respond the same way either way so the endpoint cannot be used to probe
+// for registered emails.
+const requestReset = async (email, ipAddress) => {
+  if (!email) return;
+
+  const user = await User.findOne({ where: { email } });
+  if (!user || !user.isActive) return;
+
+  // Only the newest link works
+  await PasswordResetToken.destroy({
+    where: { userId: user.id, usedAt: null },
+  });
+
+  const token = generateToken(32);
+  await PasswordResetToken.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000),
+    ipAddress,
+  });
+
+  try {
+    await emailService.sendPasswordResetEmail(
+      user.email,
+      token,
+      TOKEN_TTL_MINUTES
+    );
+  } catch (err) {
+    console.warn('Failed to send password reset email:', err.message);
+  }
+};
+
+const resetPassword = async (token, newPassword) => {
+  if (!token || !newPassword) {
+    throw new AppError('Token and new password are required', 400);
+  }
+
+  const resetToken = await PasswordResetToken.findOne({
+    where: { tokenHash: hashToken(token) },
+  });
+  if (!resetToken || !resetToken.isUsable()) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  const user = await User.findByPk(resetToken.userId);
+  if (!user) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+  // Reject a weak password before the token is spent so the link still works
+  passwordPolicyService.assertAcceptable(newPassword, user);
+
+  // Claim the token atomically so two concurrent requests cannot both use it
+  const [claimed] = await PasswordResetToken.update(
+    { usedAt: new Date() },
+    { where: { id: resetToken.id, usedAt: null } }
+  );
+  if (!claimed) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  await passwordPolicyService.setPassword(user, newPassword);
+  await sessionService.revokeAllUserSessions(user.id, 'password_reset');
+};
+
+module.exports = { requestReset, resetPassword };
@@ -0,0 +1,304 @@
+const { Op } = require('sequelize');
+const { sequelize, Lead, Pipeline } = require('../models');
+const AppError = require('../utils/appError');
+const leadActivityService = require('./leadActivityService');
+
+// open stages are worked on; won and lost stages end the pipeline
+const STAGE_TYPES = ['open', 'won', 'lost'];
+
+const isTerminal = (stage) => stage.type !== 'open';
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Reads a required field such as 'studyPreferences.destination' off a lead
+const readField = (lead, field) =>
+  field
+    .split('.')
+    .reduce((value, key) => (value == null ? value : value[key]), lead);
+
+// Rejects definitions the state machine could not run: duplicate or unknown
+// stage keys, transitions out of a terminal stage, required fields that are
+// not on a lead, or a lost stage with no reasons to pick from.
+const assertValidDefinition = ({
+  stages,
+  transitions = {},
+  lossReasons = [],
+}) => {
+  const keys = stages.map((stage) => stage.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new AppError(`Stage "${duplicate}" is defined more than once`, 400);
+  }
+  if (isTerminal(stages[0])) {
+    throw new AppError('The first stage must be an open stage', 400);
+  }
+
+  for (const stage of stages) {
+    const unknown = (stage.requiredFields || []).find(
+      (field) => !Lead.rawAttributes[field.split('.')[0]]
+    );
+    if (unknown) {
+      throw new AppError(
+        `Stage "${stage.key}" requires "${unknown}", which is not a lead field`,
+        400
+      );
+    }
+  }
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    const stage = stages.find((s) => s.key === from);
+    if (!stage) {
+      throw new AppError(`Transition from unknown stage "${from}"`, 400);
+    }
+    const unknown = targets.find((to) => !keys.includes(to));
+    if (unknown) {
+      throw new AppError(`Transition to unknown stage "${unknown}"`, 400);
+    }
+    if (isTerminal(stage) && targets.length) {
+      throw new AppError(
+        `Stage "${from}" is ${stage.type} and cannot lead anywhere`,
+        400
+      );
+    }
+  }
+
+  if (stages.some((s) => s.type === 'lost') && !lossReasons.length) {
+    throw new AppError('A pipeline with a lost stage needs loss reasons', 400);
+  }
+};
+
+const getPipeline = async (pipelineId) => {
+  const pipeline = await Pipeline.findByPk(pipelineId);
+  if (!pipeline) {
+    throw new AppError('Pipeline not found', 404);
+  }
+  return pipeline;
+};
+
+const listPipelines = () =>
+  Pipeline.findAll({
+    order: [
+      ['isDefault', 'DESC'],
+      ['name', 'ASC'],
+    ],
+  });
+
+const getDefaultPipeline = async () => {
+  const pipeline = await Pipeline.findOne({ where: { isDefault: true } });
+  if (!pipeline) {
+    throw new AppError('No default pipeline is configured', 500);
+  }
+  return pipeline;
+};
+
+const pipelineFor = (lead) =>
+  lead.pipelineId ? getPipeline(lead.pipelineId) : getDefaultPipeline();
+
+// Only one pipeline can be the default; taking the flag moves it
+const claimDefault = (pipelineId, transaction) =>
+  Pipeline.update(
+    { isDefault: false },
+    { where: { isDefault: true, id: { [Op.ne]: pipelineId } }, transaction }
+  );
+
+const createPipeline = async (data) => {
+  assertValidDefinition(data);
+  return sequelize.transaction(async (transaction) => {
+    const pipeline = await Pipeline.create(data, { transaction });
+    if (pipeline.isDefault) {
+      await claimDefault(pipeline.id, transaction);
+    }
+    return pipeline;
+  });
+};
+
+const updatePipeline = async (pipelineId, data) =>
+  sequelize.transaction(async (transaction) => {
+    const pipeline = await Pipeline.findByPk(pipelineId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!pipeline) {
+      throw new AppError('Pipeline not found', 404);
+    }
+    if (pipeline.isDefault && data.isDefault === false) {
+      throw new AppError('Make another pipeline the default instead', 400);
+    }
+
+    const next = {
+      stages: data.stages || pipeline.stages,
+      transitions: data.transitions || pipeline.transitions,
+      lossReasons: data.lossReasons || pipeline.lossReasons,
+    };
+    assertValidDefinition(next);
+
+    // Leads must never be left on a stage that no longer exists
+    const removed = pipeline.stages
+      .map((stage) => stage.key)
+      .filter((key) => !next.stages.some((stage) => stage.key === key));
+    if (removed.length) {
+      const stranded = await Lead.count({
+        where: { pipelineId, status: removed },
+        transaction,
+      });
+      if (stranded) {
+        throw new AppError(
+          `${stranded} leads are still in the stages being removed (${removed.join(', ')})`,
+          400
+        );
+      }
+    }
+
+    await pipeline.update({ ...data, ...next }, { transaction });
+    if (pipeline.isDefault) {
+      await claimDefault(pipeline.id, transaction);
+    }
+    return pipeline;
+  });
+
+const deletePipeline = async (pipelineId) => {
+  const pipeline = await getPipeline(pipelineId);
+  if (pipeline.isDefault) {
+    throw new AppError('The default pipeline cannot be deleted', 400);
+  }
+  if (await Lead.count({ where: { pipelineId } })) {
+    throw new AppError('Move its leads to another pipeline first', 400);
+  }
+  await pipeline.destroy();
+};
+
+// Why `lead` may not move to `toStatus`, or null if it may. A lead on a
+// status its pipeline does not know (written before pipelines existed) may
+// move to any stage, so it can be put back on track.
+const checkTransition = (pipeline, lead, toStatus, { lossReason } = {}) => {
+  const target = pipeline.stages.find((stage) => stage.key === toStatus);
+  if (!target) {
+    return `"${toStatus}" is not a stage of the ${pipeline.name} pipeline`;
+  }
+  if (lead.status === toStatus) {
+    return `Lead is already in ${target.name}`;
+  }
+
+  const current = pipeline.stages.find((stage) => stage.key === lead.status);
+  if (
+    current &&
+    !(pipeline.transitions[current.key] || []).includes(toStatus)
+  ) {
+    return `A lead cannot move from ${current.name} to ${target.name}`;
+  }
+
+  const missing = (target.requiredFields || []).filter((field) =>
+    isBlank(readField(lead, field))
+  );
+  if (missing.length) {
+    return `${target.name} requires ${missing.join(', ')}`;
+  }
+
+  if (target.type === 'lost' && !pipeline.lossReasons.includes(lossReason)) {
+    return `Choose a loss reason: ${pipeline.lossReasons.join(', ')}`;
+  }
+  return null;
+};
+
+// The one way to change a lead's status. Applies the pipeline's rules and
+// records the move on the lead's timeline, under `note` if given; throws a
+// 400 describing why an illegal move was refused.
+const transitionLead = async (
+  lead,
+  toStatus,
+  { userId, lossReason, note } = {}
+) => {
+  const pipeline = await pipelineFor(lead);
+  const error = checkTransition(pipeline, lead, toStatus, { lossReason });
+  if (error) {
+    throw new AppError(error, 400);
+  }
+
+  const target = pipeline.stages.find((stage) => stage.key === toStatus);
+  const fromStatus = lead.status;
+  await lead.update({
+    pipelineId: pipeline.id,
+    status: toStatus,
+    lossReason: target.type === 'lost' ? lossReason : null,
+  });
+  await leadActivityService.record(lead.id, 'status_change', {
+    actorId: userId,
+    summary: note || `Status updated from ${fromStatus} to ${toStatus}`,
+    payload: {
+      from: fromStatus,
+      to: toStatus,
+      ...(target.type === 'lost' && { lossReason }),
+    },
+  });
+  return lead;
+};
+
+// Whether `lead` may move to `toStatus` right now; for automatic moves that
+// should simply not happen when the pipeline does not allow them
+const canTransition = async (lead, toStatus) =>
+  !checkTransition(await pipelineFor(lead), lead, toStatus);
+
+// Where `lead` is and where it can go next, for status pickers
+const describeOptions = async (lead) => {
+  const pipeline = await pipelineFor(lead);
+  const current =
+    pipeline.stages.find((stage) => stage.key === lead.status) || null;
+  const next = current
+    ? pipeline.transitions[current.key] || []
+    : pipeline.stages.map((stage) => stage.key);
+  return {
+    pipeline: { id: pipeline.id, name: pipeline.name },
+    current,
+    next: pipeline.stages.filter((stage) => next.includes(stage.key)),
+    lossReasons: pipeline.lossReasons,
+  };
+};
+
+// A where clause matching leads whose stage is of one of `types`, across
+// every pipeline. Use it for counts rather than comparing status strings.
+const whereStageType = async (types) => {
+  const wanted = [].concat(types);
+  const pipelines = await Pipeline.findAll({ attributes: ['id', 'stages'] });
+  return {
+    [Op.or]: pipelines.map((pipeline) => ({
+      pipelineId: pipeline.id,
+      status: pipeline.stages
+        .filter((stage) => wanted.includes(stage.type))
+        .map((stage) => stage.key),
+    })),
+  };
+};
+
+// { pipelineId: { stageKey: type } }, for classifying leads already loaded
+// with stageTypeOf
+const loadStageTypes = async () => {
+  const pipelines = await Pipeline.findAll({ attributes: ['id', 'stages'] });
+  return Object.fromEntries(
+    pipelines.map((pipeline) => [
+      pipeline.id,
+      Object.fromEntries(pipeline.stages.map((s) => [s.key, s.type])),
+    ])
+  );
+};
+
+const stageTypeOf = (stageTypes, lead) =>
+  stageTypes[lead.pipelineId]?.[lead.status] || 'open';
+
+module.exports = {
+  STAGE_TYPES,
+  listPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  transitionLead,
+  canTransition,
+  describeOptions,
+  whereStageType,
+  loadStageTypes,
+  stageTypeOf,
+};
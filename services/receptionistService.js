@@ -6,7 +6,6 @@ const registerLead = async ({ email, source, studyPreferences, officeId }) => {
   if (!student) {
     student = await User.create({
       email,
-      password: await bcrypt.hash('TempPassword123!', 10), // Temporary password
       role: 'student',
     });
   }
@@ -15,7 +14,6 @@ const registerLead = async ({ email, source, studyPreferences, officeId }) => {
     officeId,
     source,
     studyPreferences,
-    status: 'new',
   });
 };
 
@@ -0,0 +1,182 @@
+const { Op } = require('sequelize');
+const { Reminder, User } = require('../models');
+const AppError = require('../utils/appError');
+const { paginate } = require('../utils/helpers');
+const notificationService = require('./notificationService');
+
+const CHANNELS = Reminder.rawAttributes.channel.values;
+
+// Due reminders are delivered this many at a time
+const BATCH_SIZE = 200;
+
+const MINUTE = 60 * 1000;
+
+const toDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${field} format`, 400);
+  }
+  return date;
+};
+
+// Creates a reminder for `ownerId`, delivered at `remindAt` (by default
+// when it is due) through `channel`
+const createReminder = async ({
+  ownerId,
+  createdBy = null,
+  targetType,
+  targetId,
+  message,
+  dueAt,
+  remindAt,
+  channel = 'in_app',
+}) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new AppError(`Channel must be one of: ${CHANNELS.join(', ')}`, 400);
+  }
+  const due = toDate(dueAt, 'dueDate');
+  return Reminder.create({
+    ownerId,
+    createdBy,
+    targetType,
+    targetId,
+    message,
+    dueAt: due,
+    remindAt: remindAt ? toDate(remindAt, 'remindAt') : due,
+    channel,
+  });
+};
+
+// A page of the user's reminders by due time. `upcoming` and `overdue`
+// are the ones not done yet, `open` (the default) is both.
+const listReminders = async (
+  ownerId,
+  { status = 'open', targetType, page = 1, limit = 50 } = {}
+) => {
+  const pagination = paginate({ page, limit });
+  const now = new Date();
+  const where = { ownerId };
+  if (status === 'done') {
+    where.doneAt = { [Op.ne]: null };
+  } else {
+    where.doneAt = null;
+    if (status === 'upcoming') where.dueAt = { [Op.gt]: now };
+    if (status === 'overdue') where.dueAt = { [Op.lte]: now };
+  }
+  if (targetType) where.targetType = targetType;
+
+  const { count, rows } = await Reminder.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'creator', attributes: ['id', 'name'] }],
+    order: [
+      ['dueAt', status === 'done' ? 'DESC' : 'ASC'],
+      ['id', 'ASC'],
+    ],
+    limit: pagination.limit,
+    offset: pagination.offset,
+  });
+  return {
+    total: count,
+    page: pagination.page,
+    limit: pagination.limit,
+    reminders: rows,
+  };
+};
+
+const getOwnReminder = async (reminderId, ownerId) => {
+  const reminder = await Reminder.findOne({
+    where: { id: reminderId, ownerId },
+  });
+  if (!reminder) throw new AppError('Reminder not found', 404);
+  return reminder;
+};
+
+// Delivers the reminder again `minutes` from now, or at `until`
+const snoozeReminder = async (reminderId, ownerId, { minutes, until }) => {
+  const reminder = await getOwnReminder(reminderId, ownerId);
+  if (reminder.doneAt) {
+    throw new AppError('Reminder is already done', 400);
+  }
+  const remindAt = until
+    ? toDate(until, 'until')
+    : new Date(Date.now() + Number(minutes) * MINUTE);
+  if (!(remindAt > new Date())) {
+    throw new AppError('Snooze until a time in the future', 400);
+  }
+  await reminder.update({
+    remindAt,
+    deliveredAt: null,
+    snoozeCount: reminder.snoozeCount + 1,
+  });
+  return reminder;
+};
+
+const completeReminder = async (reminderId, ownerId) => {
+  const reminder = await getOwnReminder(reminderId, ownerId);
+  if (!reminder.doneAt) await reminder.update({ doneAt: new Date() });
+  return reminder;
+};
+
+// Sends every reminder whose time has come through its channel and as a
+// `reminderDue` socket event to its owner. Run by the reminders job. A
+// reminder that fails to send is released for the next run to retry.
+const deliverDue = async ({ io, now = new Date() } = {}) => {
+  let delivered = 0;
+  const failedIds = [];
+  for (;;) {
+    const reminders = await Reminder.findAll({
+      where: {
+        id: { [Op.notIn]: failedIds },
+        deliveredAt: null,
+        doneAt: null,
+        remindAt: { [Op.lte]: now },
+      },
+      order: [['remindAt', 'ASC']],
+      limit: BATCH_SIZE,
+    });
+    for (const reminder of reminders) {
+      // Claimed first, so a reminder is sent once even if another
+      // instance runs the job at the same time
+      const [claimed] = await Reminder.update(
+        { deliveredAt: now },
+        { where: { id: reminder.id, deliveredAt: null } }
+      );
+      if (!claimed) continue;
+      reminder.setDataValue('deliveredAt', now);
+
+      try {
+        await notificationService.sendNotification({
+          userId: reminder.ownerId,
+          type: reminder.channel,
+          message: reminder.message,
+          details: {
+            reminderId: reminder.id,
+            targetType: reminder.targetType,
+            targetId: reminder.targetId,
+            dueAt: reminder.dueAt,
+          },
+        });
+      } catch (error) {
+        console.error(`Reminder ${reminder.id} could not be sent:`, error);
+        failedIds.push(reminder.id);
+        await Reminder.update(
+          { deliveredAt: null },
+          { where: { id: reminder.id, deliveredAt: now } }
+        );
+        continue;
+      }
+      if (io) io.to(reminder.ownerId).emit('reminderDue', reminder.toJSON());
+      delivered += 1;
+    }
+    if (reminders.length < BATCH_SIZE) break;
+  }
+  return { delivered, failed: failedIds.length };
+};
+
+module.exports = {
+  createReminder,
+  listReminders,
+  snoozeReminder,
+  completeReminder,
+  deliverDue,
+};
@@ -4,6 +4,8 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const AppError = require('../utils/appError');
+const pipelineService = require('./pipelineService');
+const slaService = require('./slaService');
 const { Readable } = require('stream');
 
 // Ensure reports directory exists
@@ -60,9 +62,16 @@ const generatePerformanceReport = async ({ officeId, dateRange }) => {
     where,
     include: [{ model: Office }, { model: User, as: 'consultant' }],
   });
+  const stageTypes = await pipelineService.loadStageTypes();
+  const countByType = (type) =>
+    leads.filter(
+      (lead) => pipelineService.stageTypeOf(stageTypes, lead) === type
+    ).length;
   const metrics = {
     totalLeads: leads.length,
-    convertedLeads: leads.filter((lead) => lead.status === 'converted').length,
+    openLeads: countByType('open'),
+    convertedLeads: countByType('won'),
+    lostLeads: countByType('lost'),
     byConsultant: leads.reduce((acc, lead) => {
       const consultantId = lead.assignedConsultant || 'unassigned';
       acc[consultantId] = (acc[consultantId] || 0) + 1;
@@ -100,7 +109,7 @@ const generateLeadReport = async ({ officeId, dateRange }) => {
 
 const generateFinancialReport = async ({ officeId, dateRange }) => {
   // Placeholder: Assumes financial data (e.g., from converted leads)
-  const where = { status: 'converted' };
+  const where = { ...(await pipelineService.whereStageType('won')) };
   if (officeId) where.officeId = officeId;
   if (dateRange) {
     where.createdAt = {
@@ -219,8 +228,7 @@ const getManagerDashboard = async (officeId) => {
   // Validate office
   const office = await Office.findByPk(officeId);
   if (!office) {
-    // throw new AppError('Office not found', 404);
-    return res.status(400).send({ error: 'Ypu have not assign any office' })
+    throw new AppError('Office not found', 404);
   }
 
   // Get total leads
@@ -228,7 +236,7 @@ const getManagerDashboard = async (officeId) => {
 
   // Get converted leads
   const convertedLeads = await Lead.count({
-    where: { officeId, status: 'converted' },
+    where: { officeId, ...(await pipelineService.whereStageType('won')) },
   });
 
   // Calculate conversion rate
@@ -244,6 +252,7 @@ const getManagerDashboard = async (officeId) => {
     convertedLeads,
     conversionRate: parseFloat(conversionRate.toFixed(2)),
     pendingAppointments,
+    slaBreaches: await slaService.getBreachCounts(officeId),
   };
 };
 
@@ -320,13 +329,20 @@ const getStaffPerformance = async (officeId) => {
     return [];
   }
 
+  const stageTypes = await pipelineService.loadStageTypes();
   return officeWithConsultants.consultants.map((consultant) => {
     const allLeads = consultant.consultantLeads || [];
 
     const totalLeads = allLeads.length;
     const convertedLeads = allLeads.filter(
-      (lead) => lead.status === 'converted'
+      (lead) => pipelineService.stageTypeOf(stageTypes, lead) === 'won'
+    ).length;
+    // The consultant's workload; parked leads are set aside
+    const openLeads = allLeads.filter(
+      (lead) =>
+        !lead.parked && pipelineService.stageTypeOf(stageTypes, lead) === 'open'
     ).length;
+    const parkedLeads = allLeads.filter((lead) => lead.parked).length;
 
     const pendingTasks = allLeads.reduce((total, lead) => {
       return total + (lead.tasks?.length || 0);
@@ -337,6 +353,8 @@ const getStaffPerformance = async (officeId) => {
       name: consultant.name,
       totalLeads,
       convertedLeads,
+      openLeads,
+      parkedLeads,
       pendingTasks,
     };
   });
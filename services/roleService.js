@@ -0,0 +1,146 @@
+const { Role, User } = require('../models');
+const AppError = require('../utils/appError');
+const {
+  ALL_PERMISSIONS,
+  PORTAL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+} = require('../utils/permissions');
+
+// Effective permissions: the custom role's list if the user has one,
+// otherwise the defaults of their built-in role. A custom role left over
+// from before a change of built-in role is ignored.
+const getPermissionsFor = async (user) => {
+  if (user.customRoleId) {
+    const role = await Role.findByPk(user.customRoleId, {
+      attributes: ['baseRole', 'permissions'],
+    });
+    if (role && role.baseRole === user.role) return role.permissions;
+  }
+  return ROLE_PERMISSIONS[user.role] || [];
+};
+
+const getPermissionCatalog = () => ({
+  permissions: ALL_PERMISSIONS,
+  defaults: ROLE_PERMISSIONS,
+});
+
+// A custom role can only open its own base role's portal
+const assertPermissionsFit = (baseRole, permissions) => {
+  const foreignPortals = Object.entries(PORTAL_PERMISSIONS)
+    .filter(([role]) => role !== baseRole)
+    .map(([, permission]) => permission);
+  const invalid = permissions.filter((p) => foreignPortals.includes(p));
+  if (invalid.length) {
+    throw new AppError(
+      `A ${baseRole} role cannot be granted: ${invalid.join(', ')}`,
+      400
+    );
+  }
+};
+
+const listRoles = async () =>
+  Role.findAll({
+    include: [
+      { model: User, as: 'users', attributes: ['id', 'name', 'email'] },
+    ],
+    order: [['name', 'ASC']],
+  });
+
+const createRole = async (data, creatorId) => {
+  const existing = await Role.findOne({ where: { name: data.name } });
+  if (existing) {
+    throw new AppError('A role with this name already exists', 400);
+  }
+
+  const permissions = data.permissions || ROLE_PERMISSIONS[data.baseRole];
+  assertPermissionsFit(data.baseRole, permissions);
+
+  return Role.create({
+    name: data.name,
+    description: data.description,
+    baseRole: data.baseRole,
+    permissions,
+    createdBy: creatorId,
+  });
+};
+
+const updateRole = async (id, data) => {
+  const role = await Role.findByPk(id);
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  if (data.name && data.name !== role.name) {
+    const existing = await Role.findOne({ where: { name: data.name } });
+    if (existing) {
+      throw new AppError('A role with this name already exists', 400);
+    }
+  }
+
+  if (data.baseRole && data.baseRole !== role.baseRole) {
+    const holders = await User.count({ where: { customRoleId: role.id } });
+    if (holders > 0) {
+      throw new AppError(
+        'Cannot change the base role while users hold this role',
+        400
+      );
+    }
+  }
+
+  const baseRole = data.baseRole || role.baseRole;
+  const permissions = data.permissions || role.permissions;
+  assertPermissionsFit(baseRole, permissions);
+
+  await role.update({
+    name: data.name ?? role.name,
+    description: data.description ?? role.description,
+    baseRole,
+    permissions,
+  });
+  return role;
+};
+
+const deleteRole = async (id) => {
+  const role = await Role.findByPk(id);
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+  // Holders fall back to their built-in role's permissions
+  await User.update({ customRoleId: null }, { where: { customRoleId: id } });
+  await role.destroy();
+};
+
+const assignRole = async (userId, roleId) => {
+  const user = await User.findByPk(userId, {
+    attributes: { exclude: ['password'] },
+  });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (roleId) {
+    const role = await Role.findByPk(roleId);
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+    if (role.baseRole !== user.role) {
+      throw new AppError(
+        `This role can only be given to users with the ${role.baseRole} role`,
+        400
+      );
+    }
+  }
+
+  await user.update({ customRoleId: roleId || null });
+  return user;
+};
+
+module.exports = {
+  getPermissionsFor,
+  getPermissionCatalog,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole,
+};
@@ -0,0 +1,215 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, UserSession } = require('../models');
+const AppError = require('../utils/appError');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const IMPERSONATION_TTL_MINUTES =
+  Number(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+// Avoid a write on every request; lastUsedAt only needs minute-level accuracy
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session, expiresIn = ACCESS_TOKEN_TTL) =>
+  jwt.sign(
+    { id: user.id, role: user.role, officeId: user.officeId, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+
+const createSession = async (user, metadata = {}) => {
+  const refreshToken = generateToken();
+  const session = await UserSession.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ipAddress: metadata.ipAddress || null,
+    userAgent: metadata.userAgent || null,
+    deviceName: metadata.deviceName || null,
+    lastUsedAt: new Date(),
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    session,
+  };
+};
+
+// A short session for a super admin acting as `user`. No refresh token is
+// issued, so it ends when the access token expires.
+const createImpersonationSession = async (user, impersonatorId, metadata) => {
+  const session = await UserSession.create({
+    userId: user.id,
+    impersonatorId,
+    refreshTokenHash: hashToken(generateToken()),
+    expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000),
+    ipAddress: metadata.ipAddress || null,
+    userAgent: metadata.userAgent || null,
+    deviceName: metadata.deviceName || null,
+    lastUsedAt: new Date(),
+  });
+
+  const expiresIn = `${IMPERSONATION_TTL_MINUTES}m`;
+  return {
+    token: signAccessToken(user, session, expiresIn),
+    expiresIn,
+    session,
+  };
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await UserSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+};
+
+const revokeAllUserSessions = async (
+  userId,
+  reason = 'logout_all',
+  { exceptSessionId } = {}
+) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+  const [count] = await UserSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where }
+  );
+  return count;
+};
+
+const revokeUserSession = async (userId, sessionId, reason = 'logout') => {
+  const session = await UserSession.findOne({
+    where: { id: sessionId, userId },
+  });
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+  await revokeSession(session.id, reason);
+};
+
+const listUserSessions = async (userId, currentSessionId) => {
+  const sessions = await UserSession.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+    attributes: [
+      'id',
+      'deviceName',
+      'ipAddress',
+      'userAgent',
+      'lastUsedAt',
+      'createdAt',
+      'expiresAt',
+      'impersonatorId',
+    ],
+    order: [['lastUsedAt', 'DESC']],
+  });
+
+  return sessions.map((session) => ({
+    ...session.get({ plain: true }),
+    current: session.id === currentSessionId,
+  }));
+};
+
+// Exchanges a refresh token for a new access/refresh pair. The presented
+// token is retired; presenting it again revokes the whole session.
+const rotateRefreshToken = async (refreshToken, metadata = {}) => {
+  if (!refreshToken) {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await UserSession.findOne({
+    where: { refreshTokenHash: tokenHash },
+  });
+
+  if (!session) {
+    const reused = await UserSession.findOne({
+      where: { previousRefreshTokenHash: tokenHash, revokedAt: null },
+    });
+    if (reused) {
+      await revokeSession(reused.id, 'refresh_token_reuse');
+    }
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (!session.isActive()) {
+    throw new AppError('Session has expired or been revoked', 401);
+  }
+
+  const user = await User.findByPk(session.userId, {
+    attributes: { exclude: ['password'] },
+  });
+  if (!user || !user.isActive) {
+    await revokeSession(session.id, 'user_inactive');
+    throw new AppError('User account is inactive', 401);
+  }
+
+  // Only swap the token if it is still the one presented. Losing the race
+  // means another request already used this token, which is handled as
+  // reuse: neither caller keeps the session.
+  const nextRefreshToken = generateToken();
+  const [rotated] = await UserSession.update(
+    {
+      previousRefreshTokenHash: tokenHash,
+      refreshTokenHash: hashToken(nextRefreshToken),
+      expiresAt: refreshExpiry(),
+      ipAddress: metadata.ipAddress || session.ipAddress,
+      lastUsedAt: new Date(),
+    },
+    { where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null } }
+  );
+  if (!rotated) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user,
+  };
+};
+
+const findActiveSession = async (sessionId) =>
+  UserSession.findOne({
+    where: {
+      id: sessionId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+  });
+
+const touchSession = async (session, ipAddress) => {
+  const lastUsed = session.lastUsedAt ? session.lastUsedAt.getTime() : 0;
+  if (Date.now() - lastUsed < TOUCH_INTERVAL_MS) return;
+  await session.update({
+    lastUsedAt: new Date(),
+    ipAddress: ipAddress || session.ipAddress,
+  });
+};
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSession,
+  revokeAllUserSessions,
+  listUserSessions,
+  findActiveSession,
+  touchSession,
+};
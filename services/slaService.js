@@ -0,0 +1,372 @@
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Lead,
+  Office,
+  Pipeline,
+  SlaBreach,
+  SlaPolicy,
+  User,
+} = require('../models');
+const AppError = require('../utils/appError');
+const { paginate } = require('../utils/helpers');
+const pipelineService = require('./pipelineService');
+const notificationService = require('./notificationService');
+
+const HOUR = 60 * 60 * 1000;
+
+const POLICY_FIELDS = [
+  'name',
+  'type',
+  'pipelineId',
+  'stage',
+  'thresholdHours',
+  'escalateAfterHours',
+  'isActive',
+];
+
+const policyInclude = [
+  { model: Pipeline, as: 'pipeline', attributes: ['id', 'name'] },
+];
+
+const pick = (data) =>
+  Object.fromEntries(
+    POLICY_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+      field,
+      data[field],
+    ])
+  );
+
+// First-contact policies apply to every open lead; stage-duration
+// policies need a stage some pipeline (or the chosen one) has
+const checkPolicy = async (policy) => {
+  if (policy.type === 'first_contact') {
+    policy.pipelineId = null;
+    policy.stage = null;
+    return;
+  }
+  if (!policy.stage) {
+    throw new AppError('stage is required for stage_duration policies', 400);
+  }
+  const pipelines = await Pipeline.findAll({
+    where: policy.pipelineId ? { id: policy.pipelineId } : {},
+    attributes: ['id', 'stages'],
+  });
+  if (policy.pipelineId && !pipelines.length) {
+    throw new AppError('Pipeline not found', 404);
+  }
+  if (
+    !pipelines.some((pipeline) =>
+      pipeline.stages.some((stage) => stage.key === policy.stage)
+    )
+  ) {
+    throw new AppError(`No pipeline has a stage "${policy.stage}"`, 400);
+  }
+};
+
+// Points each lead's slaBreachedAt at its oldest open breach
+const syncLeads = async (leadIds) => {
+  if (!leadIds.length) return;
+  const open = await SlaBreach.findAll({
+    where: { leadId: leadIds, resolvedAt: null },
+    attributes: [
+      'leadId',
+      [sequelize.fn('MIN', sequelize.col('breachedAt')), 'since'],
+    ],
+    group: ['leadId'],
+    raw: true,
+  });
+  for (const { leadId, since } of open) {
+    await Lead.update({ slaBreachedAt: since }, { where: { id: leadId } });
+  }
+  const cleared = leadIds.filter(
+    (id) => !open.some((breach) => breach.leadId === id)
+  );
+  if (cleared.length) {
+    await Lead.update({ slaBreachedAt: null }, { where: { id: cleared } });
+  }
+};
+
+const listPolicies = (officeId) =>
+  SlaPolicy.findAll({
+    where: { officeId },
+    include: policyInclude,
+    order: [['createdAt', 'ASC']],
+  });
+
+const getPolicy = async (policyId, { officeId } = {}) => {
+  const policy = await SlaPolicy.findOne({
+    where: { id: policyId, officeId },
+    include: policyInclude,
+  });
+  if (!policy) throw new AppError('SLA policy not found', 404);
+  return policy;
+};
+
+const createPolicy = async (data, { officeId, userId }) => {
+  const values = { ...pick(data), officeId, createdBy: userId };
+  await checkPolicy(values);
+  const policy = await SlaPolicy.create(values);
+  return getPolicy(policy.id, { officeId });
+};
+
+// Changes take effect at the next evaluation, which also resolves the
+// breaches of a policy that was switched off
+const updatePolicy = async (policyId, data, { officeId }) => {
+  const policy = await getPolicy(policyId, { officeId });
+  const values = {
+    ...pick(policy),
+    ...pick(data),
+  };
+  await checkPolicy(values);
+  await policy.update(values);
+  return getPolicy(policyId, { officeId });
+};
+
+// Deletes the policy with its breaches
+const deletePolicy = async (policyId, { officeId }) => {
+  const policy = await getPolicy(policyId, { officeId });
+  const breaches = await SlaBreach.findAll({
+    where: { policyId, resolvedAt: null },
+    attributes: ['leadId'],
+  });
+  await policy.destroy();
+  await syncLeads(breaches.map((breach) => breach.leadId));
+};
+
+// Which of the office's leads fail `policy` at `now`, and since when.
+// Parked leads are exempt.
+const breachingLeads = async (policy, now) => {
+  const cutoff = new Date(now.getTime() - policy.thresholdHours * HOUR);
+  const where = { officeId: policy.officeId, parked: false };
+  let since;
+  if (policy.type === 'first_contact') {
+    Object.assign(where, await pipelineService.whereStageType('open'), {
+      firstContactAt: null,
+      pendingEmailVerification: false,
+      createdAt: { [Op.lte]: cutoff },
+    });
+    since = (lead) => lead.createdAt;
+  } else {
+    Object.assign(where, {
+      status: policy.stage,
+      stageChangedAt: { [Op.lte]: cutoff },
+      ...(policy.pipelineId && { pipelineId: policy.pipelineId }),
+    });
+    since = (lead) => lead.stageChangedAt;
+  }
+  const leads = await Lead.findAll({
+    where,
+    attributes: ['id', 'assignedConsultant', 'createdAt', 'stageChangedAt'],
+  });
+  return leads.map((lead) => ({
+    lead,
+    breachedAt: new Date(since(lead).getTime() + policy.thresholdHours * HOUR),
+  }));
+};
+
+// Tells the consultant about new breaches, then the office manager about
+// breaches still open escalateAfterHours later. Breaches on unassigned
+// leads go straight to the manager.
+const notifyBreaches = async (now) => {
+  const breaches = await SlaBreach.findAll({
+    where: { resolvedAt: null, escalatedAt: null },
+    include: [
+      { model: SlaPolicy, as: 'policy' },
+      {
+        model: Lead,
+        as: 'lead',
+        attributes: ['id', 'assignedConsultant'],
+        include: [{ model: User, as: 'student', attributes: ['id', 'name'] }],
+      },
+      { model: Office, as: 'office', attributes: ['id', 'managerId'] },
+    ],
+  });
+  const counts = { notified: 0, escalated: 0 };
+
+  for (const breach of breaches) {
+    const { policy, lead, office } = breach;
+    const student = lead.student?.name || 'a student';
+    const details = {
+      breachId: breach.id,
+      policyId: policy.id,
+      leadId: lead.id,
+      breachedAt: breach.breachedAt,
+    };
+    const consultantId = lead.assignedConsultant;
+
+    if (!breach.notifiedAt && consultantId) {
+      await notificationService.sendNotification({
+        userId: consultantId,
+        type: 'in_app',
+        message: `Your lead ${student} has breached the SLA "${policy.name}".`,
+        details,
+      });
+      await breach.update({ notifiedAt: now });
+      counts.notified += 1;
+      continue;
+    }
+    const due =
+      !breach.notifiedAt ||
+      breach.notifiedAt.getTime() + policy.escalateAfterHours * HOUR <=
+        now.getTime();
+    // Offices without a manager are retried once they have one
+    if (!due || !office.managerId) continue;
+
+    await notificationService.sendNotification({
+      userId: office.managerId,
+      type: 'in_app',
+      message: consultantId
+        ? `The lead ${student} is still breaching the SLA "${policy.name}".`
+        : `The unassigned lead ${student} has breached the SLA "${policy.name}".`,
+      details: { ...details, consultantId },
+    });
+    await breach.update({
+      notifiedAt: breach.notifiedAt || now,
+      escalatedAt: now,
+    });
+    counts.escalated += 1;
+  }
+  return counts;
+};
+
+// Checks every lead against its office's policies: opens a breach for
+// each lead newly failing a policy, resolves breaches whose lead meets it
+// again and sends the notifications that are due. Run by the sla job.
+const evaluate = async (now = new Date()) => {
+  const policies = await SlaPolicy.findAll();
+  const touched = new Set();
+  let opened = 0;
+  let resolved = 0;
+
+  for (const policy of policies) {
+    const breaching = policy.isActive ? await breachingLeads(policy, now) : [];
+    const open = await SlaBreach.findAll({
+      where: { policyId: policy.id, resolvedAt: null },
+      attributes: ['id', 'leadId'],
+    });
+
+    const openLeadIds = new Set(open.map((breach) => breach.leadId));
+    const breachingIds = new Set(breaching.map(({ lead }) => lead.id));
+    const fresh = breaching.filter(({ lead }) => !openLeadIds.has(lead.id));
+    if (fresh.length) {
+      await SlaBreach.bulkCreate(
+        fresh.map(({ lead, breachedAt }) => ({
+          policyId: policy.id,
+          leadId: lead.id,
+          officeId: policy.officeId,
+          consultantId: lead.assignedConsultant,
+          breachedAt,
+        })),
+        // Another instance may have opened the same breach
+        { ignoreDuplicates: true }
+      );
+    }
+    const met = open.filter((breach) => !breachingIds.has(breach.leadId));
+    if (met.length) {
+      await SlaBreach.update(
+        { resolvedAt: now },
+        { where: { id: met.map((breach) => breach.id) } }
+      );
+    }
+
+    fresh.forEach(({ lead }) => touched.add(lead.id));
+    met.forEach((breach) => touched.add(breach.leadId));
+    opened += fresh.length;
+    resolved += met.length;
+  }
+
+  await syncLeads([...touched]);
+  return { opened, resolved, ...(await notifyBreaches(now)) };
+};
+
+// A page of the office's breaches, most recent first. `status` is open,
+// resolved or all.
+const getBreaches = async ({
+  officeId,
+  status = 'open',
+  policyId,
+  consultantId,
+  page = 1,
+  limit = 50,
+} = {}) => {
+  const pagination = paginate({ page, limit });
+  const where = { officeId };
+  if (status === 'open') where.resolvedAt = null;
+  if (status === 'resolved') where.resolvedAt = { [Op.ne]: null };
+  if (policyId) where.policyId = policyId;
+  if (consultantId) where.consultantId = consultantId;
+
+  const { count, rows } = await SlaBreach.findAndCountAll({
+    where,
+    include: [
+      { model: SlaPolicy, as: 'policy', attributes: ['id', 'name', 'type'] },
+      {
+        model: Lead,
+        as: 'lead',
+        attributes: ['id', 'status', 'assignedConsultant'],
+        include: [
+          { model: User, as: 'student', attributes: ['id', 'name', 'email'] },
+        ],
+      },
+      { model: User, as: 'consultant', attributes: ['id', 'name', 'email'] },
+    ],
+    order: [['breachedAt', 'DESC']],
+    limit: pagination.limit,
+    offset: pagination.offset,
+  });
+  return {
+    total: count,
+    page: pagination.page,
+    limit: pagination.limit,
+    breaches: rows,
+  };
+};
+
+// Open breach counts for the manager dashboard
+const getBreachCounts = async (officeId) => {
+  const [policies, counts, leads] = await Promise.all([
+    SlaPolicy.findAll({
+      where: { officeId },
+      attributes: ['id', 'name'],
+      order: [['createdAt', 'ASC']],
+    }),
+    SlaBreach.findAll({
+      where: { officeId, resolvedAt: null },
+      attributes: [
+        'policyId',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'open'],
+        [sequelize.fn('COUNT', sequelize.col('escalatedAt')), 'escalated'],
+      ],
+      group: ['policyId'],
+      raw: true,
+    }),
+    Lead.count({ where: { officeId, slaBreachedAt: { [Op.ne]: null } } }),
+  ]);
+  const byPolicy = policies.map((policy) => {
+    const count = counts.find((row) => row.policyId === policy.id);
+    return {
+      policyId: policy.id,
+      name: policy.name,
+      open: Number(count?.open || 0),
+      escalated: Number(count?.escalated || 0),
+    };
+  });
+  return {
+    open: byPolicy.reduce((sum, policy) => sum + policy.open, 0),
+    escalated: byPolicy.reduce((sum, policy) => sum + policy.escalated, 0),
+    leads,
+    byPolicy,
+  };
+};
+
+module.exports = {
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  evaluate,
+  getBreaches,
+  getBreachCounts,
+};
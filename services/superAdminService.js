@@ -15,7 +15,6 @@ const createStaff = async ({ email, role, officeId, name, phone }) => {
   }
   return User.create({
     email,
-    password: await bcrypt.hash('TempPassword123!', 10),
     role,
     officeId,
     name,
@@ -0,0 +1,212 @@
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { Op } = require('sequelize');
+const { User, Office, OfficeConsultant } = require('../models');
+const AppError = require('../utils/appError');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { signChallenge, verifyChallenge } = require('../utils/challengeTokens');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'EduCRM';
+const RECOVERY_CODE_COUNT = 10;
+const ENFORCEABLE_ROLES = ['super_admin', 'manager', 'consultant'];
+
+// Accept the previous and next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+// Roles listed here must use 2FA regardless of office, e.g. "super_admin"
+const globallyRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+const isRequiredFor = async (user) => {
+  if (!ENFORCEABLE_ROLES.includes(user.role)) return false;
+  if (globallyRequiredRoles().includes(user.role)) return true;
+
+  const officeIds = new Set(user.officeId ? [user.officeId] : []);
+  if (user.role === 'consultant') {
+    const memberships = await OfficeConsultant.findAll({
+      where: { userId: user.id },
+      attributes: ['officeId'],
+    });
+    memberships.forEach((m) => officeIds.add(m.officeId));
+  }
+  if (officeIds.size === 0) return false;
+
+  const offices = await Office.findAll({
+    where: { id: [...officeIds] },
+    attributes: ['twoFactorRequiredRoles'],
+  });
+  return offices.some((office) =>
+    (office.twoFactorRequiredRoles || []).includes(user.role)
+  );
+};
+
+// Decides whether a password-authenticated user may get a session yet.
+// Returns null when no second factor is involved.
+const getLoginChallenge = async (user) => {
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: signChallenge(user, 'two_factor_login'),
+    };
+  }
+  if (await isRequiredFor(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: signChallenge(user, 'two_factor_setup'),
+    };
+  }
+  return null;
+};
+
+// Accepts a TOTP code at most once. Records the time step it belongs to,
+// unless a code from that step or a later one was already accepted.
+const consumeCode = async (user, code, secret) => {
+  if (!code) return false;
+  const totp = authenticator.clone({ epoch: Date.now() });
+  const delta = totp.checkDelta(String(code), secret);
+  if (delta === null) return false;
+  const { epoch, step } = totp.allOptions();
+  const usedStep = Math.floor(epoch / 1000 / step) + delta;
+
+  const [updated] = await User.update(
+    { twoFactorLastStep: usedStep },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { [Op.lt]: usedStep } },
+        ],
+      },
+    }
+  );
+  if (!updated) return false;
+  user.setDataValue('twoFactorLastStep', usedStep);
+  return true;
+};
+
+const loadWithSecrets = async (userId) => {
+  const user = await User.scope('withSecrets').findByPk(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  return user;
+};
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    generateToken(5).match(/.{5}/g).join('-')
+  );
+  return { codes, hashes: codes.map(hashToken) };
+};
+
+const startEnrollment = async (userId) => {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = authenticator.generateSecret();
+  await user.update({ twoFactorPendingSecret: encrypt(secret) });
+
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+const completeEnrollment = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactorPendingSecret) {
+    throw new AppError('Start two-factor enrollment first', 400);
+  }
+  const secret = decrypt(user.twoFactorPendingSecret);
+  if (!(await consumeCode(user, code, secret))) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({
+    twoFactorEnabled: true,
+    twoFactorSecret: user.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: hashes,
+  });
+
+  return { user, recoveryCodes: codes };
+};
+
+// Checks a TOTP code or, failing that, burns a matching recovery code.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && user.twoFactorSecret) {
+    return consumeCode(user, code, decrypt(user.twoFactorSecret));
+  }
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const remaining = user.twoFactorRecoveryCodes || [];
+    if (!remaining.includes(hash)) return false;
+    await user.update({
+      twoFactorRecoveryCodes: remaining.filter((h) => h !== hash),
+    });
+    return true;
+  }
+  return false;
+};
+
+const verifyLoginCode = async (userId, factors) => {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  return verifySecondFactor(user, factors);
+};
+
+const disable = async (userId, factors) => {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  if (await isRequiredFor(user)) {
+    throw new AppError(
+      'Two-factor authentication is required for your role and cannot be disabled',
+      403
+    );
+  }
+  if (!(await verifySecondFactor(user, factors))) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: [],
+  });
+};
+
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  if (!(await verifySecondFactor(user, { code }))) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({ twoFactorRecoveryCodes: hashes });
+  return codes;
+};
+
+module.exports = {
+  isRequiredFor,
+  getLoginChallenge,
+  verifyChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifyLoginCode,
+  disable,
+  regenerateRecoveryCodes,
+};
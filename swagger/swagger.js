@@ -24,6 +24,11 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
       },
       schemas: {
         Lead: {
@@ -46,10 +51,94 @@ const options = {
               type: 'string',
               format: 'uuid',
             },
+            pipelineId: {
+              type: 'string',
+              format: 'uuid',
+            },
             status: {
               type: 'string',
-              enum: ['new', 'in_progress', 'converted', 'lost'],
-              example: 'new',
+              description: "Key of the lead's stage in its pipeline",
+              example: 'lead',
+            },
+            lossReason: {
+              type: 'string',
+              nullable: true,
+              description: 'Set while the lead is in a lost stage',
+            },
+            score: {
+              type: 'integer',
+              nullable: true,
+              description: '0-100 from the lead scoring model',
+              example: 72,
+            },
+            scoreBreakdown: {
+              type: 'array',
+              nullable: true,
+              items: { $ref: '#/components/schemas/LeadScoreFactor' },
+            },
+            scoredAt: { type: 'string', format: 'date-time', nullable: true },
+            importId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'The spreadsheet import that created the lead',
+            },
+            firstContactAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description:
+                'When the assigned consultant first worked on the lead',
+            },
+            stageChangedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the lead entered its current stage',
+            },
+            parked: { type: 'boolean', example: false },
+            parkedReason: {
+              type: 'string',
+              nullable: true,
+              enum: [
+                'future_intake',
+                'financial',
+                'documents_pending',
+                'test_pending',
+                'unresponsive',
+                'personal',
+                'other',
+              ],
+            },
+            parkedNote: {
+              type: 'string',
+              nullable: true,
+              example: 'Student wants the Fall 2027 intake',
+            },
+            parkedAt: { type: 'string', format: 'date-time', nullable: true },
+            parkedUntil: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the lead is unparked automatically',
+            },
+            parkedBy: { type: 'string', format: 'uuid', nullable: true },
+            signupLocation: {
+              type: 'object',
+              nullable: true,
+              description:
+                'Where the student signed up from (GeoIP), used by region rules',
+              properties: {
+                country: { type: 'string', example: 'Pakistan' },
+                countryCode: { type: 'string', example: 'PK' },
+                region: { type: 'string', example: 'Punjab' },
+                city: { type: 'string', example: 'Lahore' },
+              },
+            },
+            slaBreachedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Start of the oldest open SLA breach',
             },
             source: {
               type: 'string',
@@ -69,17 +158,6 @@ const options = {
                 },
               },
             },
-            history: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  note: { type: 'string', example: 'Lead registered' },
-                  timestamp: { type: 'string', format: 'date-time' },
-                  userId: { type: 'string', format: 'uuid' },
-                },
-              },
-            },
           },
         },
         Appointment: {
@@ -317,6 +395,14 @@ const options = {
               type: 'boolean',
               example: true,
             },
+            twoFactorRequiredRoles: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['super_admin', 'manager', 'consultant'],
+              },
+              example: ['manager'],
+            },
           },
         },
         UserStaff: {
@@ -364,29 +450,183 @@ const options = {
               format: 'uuid',
               example: '123e4567-e89b-12d3-a456-426614174000',
             },
-            criteria: {
+            criteria: { $ref: '#/components/schemas/LeadRuleCriteria' },
+            priority: {
+              type: 'integer',
+              description: 'Rules are evaluated from the lowest number up',
+              example: 1,
+            },
+            strategy: {
+              type: 'string',
+              enum: ['fixed', 'round_robin', 'least_open_leads', 'weighted'],
+              description:
+                "fixed assigns consultantId; the others share leads among the available consultants of the rule's office (or the lead's office)",
+              example: 'round_robin',
+            },
+            officeId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Office matching leads are moved to',
+            },
+            consultantId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Consultant matching leads are assigned to',
+            },
+          },
+        },
+        LeadRuleVersion: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            ruleId: { type: 'string', format: 'uuid' },
+            version: { type: 'integer', example: 3 },
+            action: {
+              type: 'string',
+              enum: ['created', 'updated', 'deleted', 'rolled_back'],
+            },
+            snapshot: {
+              type: 'object',
+              description:
+                'The rule after this change (before it, for deletions)',
+            },
+            changes: {
               type: 'object',
+              description: 'Changed fields as { field: { from, to } }',
+              example: { priority: { from: 2, to: 1 } },
+            },
+            restoredFromVersion: { type: 'integer', nullable: true },
+            author: {
+              type: 'object',
+              nullable: true,
               properties: {
-                officeId: { type: 'string', format: 'uuid' },
-                studyDestination: { type: 'string', example: 'Canada' },
-                leadSource: {
-                  type: 'string',
-                  enum: ['walk_in', 'online', 'referral'],
-                  example: 'online',
-                },
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string' },
               },
             },
-            priority: {
-              type: 'number',
-              example: 1,
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        LeadRuleDryRunAssignment: {
+          type: 'object',
+          nullable: true,
+          description: 'Null when no rule would assign the lead',
+          properties: {
+            ruleId: { type: 'string' },
+            officeId: { type: 'string', format: 'uuid', nullable: true },
+            consultantId: { type: 'string', format: 'uuid', nullable: true },
+            reason: { type: 'string' },
+          },
+        },
+        PipelineStage: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', example: 'opportunity' },
+            name: { type: 'string', example: 'Opportunity' },
+            type: {
+              type: 'string',
+              enum: ['open', 'won', 'lost'],
+              description: 'Won and lost stages end the pipeline',
             },
-            targetConsultantIds: {
+            requiredFields: {
               type: 'array',
-              items: {
-                type: 'string',
-                format: 'uuid',
+              items: { type: 'string' },
+              description:
+                'Lead fields that must be filled in before a lead enters the stage; nested fields use dots',
+              example: ['assignedConsultant', 'studyPreferences.destination'],
+            },
+          },
+        },
+        Pipeline: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'Default' },
+            stages: {
+              type: 'array',
+              description: 'In order; new leads start at the first stage',
+              items: { $ref: '#/components/schemas/PipelineStage' },
+            },
+            transitions: {
+              type: 'object',
+              description: 'Stages each stage may move to, by stage key',
+              additionalProperties: {
+                type: 'array',
+                items: { type: 'string' },
+              },
+              example: {
+                lead: ['opportunity', 'lost'],
+                opportunity: ['lead', 'project', 'lost'],
+              },
+            },
+            lossReasons: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['Not interested', 'Budget'],
+            },
+            isDefault: {
+              type: 'boolean',
+              description: 'New leads join the default pipeline',
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        LeadStatusOptions: {
+          type: 'object',
+          properties: {
+            pipeline: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string' },
               },
-              example: ['98765432-12d3-4e5f-a678-426614174000'],
+            },
+            current: {
+              nullable: true,
+              allOf: [{ $ref: '#/components/schemas/PipelineStage' }],
+            },
+            next: {
+              type: 'array',
+              description: 'Stages the lead may move to now',
+              items: { $ref: '#/components/schemas/PipelineStage' },
+            },
+            lossReasons: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+          },
+        },
+        LeadRuleCriteria: {
+          type: 'object',
+          description:
+            'Each criterion is a value or a list of accepted values, compared case-insensitively. A lead matches when every criterion matches; an empty object matches every lead.',
+          properties: {
+            source: {
+              type: 'string',
+              example: 'online',
+            },
+            destination: {
+              type: 'string',
+              description: 'studyPreferences.destination (or country)',
+              example: 'Canada',
+            },
+            level: {
+              type: 'string',
+              description: 'studyPreferences.level',
+              example: 'Masters',
+            },
+            languagePreference: {
+              type: 'string',
+              example: 'urdu',
+            },
+            region: {
+              type: 'string',
+              description:
+                "The lead's office region, or the city, region or country the student signed up from",
+              example: 'Punjab',
             },
           },
         },
@@ -440,6 +680,678 @@ const options = {
             },
           },
         },
+        AuditLog: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            action: { type: 'string', example: 'account_locked' },
+            actorId: { type: 'string', format: 'uuid', nullable: true },
+            targetUserId: { type: 'string', format: 'uuid', nullable: true },
+            ipAddress: { type: 'string', example: '203.0.113.7' },
+            details: {
+              type: 'object',
+              example: { failures: 5, role: 'consultant' },
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2025-06-07T12:00:00Z',
+            },
+          },
+        },
+        AuditLogPage: {
+          type: 'object',
+          properties: {
+            total: { type: 'number', example: 12 },
+            page: { type: 'number', example: 1 },
+            limit: { type: 'number', example: 50 },
+            logs: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/AuditLog' },
+            },
+          },
+        },
+        LeadActivity: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            leadId: { type: 'string', format: 'uuid' },
+            type: {
+              type: 'string',
+              enum: [
+                'created',
+                'status_change',
+                'note',
+                'assignment',
+                'reassignment',
+                'reminder',
+                'document',
+                'proposal',
+                'message',
+                'parking',
+                'merge',
+                'other',
+              ],
+              example: 'status_change',
+            },
+            actor: {
+              type: 'object',
+              nullable: true,
+              description: 'Who did it; null for the system',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string' },
+                role: { type: 'string' },
+              },
+            },
+            summary: {
+              type: 'string',
+              example: 'Status updated from lead to opportunity',
+            },
+            payload: {
+              type: 'object',
+              description: 'Details that depend on the type',
+              example: { from: 'lead', to: 'opportunity' },
+            },
+            occurredAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        LeadTimeline: {
+          type: 'object',
+          properties: {
+            total: { type: 'number', example: 8 },
+            page: { type: 'number', example: 1 },
+            limit: { type: 'number', example: 50 },
+            activities: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/LeadActivity' },
+            },
+          },
+        },
+        DuplicateCandidate: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            leadId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'The older lead; null once merged away',
+            },
+            duplicateLeadId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+            },
+            score: { type: 'integer', example: 90 },
+            reasons: {
+              type: 'array',
+              items: { type: 'string', enum: ['email', 'phone', 'name_dob'] },
+              example: ['phone', 'name_dob'],
+            },
+            status: { type: 'string', enum: ['open', 'dismissed', 'merged'] },
+            resolvedBy: { type: 'string', format: 'uuid', nullable: true },
+            resolvedAt: { type: 'string', format: 'date-time', nullable: true },
+            lead: { $ref: '#/components/schemas/Lead' },
+            duplicateLead: { $ref: '#/components/schemas/Lead' },
+          },
+        },
+        DuplicateQueue: {
+          type: 'object',
+          properties: {
+            total: { type: 'number', example: 3 },
+            page: { type: 'number', example: 1 },
+            limit: { type: 'number', example: 50 },
+            candidates: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/DuplicateCandidate' },
+            },
+          },
+        },
+        LeadScoreFactor: {
+          type: 'object',
+          properties: {
+            factor: {
+              type: 'string',
+              enum: [
+                'profile',
+                'testScores',
+                'budget',
+                'source',
+                'engagement',
+                'recency',
+              ],
+            },
+            weight: { type: 'number', example: 20 },
+            value: {
+              type: 'number',
+              description: '0-1, how much of the factor the lead has',
+              example: 0.5,
+            },
+            points: {
+              type: 'number',
+              description: 'What the factor adds to the score',
+              example: 10,
+            },
+            detail: {
+              type: 'string',
+              example: '3 of 6 profile sections filled',
+            },
+          },
+        },
+        LeadScoringModel: {
+          type: 'object',
+          properties: {
+            weights: {
+              type: 'object',
+              description: 'Relative weight of each factor',
+              example: {
+                profile: 20,
+                testScores: 20,
+                budget: 20,
+                source: 10,
+                engagement: 20,
+                recency: 10,
+              },
+            },
+            settings: {
+              type: 'object',
+              properties: {
+                testScores: {
+                  type: 'object',
+                  description: 'Score per test that earns full marks',
+                  example: { ielts: 7, toefl: 100, pte: 65, duolingo: 120 },
+                },
+                budgetTarget: { type: 'number', example: 20000 },
+                sources: {
+                  type: 'object',
+                  description: '0-1 per lead source',
+                  example: { referral: 1, walk_in: 0.8, online: 0.6 },
+                },
+                engagement: {
+                  type: 'object',
+                  description:
+                    'Messages sent and appointments attended that earn full marks',
+                  example: { messages: 10, appointments: 2 },
+                },
+                recencyDays: {
+                  type: 'integer',
+                  description: 'Days of inactivity after which recency is 0',
+                  example: 30,
+                },
+              },
+            },
+          },
+        },
+        LeadImportRow: {
+          type: 'object',
+          properties: {
+            row: {
+              type: 'integer',
+              description: 'Spreadsheet row number; the header is row 1',
+              example: 2,
+            },
+            status: {
+              type: 'string',
+              enum: ['valid', 'duplicate', 'invalid'],
+              description:
+                'duplicate: an existing student has the same email, phone, or a similar name',
+            },
+            data: {
+              type: 'object',
+              description: 'The student and lead the row creates',
+              properties: {
+                name: { type: 'string', example: 'Ali Khan' },
+                email: { type: 'string', example: 'ali.khan@example.com' },
+                phone: {
+                  type: 'string',
+                  nullable: true,
+                  example: '+92 300 1234567',
+                },
+                officeId: { type: 'string', format: 'uuid' },
+                source: {
+                  type: 'string',
+                  enum: ['walk_in', 'online', 'referral'],
+                },
+                studyPreferences: {
+                  type: 'object',
+                  example: {
+                    destination: 'Canada',
+                    level: 'Masters',
+                    fields: ['Computer Science'],
+                    budget: 20000,
+                    intake: 'Fall 2026',
+                  },
+                },
+              },
+            },
+            values: {
+              type: 'object',
+              description: 'The mapped cells of an invalid row',
+              example: { name: 'Sara', email: 'sara@' },
+            },
+            errors: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['"email" must be a valid email'],
+            },
+            matches: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string', format: 'uuid' },
+                  name: { type: 'string' },
+                  email: { type: 'string' },
+                  reasons: {
+                    type: 'array',
+                    items: {
+                      type: 'string',
+                      enum: ['email', 'phone', 'name_dob'],
+                    },
+                  },
+                },
+              },
+            },
+            result: {
+              type: 'string',
+              enum: ['imported', 'skipped'],
+              description: 'Set once the import is confirmed',
+            },
+            leadId: { type: 'string', format: 'uuid' },
+          },
+        },
+        LeadImport: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            officeId: { type: 'string', format: 'uuid', nullable: true },
+            fileName: { type: 'string', example: 'lahore-fair.xlsx' },
+            format: { type: 'string', enum: ['csv', 'xlsx'] },
+            mapping: {
+              type: 'object',
+              description: 'Import field -> column header',
+              example: { name: 'Full Name', email: 'E-mail', phone: 'Mobile' },
+            },
+            source: {
+              type: 'string',
+              enum: ['walk_in', 'online', 'referral'],
+            },
+            status: { type: 'string', enum: ['dry_run', 'confirmed'] },
+            summary: {
+              type: 'object',
+              example: {
+                total: 120,
+                valid: 104,
+                duplicate: 9,
+                invalid: 7,
+                imported: 0,
+                skipped: 0,
+              },
+            },
+            rows: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/LeadImportRow' },
+            },
+            createdBy: { type: 'string', format: 'uuid' },
+            confirmedBy: { type: 'string', format: 'uuid', nullable: true },
+            confirmedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        LeadImportList: {
+          type: 'object',
+          properties: {
+            total: { type: 'number', example: 4 },
+            page: { type: 'number', example: 1 },
+            limit: { type: 'number', example: 50 },
+            imports: {
+              type: 'array',
+              description: 'Imports without their rows',
+              items: { $ref: '#/components/schemas/LeadImport' },
+            },
+          },
+        },
+        ParkedLeadReport: {
+          type: 'object',
+          properties: {
+            total: { type: 'number', example: 12 },
+            withWakeUp: {
+              type: 'number',
+              example: 8,
+              description: 'Parked leads with a wake-up date',
+            },
+            byReason: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  reason: { type: 'string', example: 'future_intake' },
+                  count: { type: 'number', example: 7 },
+                  leads: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        status: { type: 'string' },
+                        parkedReason: { type: 'string' },
+                        parkedNote: { type: 'string', nullable: true },
+                        parkedAt: { type: 'string', format: 'date-time' },
+                        parkedUntil: {
+                          type: 'string',
+                          format: 'date-time',
+                          nullable: true,
+                        },
+                        student: {
+                          type: 'object',
+                          properties: {
+                            id: { type: 'string', format: 'uuid' },
+                            name: { type: 'string' },
+                            email: { type: 'string' },
+                          },
+                        },
+                        consultant: {
+                          type: 'object',
+                          nullable: true,
+                          properties: {
+                            id: { type: 'string', format: 'uuid' },
+                            name: { type: 'string' },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        SlaPolicyInput: {
+          type: 'object',
+          required: ['name', 'type', 'thresholdHours'],
+          properties: {
+            name: { type: 'string', example: 'First contact within 24h' },
+            type: { type: 'string', enum: ['first_contact', 'stage_duration'] },
+            stage: {
+              type: 'string',
+              nullable: true,
+              example: 'opportunity',
+              description: 'Stage key; required for stage_duration policies',
+            },
+            pipelineId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description:
+                'Limits a stage_duration policy to one pipeline; by default the stage is matched in every pipeline',
+            },
+            thresholdHours: { type: 'integer', minimum: 1, example: 24 },
+            escalateAfterHours: {
+              type: 'integer',
+              minimum: 0,
+              default: 24,
+              description:
+                'Hours after the consultant is notified that the office manager is',
+            },
+            isActive: { type: 'boolean', default: true },
+          },
+        },
+        SlaPolicy: {
+          allOf: [
+            { $ref: '#/components/schemas/SlaPolicyInput' },
+            {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                officeId: { type: 'string', format: 'uuid' },
+                pipeline: {
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    name: { type: 'string' },
+                  },
+                },
+                createdBy: { type: 'string', format: 'uuid', nullable: true },
+                createdAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
+        SlaBreach: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            policyId: { type: 'string', format: 'uuid' },
+            leadId: { type: 'string', format: 'uuid' },
+            officeId: { type: 'string', format: 'uuid' },
+            consultantId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: "The lead's consultant when the breach was found",
+            },
+            breachedAt: { type: 'string', format: 'date-time' },
+            notifiedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            escalatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            resolvedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            policy: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string' },
+                type: { type: 'string' },
+              },
+            },
+            lead: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                status: { type: 'string' },
+                assignedConsultant: {
+                  type: 'string',
+                  format: 'uuid',
+                  nullable: true,
+                },
+                student: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                  },
+                },
+              },
+            },
+            consultant: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string' },
+                email: { type: 'string' },
+              },
+            },
+          },
+        },
+        SlaBreachList: {
+          type: 'object',
+          properties: {
+            total: { type: 'number', example: 3 },
+            page: { type: 'number', example: 1 },
+            limit: { type: 'number', example: 50 },
+            breaches: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/SlaBreach' },
+            },
+          },
+        },
+        SlaBreachCounts: {
+          type: 'object',
+          properties: {
+            open: { type: 'number', example: 5 },
+            escalated: { type: 'number', example: 2 },
+            leads: {
+              type: 'number',
+              example: 4,
+              description: 'Leads with at least one open breach',
+            },
+            byPolicy: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  policyId: { type: 'string', format: 'uuid' },
+                  name: { type: 'string' },
+                  open: { type: 'number' },
+                  escalated: { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+        Reminder: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            ownerId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'User the reminder is for',
+            },
+            createdBy: { type: 'string', format: 'uuid', nullable: true },
+            targetType: {
+              type: 'string',
+              enum: ['lead', 'application', 'appointment', 'student'],
+            },
+            targetId: { type: 'string', format: 'uuid' },
+            message: { type: 'string', example: 'Call back about visa' },
+            dueAt: { type: 'string', format: 'date-time' },
+            remindAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When it is (next) delivered',
+            },
+            channel: { type: 'string', enum: ['in_app', 'email', 'sms'] },
+            snoozeCount: { type: 'number', example: 0 },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            doneAt: { type: 'string', format: 'date-time', nullable: true },
+            overdue: {
+              type: 'boolean',
+              description: 'Due and not done yet',
+            },
+            creator: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string' },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        ReminderList: {
+          type: 'object',
+          properties: {
+            total: { type: 'number', example: 3 },
+            page: { type: 'number', example: 1 },
+            limit: { type: 'number', example: 50 },
+            reminders: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Reminder' },
+            },
+          },
+        },
+        Role: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'Senior Consultant' },
+            description: { type: 'string', nullable: true },
+            baseRole: {
+              type: 'string',
+              enum: ['manager', 'consultant', 'receptionist'],
+              example: 'consultant',
+            },
+            permissions: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['portal.consultant', 'lead.reassign'],
+            },
+            createdBy: { type: 'string', format: 'uuid', nullable: true },
+          },
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'Website enquiry form' },
+            keyPrefix: { type: 'string', example: 'crm_3f9a1c07' },
+            permissions: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['lead.create'],
+            },
+            officeId: { type: 'string', format: 'uuid', nullable: true },
+            rateLimitPerMinute: { type: 'number', example: 60 },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+            lastUsedIp: { type: 'string', nullable: true },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        StaffInvite: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            userId: { type: 'string', format: 'uuid' },
+            invitedById: { type: 'string', format: 'uuid', nullable: true },
+            status: {
+              type: 'string',
+              enum: ['pending', 'expired', 'accepted', 'revoked'],
+            },
+            expiresAt: { type: 'string', format: 'date-time' },
+            lastSentAt: { type: 'string', format: 'date-time' },
+            acceptedAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            user: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string' },
+                email: { type: 'string', format: 'email' },
+                role: { type: 'string' },
+                officeId: { type: 'string', format: 'uuid', nullable: true },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
         StudentProfileInput: {
           type: 'object',
           required: ['personalInfo', 'educationalBackground', 'studyPreferences'],
@@ -0,0 +1,195 @@
+const { Op } = require('sequelize');
+
+jest.mock('../models', () => {
+  const model = () => ({
+    update: jest.fn(async () => [0]),
+    destroy: jest.fn(async () => 0),
+    findAll: jest.fn(async () => []),
+    findOne: jest.fn(async () => null),
+    findByPk: jest.fn(async () => null),
+  });
+  return {
+    sequelize: {
+      transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' } })),
+    },
+    Application: model(),
+    Appointment: model(),
+    Checklist: model(),
+    Document: model(),
+    DuplicateCandidate: model(),
+    Lead: model(),
+    LeadActivity: model(),
+    Message: model(),
+    Notification: model(),
+    Proposal: model(),
+    Reminder: model(),
+    StudentProfile: { rawAttributes: {} },
+    Task: model(),
+    User: model(),
+    UserIdentity: model(),
+  };
+});
+jest.mock('../services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../services/leadActivityService', () => ({ record: jest.fn() }));
+jest.mock('../services/sessionService', () => ({
+  revokeAllUserSessions: jest.fn(),
+}));
+
+const { DuplicateCandidate, Lead, Reminder, Task, User } = require('../models');
+const sessionService = require('../services/sessionService');
+const duplicateService = require('../services/duplicateService');
+
+const record = (values) => ({
+  ...values,
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  destroy: jest.fn(async () => {}),
+  reload: jest.fn(async function () {
+    return this;
+  }),
+});
+
+let kept;
+let merged;
+let students;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  kept = record({ id: 'lead-kept', studentId: 'student-kept' });
+  merged = record({ id: 'lead-merged', studentId: 'student-merged' });
+  students = {
+    'student-kept': record({ id: 'student-kept', name: 'Ayesha Khan' }),
+    'student-merged': record({ id: 'student-merged', name: 'Ayesha K.' }),
+  };
+  Lead.findByPk.mockImplementation(async (id) =>
+    [kept, merged].find((lead) => lead.id === id)
+  );
+  User.findByPk.mockImplementation(async (id) => students[id] || null);
+  Task.update.mockResolvedValue([2]);
+  Reminder.update.mockResolvedValue([1]);
+});
+
+describe('mergeLeads', () => {
+  it('folds the merged lead and its student into the kept ones', async () => {
+    await duplicateService.mergeLeads(kept.id, merged.id, {
+      actorId: 'manager-1',
+    });
+
+    expect(Lead.update).toHaveBeenCalledWith(
+      { studentId: 'student-kept' },
+      expect.objectContaining({ where: { studentId: 'student-merged' } })
+    );
+    expect(Task.update).toHaveBeenCalledWith(
+      { leadId: kept.id },
+      expect.objectContaining({ where: { leadId: merged.id } })
+    );
+    expect(students['student-merged']).toMatchObject({
+      isActive: false,
+      mergedIntoId: 'student-kept',
+    });
+    expect(merged.destroy).toHaveBeenCalled();
+    expect(sessionService.revokeAllUserSessions).toHaveBeenCalledWith(
+      'student-merged',
+      'account_merged'
+    );
+  });
+
+  it('moves reminders about and owned by the merged records', async () => {
+    await duplicateService.mergeLeads(kept.id, merged.id);
+
+    const moves = Reminder.update.mock.calls.map(([values, { where }]) => ({
+      values,
+      where,
+    }));
+    expect(moves).toEqual(
+      expect.arrayContaining([
+        {
+          values: { ownerId: 'student-kept' },
+          where: { ownerId: 'student-merged' },
+        },
+        {
+          values: { targetId: 'student-kept' },
+          where: { targetType: 'student', targetId: 'student-merged' },
+        },
+        {
+          values: { targetId: kept.id },
+          where: { targetType: 'lead', targetId: merged.id },
+        },
+      ])
+    );
+  });
+
+  it('marks the pair merged before the merged lead is deleted', async () => {
+    await duplicateService.mergeLeads(kept.id, merged.id, {
+      actorId: 'manager-1',
+    });
+
+    const [values, { where }] = DuplicateCandidate.update.mock.calls[0];
+    expect(values).toMatchObject({ status: 'merged', resolvedBy: 'manager-1' });
+    expect(where).toEqual({
+      leadId: { [Op.in]: [kept.id, merged.id] },
+      duplicateLeadId: { [Op.in]: [kept.id, merged.id] },
+    });
+    expect(DuplicateCandidate.update.mock.invocationCallOrder[0]).toBeLessThan(
+      merged.destroy.mock.invocationCallOrder[0]
+    );
+    expect(DuplicateCandidate.destroy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: expect.objectContaining({ status: { [Op.ne]: 'merged' } }),
+      })
+    );
+  });
+
+  it('keeps the student when both leads are theirs', async () => {
+    merged.studentId = 'student-kept';
+
+    await duplicateService.mergeLeads(kept.id, merged.id);
+
+    expect(Lead.update).not.toHaveBeenCalled();
+    expect(sessionService.revokeAllUserSessions).not.toHaveBeenCalled();
+  });
+
+  it('refuses to merge a lead into itself', async () => {
+    await expect(
+      duplicateService.mergeLeads(kept.id, kept.id)
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('merged pairs', () => {
+  const mergedPair = () =>
+    record({
+      id: 'pair-1',
+      status: 'merged',
+      leadId: kept.id,
+      duplicateLeadId: null,
+      lead: { ...kept, officeId: 'office-1' },
+      duplicateLead: null,
+    });
+
+  beforeEach(() => {
+    DuplicateCandidate.findByPk.mockImplementation(async () => mergedPair());
+  });
+
+  it('are shown to the kept lead office', async () => {
+    await expect(
+      duplicateService.getCandidate('pair-1', { officeId: 'office-1' })
+    ).resolves.toMatchObject({ status: 'merged' });
+  });
+
+  it('cannot be merged or dismissed again', async () => {
+    await expect(
+      duplicateService.mergeCandidate('pair-1', {})
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'This pair has already been merged',
+    });
+    await expect(
+      duplicateService.dismissCandidate('pair-1', {})
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'This pair has already been merged',
+    });
+  });
+});
@@ -0,0 +1,142 @@
+jest.mock('../models', () => ({
+  Lead: {
+    findAll: jest.fn(async () => []),
+    sequelize: { fn: jest.fn(), col: jest.fn() },
+  },
+  LeadDistributionRule: { findAll: jest.fn() },
+  Office: { findByPk: jest.fn(async () => null) },
+  OfficeConsultant: { count: jest.fn(), findAll: jest.fn() },
+  User: {},
+}));
+jest.mock('../services/pipelineService', () => ({
+  whereStageType: jest.fn(async () => ({})),
+}));
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/leadActivityService', () => ({}));
+
+const { OfficeConsultant } = require('../models');
+const leadDistributionService = require('../services/leadDistributionService');
+
+const lead = { id: 'lead-1', officeId: 'office-1', source: 'online' };
+
+const consultant = (id, values = {}) => ({
+  id,
+  name: `Consultant ${id}`,
+  officeId: 'office-1',
+  isActive: true,
+  ...values,
+});
+
+const fixedRule = (id, consultantValues) => ({
+  id,
+  criteria: {},
+  strategy: 'fixed',
+  consultantId: consultantValues.id,
+  consultant: consultantValues,
+});
+
+const roundRobinRule = (lastAssignedConsultantId = null) => ({
+  id: 'round-robin',
+  criteria: {},
+  strategy: 'round_robin',
+  officeId: 'office-1',
+  lastAssignedConsultantId,
+});
+
+// Memberships of the consultants who can take leads right now
+const available = (...ids) =>
+  OfficeConsultant.findAll.mockResolvedValue(
+    ids.map((id) => ({
+      userId: id,
+      User: { name: `Consultant ${id}` },
+      capacity: 1,
+      languages: [],
+      destinations: [],
+    }))
+  );
+
+const evaluate = (rules) =>
+  leadDistributionService.evaluate(lead, rules, { dryRun: true });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  OfficeConsultant.count.mockResolvedValue(0);
+  available();
+});
+
+describe('fixed rules', () => {
+  it('assign the rule consultant', async () => {
+    const rule = fixedRule('first', consultant('c1'));
+
+    await expect(evaluate([rule])).resolves.toMatchObject({
+      rule,
+      assignment: { consultantId: 'c1', officeId: 'office-1' },
+    });
+  });
+
+  it('fall through to the next rule when the consultant is on leave', async () => {
+    OfficeConsultant.count.mockImplementation(async ({ where }) =>
+      where.userId === 'c1' ? 1 : 0
+    );
+    const next = fixedRule('second', consultant('c2'));
+
+    await expect(
+      evaluate([fixedRule('first', consultant('c1')), next])
+    ).resolves.toMatchObject({
+      rule: next,
+      assignment: { consultantId: 'c2' },
+    });
+  });
+
+  it('fall through to the next rule when the consultant is deactivated', async () => {
+    const next = roundRobinRule();
+    available('c2');
+
+    await expect(
+      evaluate([
+        fixedRule('first', consultant('c1', { isActive: false })),
+        next,
+      ])
+    ).resolves.toMatchObject({
+      rule: next,
+      assignment: { consultantId: 'c2' },
+    });
+  });
+});
+
+describe('shared strategies', () => {
+  it('fall through to the next rule when nobody is available', async () => {
+    const next = fixedRule('second', consultant('c2'));
+
+    await expect(evaluate([roundRobinRule(), next])).resolves.toMatchObject({
+      rule: next,
+    });
+  });
+
+  it('leave the lead alone when no rule can take it', async () => {
+    await expect(evaluate([roundRobinRule()])).resolves.toBeNull();
+  });
+});
+
+describe('round robin', () => {
+  const next = async (lastAssignedConsultantId) => {
+    const { assignment } = await evaluate([
+      roundRobinRule(lastAssignedConsultantId),
+    ]);
+    return assignment.consultantId;
+  };
+
+  beforeEach(() => available('c1', 'c3', 'c5'));
+
+  it('rotates through the available consultants', async () => {
+    await expect(next(null)).resolves.toBe('c1');
+    await expect(next('c1')).resolves.toBe('c3');
+    await expect(next('c5')).resolves.toBe('c1');
+  });
+
+  it('carries on after a consultant who became unavailable', async () => {
+    await expect(next('c2')).resolves.toBe('c3');
+    await expect(next('c4')).resolves.toBe('c5');
+    await expect(next('c6')).resolves.toBe('c1');
+  });
+});
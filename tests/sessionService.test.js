@@ -0,0 +1,104 @@
+process.env.JWT_SECRET = 'test-secret';
+
+// Sessions live in memory; where clauses are plain equality
+jest.mock('../models', () => {
+  const sessions = [];
+  const matches = (row, where) =>
+    Object.entries(where).every(([key, value]) => row[key] === value);
+  return {
+    sessions,
+    User: { findByPk: jest.fn() },
+    UserSession: {
+      create: jest.fn(async (values) => {
+        const session = {
+          id: `session-${sessions.length + 1}`,
+          revokedAt: null,
+          previousRefreshTokenHash: null,
+          ...values,
+          isActive() {
+            return !this.revokedAt && this.expiresAt > new Date();
+          },
+        };
+        sessions.push(session);
+        return session;
+      }),
+      findOne: jest.fn(
+        async ({ where }) => sessions.find((row) => matches(row, where)) || null
+      ),
+      update: jest.fn(async (values, { where }) => {
+        const rows = sessions.filter((row) => matches(row, where));
+        rows.forEach((row) => Object.assign(row, values));
+        return [rows.length];
+      }),
+    },
+  };
+});
+
+const { sessions, User } = require('../models');
+const sessionService = require('../services/sessionService');
+
+const user = { id: 'user-1', role: 'student', officeId: null, isActive: true };
+
+beforeEach(() => {
+  sessions.length = 0;
+  User.findByPk.mockResolvedValue(user);
+});
+
+describe('rotateRefreshToken', () => {
+  it('swaps the refresh token and keeps the session', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user);
+
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+    expect(rotated.token).toEqual(expect.any(String));
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(session.revokedAt).toBeNull();
+    await expect(
+      sessionService.rotateRefreshToken(rotated.refreshToken)
+    ).resolves.toMatchObject({ user });
+  });
+
+  it('revokes the session when a retired token is presented again', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user);
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+    await expect(
+      sessionService.rotateRefreshToken(refreshToken)
+    ).rejects.toMatchObject({ statusCode: 401 });
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    await expect(
+      sessionService.rotateRefreshToken(rotated.refreshToken)
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('lets only one of two concurrent rotations through', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user);
+
+    const results = await Promise.allSettled([
+      sessionService.rotateRefreshToken(refreshToken),
+      sessionService.rotateRefreshToken(refreshToken),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+  });
+
+  it('rejects unknown tokens', async () => {
+    await expect(
+      sessionService.rotateRefreshToken('not-a-token')
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('ends the session of a deactivated user', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user);
+    User.findByPk.mockResolvedValue({ ...user, isActive: false });
+
+    await expect(
+      sessionService.rotateRefreshToken(refreshToken)
+    ).rejects.toMatchObject({ statusCode: 401 });
+    expect(session.revokedReason).toBe('user_inactive');
+  });
+});
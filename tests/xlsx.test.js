@@ -0,0 +1,110 @@
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+
+jest.mock('../models', () => ({
+  LeadActivity: { rawAttributes: { type: { values: [] } } },
+}));
+
+const { readSheet, streamSheet } = require('../utils/xlsx');
+const leadImportService = require('../services/leadImportService');
+
+const workbook = async (rows) => {
+  const book = new ExcelJS.Workbook();
+  const sheet = book.addWorksheet('Leads');
+  rows.forEach((row) => sheet.addRow(row));
+  return Buffer.from(await book.xlsx.writeBuffer());
+};
+
+// Rewrites one part of a workbook, e.g. to put a cell where Excel cannot
+const withPart = async (buffer, name, edit) => {
+  const archive = await JSZip.loadAsync(buffer);
+  archive.file(name, edit(await archive.file(name).async('string')));
+  return archive.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+describe('readSheet', () => {
+  it('reads the first sheet as strings up to the last header', async () => {
+    const buffer = await workbook([
+      ['name', 'email', 'budget'],
+      ['Ayesha Khan', 'ayesha@example.com', 15000, 'stray note'],
+      ['Bilal', new Date(Date.UTC(2026, 8, 1)), true],
+    ]);
+
+    await expect(readSheet(buffer)).resolves.toEqual([
+      ['name', 'email', 'budget'],
+      ['Ayesha Khan', 'ayesha@example.com', '15000'],
+      ['Bilal', '2026-09-01', 'true'],
+    ]);
+  });
+
+  it('rejects files that are not workbooks', async () => {
+    await expect(readSheet(Buffer.from('name,email\n'))).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'The file is not a readable XLSX workbook',
+    });
+  });
+
+  it('rejects workbooks that inflate past the size cap', async () => {
+    const archive = new JSZip();
+    archive.file('xl/worksheets/sheet1.xml', Buffer.alloc(60 * 1024 * 1024));
+    const bomb = await archive.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+    });
+
+    expect(bomb.length).toBeLessThan(1024 * 1024);
+    await expect(readSheet(bomb)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'The XLSX workbook is too large once uncompressed',
+    });
+  });
+
+  it('rejects cells beyond column XFD', async () => {
+    const buffer = await withPart(
+      await workbook([['name'], ['Ayesha']]),
+      'xl/worksheets/sheet1.xml',
+      (xml) => xml.replace(/r="A2"/, 'r="XFE2"')
+    );
+
+    await expect(readSheet(buffer)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('streamSheet', () => {
+  it('writes rows as they are read, without control characters', async () => {
+    async function* rows() {
+      yield ['Ayesha', 15000];
+      yield ['Bilal\u0007', null];
+    }
+    const chunks = [];
+    for await (const chunk of streamSheet(['name', 'budget'], rows())) {
+      chunks.push(chunk);
+    }
+
+    await expect(readSheet(Buffer.concat(chunks))).resolves.toEqual([
+      ['name', 'budget'],
+      ['Ayesha', '15000'],
+      ['Bilal', ''],
+    ]);
+  });
+});
+
+describe('lead import', () => {
+  it('refuses more than 2000 rows', async () => {
+    const rows = Array.from({ length: 2001 }, (_, i) => [
+      `Lead ${i}`,
+      `lead${i}@example.com`,
+    ]);
+    const buffer = await workbook([['name', 'email'], ...rows]);
+
+    await expect(
+      leadImportService.createImport(
+        { originalname: 'fair.xlsx', buffer },
+        { userId: 'user-1' }
+      )
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Import at most 2000 rows at a time',
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const jwt = require('jsonwebtoken');
+const AppError = require('./appError');
+
+// Short-lived tokens that carry a half-finished login between requests,
+// e.g. from /auth/login to /auth/2fa/verify. `purpose` stops a token issued
+// for one step being replayed at another.
+const CHALLENGE_TTL = '5m';
+
+const signChallenge = (user, purpose) =>
+  jwt.sign({ id: user.id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+const verifyChallenge = (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch {
+    throw new AppError('Challenge token is invalid or has expired', 401);
+  }
+  if (decoded.purpose !== purpose) {
+    throw new AppError('Challenge token is invalid or has expired', 401);
+  }
+  return decoded;
+};
+
+module.exports = { signChallenge, verifyChallenge };
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets we must be able to read back (e.g. TOTP seeds).
+// Output format: iv.authTag.ciphertext, each base64.
+const key = () =>
+  crypto
+    .createHash('sha256')
+    .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainText), 'utf8'),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString('base64'))
+    .join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = String(payload)
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    'utf8'
+  );
+};
+
+module.exports = { encrypt, decrypt };
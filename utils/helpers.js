@@ -0,0 +1,18 @@
+// Small helpers shared by the services
+
+// True for a missing value, an empty string, or an empty array or object
+const isBlank = (value) =>
+  value === null ||
+  value === undefined ||
+  value === '' ||
+  (typeof value === 'object' && !Object.keys(value).length);
+
+// Reads ?page=&limit= into the page to return, its size (50 by default,
+// between 1 and 200) and the matching offset
+const paginate = ({ page, limit } = {}) => {
+  const size = Math.max(Math.min(Number(limit) || 50, 200), 1);
+  const number = Math.max(Number(page) || 1, 1);
+  return { page: number, limit: size, offset: (number - 1) * size };
+};
+
+module.exports = { isBlank, paginate };
@@ -0,0 +1,107 @@
+const {
+  SUPER_ADMIN,
+  MANAGER,
+  CONSULTANT,
+  RECEPTIONIST,
+  STUDENT,
+} = require('./roles');
+
+const PERMISSIONS = {
+  // Access to each role's route group (/super-admin, /manager, ...)
+  SUPER_ADMIN_PORTAL: 'portal.super_admin',
+  MANAGER_PORTAL: 'portal.manager',
+  CONSULTANT_PORTAL: 'portal.consultant',
+  RECEPTIONIST_PORTAL: 'portal.receptionist',
+  STUDENT_PORTAL: 'portal.student',
+
+  STAFF_INVITE: 'staff.invite',
+  LEAD_ASSIGN: 'lead.assign',
+  LEAD_REASSIGN: 'lead.reassign',
+  LEAD_MERGE: 'lead.merge',
+  LEAD_IMPORT: 'lead.import',
+  SLA_MANAGE: 'sla.manage',
+  DOCUMENT_APPROVE: 'document.approve',
+  APPLICATION_APPLY: 'application.apply',
+  APPLICATION_REVIEW: 'application.review',
+  APPLICATION_VIEW_ALL: 'application.view_all',
+  CHECKLIST_MANAGE: 'checklist.manage',
+  CHECKLIST_VIEW: 'checklist.view',
+  CHECKLIST_COMPLETE: 'checklist.complete',
+  COURSE_MANAGE: 'course.manage',
+  UNIVERSITY_MANAGE: 'university.manage',
+  MESSAGE_SEND: 'message.send',
+  MESSAGE_EDIT: 'message.edit',
+  ROLE_MANAGE: 'role.manage',
+  API_KEY_MANAGE: 'api_key.manage',
+
+  // Integration permissions, normally held by API keys
+  LEAD_CREATE: 'lead.create',
+  APPLICATION_READ: 'application.read',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// The only permissions an API key may hold
+const API_KEY_PERMISSIONS = [
+  PERMISSIONS.LEAD_CREATE,
+  PERMISSIONS.APPLICATION_READ,
+];
+
+const PORTAL_PERMISSIONS = {
+  [SUPER_ADMIN]: PERMISSIONS.SUPER_ADMIN_PORTAL,
+  [MANAGER]: PERMISSIONS.MANAGER_PORTAL,
+  [CONSULTANT]: PERMISSIONS.CONSULTANT_PORTAL,
+  [RECEPTIONIST]: PERMISSIONS.RECEPTIONIST_PORTAL,
+  [STUDENT]: PERMISSIONS.STUDENT_PORTAL,
+};
+
+// What each built-in role may do when the user has no custom role
+const ROLE_PERMISSIONS = {
+  [SUPER_ADMIN]: [
+    PERMISSIONS.SUPER_ADMIN_PORTAL,
+    PERMISSIONS.STAFF_INVITE,
+    PERMISSIONS.APPLICATION_VIEW_ALL,
+    PERMISSIONS.COURSE_MANAGE,
+    PERMISSIONS.UNIVERSITY_MANAGE,
+    PERMISSIONS.MESSAGE_SEND,
+    PERMISSIONS.MESSAGE_EDIT,
+    PERMISSIONS.ROLE_MANAGE,
+    PERMISSIONS.API_KEY_MANAGE,
+  ],
+  [MANAGER]: [
+    PERMISSIONS.MANAGER_PORTAL,
+    PERMISSIONS.STAFF_INVITE,
+    PERMISSIONS.LEAD_ASSIGN,
+    PERMISSIONS.LEAD_REASSIGN,
+    PERMISSIONS.LEAD_MERGE,
+    PERMISSIONS.LEAD_IMPORT,
+    PERMISSIONS.SLA_MANAGE,
+    PERMISSIONS.MESSAGE_SEND,
+    PERMISSIONS.MESSAGE_EDIT,
+  ],
+  [CONSULTANT]: [
+    PERMISSIONS.CONSULTANT_PORTAL,
+    PERMISSIONS.DOCUMENT_APPROVE,
+    PERMISSIONS.APPLICATION_REVIEW,
+    PERMISSIONS.CHECKLIST_MANAGE,
+    PERMISSIONS.CHECKLIST_VIEW,
+    PERMISSIONS.MESSAGE_SEND,
+  ],
+  [RECEPTIONIST]: [PERMISSIONS.RECEPTIONIST_PORTAL],
+  [STUDENT]: [
+    PERMISSIONS.STUDENT_PORTAL,
+    PERMISSIONS.APPLICATION_APPLY,
+    PERMISSIONS.CHECKLIST_VIEW,
+    PERMISSIONS.CHECKLIST_COMPLETE,
+    PERMISSIONS.MESSAGE_SEND,
+    PERMISSIONS.MESSAGE_EDIT,
+  ],
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  API_KEY_PERMISSIONS,
+  PORTAL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+};
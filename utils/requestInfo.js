@@ -0,0 +1,42 @@
+// Helpers for describing where a request came from. The client IP is
+// `req.ip`, which only honours X-Forwarded-For from the proxies configured
+// with TRUST_PROXY (see server.js).
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Chrome/', 'Chrome'],
+  ['Firefox/', 'Firefox'],
+  ['Safari/', 'Safari'],
+];
+
+const PLATFORMS = [
+  ['Android', 'Android'],
+  ['iPhone', 'iPhone'],
+  ['iPad', 'iPad'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// Turns a user agent into a short label such as "Chrome on Windows".
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([needle]) => userAgent.includes(needle));
+  const platform = PLATFORMS.find(([needle]) => userAgent.includes(needle));
+  if (!browser && !platform) return 'Unknown device';
+  if (!platform) return browser[1];
+  if (!browser) return platform[1];
+  return `${browser[1]} on ${platform[1]}`;
+};
+
+const getSessionMetadata = (req) => {
+  const userAgent = req.headers['user-agent'] || null;
+  return {
+    ipAddress: req.ip,
+    userAgent,
+    deviceName: req.body?.deviceName || describeDevice(userAgent),
+  };
+};
+
+module.exports = { describeDevice, getSessionMetadata };
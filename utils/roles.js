@@ -1,21 +1,21 @@
+// Built-in roles, as stored in Users.role
+const SUPER_ADMIN = 'super_admin';
+const MANAGER = 'manager';
+const CONSULTANT = 'consultant';
+const RECEPTIONIST = 'receptionist';
+const STUDENT = 'student';
 
-const SUPER_ADMIN = 'SuperAdmin';
-const ADMIN = 'Admin';
-const VERIFICATION_OFFICER = 'VerificationOfficer';
-const COLLECTION_OFFICER = 'CollectionOfficer';
-const LEGAL_OFFICER = 'LegalOfficer';
+const ALL_ROLES = [SUPER_ADMIN, MANAGER, CONSULTANT, RECEPTIONIST, STUDENT];
 
-
-//
-const ALL_ROLES = [SUPER_ADMIN, ADMIN, LEGAL_OFFICER, COLLECTION_OFFICER, VERIFICATION_OFFICER];
-
-// 
+// Built-in roles that custom roles may extend
+const CUSTOMIZABLE_ROLES = [MANAGER, CONSULTANT, RECEPTIONIST];
 
 module.exports = {
-    SUPER_ADMIN,
-    ADMIN,
-    VERIFICATION_OFFICER,
-    COLLECTION_OFFICER,
-    LEGAL_OFFICER,
-    ALL_ROLES,
-}
\ No newline at end of file
+  SUPER_ADMIN,
+  MANAGER,
+  CONSULTANT,
+  RECEPTIONIST,
+  STUDENT,
+  ALL_ROLES,
+  CUSTOMIZABLE_ROLES,
+};
@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Opaque random token handed to the client. Only its hash is ever stored.
+const generateToken = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { generateToken, hashToken };
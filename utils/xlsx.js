@@ -0,0 +1,127 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const AppError = require('./appError');
+
+// Caps on what a workbook may inflate to, per file and in total, so a small
+// upload cannot expand into gigabytes
+const MAX_ENTRY_SIZE = 20 * 1024 * 1024;
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024;
+
+const unreadable = () =>
+  new AppError('The file is not a readable XLSX workbook', 400);
+
+const tooLarge = () =>
+  new AppError('The XLSX workbook is too large once uncompressed', 400);
+
+// Inflates `entry` without keeping it, giving up as soon as it passes `limit`
+const inflatedSize = (entry, limit) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const stream = entry.nodeStream('nodebuffer');
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        reject(tooLarge());
+      }
+    });
+    stream.on('end', () => resolve(size));
+    stream.on('error', reject);
+  });
+
+// ExcelJS inflates the whole workbook in memory, so its size is checked
+// first, one entry at a time
+const checkSize = async (buffer) => {
+  const archive = await JSZip.loadAsync(buffer);
+  let total = 0;
+  for (const entry of Object.values(archive.files)) {
+    if (entry.dir) continue;
+    total += await inflatedSize(
+      entry,
+      Math.min(MAX_ENTRY_SIZE, MAX_ARCHIVE_SIZE - total)
+    );
+  }
+};
+
+// A cell as Excel shows it, with dates as YYYY-MM-DD and errors left blank
+const cellText = (cell) => {
+  if (cell.type === ExcelJS.ValueType.Error) return '';
+  if (cell.value instanceof Date) return cell.value.toISOString().slice(0, 10);
+  return cell.text;
+};
+
+// The first worksheet of an XLSX file as rows of strings, the same shape
+// csv-parse returns. Cells to the right of the header row's last column are
+// dropped, as no field can be mapped to them.
+const readSheet = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await checkSize(buffer);
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw error instanceof AppError ? error : unreadable();
+  }
+  const [sheet] = workbook.worksheets;
+  if (!sheet) throw unreadable();
+
+  const rows = [];
+  let width;
+  sheet.eachRow((row) => {
+    if (width === undefined) {
+      width = 0;
+      row.eachCell((cell, column) => {
+        if (cellText(cell).trim()) width = column;
+      });
+    }
+    const values = Array(width).fill('');
+    row.eachCell((cell, column) => {
+      if (column <= width) values[column - 1] = cellText(cell);
+    });
+    rows.push(values);
+  });
+  return rows;
+};
+
+const sheetValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  return String(value);
+};
+
+// Resolves once `stream` can take more data, or has been closed
+const drained = (stream) =>
+  new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+
+// An XLSX file with one sheet as a stream, written as `rows` (an async
+// iterable of cell arrays) is read, so large sheets are never held in
+// memory. Numbers and booleans keep their type; everything else is text.
+const streamSheet = (headers, rows, { sheetName = 'Sheet1' } = {}) => {
+  const stream = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  const write = async () => {
+    sheet.addRow(headers.map(sheetValue)).commit();
+    for await (const row of rows) {
+      if (stream.destroyed) return;
+      sheet.addRow(row.map(sheetValue)).commit();
+      if (stream.writableNeedDrain) await drained(stream);
+    }
+    sheet.commit();
+    await workbook.commit();
+  };
+  write().catch((error) => stream.destroy(error));
+  return stream;
+};
+
+module.exports = { readSheet, streamSheet };